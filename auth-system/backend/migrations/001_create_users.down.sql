@@ -0,0 +1,3 @@
+-- 001_create_users.down.sql
+
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,20 @@
+-- 001_create_users.up.sql - Contas de usuário
+-- gen_random_uuid() é nativo a partir do PostgreSQL 13
+
+CREATE TABLE users (
+  id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  username            VARCHAR(30) NOT NULL,
+  email               VARCHAR(255) NOT NULL,
+  password_hash       TEXT NOT NULL,
+  is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+  email_verified      BOOLEAN NOT NULL DEFAULT FALSE,
+  mfa_enabled         BOOLEAN NOT NULL DEFAULT FALSE,
+  mfa_method          VARCHAR(20) CHECK (mfa_method IN ('email', 'totp', 'webauthn')),
+  totp_secret         TEXT,
+  totp_pending_secret TEXT,
+  totp_last_counter   BIGINT,
+  created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX users_username_key ON users (username);
+CREATE UNIQUE INDEX users_email_key ON users (email);
@@ -0,0 +1,31 @@
+-- 002_create_roles.up.sql - Papéis, permissões e atribuições
+
+CREATE TABLE roles (
+  id   SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE
+);
+
+CREATE TABLE permissions (
+  id   SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE
+);
+
+CREATE TABLE role_permissions (
+  role_id       INTEGER NOT NULL REFERENCES roles (id) ON DELETE CASCADE,
+  permission_id INTEGER NOT NULL REFERENCES permissions (id) ON DELETE CASCADE,
+  PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE user_roles (
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  role_id INTEGER NOT NULL REFERENCES roles (id) ON DELETE CASCADE,
+  PRIMARY KEY (user_id, role_id)
+);
+
+CREATE INDEX user_roles_role_id_idx ON user_roles (role_id);
+
+-- Papéis iniciais; 'user' é atribuído no cadastro público
+INSERT INTO roles (name) VALUES ('user'), ('admin');
+INSERT INTO permissions (name) VALUES ('users:read'), ('users:write'), ('sessions:revoke');
+INSERT INTO role_permissions (role_id, permission_id)
+  SELECT roles.id, permissions.id FROM roles CROSS JOIN permissions WHERE roles.name = 'admin';
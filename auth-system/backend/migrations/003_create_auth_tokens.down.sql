@@ -0,0 +1,3 @@
+-- 003_create_auth_tokens.down.sql
+
+DROP TABLE IF EXISTS auth_tokens;
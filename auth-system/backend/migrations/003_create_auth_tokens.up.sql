@@ -0,0 +1,24 @@
+-- 003_create_auth_tokens.up.sql - Sessões e tokens emitidos
+-- Cada renovação cria um registro novo na mesma família (family_id)
+
+CREATE TABLE auth_tokens (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  family_id     UUID NOT NULL,
+  token         TEXT NOT NULL,
+  refresh_token TEXT NOT NULL,
+  expires_at    TIMESTAMPTZ NOT NULL,
+  persistent    BOOLEAN NOT NULL DEFAULT FALSE,
+  revoked       BOOLEAN NOT NULL DEFAULT FALSE,
+  rotated_at    TIMESTAMPTZ,
+  replaced_by   UUID REFERENCES auth_tokens (id) ON DELETE SET NULL,
+  user_agent    TEXT,
+  ip_address    VARCHAR(45),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX auth_tokens_token_key ON auth_tokens (token);
+CREATE UNIQUE INDEX auth_tokens_refresh_token_key ON auth_tokens (refresh_token);
+CREATE INDEX auth_tokens_user_id_active_idx ON auth_tokens (user_id) WHERE revoked = FALSE;
+CREATE INDEX auth_tokens_family_id_idx ON auth_tokens (family_id);
@@ -0,0 +1,3 @@
+-- 004_create_login_attempts.down.sql
+
+DROP TABLE IF EXISTS login_attempts;
@@ -0,0 +1,10 @@
+-- 004_create_login_attempts.up.sql - Tentativas de login, usadas no bloqueio por força bruta
+
+CREATE TABLE login_attempts (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  success    BOOLEAN NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX login_attempts_user_id_created_at_idx ON login_attempts (user_id, created_at);
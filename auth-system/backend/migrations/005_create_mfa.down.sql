@@ -0,0 +1,5 @@
+-- 005_create_mfa.down.sql
+
+DROP TABLE IF EXISTS mfa_recovery_codes;
+DROP TABLE IF EXISTS mfa_codes;
+DROP TABLE IF EXISTS mfa_challenges;
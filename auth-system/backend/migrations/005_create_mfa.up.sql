@@ -0,0 +1,38 @@
+-- 005_create_mfa.up.sql - Desafios, códigos por e-mail e códigos de recuperação de MFA
+
+CREATE TABLE mfa_challenges (
+  id                 TEXT PRIMARY KEY,
+  user_id            UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  method             VARCHAR(20) NOT NULL CHECK (method IN ('email', 'totp', 'webauthn')),
+  webauthn_challenge TEXT,
+  remember_me        BOOLEAN NOT NULL DEFAULT FALSE,
+  attempts           INTEGER NOT NULL DEFAULT 0,
+  consumed           BOOLEAN NOT NULL DEFAULT FALSE,
+  expires_at         TIMESTAMPTZ NOT NULL,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX mfa_challenges_user_id_idx ON mfa_challenges (user_id);
+
+CREATE TABLE mfa_codes (
+  id           BIGSERIAL PRIMARY KEY,
+  user_id      UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  challenge_id TEXT NOT NULL REFERENCES mfa_challenges (id) ON DELETE CASCADE,
+  code         VARCHAR(6) NOT NULL,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  used         BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX mfa_codes_challenge_id_idx ON mfa_codes (challenge_id);
+CREATE INDEX mfa_codes_user_id_idx ON mfa_codes (user_id);
+
+CREATE TABLE mfa_recovery_codes (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash  CHAR(64) NOT NULL,
+  used_at    TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX mfa_recovery_codes_user_id_code_hash_key ON mfa_recovery_codes (user_id, code_hash);
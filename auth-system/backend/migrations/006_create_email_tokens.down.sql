@@ -0,0 +1,4 @@
+-- 006_create_email_tokens.down.sql
+
+DROP TABLE IF EXISTS email_verification_tokens;
+DROP TABLE IF EXISTS password_reset_tokens;
@@ -0,0 +1,25 @@
+-- 006_create_email_tokens.up.sql - Tokens de uso único enviados por e-mail
+
+CREATE TABLE password_reset_tokens (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token      TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used       BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX password_reset_tokens_token_key ON password_reset_tokens (token);
+CREATE INDEX password_reset_tokens_user_id_pending_idx ON password_reset_tokens (user_id) WHERE used = FALSE;
+
+CREATE TABLE email_verification_tokens (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token      TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used       BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX email_verification_tokens_token_key ON email_verification_tokens (token);
+CREATE INDEX email_verification_tokens_user_id_pending_idx ON email_verification_tokens (user_id) WHERE used = FALSE;
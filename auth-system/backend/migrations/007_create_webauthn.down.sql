@@ -0,0 +1,4 @@
+-- 007_create_webauthn.down.sql
+
+DROP TABLE IF EXISTS webauthn_challenges;
+DROP TABLE IF EXISTS webauthn_credentials;
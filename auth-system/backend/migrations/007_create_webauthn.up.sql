@@ -0,0 +1,26 @@
+-- 007_create_webauthn.up.sql - Passkeys e desafios WebAuthn pendentes
+
+CREATE TABLE webauthn_credentials (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  credential_id TEXT NOT NULL,
+  public_key    JSONB NOT NULL,
+  sign_count    BIGINT NOT NULL DEFAULT 0,
+  transports    TEXT[] NOT NULL DEFAULT '{}',
+  name          VARCHAR(64) NOT NULL DEFAULT 'Passkey',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at  TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX webauthn_credentials_credential_id_key ON webauthn_credentials (credential_id);
+CREATE INDEX webauthn_credentials_user_id_idx ON webauthn_credentials (user_id);
+
+-- user_id é nulo nos desafios de login sem senha
+CREATE TABLE webauthn_challenges (
+  challenge  TEXT PRIMARY KEY,
+  type       VARCHAR(20) NOT NULL CHECK (type IN ('registration', 'authentication')),
+  user_id    UUID REFERENCES users (id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX webauthn_challenges_expires_at_idx ON webauthn_challenges (expires_at);
@@ -0,0 +1,3 @@
+-- 008_create_security_events.down.sql
+
+DROP TABLE IF EXISTS security_events;
@@ -0,0 +1,14 @@
+-- 008_create_security_events.up.sql - Eventos de segurança (ex.: reuso de refresh token)
+
+CREATE TABLE security_events (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID REFERENCES users (id) ON DELETE SET NULL,
+  type       VARCHAR(64) NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  details    JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX security_events_user_id_created_at_idx ON security_events (user_id, created_at);
+CREATE INDEX security_events_type_idx ON security_events (type);
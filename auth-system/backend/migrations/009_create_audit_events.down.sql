@@ -0,0 +1,24 @@
+-- 009_create_audit_events.down.sql
+
+DELETE FROM permissions WHERE name = 'audit:read';
+
+CREATE TABLE security_events (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID REFERENCES users (id) ON DELETE SET NULL,
+  type       VARCHAR(64) NOT NULL,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  details    JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX security_events_user_id_created_at_idx ON security_events (user_id, created_at);
+CREATE INDEX security_events_type_idx ON security_events (type);
+
+INSERT INTO security_events (user_id, type, ip_address, user_agent, details, created_at)
+  SELECT user_id, 'refresh_token_reuse', ip_address, user_agent, details, created_at
+  FROM audit_events
+  WHERE type = 'token_refresh' AND reason = 'reuse_detected'
+  ORDER BY id;
+
+DROP TABLE IF EXISTS audit_events;
@@ -0,0 +1,30 @@
+-- 009_create_audit_events.up.sql - Log de auditoria de autenticação, substituindo security_events
+
+CREATE TABLE audit_events (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID REFERENCES users (id) ON DELETE SET NULL,
+  type       VARCHAR(64) NOT NULL,
+  outcome    VARCHAR(16) NOT NULL CHECK (outcome IN ('success', 'failure')),
+  reason     VARCHAR(64),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  details    JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX audit_events_created_at_idx ON audit_events (created_at);
+CREATE INDEX audit_events_user_id_created_at_idx ON audit_events (user_id, created_at);
+CREATE INDEX audit_events_type_created_at_idx ON audit_events (type, created_at);
+
+-- Os únicos eventos gravados até aqui eram reusos de refresh token
+INSERT INTO audit_events (user_id, type, outcome, reason, ip_address, user_agent, details, created_at)
+  SELECT user_id, 'token_refresh', 'failure', 'reuse_detected', ip_address, user_agent, details, created_at
+  FROM security_events
+  ORDER BY id;
+
+DROP TABLE security_events;
+
+INSERT INTO permissions (name) VALUES ('audit:read');
+INSERT INTO role_permissions (role_id, permission_id)
+  SELECT roles.id, permissions.id FROM roles CROSS JOIN permissions
+  WHERE roles.name = 'admin' AND permissions.name = 'audit:read';
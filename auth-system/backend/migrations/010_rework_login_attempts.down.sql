@@ -0,0 +1,11 @@
+-- 010_rework_login_attempts.down.sql
+
+DROP TABLE IF EXISTS account_unlock_tokens;
+
+DROP INDEX IF EXISTS login_attempts_ip_address_created_at_idx;
+
+DELETE FROM login_attempts WHERE user_id IS NULL;
+ALTER TABLE login_attempts DROP COLUMN cleared_at;
+ALTER TABLE login_attempts DROP COLUMN ip_address;
+ALTER TABLE login_attempts DROP COLUMN login;
+ALTER TABLE login_attempts ALTER COLUMN user_id SET NOT NULL;
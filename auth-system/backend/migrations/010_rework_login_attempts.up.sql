@@ -0,0 +1,21 @@
+-- 010_rework_login_attempts.up.sql - Tentativas por IP (inclusive de usuários inexistentes) e links de desbloqueio
+
+ALTER TABLE login_attempts ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE login_attempts ADD COLUMN login VARCHAR(255);
+ALTER TABLE login_attempts ADD COLUMN ip_address VARCHAR(45);
+-- Desbloqueio da conta: as falhas deixam de contar para ela, mas continuam valendo na janela por IP
+ALTER TABLE login_attempts ADD COLUMN cleared_at TIMESTAMPTZ;
+
+CREATE INDEX login_attempts_ip_address_created_at_idx ON login_attempts (ip_address, created_at);
+
+CREATE TABLE account_unlock_tokens (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token      TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used       BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX account_unlock_tokens_token_key ON account_unlock_tokens (token);
+CREATE INDEX account_unlock_tokens_user_id_pending_idx ON account_unlock_tokens (user_id) WHERE used = FALSE;
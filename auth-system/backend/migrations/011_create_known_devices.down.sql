@@ -0,0 +1,4 @@
+-- 011_create_known_devices.down.sql
+
+DROP TABLE IF EXISTS session_revoke_tokens;
+DROP TABLE IF EXISTS known_devices;
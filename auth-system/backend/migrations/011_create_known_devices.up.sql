@@ -0,0 +1,25 @@
+-- 011_create_known_devices.up.sql - Dispositivos reconhecidos no login e links "não fui eu"
+
+CREATE TABLE known_devices (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  fingerprint   VARCHAR(64) NOT NULL, -- SHA-256 do cookie do dispositivo com o navegador e o sistema
+  client        VARCHAR(255),
+  ip_address    VARCHAR(45),
+  first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX known_devices_user_id_fingerprint_key ON known_devices (user_id, fingerprint);
+
+CREATE TABLE session_revoke_tokens (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token      TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used       BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX session_revoke_tokens_token_key ON session_revoke_tokens (token);
+CREATE INDEX session_revoke_tokens_user_id_pending_idx ON session_revoke_tokens (user_id) WHERE used = FALSE;
@@ -0,0 +1,3 @@
+-- 012_create_password_history.down.sql
+
+DROP TABLE IF EXISTS password_history;
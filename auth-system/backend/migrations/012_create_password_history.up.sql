@@ -0,0 +1,14 @@
+-- 012_create_password_history.up.sql - Hashes das últimas senhas, para impedir reuso
+
+CREATE TABLE password_history (
+  id            BIGSERIAL PRIMARY KEY,
+  user_id       UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX password_history_user_id_created_at_idx ON password_history (user_id, created_at);
+
+-- A senha atual de cada usuário inaugura o histórico
+INSERT INTO password_history (user_id, password_hash)
+  SELECT id, password_hash FROM users;
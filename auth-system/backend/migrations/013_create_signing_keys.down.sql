@@ -0,0 +1,3 @@
+-- 013_create_signing_keys.down.sql
+
+DROP TABLE IF EXISTS signing_keys;
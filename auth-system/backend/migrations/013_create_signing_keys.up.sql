@@ -0,0 +1,14 @@
+-- 013_create_signing_keys.up.sql - Chaves assimétricas de assinatura dos tokens de acesso (RS256/ES256)
+
+CREATE TABLE signing_keys (
+  kid         VARCHAR(64) PRIMARY KEY,
+  algorithm   VARCHAR(10) NOT NULL CHECK (algorithm IN ('RS256', 'ES256')),
+  private_key TEXT NOT NULL, -- PKCS#8 em PEM, cifrado quando JWT_KEY_PASSPHRASE está definido
+  public_jwk  JSONB NOT NULL,
+  status      VARCHAR(10) NOT NULL CHECK (status IN ('active', 'retiring')),
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  retire_at   TIMESTAMPTZ -- Chaves em aposentadoria só verificam tokens até esta data
+);
+
+-- Apenas uma chave assina novos tokens por vez
+CREATE UNIQUE INDEX signing_keys_active_key ON signing_keys (status) WHERE status = 'active';
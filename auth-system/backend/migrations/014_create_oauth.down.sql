@@ -0,0 +1,5 @@
+-- 014_create_oauth.down.sql
+
+DROP TABLE IF EXISTS oauth_authorization_codes;
+DROP TABLE IF EXISTS oauth_consents;
+DROP TABLE IF EXISTS oauth_clients;
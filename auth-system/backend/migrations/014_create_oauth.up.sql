@@ -0,0 +1,35 @@
+-- 014_create_oauth.up.sql - Provedor OpenID Connect: aplicativos clientes, consentimentos e códigos de autorização
+
+CREATE TABLE oauth_clients (
+  id            VARCHAR(64) PRIMARY KEY, -- client_id
+  name          VARCHAR(100) NOT NULL,
+  secret_hash   CHAR(64), -- SHA-256 do segredo; nulo em clientes públicos, que dependem só do PKCE
+  redirect_uris TEXT[] NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE oauth_consents (
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  client_id  VARCHAR(64) NOT NULL REFERENCES oauth_clients (id) ON DELETE CASCADE,
+  scopes     TEXT[] NOT NULL,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, client_id)
+);
+
+CREATE TABLE oauth_authorization_codes (
+  code_hash      CHAR(64) PRIMARY KEY, -- SHA-256 do código entregue ao cliente
+  client_id      VARCHAR(64) NOT NULL REFERENCES oauth_clients (id) ON DELETE CASCADE,
+  user_id        UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  redirect_uri   TEXT NOT NULL,
+  scopes         TEXT[] NOT NULL,
+  nonce          TEXT,
+  code_challenge VARCHAR(128) NOT NULL, -- PKCE S256
+  auth_time      TIMESTAMPTZ NOT NULL,
+  expires_at     TIMESTAMPTZ NOT NULL,
+  used           BOOLEAN NOT NULL DEFAULT FALSE,
+  token_id       UUID, -- jti do token de acesso emitido na troca
+  revoked        BOOLEAN NOT NULL DEFAULT FALSE, -- Código reapresentado: o token emitido não vale mais
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX oauth_authorization_codes_token_id_idx ON oauth_authorization_codes (token_id);
@@ -0,0 +1,6 @@
+-- 015_create_sso.down.sql
+
+ALTER TABLE mfa_challenges DROP COLUMN login_method;
+
+DROP TABLE IF EXISTS sso_login_tokens;
+DROP TABLE IF EXISTS user_identities;
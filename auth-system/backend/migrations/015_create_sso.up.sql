@@ -0,0 +1,29 @@
+-- 015_create_sso.up.sql - Login por provedores OpenID Connect externos (SSO)
+
+CREATE TABLE user_identities (
+  provider      VARCHAR(64) NOT NULL, -- id do provedor em SSO_PROVIDERS
+  subject       VARCHAR(255) NOT NULL, -- claim sub do provedor
+  user_id       UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  email         VARCHAR(255),
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (provider, subject)
+);
+
+CREATE INDEX user_identities_user_id_idx ON user_identities (user_id);
+
+-- Código de uso único que leva o login concluído no provedor do backend para o frontend
+CREATE TABLE sso_login_tokens (
+  id         BIGSERIAL PRIMARY KEY,
+  user_id    UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token      TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used       BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX sso_login_tokens_token_key ON sso_login_tokens (token);
+CREATE INDEX sso_login_tokens_user_id_pending_idx ON sso_login_tokens (user_id) WHERE used = FALSE;
+
+-- Primeiro fator do login que abriu o desafio de MFA ('password' ou 'sso')
+ALTER TABLE mfa_challenges ADD COLUMN login_method VARCHAR(20) NOT NULL DEFAULT 'password';
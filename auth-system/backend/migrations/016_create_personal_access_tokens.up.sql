@@ -0,0 +1,18 @@
+-- 016_create_personal_access_tokens.up.sql - Tokens de acesso pessoal para scripts e integrações
+
+CREATE TABLE personal_access_tokens (
+  id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name         VARCHAR(100) NOT NULL,
+  token_hash   CHAR(64) NOT NULL, -- SHA-256 do token; o valor só é exibido na criação
+  prefix       VARCHAR(16) NOT NULL, -- Início do token, para o usuário reconhecê-lo na lista
+  scopes       TEXT[] NOT NULL,
+  expires_at   TIMESTAMPTZ NOT NULL,
+  revoked_at   TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip VARCHAR(45),
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX personal_access_tokens_token_hash_key ON personal_access_tokens (token_hash);
+CREATE INDEX personal_access_tokens_user_id_active_idx ON personal_access_tokens (user_id) WHERE revoked_at IS NULL;
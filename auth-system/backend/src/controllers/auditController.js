@@ -0,0 +1,129 @@
+// auditController.js - Consulta e exportação do log de auditoria (administradores)
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+const router = express.Router();
+const repositories = require('../repositories'); // Camada de acesso a dados
+const { formatAuditEvent } = require('../services/auditService');
+const requireAuth = require('../middleware/requireAuth');
+const { requirePermission } = require('../middleware/authorize');
+
+// Tamanho de página padrão e máximo da consulta
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Eventos lidos por vez durante a exportação
+const EXPORT_BATCH_SIZE = 500;
+
+// Filtros aceitos pela consulta e pela exportação;
+// isString recusa parâmetros repetidos (?type=a&type=b), que chegam como array
+const filterValidation = [
+  query('userId', 'userId inválido').optional().isString().isUUID(),
+  query('type', 'Tipo de evento inválido').optional().isString().matches(/^[a-z_]+(,[a-z_]+)*$/),
+  query('from', 'Data inicial inválida').optional().isString().isISO8601(),
+  query('to', 'Data final inválida').optional().isString().isISO8601(),
+];
+
+// Também aceita tokens de acesso pessoal com o escopo audit:read, para exportações agendadas
+router.use(requireAuth.withScopes('audit:read'), requirePermission('audit:read'));
+
+/**
+ * Consultar eventos de auditoria, do mais recente para o mais antigo
+ * GET /api/auth/audit-events?userId=&type=login,logout&from=&to=&before=&limit=
+ */
+router.get('/',
+  filterValidation,
+  query('before', 'Cursor inválido').optional().isString().isInt({ min: 1 }),
+  query('limit', `limit deve estar entre 1 e ${MAX_PAGE_SIZE}`).optional().isString().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    try {
+      const limit = Number(req.query.limit) || DEFAULT_PAGE_SIZE;
+      const rows = await repositories.auditEvents.list({
+        ...getFilters(req),
+        beforeId: req.query.before ? Number(req.query.before) : undefined,
+        limit
+      });
+
+      return res.status(200).json({
+        events: rows.map(formatAuditEvent),
+        // Cursor para a próxima página, ausente quando não há mais eventos
+        nextCursor: rows.length === limit ? String(rows[rows.length - 1].id) : null
+      });
+
+    } catch (error) {
+      console.error('Erro ao consultar eventos de auditoria:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Exportar eventos de auditoria em JSON Lines (um evento por linha)
+ * GET /api/auth/audit-events/export?userId=&type=&from=&to=
+ */
+router.get('/export', filterValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  let beforeId;
+  let rows;
+
+  try {
+    const filters = getFilters(req);
+
+    // Primeira página antes dos cabeçalhos, para ainda poder responder com erro
+    rows = await repositories.auditEvents.list({ ...filters, limit: EXPORT_BATCH_SIZE });
+
+    res.status(200);
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-events-${new Date().toISOString().slice(0, 10)}.jsonl"`);
+
+    while (rows.length > 0) {
+      res.write(rows.map((row) => `${JSON.stringify(formatAuditEvent(row))}\n`).join(''));
+
+      if (rows.length < EXPORT_BATCH_SIZE) break;
+
+      beforeId = rows[rows.length - 1].id;
+      rows = await repositories.auditEvents.list({ ...filters, beforeId, limit: EXPORT_BATCH_SIZE });
+    }
+
+    return res.end();
+
+  } catch (error) {
+    console.error('Erro ao exportar eventos de auditoria:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+
+    // Exportação já iniciada: interromper a conexão para o cliente não receber um arquivo truncado como completo
+    return res.destroy(error);
+  }
+});
+
+// Funções auxiliares
+
+/**
+ * Extrai os filtros comuns da query string
+ * @param {Object} req - Requisição Express
+ * @returns {Object} Filtros para o repositório
+ */
+function getFilters(req) {
+  const { userId, type, from, to } = req.query;
+
+  return {
+    userId,
+    types: type ? type.split(',') : undefined,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+  };
+}
+
+module.exports = router;
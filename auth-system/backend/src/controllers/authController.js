@@ -1,21 +1,67 @@
 // authController.js - Implementação do backend com Node.js e Express
 // Este seria o controlador que gerencia as rotas de autenticação
 
+const crypto = require('crypto');
 const express = require('express');
-const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 
 const router = express.Router();
-const db = require('../database'); // Conexão com o banco de dados
-const { sendEmail } = require('../services/emailService');
-
-// Configuração de Rate Limiting para proteger contra ataques de força bruta
+const repositories = require('../repositories'); // Camada de acesso a dados
+const { sendTemplate, queueTemplate } = require('../services/emailService');
+const { SUPPORTED_LOCALES } = require('../services/email/templates');
+const { hashPassword, verifyPassword, needsRehash } = require('../services/passwordService');
+const credentials = require('../services/credentialService');
+const {
+  REUSE_MESSAGE,
+  evaluatePassword,
+  isPasswordReused,
+  rememberPassword,
+  describePolicy,
+} = require('../services/passwordPolicy');
+const { recordAuditEvent } = require('../services/auditService');
+const {
+  ACCOUNT_LOCK_THRESHOLD,
+  getAccountLock,
+  getIpLock,
+  recordLoginFailure,
+  clearAccountFailures,
+} = require('../services/lockoutService');
+const { identifyDevice } = require('../services/deviceService');
+const { signAccessToken } = require('../services/signingKeyService');
+const {
+  notifyNewDevice,
+  notifyPasswordChanged,
+  notifyMfaChanged,
+  notifySsoLinked,
+  notifyPersonalTokenCreated,
+} = require('../services/securityNoticeService');
+const personalTokens = require('../services/personalTokenService');
+const sso = require('../services/ssoService');
+const totp = require('../services/totpService');
+const webauthn = require('../services/webauthnService');
+const requireAuth = require('../middleware/requireAuth');
+const {
+  COOKIE_MODE,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  SSO_STATE_COOKIE,
+  parseCookies,
+  setAuthCookies,
+  clearAuthCookies,
+  setSsoStateCookie,
+  clearSsoStateCookie,
+  setDeviceCookie,
+  csrfProtection,
+} = require('../services/cookieService');
+
+// Limite por IP contra rajadas de requisições; o bloqueio por conta e por IP
+// com base nas falhas registradas fica no lockoutService
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 5, // limite de 5 tentativas
+  max: 30, // limite de 30 tentativas
   message: {
     error: 'Muitas tentativas de login. Tente novamente em 15 minutos.'
   },
@@ -23,12 +69,90 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Limite para a etapa de MFA, que aceita apenas 10^6 combinações por código
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // limite de 10 tentativas
+  message: {
+    error: 'Muitas tentativas de verificação. Tente novamente em 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Tentativas de código permitidas por desafio de MFA
+const MFA_MAX_ATTEMPTS = 5;
+
+// Mensagem exibida na etapa de MFA conforme o método do usuário
+const MFA_PROMPTS = {
+  email: 'Código de verificação enviado',
+  totp: 'Digite o código do seu aplicativo autenticador',
+  webauthn: 'Confirme o acesso com sua passkey',
+};
+
+// Quantidade de códigos de recuperação gerados por vez
+const RECOVERY_CODE_COUNT = 10;
+
 // Middleware para validação de entrada
 const loginValidation = [
   body('username').trim().notEmpty().withMessage('Usuário ou e-mail é obrigatório'),
   body('password').trim().notEmpty().withMessage('Senha é obrigatória'),
 ];
 
+// Validação do cadastro de novos usuários
+const registerValidation = [
+  body('username').trim()
+    .isLength({ min: 3, max: 30 }).withMessage('O nome de usuário deve ter entre 3 e 30 caracteres')
+    .matches(/^[a-zA-Z0-9_.-]+$/).withMessage('O nome de usuário só pode conter letras, números, ponto, hífen e sublinhado'),
+  body('email').trim().isEmail().withMessage('E-mail inválido'),
+];
+
+// Validação da criação de tokens de acesso pessoal
+const personalTokenValidation = [
+  body('name').trim().notEmpty().withMessage('Nome do token é obrigatório')
+    .isLength({ max: 100 }).withMessage('O nome do token deve ter no máximo 100 caracteres'),
+  body('scopes').isArray({ min: 1 }).withMessage('Escolha ao menos um escopo'),
+  body('expiresInDays').isInt({ min: 1, max: personalTokens.MAX_LIFETIME_DAYS })
+    .withMessage(`A validade deve estar entre 1 e ${personalTokens.MAX_LIFETIME_DAYS} dias`),
+];
+
+// Tolerância para renovações simultâneas do mesmo refresh token (várias abas)
+const REFRESH_GRACE_PERIOD_MS = 30 * 1000; // 30 segundos
+
+// Tempo máximo de uma sessão, mesmo com renovações contínuas
+const SESSION_MAX_LIFETIME_DAYS = Number(process.env.SESSION_MAX_LIFETIME_DAYS) || 30;
+
+// Papel atribuído a contas criadas pelo cadastro público
+const DEFAULT_ROLE = 'user';
+
+// Nome exibido nos aplicativos autenticadores
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Exemplo';
+
+// Nome do serviço exibido pelo navegador ao criar uma passkey
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || TOTP_ISSUER;
+
+// Tempo para o usuário concluir uma cerimônia WebAuthn
+const WEBAUTHN_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutos
+
+// Validade do código que leva o login externo (SSO) do callback ao frontend
+const SSO_LOGIN_TOKEN_TTL_MS = 2 * 60 * 1000; // 2 minutos
+
+/**
+ * Regras de senha aplicadas ao definir uma nova senha (ver passwordPolicy)
+ * Nome de usuário e e-mail do corpo, quando presentes, entram na regra de dados pessoais
+ * @param {string} field - Nome do campo no corpo da requisição
+ * @returns {Object} Cadeia de validação do express-validator
+ */
+function passwordValidation(field) {
+  return body(field).custom((value, { req }) => {
+    const { errors } = evaluatePassword(value, { username: req.body.username, email: req.body.email });
+    if (errors.length > 0) {
+      throw new Error(errors[0]);
+    }
+    return true;
+  });
+}
+
 /**
  * Rota de login
  * POST /api/auth/login
@@ -41,67 +165,137 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
   }
 
   const { username, password } = req.body;
+  const rememberMe = req.body.rememberMe === true;
 
   try {
-    // Buscar usuário pelo nome de usuário ou e-mail
-    const user = await db.query(
-      'SELECT * FROM users WHERE username = $1 OR email = $1',
-      [username]
-    );
+    // IPs com muitas falhas ou testando muitas contas são recusados antes de qualquer verificação
+    const ipLock = await getIpLock(req.ip);
+    if (ipLock.locked) {
+      await recordAuditEvent(req, 'login', 'failure', {
+        reason: 'ip_locked',
+        details: { username, pattern: ipLock.reason }
+      });
+      return sendLocked(res, 429, {
+        error: 'Muitas tentativas de login a partir desta rede. Tente novamente mais tarde.',
+        code: 'IP_LOCKED'
+      }, ipLock.retryAfterMs);
+    }
 
-    if (user.rows.length === 0) {
+    // Buscar a conta na primeira origem de credenciais que reconhece o login (AUTH_BACKENDS)
+    const account = await credentials.findAccount(username);
+
+    if (!account) {
+      // Falhas com usuários inexistentes contam para o bloqueio do IP
+      await recordLoginFailure({ login: username, ipAddress: req.ip });
+      await recordAuditEvent(req, 'login', 'failure', { reason: 'unknown_user', details: { username } });
       // Não revelamos se o usuário existe ou não por segurança
       return res.status(401).json({ error: 'Usuário ou senha inválidos' });
     }
 
-    const userData = user.rows[0];
+    // No primeiro login pelo diretório ainda não há conta local
+    let userData = account.user;
 
-    // Verificar se a conta está ativa
-    if (!userData.is_active) {
-      return res.status(401).json({ error: 'Conta desativada. Entre em contato com o suporte.' });
+    // Contas desativadas ou bloqueadas são recusadas sem conferir a senha
+    if (userData) {
+      const rejected = await rejectUnavailableAccount(req, res, userData);
+      if (rejected) return rejected;
     }
 
     // Verificar senha
-    const validPassword = await bcrypt.compare(password, userData.password_hash);
-    if (!validPassword) {
-      // Registrar tentativa falha para possível bloqueio
-      await recordFailedAttempt(userData.id);
-      return res.status(401).json({ error: 'Usuário ou senha inválidos' });
-    }
+    const verified = await credentials.verifyCredentials(account, password);
+    if (!verified) {
+      if (!userData) {
+        // Sem conta local, a falha conta só para o bloqueio do IP
+        await recordLoginFailure({ login: username, ipAddress: req.ip });
+        await recordAuditEvent(req, 'login', 'failure', {
+          reason: 'invalid_password',
+          details: { username, backend: account.backend }
+        });
+        return res.status(401).json({ error: 'Usuário ou senha inválidos' });
+      }
 
-    // Verificar se o usuário está bloqueado por muitas tentativas
-    const isBlocked = await checkUserBlocked(userData.id);
-    if (isBlocked) {
-      return res.status(401).json({
-        error: 'Conta bloqueada. Tente novamente em 30 minutos.'
+      // Registrar tentativa falha para o bloqueio progressivo
+      const failure = await recordLoginFailure({ userId: userData.id, login: username, ipAddress: req.ip });
+      await recordAuditEvent(req, 'login', 'failure', {
+        userId: userData.id,
+        reason: 'invalid_password',
+        details: { failures: failure.failures }
       });
+
+      if (failure.locked) {
+        // O link de desbloqueio vai apenas no primeiro bloqueio da sequência, para não inundar a caixa de entrada
+        if (failure.failures === ACCOUNT_LOCK_THRESHOLD) {
+          await sendUnlockEmail(userData, failure.retryAfterMs, getLocale(req));
+        }
+
+        await recordAuditEvent(req, 'account_lock', 'success', {
+          userId: userData.id,
+          details: { failures: failure.failures, lockedForSeconds: Math.ceil(failure.retryAfterMs / 1000) }
+        });
+        return sendAccountLocked(res, failure.retryAfterMs);
+      }
+
+      return res.status(401).json({ error: 'Usuário ou senha inválidos' });
     }
 
-    // Verificar se MFA está ativado
-    const mfaEnabled = await checkMfaEnabled(userData.id);
-    if (mfaEnabled) {
-      // Gerar e enviar código MFA
-      const mfaCode = generateMfaCode();
-      await storeMfaCode(userData.id, mfaCode);
-      await sendMfaCode(userData.email, mfaCode);
+    if (!userData) {
+      // Conta criada agora ou conta local vinculada pelo e-mail no primeiro login pelo diretório
+      userData = verified.user;
+      const details = { method: account.backend, provider: account.backend };
 
-      // Retornar indicação de que MFA é necessário
-      return res.status(200).json({
-        requireMfa: true,
-        message: 'Código de verificação enviado'
+      if (verified.provisioned) {
+        await recordAuditEvent(req, 'register', 'success', { userId: userData.id, details });
+      }
+
+      if (verified.linked) {
+        await recordAuditEvent(req, 'sso_link', 'success', { userId: userData.id, details });
+        await notifySsoLinked(userData, 'LDAP', getLocale(req));
+
+        const rejected = await rejectUnavailableAccount(req, res, userData);
+        if (rejected) return rejected;
+      }
+    }
+
+    // Papéis concedidos ou removidos pelos grupos do diretório
+    if (verified.roles && (verified.roles.granted.length > 0 || verified.roles.revoked.length > 0)) {
+      await recordAuditEvent(req, 'role_change', 'success', {
+        userId: userData.id,
+        details: { source: account.backend, ...verified.roles }
       });
     }
 
-    // Se não precisar de MFA, gerar tokens JWT
-    const tokens = generateTokens(userData);
+    // Senha correta: zerar a sequência de falhas
+    await clearAccountFailures(userData.id);
 
-    // Armazenar tokens no banco de dados
-    await storeTokens(userData.id, tokens);
+    // Hashes bcrypt ou com parâmetros antigos são refeitos enquanto temos a senha
+    if (account.backend === 'local') {
+      await upgradePasswordHash(userData, password);
+    }
 
-    // Retornar tokens para o cliente
-    return res.status(200).json(tokens);
+    // Contas recém-criadas precisam confirmar o e-mail antes do primeiro acesso
+    if (!userData.email_verified) {
+      await recordAuditEvent(req, 'login', 'failure', { userId: userData.id, reason: 'email_not_verified' });
+      return res.status(403).json({
+        error: 'E-mail ainda não verificado. Confira sua caixa de entrada.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Segundo fator, se ativado, ou emissão da sessão
+    return await finishLogin(req, res, userData, {
+      rememberMe,
+      loginMethod: account.backend === 'local' ? 'password' : account.backend
+    });
 
   } catch (error) {
+    if (error instanceof credentials.CredentialError) {
+      await recordAuditEvent(req, 'login', 'failure', {
+        reason: error.code.toLowerCase(),
+        details: { username }
+      });
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
     console.error('Erro no login:', error);
     return res.status(500).json({ error: 'Erro interno do servidor' });
   }
@@ -111,44 +305,122 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
  * Verificação de código MFA
  * POST /api/auth/mfa/verify
  */
-router.post('/mfa/verify', async (req, res) => {
-  const { code } = req.body;
+router.post('/mfa/verify', mfaLimiter, async (req, res) => {
+  const { code, recoveryCode, credential, challengeId } = req.body;
 
-  if (!code) {
+  if (!code && !recoveryCode && !credential) {
     return res.status(400).json({ error: 'Código de verificação é obrigatório' });
   }
 
+  if (code && typeof code !== 'string') {
+    return res.status(400).json({ error: 'Código de verificação inválido' });
+  }
+
+  if (recoveryCode && typeof recoveryCode !== 'string') {
+    return res.status(400).json({ error: 'Código de recuperação inválido' });
+  }
+
+  if (!challengeId) {
+    return res.status(400).json({ error: 'Desafio de verificação não informado' });
+  }
+
+  if (typeof challengeId !== 'string') {
+    return res.status(400).json({ error: 'Desafio de verificação inválido' });
+  }
+
   try {
-    // Verificar o código MFA
-    const mfaResult = await verifyMfaCode(code);
+    // O código só é aceito para o desafio emitido no login
+    const challenge = await getMfaChallenge(challengeId);
+    if (!challenge) {
+      await recordAuditEvent(req, 'mfa_verify', 'failure', { reason: 'challenge_expired' });
+      return res.status(401).json({
+        error: 'Verificação expirada. Faça login novamente.',
+        code: 'MFA_CHALLENGE_EXPIRED'
+      });
+    }
+
+    // Verificar o código MFA ou, na falta do fator principal, um código de recuperação
+    let validCode;
+    if (recoveryCode) {
+      validCode = await useRecoveryCode(challenge.user_id, recoveryCode);
+    } else if (challenge.method === 'totp') {
+      validCode = await verifyTotpLogin(challenge.user_id, code);
+    } else if (challenge.method === 'webauthn') {
+      validCode = !!(await verifyPasskeyAssertion(credential, challenge.webauthn_challenge, challenge.user_id));
+    } else {
+      validCode = await verifyMfaCode(challenge.id, code);
+    }
+
+    // Método efetivamente usado nesta verificação
+    const method = recoveryCode ? 'recovery_code' : challenge.method;
+
+    if (!validCode) {
+      const remainingAttempts = await recordFailedMfaAttempt(challenge.id);
+      await recordAuditEvent(req, 'mfa_verify', 'failure', {
+        userId: challenge.user_id,
+        reason: remainingAttempts <= 0 ? 'too_many_attempts' : 'invalid_code',
+        details: { method }
+      });
+
+      if (remainingAttempts <= 0) {
+        return res.status(401).json({
+          error: 'Muitas tentativas inválidas. Faça login novamente.',
+          code: 'MFA_CHALLENGE_EXPIRED'
+        });
+      }
 
-    if (!mfaResult.valid) {
       return res.status(401).json({ error: 'Código inválido ou expirado' });
     }
 
+    // Encerrar o desafio antes de emitir tokens para impedir uso duplicado
+    const consumed = await consumeMfaChallenge(challenge.id);
+    if (!consumed) {
+      await recordAuditEvent(req, 'mfa_verify', 'failure', {
+        userId: challenge.user_id,
+        reason: 'challenge_expired',
+        details: { method }
+      });
+      return res.status(401).json({
+        error: 'Verificação expirada. Faça login novamente.',
+        code: 'MFA_CHALLENGE_EXPIRED'
+      });
+    }
+
     // Buscar dados do usuário
-    const user = await db.query(
-      'SELECT * FROM users WHERE id = $1',
-      [mfaResult.userId]
-    );
+    const userData = await repositories.users.findById(challenge.user_id);
 
-    if (user.rows.length === 0) {
+    if (!userData) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    const userData = user.rows[0];
+    // A conta pode ter sido desativada, bloqueada ou ter o e-mail desconfirmado depois do login
+    const rejected = await rejectUnavailableAccount(req, res, userData);
+    if (rejected) return rejected;
+
+    if (!userData.email_verified) {
+      await recordAuditEvent(req, 'login', 'failure', { userId: userData.id, reason: 'email_not_verified' });
+      return res.status(403).json({
+        error: 'E-mail ainda não verificado. Confira sua caixa de entrada.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
     // Gerar tokens JWT
-    const tokens = generateTokens(userData);
+    const tokens = await generateTokens(userData, await getUserAccess(userData.id));
 
-    // Armazenar tokens no banco de dados
-    await storeTokens(userData.id, tokens);
+    // Armazenar tokens no banco de dados; "lembrar de mim" foi escolhido no login
+    await storeTokens(userData.id, tokens, req, { persistent: challenge.remember_me });
+
+    await recordAuditEvent(req, 'mfa_verify', 'success', { userId: userData.id, details: { method } });
+    await recordAuditEvent(req, 'login', 'success', {
+      userId: userData.id,
+      details: { method: challenge.login_method, mfaMethod: method, rememberMe: challenge.remember_me }
+    });
 
-    // Marcar código como usado
-    await markMfaCodeAsUsed(code);
+    await recognizeDevice(userData, req, res);
 
     // Retornar tokens para o cliente
-    return res.status(200).json(tokens);
+    return sendTokens(res, tokens, challenge.remember_me);
 
   } catch (error) {
     console.error('Erro na verificação MFA:', error);
@@ -157,238 +429,1872 @@ router.post('/mfa/verify', async (req, res) => {
 });
 
 /**
- * Solicitar redefinição de senha
- * POST /api/auth/password/reset-request
+ * Dados do usuário autenticado
+ * GET /api/auth/me
  */
-router.post('/password/reset-request',
-  body('email').isEmail().withMessage('E-mail inválido'),
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ error: errors.array()[0].msg });
-    }
+router.get('/me', requireAuth.withScopes('profile'), (req, res) => {
+  const { id, username, email, email_verified, mfa_enabled, mfa_method, created_at } = req.user;
 
-    const { email } = req.body;
+  return res.status(200).json({
+    id,
+    username,
+    email,
+    emailVerified: email_verified,
+    mfaEnabled: mfa_enabled,
+    mfaMethod: mfa_enabled ? mfa_method || 'email' : null,
+    roles: req.auth.payload.roles || [],
+    permissions: req.auth.payload.permissions || [],
+    createdAt: created_at,
+  });
+});
 
-    try {
-      // Verificar se o e-mail existe
-      const user = await db.query(
-        'SELECT * FROM users WHERE email = $1',
-        [email]
-      );
+/**
+ * Iniciar cadastro de aplicativo autenticador (TOTP)
+ * POST /api/auth/mfa/totp/enroll
+ */
+router.post('/mfa/totp/enroll', requireAuth, async (req, res) => {
+  try {
+    const userData = req.user;
 
-      // Sempre retornamos sucesso mesmo se o e-mail não existir (segurança)
-      if (user.rows.length === 0) {
-        return res.status(200).json({
-          message: 'Se o e-mail estiver cadastrado, você receberá instruções para redefinir sua senha.'
-        });
-      }
+    // O segredo fica pendente até o usuário confirmar o primeiro código,
+    // assim um cadastro abandonado não invalida o autenticador atual
+    const secret = totp.generateSecret();
+    await repositories.users.update(userData.id, { totp_pending_secret: secret });
 
-      const userData = user.rows[0];
+    await recordAuditEvent(req, 'mfa_totp_enroll', 'success', { userId: userData.id });
 
-      // Gerar token único para redefinição de senha
-      const resetToken = uuidv4();
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + 1); // Expira em 1 hora
+    return res.status(200).json({
+      secret,
+      otpauthUrl: totp.buildOtpAuthUri(secret, userData.email, TOTP_ISSUER)
+    });
 
-      // Salvar token no banco de dados
-      await db.query(
-        'INSERT INTO password_reset_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
-        [userData.id, resetToken, expiresAt]
-      );
-
-      // Enviar e-mail com link para redefinição
-      const resetLink = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-      await sendEmail(
-        email,
-        'Redefinição de senha',
-        `Clique no link abaixo para redefinir sua senha: ${resetLink}`
-      );
+  } catch (error) {
+    console.error('Erro no cadastro do autenticador:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
-      return res.status(200).json({
-        message: 'Se o e-mail estiver cadastrado, você receberá instruções para redefinir sua senha.'
-      });
+/**
+ * Confirmar cadastro do aplicativo autenticador com o primeiro código
+ * POST /api/auth/mfa/totp/confirm
+ */
+router.post('/mfa/totp/confirm', requireAuth, async (req, res) => {
+  const { code } = req.body;
 
-    } catch (error) {
-      console.error('Erro na solicitação de redefinição de senha:', error);
-      return res.status(500).json({ error: 'Erro interno do servidor' });
+  if (!code) {
+    return res.status(400).json({ error: 'Código de verificação é obrigatório' });
+  }
+
+  try {
+    const userData = req.user;
+
+    if (!userData.totp_pending_secret) {
+      return res.status(400).json({ error: 'Nenhum cadastro de autenticador em andamento' });
+    }
+
+    const counter = totp.verifyCode(userData.totp_pending_secret, code);
+    if (counter === null) {
+      await recordAuditEvent(req, 'mfa_totp_confirm', 'failure', { userId: userData.id, reason: 'invalid_code' });
+      return res.status(401).json({ error: 'Código inválido ou expirado' });
     }
+
+    // Ativar o segredo e registrar o passo usado para impedir reuso
+    await repositories.users.update(userData.id, {
+      totp_secret: userData.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_last_counter: counter,
+      mfa_enabled: true,
+      mfa_method: 'totp'
+    });
+
+    // Ao ativar o MFA pela primeira vez, entregar os códigos de recuperação
+    const recoveryCodes = userData.mfa_enabled
+      ? undefined
+      : await generateRecoveryCodes(userData.id);
+
+    await recordAuditEvent(req, 'mfa_totp_confirm', 'success', {
+      userId: userData.id,
+      details: { previousMethod: userData.mfa_enabled ? userData.mfa_method || 'email' : null }
+    });
+    await notifyMfaChanged(userData, 'totp_enabled', getLocale(req));
+
+    return res.status(200).json({
+      message: 'Aplicativo autenticador ativado',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Erro na confirmação do autenticador:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
 });
 
 /**
- * Logout - Invalidar tokens
- * POST /api/auth/logout
+ * Gerar novos códigos de recuperação, invalidando os anteriores
+ * POST /api/auth/mfa/recovery-codes
  */
-router.post('/logout', async (req, res) => {
-  const authHeader = req.headers.authorization;
+router.post('/mfa/recovery-codes', requireAuth, async (req, res) => {
+  try {
+    const userData = req.user;
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Token não fornecido' });
-  }
+    if (!userData.mfa_enabled) {
+      return res.status(400).json({ error: 'A verificação em duas etapas não está ativada' });
+    }
 
-  const token = authHeader.split(' ')[1];
+    const recoveryCodes = await generateRecoveryCodes(userData.id);
 
-  try {
-    // Invalidar o token no banco de dados
-    await db.query(
-      'UPDATE auth_tokens SET revoked = TRUE WHERE token = $1',
-      [token]
-    );
+    await recordAuditEvent(req, 'mfa_recovery_codes', 'success', { userId: userData.id });
+    await notifyMfaChanged(userData, 'recovery_codes_regenerated', getLocale(req));
 
-    return res.status(200).json({ message: 'Logout realizado com sucesso' });
+    return res.status(200).json({ recoveryCodes });
 
   } catch (error) {
-    console.error('Erro ao realizar logout:', error);
+    console.error('Erro ao gerar códigos de recuperação:', error);
     return res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
 /**
- * Atualização de token
- * POST /api/auth/refresh-token
+ * Opções para registrar uma nova passkey
+ * POST /api/auth/webauthn/register/options
  */
-router.post('/refresh-token', async (req, res) => {
-  const { refresh_token } = req.body;
+router.post('/webauthn/register/options', requireAuth, async (req, res) => {
+  try {
+    const userData = req.user;
+
+    const { rpId } = getWebAuthnConfig();
+    const challenge = webauthn.generateChallenge();
+    await storeWebAuthnChallenge(challenge, 'registration', userData.id);
+
+    // Evitar registrar duas vezes o mesmo autenticador
+    const existing = await repositories.webauthnCredentials.listByUser(userData.id);
+
+    return res.status(200).json({
+      challenge,
+      rp: { id: rpId, name: WEBAUTHN_RP_NAME },
+      user: {
+        id: Buffer.from(String(userData.id)).toString('base64url'),
+        name: userData.email,
+        displayName: userData.username,
+      },
+      pubKeyCredParams: [
+        { type: 'public-key', alg: webauthn.COSE_ALGORITHMS.ES256 },
+        { type: 'public-key', alg: webauthn.COSE_ALGORITHMS.EDDSA },
+        { type: 'public-key', alg: webauthn.COSE_ALGORITHMS.RS256 },
+      ],
+      timeout: WEBAUTHN_TIMEOUT_MS,
+      attestation: 'none',
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'required',
+      },
+      excludeCredentials: existing.map((row) => ({
+        type: 'public-key',
+        id: row.credential_id,
+        transports: row.transports || [],
+      })),
+    });
 
-  if (!refresh_token) {
-    return res.status(400).json({ error: 'Refresh token não fornecido' });
+  } catch (error) {
+    console.error('Erro ao gerar opções de registro de passkey:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
   }
+});
 
-  try {
-    // Verificar se o refresh token existe e não está revogado
-    const tokenResult = await db.query(
-      'SELECT * FROM auth_tokens WHERE refresh_token = $1 AND revoked = FALSE AND expires_at > NOW()',
-      [refresh_token]
-    );
+/**
+ * Concluir registro de passkey
+ * POST /api/auth/webauthn/register/verify
+ */
+router.post('/webauthn/register/verify', requireAuth, async (req, res) => {
+  const { credential, name, useForMfa } = req.body;
 
-    if (tokenResult.rows.length === 0) {
-      return res.status(401).json({ error: 'Refresh token inválido ou expirado' });
-    }
+  if (!credential) {
+    return res.status(400).json({ error: 'Credencial não informada' });
+  }
 
-    const tokenData = tokenResult.rows[0];
+  try {
+    const userData = req.user;
 
-    // Buscar dados do usuário
-    const user = await db.query(
-      'SELECT * FROM users WHERE id = $1 AND is_active = TRUE',
-      [tokenData.user_id]
-    );
+    const challenge = webauthn.extractChallenge(credential);
+    const challengeUserId = challenge
+      ? await consumeWebAuthnChallenge(challenge, 'registration')
+      : null;
 
-    if (user.rows.length === 0) {
-      return res.status(404).json({ error: 'Usuário não encontrado ou desativado' });
+    if (!challengeUserId || String(challengeUserId) !== String(userData.id)) {
+      await recordAuditEvent(req, 'passkey_register', 'failure', { userId: userData.id, reason: 'invalid_challenge' });
+      return res.status(400).json({ error: 'Desafio inválido ou expirado' });
     }
 
-    const userData = user.rows[0];
-
-    // Revogar o token antigo
-    await db.query(
-      'UPDATE auth_tokens SET revoked = TRUE WHERE refresh_token = $1',
-      [refresh_token]
-    );
+    const { origin, rpId } = getWebAuthnConfig();
+    let registration;
+    try {
+      registration = webauthn.verifyRegistration({
+        credential,
+        expectedChallenge: challenge,
+        expectedOrigin: origin,
+        rpId,
+      });
+    } catch (error) {
+      if (error instanceof webauthn.WebAuthnError) {
+        await recordAuditEvent(req, 'passkey_register', 'failure', {
+          userId: userData.id,
+          reason: 'invalid_credential',
+          details: { message: error.message }
+        });
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
 
-    // Gerar novos tokens
-    const tokens = generateTokens(userData);
+    await repositories.webauthnCredentials.create({
+      userId: userData.id,
+      credentialId: registration.credentialId,
+      publicKey: registration.publicKey,
+      signCount: registration.signCount,
+      transports: registration.transports,
+      name: name || 'Passkey',
+    });
+
+    // Opcionalmente usar a passkey no lugar do código por e-mail
+    let recoveryCodes;
+    if (useForMfa) {
+      await repositories.users.update(userData.id, { mfa_enabled: true, mfa_method: 'webauthn' });
+
+      if (!userData.mfa_enabled) {
+        recoveryCodes = await generateRecoveryCodes(userData.id);
+      }
+    }
 
-    // Armazenar novos tokens
-    await storeTokens(userData.id, tokens);
+    await recordAuditEvent(req, 'passkey_register', 'success', {
+      userId: userData.id,
+      details: { credentialId: registration.credentialId, useForMfa: !!useForMfa }
+    });
+    await notifyMfaChanged(userData, 'passkey_added', getLocale(req));
 
-    // Retornar novos tokens
-    return res.status(200).json(tokens);
+    return res.status(201).json({ message: 'Passkey cadastrada com sucesso', recoveryCodes });
 
   } catch (error) {
-    console.error('Erro ao atualizar token:', error);
+    console.error('Erro no registro de passkey:', error);
     return res.status(500).json({ error: 'Erro interno do servidor' });
   }
 });
 
-// Funções auxiliares
+/**
+ * Opções para login sem senha com passkey
+ * POST /api/auth/webauthn/login/options
+ */
+router.post('/webauthn/login/options', async (req, res) => {
+  try {
+    // Sem usuário informado: o navegador oferece as passkeys salvas para este domínio
+    return res.status(200).json(await buildAssertionOptions(null));
+
+  } catch (error) {
+    console.error('Erro ao gerar opções de login com passkey:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
 /**
- * Gera tokens JWT para autenticação
- * @param {Object} user - Dados do usuário
- * @returns {Object} Tokens gerados
+ * Login sem senha com passkey
+ * POST /api/auth/webauthn/login/verify
  */
-function generateTokens(user) {
-  // Payload do token
-  const payload = {
-    userId: user.id,
-    username: user.username,
-    email: user.email
-  };
+router.post('/webauthn/login/verify', loginLimiter, async (req, res) => {
+  const { credential } = req.body;
+  const rememberMe = req.body.rememberMe === true;
 
-  // Gerar token JWT com expiração
-  const token = jwt.sign(
-    payload,
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' } // Token expira em 1 hora
-  );
+  if (!credential) {
+    return res.status(400).json({ error: 'Credencial não informada' });
+  }
 
-  // Gerar refresh token com expiração mais longa
-  const refreshToken = jwt.sign(
-    { userId: user.id },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: '7d' } // Refresh token expira em 7 dias
-  );
+  try {
+    const challenge = webauthn.extractChallenge(credential);
+    const challengeFound = challenge
+      ? await consumeWebAuthnChallenge(challenge, 'authentication')
+      : false;
+
+    if (challengeFound === false) {
+      await recordAuditEvent(req, 'login', 'failure', { reason: 'invalid_challenge', details: { method: 'passkey' } });
+      return res.status(400).json({ error: 'Desafio inválido ou expirado' });
+    }
 
-  return {
-    token,
-    refresh_token: refreshToken
-  };
-}
+    const userId = await verifyPasskeyAssertion(credential, challenge, null);
+    if (!userId) {
+      await recordAuditEvent(req, 'login', 'failure', { reason: 'invalid_passkey', details: { method: 'passkey' } });
+      return res.status(401).json({ error: 'Passkey inválida' });
+    }
 
-/**
- * Armazena tokens no banco de dados
- * @param {string} userId - ID do usuário
- * @param {Object} tokens - Tokens gerados
- */
-async function storeTokens(userId, tokens) {
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + 7); // Define expiração para 7 dias
+    const userData = await repositories.users.findById(userId);
 
-  await db.query(
-    'INSERT INTO auth_tokens (user_id, token, refresh_token, expires_at) VALUES ($1, $2, $3, $4)',
-    [userId, tokens.token, tokens.refresh_token, expiresAt]
-  );
-}
+    if (!userData) {
+      await recordAuditEvent(req, 'login', 'failure', { reason: 'account_disabled', details: { method: 'passkey' } });
+      return res.status(401).json({ error: 'Conta desativada. Entre em contato com o suporte.' });
+    }
+
+    // A passkey não dispensa as regras da conta: desativada, bloqueada ou com e-mail pendente não entra
+    const rejected = await rejectUnavailableAccount(req, res, userData);
+    if (rejected) return rejected;
+
+    if (!userData.email_verified) {
+      await recordAuditEvent(req, 'login', 'failure', { userId: userData.id, reason: 'email_not_verified' });
+      return res.status(403).json({
+        error: 'E-mail ainda não verificado. Confira sua caixa de entrada.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Login concluído: zerar a sequência de falhas
+    await clearAccountFailures(userData.id);
+
+    // A passkey com verificação do usuário já combina posse e biometria/PIN,
+    // por isso dispensa a etapa de MFA
+    const tokens = await generateTokens(userData, await getUserAccess(userData.id));
+
+    // Armazenar tokens no banco de dados
+    await storeTokens(userData.id, tokens, req, { persistent: rememberMe });
+
+    await recordAuditEvent(req, 'login', 'success', {
+      userId: userData.id,
+      details: { method: 'passkey', rememberMe }
+    });
+
+    await recognizeDevice(userData, req, res);
+
+    return sendTokens(res, tokens, rememberMe);
+
+  } catch (error) {
+    console.error('Erro no login com passkey:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
 
 /**
- * Registra tentativa de login falha
- * @param {string} userId - ID do usuário
+ * Provedores externos (SSO) disponíveis na tela de login
+ * GET /api/auth/sso/providers
  */
-async function recordFailedAttempt(userId) {
-  await db.query(
-    'INSERT INTO login_attempts (user_id, success) VALUES ($1, FALSE)',
-    [userId]
-  );
-}
+router.get('/sso/providers', (req, res) => {
+  return res.status(200).json({ providers: sso.listProviders() });
+});
 
 /**
- * Verifica se o usuário está bloqueado por muitas tentativas
- * @param {string} userId - ID do usuário
- * @returns {boolean} Verdadeiro se o usuário estiver bloqueado
+ * Início do login por um provedor externo: leva o navegador ao provedor
+ * GET /api/auth/sso/:provider/start
  */
-async function checkUserBlocked(userId) {
-  const result = await db.query(
-    `SELECT COUNT(*) as count FROM login_attempts 
-     WHERE user_id = $1 AND success = FALSE AND created_at > NOW() - INTERVAL '30 minutes'`,
-    [userId]
-  );
+router.get('/sso/:provider/start', async (req, res) => {
+  const provider = sso.getProvider(req.params.provider);
 
-  // Bloquear após 5 tentativas falhas em 30 minutos
-  return result.rows[0].count >= 5;
+  if (!provider) {
+    return res.status(404).json({ error: 'Provedor não encontrado' });
+  }
+
+  try {
+    const { authorizationUrl, state } = await sso.createLoginRequest(provider, {
+      rememberMe: req.query.rememberMe === 'true',
+      returnTo: typeof req.query.returnTo === 'string' ? req.query.returnTo : null,
+    });
+
+    setSsoStateCookie(res, state);
+    return res.redirect(302, authorizationUrl);
+
+  } catch (error) {
+    console.error('Erro ao iniciar login externo:', error);
+    return redirectToLogin(res, {
+      ssoError: 'SSO_UNAVAILABLE',
+      returnTo: typeof req.query.returnTo === 'string' ? req.query.returnTo : undefined
+    });
+  }
+});
+
+/**
+ * Retorno do provedor externo: valida o ID token, encontra ou cria o usuário e
+ * devolve ao frontend um código de uso único para concluir o login
+ * GET /api/auth/sso/:provider/callback
+ */
+router.get('/sso/:provider/callback', loginLimiter, async (req, res) => {
+  const provider = sso.getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({ error: 'Provedor não encontrado' });
+  }
+
+  const stateCookie = parseCookies(req)[SSO_STATE_COOKIE];
+  clearSsoStateCookie(res);
+
+  try {
+    const { claims, rememberMe, returnTo } = await sso.completeLoginRequest(provider, req.query, stateCookie);
+    const { user, linked, provisioned } = await sso.resolveUser(provider, claims);
+    const details = { method: 'sso', provider: provider.id };
+
+    if (!user.is_active) {
+      await recordAuditEvent(req, 'login', 'failure', { userId: user.id, reason: 'account_disabled', details });
+      return redirectToLogin(res, { ssoError: 'SSO_ACCOUNT_DISABLED' });
+    }
+
+    if (provisioned) {
+      await recordAuditEvent(req, 'register', 'success', { userId: user.id, details });
+    }
+
+    if (linked) {
+      await recordAuditEvent(req, 'sso_link', 'success', { userId: user.id, details });
+      await notifySsoLinked(user, provider.name, getLocale(req));
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await repositories.ssoLoginTokens.create({
+      userId: user.id,
+      token,
+      expiresAt: new Date(Date.now() + SSO_LOGIN_TOKEN_TTL_MS)
+    });
+
+    return redirectToLogin(res, {
+      ssoToken: token,
+      rememberMe: rememberMe ? 'true' : undefined,
+      returnTo: returnTo || undefined
+    });
+
+  } catch (error) {
+    if (!(error instanceof sso.SsoError)) {
+      console.error('Erro no retorno do login externo:', error);
+      return redirectToLogin(res, { ssoError: 'SSO_UNAVAILABLE' });
+    }
+
+    await recordAuditEvent(req, 'login', 'failure', {
+      reason: error.code.toLowerCase(),
+      details: { method: 'sso', provider: provider.id, message: error.message }
+    });
+    return redirectToLogin(res, { ssoError: error.code });
+  }
+});
+
+/**
+ * Conclusão do login externo pelo frontend: troca o código de uso único pela sessão ou pelo MFA
+ * POST /api/auth/sso/complete
+ */
+router.post('/sso/complete', loginLimiter, async (req, res) => {
+  const { token } = req.body;
+  const rememberMe = req.body.rememberMe === true;
+
+  try {
+    const userId = typeof token === 'string' ? await repositories.ssoLoginTokens.consume(token) : null;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Login expirado. Tente novamente.', code: 'SSO_TOKEN_INVALID' });
+    }
+
+    const userData = await repositories.users.findById(userId);
+
+    if (!userData) {
+      await recordAuditEvent(req, 'login', 'failure', { userId, reason: 'account_disabled', details: { method: 'sso' } });
+      return res.status(401).json({ error: 'Conta desativada. Entre em contato com o suporte.' });
+    }
+
+    // Contas desativadas ou bloqueadas também não entram pelo provedor externo
+    const rejected = await rejectUnavailableAccount(req, res, userData);
+    if (rejected) return rejected;
+
+    // O provedor já confirmou o e-mail e a identidade; o MFA local continua valendo
+    return await finishLogin(req, res, userData, { rememberMe, loginMethod: 'sso' });
+
+  } catch (error) {
+    console.error('Erro ao concluir login externo:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Solicitar redefinição de senha
+ * POST /api/auth/password/reset-request
+ */
+router.post('/password/reset-request',
+  body('email').isEmail().withMessage('E-mail inválido'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { email } = req.body;
+
+    try {
+      // Verificar se o e-mail existe
+      const userData = await repositories.users.findByEmail(email);
+
+      // Sempre retornamos sucesso mesmo se o e-mail não existir (segurança)
+      if (!userData) {
+        await recordAuditEvent(req, 'password_reset_request', 'failure', { reason: 'unknown_email', details: { email } });
+        return res.status(200).json({
+          message: 'Se o e-mail estiver cadastrado, você receberá instruções para redefinir sua senha.'
+        });
+      }
+
+      // A senha das contas do diretório é redefinida no próprio diretório
+      if (await credentials.isDirectoryAccount(userData.id)) {
+        await recordAuditEvent(req, 'password_reset_request', 'failure', { userId: userData.id, reason: 'directory_account' });
+        return res.status(200).json({
+          message: 'Se o e-mail estiver cadastrado, você receberá instruções para redefinir sua senha.'
+        });
+      }
+
+      // Gerar token único para redefinição de senha
+      const resetToken = uuidv4();
+      const expiresAt = new Date();
+      expiresAt.setHours(expiresAt.getHours() + 1); // Expira em 1 hora
+
+      // Salvar token no banco de dados
+      await repositories.passwordResetTokens.create({
+        userId: userData.id,
+        token: resetToken,
+        expiresAt
+      });
+
+      // Enviar e-mail com link para redefinição, sem aguardar a entrega:
+      // falhas ou demora no envio não podem revelar que o e-mail está cadastrado
+      queueTemplate(email, 'password-reset', {
+        link: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+        hours: 1
+      }, { locale: getLocale(req) });
+
+      await recordAuditEvent(req, 'password_reset_request', 'success', { userId: userData.id });
+
+      return res.status(200).json({
+        message: 'Se o e-mail estiver cadastrado, você receberá instruções para redefinir sua senha.'
+      });
+
+    } catch (error) {
+      console.error('Erro na solicitação de redefinição de senha:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Redefinir senha com o token recebido por e-mail
+ * POST /api/auth/password/reset
+ */
+router.post('/password/reset',
+  body('token').trim().notEmpty().withMessage('Token de redefinição é obrigatório'),
+  passwordValidation('password'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { token, password } = req.body;
+
+    try {
+      // Consultar o titular sem consumir o token, para que uma senha recusada não invalide o link
+      const pendingUserId = await repositories.passwordResetTokens.findUserId(token);
+      const user = pendingUserId && await repositories.users.findById(pendingUserId);
+
+      if (!user) {
+        await recordAuditEvent(req, 'password_reset', 'failure', { reason: 'invalid_token' });
+        return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
+      }
+
+      const policyError = await checkNewPassword(user, password);
+      if (policyError) {
+        await recordAuditEvent(req, 'password_reset', 'failure', { userId: user.id, reason: policyError.reason });
+        return res.status(400).json({ error: policyError.error, code: policyError.code });
+      }
+
+      // Consumir o token de forma atômica para que não possa ser usado duas vezes
+      const userId = await repositories.passwordResetTokens.consume(token);
+
+      if (userId !== user.id) {
+        await recordAuditEvent(req, 'password_reset', 'failure', { reason: 'invalid_token' });
+        return res.status(400).json({ error: 'Link de redefinição inválido ou expirado' });
+      }
+
+      // Gerar o novo hash da senha
+      const passwordHash = await hashPassword(password);
+
+      await repositories.users.update(userId, { password_hash: passwordHash });
+      await rememberPassword(userId, passwordHash);
+
+      // Invalidar outros links de redefinição pendentes do usuário
+      await repositories.passwordResetTokens.invalidateForUser(userId);
+
+      // Encerrar todas as sessões e os tokens de acesso pessoal, que podem ter vazado junto com a senha
+      const revoked = await repositories.authTokens.revokeAllForUser(userId);
+      const personalTokensRevoked = await repositories.personalTokens.revokeAllForUser(userId);
+
+      // Quem redefiniu a senha pelo e-mail não precisa esperar o fim do bloqueio
+      await clearAccountFailures(userId);
+
+      await recordAuditEvent(req, 'password_reset', 'success', {
+        userId,
+        details: { sessionsRevoked: revoked, personalTokensRevoked }
+      });
+      await notifyPasswordChanged(user, getLocale(req));
+
+      return res.status(200).json({ message: 'Senha redefinida com sucesso' });
+
+    } catch (error) {
+      console.error('Erro ao redefinir senha:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Alterar a senha da conta autenticada
+ * POST /api/auth/password/change
+ */
+router.post('/password/change',
+  requireAuth,
+  body('currentPassword').notEmpty().withMessage('Senha atual é obrigatória'),
+  passwordValidation('newPassword'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    try {
+      if (await credentials.isDirectoryAccount(user.id)) {
+        return res.status(400).json({
+          error: 'A senha desta conta é gerenciada pelo diretório da empresa.',
+          code: 'PASSWORD_MANAGED_BY_DIRECTORY'
+        });
+      }
+
+      // A senha atual passa pelo mesmo bloqueio progressivo do login
+      const accountLock = await getAccountLock(user.id);
+      if (accountLock.locked) {
+        await recordAuditEvent(req, 'password_change', 'failure', { userId: user.id, reason: 'account_locked' });
+        return sendAccountLocked(res, accountLock.retryAfterMs);
+      }
+
+      const validPassword = await verifyPassword(currentPassword, user.password_hash);
+      if (!validPassword) {
+        const failure = await recordLoginFailure({ userId: user.id, login: user.username, ipAddress: req.ip });
+        await recordAuditEvent(req, 'password_change', 'failure', {
+          userId: user.id,
+          reason: 'invalid_current_password',
+          details: { failures: failure.failures }
+        });
+        return res.status(400).json({ error: 'Senha atual incorreta', code: 'INVALID_CURRENT_PASSWORD' });
+      }
+
+      // A regra de dados pessoais usa os dados da conta, não os do corpo
+      const policyError = await checkNewPassword(user, newPassword);
+      if (policyError) {
+        await recordAuditEvent(req, 'password_change', 'failure', { userId: user.id, reason: policyError.reason });
+        return res.status(400).json({ error: policyError.error, code: policyError.code });
+      }
+
+      const passwordHash = await hashPassword(newPassword);
+
+      await repositories.users.update(user.id, { password_hash: passwordHash });
+      await rememberPassword(user.id, passwordHash);
+      await clearAccountFailures(user.id);
+
+      // Links de redefinição pendentes, as demais sessões e os tokens de acesso pessoal deixam de valer
+      await repositories.passwordResetTokens.invalidateForUser(user.id);
+      const revoked = await repositories.authTokens.revokeAllForUser(user.id, {
+        exceptToken: req.auth.token
+      });
+      const personalTokensRevoked = await repositories.personalTokens.revokeAllForUser(user.id);
+
+      await recordAuditEvent(req, 'password_change', 'success', {
+        userId: user.id,
+        details: { sessionsRevoked: revoked, personalTokensRevoked }
+      });
+      await notifyPasswordChanged(user, getLocale(req));
+
+      return res.status(200).json({
+        message: 'Senha alterada com sucesso. As outras sessões e os tokens de acesso pessoal foram encerrados.',
+        revoked
+      });
+
+    } catch (error) {
+      console.error('Erro ao alterar senha:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Política de senhas exibida nos formulários
+ * GET /api/auth/password/policy
+ */
+router.get('/password/policy', (req, res) => {
+  return res.status(200).json(describePolicy());
+});
+
+/**
+ * Avaliar uma senha para o medidor de força, sem armazená-la
+ * POST /api/auth/password/evaluate
+ */
+router.post('/password/evaluate',
+  body('password').isString().withMessage('Senha é obrigatória'),
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { password, username, email } = req.body;
+
+    return res.status(200).json(evaluatePassword(password, { username, email }));
+});
+
+/**
+ * Cadastro de nova conta
+ * POST /api/auth/register
+ */
+router.post('/register', registerValidation, passwordValidation('password'), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { username, email, password } = req.body;
+
+  try {
+    // Verificar se o usuário ou e-mail já estão em uso
+    const exists = await repositories.users.existsByUsernameOrEmail(username, email);
+
+    if (exists) {
+      await recordAuditEvent(req, 'register', 'failure', { reason: 'already_exists', details: { username, email } });
+      return res.status(409).json({ error: 'Nome de usuário ou e-mail já cadastrado' });
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // A conta nasce ativa, mas só pode entrar depois de verificar o e-mail
+    const newUser = await repositories.users.create({ username, email, passwordHash });
+    await rememberPassword(newUser.id, passwordHash);
+
+    await repositories.roles.assign(newUser.id, DEFAULT_ROLE);
+
+    await sendVerificationEmail(newUser.id, email, getLocale(req));
+
+    await recordAuditEvent(req, 'register', 'success', { userId: newUser.id });
+
+    return res.status(201).json({
+      message: 'Conta criada. Enviamos um link de confirmação para o seu e-mail.'
+    });
+
+  } catch (error) {
+    console.error('Erro no cadastro:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Confirmação de e-mail
+ * POST /api/auth/verify-email
+ */
+router.post('/verify-email',
+  body('token').trim().notEmpty().withMessage('Token de verificação é obrigatório'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { token } = req.body;
+
+    try {
+      // Consumir o token de forma atômica
+      const userId = await repositories.emailVerificationTokens.consume(token);
+
+      if (!userId) {
+        await recordAuditEvent(req, 'email_verify', 'failure', { reason: 'invalid_token' });
+        return res.status(400).json({ error: 'Link de verificação inválido ou expirado' });
+      }
+
+      await repositories.users.update(userId, { email_verified: true });
+
+      await recordAuditEvent(req, 'email_verify', 'success', { userId });
+
+      return res.status(200).json({ message: 'E-mail verificado com sucesso' });
+
+    } catch (error) {
+      console.error('Erro na verificação de e-mail:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Reenviar e-mail de verificação
+ * POST /api/auth/verify-email/resend
+ */
+router.post('/verify-email/resend',
+  body('username').trim().notEmpty().withMessage('Usuário ou e-mail é obrigatório'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { username } = req.body;
+    const message = 'Se a conta existir e ainda não estiver verificada, você receberá um novo link.';
+
+    try {
+      const userData = await repositories.users.findByLogin(username);
+
+      // Mesma resposta em todos os casos para não revelar contas existentes
+      if (!userData || userData.email_verified) {
+        await recordAuditEvent(req, 'email_verify_resend', 'failure', {
+          userId: userData ? userData.id : null,
+          reason: userData ? 'already_verified' : 'unknown_user',
+          details: userData ? undefined : { username }
+        });
+        return res.status(200).json({ message });
+      }
+
+      // Invalidar links anteriores antes de emitir um novo
+      await repositories.emailVerificationTokens.invalidateForUser(userData.id);
+
+      await sendVerificationEmail(userData.id, userData.email, getLocale(req));
+
+      await recordAuditEvent(req, 'email_verify_resend', 'success', { userId: userData.id });
+
+      return res.status(200).json({ message });
+
+    } catch (error) {
+      console.error('Erro ao reenviar verificação de e-mail:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Desbloquear conta com o link recebido por e-mail
+ * POST /api/auth/account/unlock
+ */
+router.post('/account/unlock',
+  body('token').trim().notEmpty().withMessage('Token de desbloqueio é obrigatório'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { token } = req.body;
+
+    try {
+      // Consumir o token de forma atômica
+      const userId = await repositories.accountUnlockTokens.consume(token);
+
+      if (!userId) {
+        await recordAuditEvent(req, 'account_unlock', 'failure', { reason: 'invalid_token' });
+        return res.status(400).json({ error: 'Link de desbloqueio inválido ou expirado' });
+      }
+
+      await clearAccountFailures(userId);
+
+      await recordAuditEvent(req, 'account_unlock', 'success', { userId });
+
+      return res.status(200).json({ message: 'Conta desbloqueada. Você já pode entrar novamente.' });
+
+    } catch (error) {
+      console.error('Erro ao desbloquear conta:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * "Não fui eu": encerrar todas as sessões a partir do link de um aviso de segurança
+ * POST /api/auth/account/secure
+ */
+router.post('/account/secure',
+  body('token').trim().notEmpty().withMessage('Token é obrigatório'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { token } = req.body;
+
+    try {
+      // Consumir o token de forma atômica
+      const userId = await repositories.sessionRevokeTokens.consume(token);
+
+      if (!userId) {
+        await recordAuditEvent(req, 'account_secure', 'failure', { reason: 'invalid_token' });
+        return res.status(400).json({ error: 'Link inválido ou expirado' });
+      }
+
+      const revoked = await repositories.authTokens.revokeAllForUser(userId);
+      const personalTokensRevoked = await repositories.personalTokens.revokeAllForUser(userId);
+
+      // Esquecer os dispositivos para que o próximo acesso de qualquer um deles volte a gerar aviso
+      await repositories.knownDevices.deleteByUser(userId);
+
+      await recordAuditEvent(req, 'account_secure', 'success', {
+        userId,
+        details: { sessionsRevoked: revoked, personalTokensRevoked }
+      });
+
+      return res.status(200).json({
+        message: 'Todas as sessões e tokens de acesso pessoal foram encerrados. Recomendamos redefinir sua senha agora.'
+      });
+
+    } catch (error) {
+      console.error('Erro ao encerrar sessões pelo link de segurança:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+});
+
+/**
+ * Logout - Invalidar tokens
+ * POST /api/auth/logout
+ */
+router.post('/logout', csrfProtection, async (req, res) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.split(' ')[1]
+    : parseCookies(req)[ACCESS_COOKIE];
+
+  if (COOKIE_MODE) {
+    clearAuthCookies(res);
+  }
+
+  if (!token) {
+    await recordAuditEvent(req, 'logout', 'failure', { reason: 'missing_token' });
+    return res.status(401).json({ error: 'Token não fornecido' });
+  }
+
+  try {
+    // Sessão encerrada, para identificar o usuário no log de auditoria
+    const session = await repositories.authTokens.findByToken(token);
+
+    // Invalidar o token no banco de dados
+    await repositories.authTokens.revokeByToken(token);
+
+    await recordAuditEvent(req, 'logout', session ? 'success' : 'failure', {
+      userId: session ? session.user_id : null,
+      reason: session ? null : 'unknown_token',
+      details: session ? { sessionId: session.id } : null
+    });
+
+    return res.status(200).json({ message: 'Logout realizado com sucesso' });
+
+  } catch (error) {
+    console.error('Erro ao realizar logout:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Listar sessões ativas do usuário
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await repositories.authTokens.listActiveForUser(req.user.id);
+
+    return res.status(200).json({
+      sessions: sessions.map((row) => ({
+        id: row.id,
+        userAgent: row.user_agent,
+        ipAddress: row.ip_address,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        current: row.token === req.auth.token,
+      }))
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar sessões:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Encerrar todas as sessões, exceto a atual
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await repositories.authTokens.revokeAllForUser(req.user.id, {
+      exceptToken: req.auth.token
+    });
+
+    await recordAuditEvent(req, 'sessions_revoke', 'success', { userId: req.user.id, details: { revoked } });
+
+    return res.status(200).json({
+      message: 'Outras sessões encerradas',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Erro ao encerrar sessões:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Encerrar uma sessão específica
+ * DELETE /api/auth/sessions/:id
+ */
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    // Restringir ao próprio usuário para não expor sessões de terceiros
+    const revoked = await repositories.authTokens.revokeById(req.params.id, req.user.id);
+
+    if (!revoked) {
+      await recordAuditEvent(req, 'session_revoke', 'failure', {
+        userId: req.user.id,
+        reason: 'not_found',
+        details: { sessionId: req.params.id }
+      });
+      return res.status(404).json({ error: 'Sessão não encontrada' });
+    }
+
+    await recordAuditEvent(req, 'session_revoke', 'success', {
+      userId: req.user.id,
+      details: { sessionId: req.params.id }
+    });
+
+    return res.status(200).json({ message: 'Sessão encerrada' });
+
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Listar os tokens de acesso pessoal do usuário e os escopos que ele pode conceder
+ * GET /api/auth/personal-tokens
+ */
+router.get('/personal-tokens', requireAuth, async (req, res) => {
+  try {
+    const rows = await repositories.personalTokens.listByUser(req.user.id);
+    const grantable = await personalTokens.getGrantableScopes(req.user.id);
+
+    return res.status(200).json({
+      tokens: rows.map(personalTokens.formatPersonalToken),
+      availableScopes: personalTokens.describeScopes(grantable),
+      maxLifetimeDays: personalTokens.MAX_LIFETIME_DAYS
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar tokens de acesso pessoal:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Criar um token de acesso pessoal; o valor só aparece nesta resposta
+ * POST /api/auth/personal-tokens
+ */
+router.post('/personal-tokens', requireAuth, personalTokenValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: errors.array()[0].msg });
+  }
+
+  const { name, expiresInDays } = req.body;
+  const scopes = [...new Set(req.body.scopes)];
+
+  try {
+    // Só é possível delegar o que o próprio usuário pode fazer
+    const grantable = await personalTokens.getGrantableScopes(req.user.id);
+    const invalid = scopes.filter((scope) => !grantable.includes(scope));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `Escopo inválido ou não permitido para sua conta: ${invalid.join(', ')}`,
+        code: 'INVALID_SCOPE'
+      });
+    }
+
+    const { token, record } = await personalTokens.createPersonalToken(req.user.id, {
+      name,
+      scopes,
+      expiresInDays: Number(expiresInDays)
+    });
+
+    await recordAuditEvent(req, 'personal_token_create', 'success', {
+      userId: req.user.id,
+      details: { tokenId: record.id, name, scopes, expiresAt: record.expires_at }
+    });
+
+    await notifyPersonalTokenCreated(req.user, name, getLocale(req));
+
+    return res.status(201).json({
+      message: 'Token criado. Copie-o agora: ele não será exibido novamente.',
+      token,
+      personalToken: personalTokens.formatPersonalToken(record)
+    });
+
+  } catch (error) {
+    console.error('Erro ao criar token de acesso pessoal:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Revogar um token de acesso pessoal
+ * DELETE /api/auth/personal-tokens/:id
+ */
+router.delete('/personal-tokens/:id', requireAuth, async (req, res) => {
+  try {
+    // Restringir ao próprio usuário para não expor tokens de terceiros
+    const revoked = await repositories.personalTokens.revoke(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Token não encontrado' });
+    }
+
+    await recordAuditEvent(req, 'personal_token_revoke', 'success', {
+      userId: req.user.id,
+      details: { tokenId: req.params.id }
+    });
+
+    return res.status(200).json({ message: 'Token revogado' });
+
+  } catch (error) {
+    console.error('Erro ao revogar token de acesso pessoal:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Atualização de token
+ * POST /api/auth/refresh-token
+ */
+router.post('/refresh-token', csrfProtection, async (req, res) => {
+  // No modo cookie o refresh token chega no cookie restrito a esta rota
+  const refresh_token = req.body.refresh_token || parseCookies(req)[REFRESH_COOKIE];
+
+  if (!refresh_token) {
+    return res.status(400).json({ error: 'Refresh token não fornecido' });
+  }
+
+  try {
+    let tokenData = await repositories.authTokens.findByRefreshToken(refresh_token);
+
+    if (!tokenData) {
+      await recordAuditEvent(req, 'token_refresh', 'failure', { reason: 'unknown_token' });
+      return res.status(401).json({ error: 'Refresh token inválido ou expirado' });
+    }
+
+    // Token já rotacionado: pode ser outra aba renovando ao mesmo tempo ou reuso por um atacante
+    if (tokenData.revoked) {
+      if (!tokenData.rotated_at) {
+        await recordAuditEvent(req, 'token_refresh', 'failure', { userId: tokenData.user_id, reason: 'revoked' });
+        return res.status(401).json({ error: 'Refresh token inválido ou expirado' });
+      }
+
+      const successor = await getGraceSuccessor(tokenData);
+      if (successor) {
+        await recordAuditEvent(req, 'token_refresh', 'success', {
+          userId: tokenData.user_id,
+          reason: 'grace_period',
+          details: { familyId: tokenData.family_id }
+        });
+        return sendTokens(res, { token: successor.token, refresh_token: successor.refresh_token }, tokenData.persistent);
+      }
+
+      // Reuso fora da janela de tolerância: encerrar toda a família
+      await revokeTokenFamily(tokenData.family_id);
+      await recordAuditEvent(req, 'token_refresh', 'failure', {
+        userId: tokenData.user_id,
+        reason: 'reuse_detected',
+        details: { familyId: tokenData.family_id, tokenId: tokenData.id }
+      });
+
+      return res.status(401).json({
+        error: 'Sessão encerrada por segurança. Faça login novamente.',
+        code: 'REFRESH_TOKEN_REUSED'
+      });
+    }
+
+    if (new Date(tokenData.expires_at) <= new Date()) {
+      await recordAuditEvent(req, 'token_refresh', 'failure', { userId: tokenData.user_id, reason: 'expired' });
+      return res.status(401).json({ error: 'Refresh token inválido ou expirado' });
+    }
+
+    // Tempo máximo de sessão, independente de quantas rotações ocorreram
+    if (getSessionDeadline(tokenData.created_at) <= new Date()) {
+      await revokeTokenFamily(tokenData.family_id);
+      await recordAuditEvent(req, 'token_refresh', 'failure', { userId: tokenData.user_id, reason: 'session_expired' });
+      return res.status(401).json({
+        error: 'Sessão expirada. Faça login novamente.',
+        code: 'SESSION_EXPIRED'
+      });
+    }
+
+    // Buscar dados do usuário
+    const userData = await repositories.users.findById(tokenData.user_id);
+
+    if (!userData || !userData.is_active) {
+      await recordAuditEvent(req, 'token_refresh', 'failure', {
+        userId: userData ? userData.id : null,
+        reason: 'account_disabled'
+      });
+      return res.status(404).json({ error: 'Usuário não encontrado ou desativado' });
+    }
+
+    // Rotacionar o token antigo de forma atômica
+    const rotated = await repositories.authTokens.rotate(tokenData.id);
+
+    if (!rotated) {
+      // Outra requisição rotacionou este token neste intervalo
+      tokenData = await repositories.authTokens.findById(tokenData.id);
+      const successor = tokenData.rotated_at ? await getGraceSuccessor(tokenData) : null;
+      if (successor) {
+        await recordAuditEvent(req, 'token_refresh', 'success', {
+          userId: tokenData.user_id,
+          reason: 'grace_period',
+          details: { familyId: tokenData.family_id }
+        });
+        return sendTokens(res, { token: successor.token, refresh_token: successor.refresh_token }, tokenData.persistent);
+      }
+      await recordAuditEvent(req, 'token_refresh', 'failure', { userId: tokenData.user_id, reason: 'revoked' });
+      return res.status(401).json({ error: 'Refresh token inválido ou expirado' });
+    }
+
+    // Gerar novos tokens
+    const tokens = await generateTokens(userData, await getUserAccess(userData.id));
+
+    // Armazenar novos tokens na mesma família
+    const newTokenId = await storeTokens(userData.id, tokens, req, {
+      familyId: tokenData.family_id,
+      createdAt: tokenData.created_at,
+      persistent: tokenData.persistent
+    });
+
+    await repositories.authTokens.setReplacedBy(tokenData.id, newTokenId);
+
+    await recordAuditEvent(req, 'token_refresh', 'success', {
+      userId: userData.id,
+      details: { familyId: tokenData.family_id }
+    });
+
+    // Retornar novos tokens
+    return sendTokens(res, tokens, tokenData.persistent);
+
+  } catch (error) {
+    console.error('Erro ao atualizar token:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Funções auxiliares
+
+/**
+ * Gera tokens JWT para autenticação
+ * @param {Object} user - Dados do usuário
+ * @param {Object} access - Papéis e permissões do usuário
+ * @returns {Promise<Object>} Tokens gerados
+ */
+async function generateTokens(user, access) {
+  // Payload do token
+  const payload = {
+    userId: user.id,
+    username: user.username,
+    email: user.email,
+    roles: access.roles,
+    permissions: access.permissions
+  };
+
+  // Token de acesso, assinado com JWT_SECRET ou com a chave ativa (RS256/ES256)
+  const token = await signAccessToken(payload, { jwtid: uuidv4() });
+
+  // Gerar refresh token com expiração mais longa; só este servidor o lê, por isso segue com HS256
+  const refreshToken = jwt.sign(
+    { userId: user.id },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: '7d', jwtid: uuidv4() } // Refresh token expira em 7 dias
+  );
+
+  return {
+    token,
+    refresh_token: refreshToken
+  };
+}
+
+/**
+ * Carrega papéis e permissões do usuário, incluídos como claims no token de acesso.
+ * Por isso alterações de papel passam a valer na próxima renovação do token.
+ * @param {string} userId - ID do usuário
+ * @returns {Object} Papéis e permissões ({ roles, permissions })
+ */
+async function getUserAccess(userId) {
+  return repositories.roles.getUserAccess(userId);
+}
+
+/**
+ * Armazena tokens no banco de dados junto com os dados do dispositivo
+ * @param {string} userId - ID do usuário
+ * @param {Object} tokens - Tokens gerados
+ * @param {Object} req - Requisição Express (user agent e IP)
+ * @param {Object} [session] - Família, início e persistência da sessão, preservados ao renovar tokens
+ * @returns {string} ID do registro criado
+ */
+async function storeTokens(userId, tokens, req, { familyId = uuidv4(), createdAt = new Date(), persistent = false } = {}) {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + 7); // Define expiração para 7 dias
+
+  // O refresh token nunca ultrapassa o tempo máximo da sessão
+  const deadline = getSessionDeadline(createdAt);
+  if (deadline < expiresAt) {
+    expiresAt.setTime(deadline.getTime());
+  }
+
+  return repositories.authTokens.create({
+    userId,
+    familyId,
+    token: tokens.token,
+    refreshToken: tokens.refresh_token,
+    expiresAt,
+    persistent,
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip,
+    createdAt
+  });
+}
+
+/**
+ * Envia os tokens ao cliente no corpo da resposta ou, no modo cookie, em cookies HttpOnly.
+ * No modo cookie o corpo leva apenas o token CSRF e as claims para a interface.
+ * @param {Object} res - Resposta Express
+ * @param {Object} tokens - Tokens gerados
+ * @param {boolean} persistent - Se a sessão deve sobreviver ao fechamento do navegador
+ */
+function sendTokens(res, tokens, persistent) {
+  if (!COOKIE_MODE) {
+    return res.status(200).json(tokens);
+  }
+
+  const csrfToken = setAuthCookies(res, tokens, persistent);
+
+  return res.status(200).json({
+    csrfToken,
+    claims: jwt.decode(tokens.token)
+  });
 }
 
 /**
- * Verifica se o MFA está habilitado para o usuário
+ * Calcula o fim absoluto de uma sessão
+ * @param {Date} createdAt - Início da sessão
+ * @returns {Date} Momento em que a sessão deixa de poder ser renovada
+ */
+function getSessionDeadline(createdAt) {
+  const deadline = new Date(createdAt);
+  deadline.setDate(deadline.getDate() + SESSION_MAX_LIFETIME_DAYS);
+  return deadline;
+}
+
+/**
+ * Obtém o sucessor de um refresh token rotacionado há poucos segundos.
+ * Permite que várias abas renovem ao mesmo tempo sem disparar a detecção de reuso.
+ * @param {Object} tokenData - Registro do token rotacionado
+ * @returns {Object|null} Registro do sucessor ainda válido ou null
+ */
+async function getGraceSuccessor(tokenData) {
+  if (!tokenData.replaced_by || Date.now() - new Date(tokenData.rotated_at).getTime() > REFRESH_GRACE_PERIOD_MS) {
+    return null;
+  }
+
+  return repositories.authTokens.findActiveById(tokenData.replaced_by);
+}
+
+/**
+ * Revoga todos os tokens de uma família (sessão)
+ * @param {string} familyId - ID da família
+ */
+async function revokeTokenFamily(familyId) {
+  await repositories.authTokens.revokeFamily(familyId);
+}
+
+/**
+ * Gera token de verificação e envia o link de confirmação por e-mail
+ * O envio é feito em segundo plano para que a resposta não revele se a conta existe
  * @param {string} userId - ID do usuário
- * @returns {boolean} Verdadeiro se MFA estiver habilitado
+ * @param {string} email - E-mail do usuário
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function sendVerificationEmail(userId, email, locale) {
+  const verificationToken = uuidv4();
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 24); // Expira em 24 horas
+
+  await repositories.emailVerificationTokens.create({
+    userId,
+    token: verificationToken,
+    expiresAt
+  });
+
+  queueTemplate(email, 'email-verification', {
+    link: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`,
+    hours: 24
+  }, { locale });
+}
+
+/**
+ * Gera token de desbloqueio e envia o link por e-mail
+ * @param {Object} user - Usuário bloqueado
+ * @param {number} lockMs - Duração do bloqueio atual
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function sendUnlockEmail(user, lockMs, locale) {
+  const unlockToken = uuidv4();
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 24); // Expira em 24 horas
+
+  // Apenas o link mais recente é válido
+  await repositories.accountUnlockTokens.invalidateForUser(user.id);
+  await repositories.accountUnlockTokens.create({ userId: user.id, token: unlockToken, expiresAt });
+
+  queueTemplate(user.email, 'account-unlock', {
+    link: `${process.env.FRONTEND_URL}/unlock-account?token=${unlockToken}`,
+    minutes: Math.ceil(lockMs / 60000),
+    hours: 24
+  }, { locale });
+}
+
+/**
+ * Registra o dispositivo do login e avisa o usuário quando ele é novo
+ * O primeiro dispositivo da conta não gera aviso
+ * @param {Object} user - Usuário autenticado
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express (recebe o cookie do dispositivo)
+ */
+async function recognizeDevice(user, req, res) {
+  const { deviceId, fingerprint, client } = identifyDevice(req);
+
+  // Renovar a validade do cookie a cada login
+  setDeviceCookie(res, deviceId);
+
+  const hadDevices = await repositories.knownDevices.existsForUser(user.id);
+  const isNew = await repositories.knownDevices.record({
+    userId: user.id,
+    fingerprint,
+    client,
+    ipAddress: req.ip
+  });
+
+  if (isNew && hadDevices) {
+    await notifyNewDevice(user, { client, ipAddress: req.ip }, getLocale(req));
+    await recordAuditEvent(req, 'new_device', 'success', { userId: user.id, details: { client } });
+  }
+}
+
+/**
+ * Refaz o hash da senha com a configuração atual, se o armazenado estiver desatualizado
+ * Falhas são apenas registradas no log: o hash antigo continua válido
+ * @param {Object} user - Usuário ({ id, password_hash })
+ * @param {string} password - Senha já verificada
+ */
+async function upgradePasswordHash(user, password) {
+  if (!needsRehash(user.password_hash)) return;
+
+  try {
+    await repositories.users.update(user.id, { password_hash: await hashPassword(password) });
+  } catch (error) {
+    console.error('Erro ao atualizar hash da senha:', error);
+  }
+}
+
+/**
+ * Confere a nova senha contra a política, considerando os dados da conta e o histórico
+ * @param {Object} user - Usuário ({ id, username, email, password_hash })
+ * @param {string} password - Nova senha
+ * @returns {Object|null} { error, code, reason } se recusada, null se aceita
+ */
+async function checkNewPassword(user, password) {
+  const { errors } = evaluatePassword(password, { username: user.username, email: user.email });
+  if (errors.length > 0) {
+    return { error: errors[0], code: 'PASSWORD_POLICY', reason: 'weak_password' };
+  }
+
+  if (await isPasswordReused(user, password)) {
+    return { error: REUSE_MESSAGE, code: 'PASSWORD_REUSED', reason: 'password_reused' };
+  }
+
+  return null;
+}
+
+/**
+ * Responde a uma tentativa bloqueada, informando quando tentar novamente
+ * @param {Object} res - Resposta Express
+ * @param {number} status - Código HTTP
+ * @param {Object} body - Corpo da resposta ({ error, code })
+ * @param {number} retryAfterMs - Tempo restante de bloqueio
+ * @returns {Object} Resposta
+ */
+function sendLocked(res, status, body, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({ ...body, retryAfter });
+}
+
+/**
+ * Responde que a conta está bloqueada por tentativas falhas
+ * @param {Object} res - Resposta Express
+ * @param {number} retryAfterMs - Tempo restante de bloqueio
+ * @returns {Object} Resposta 401
+ */
+function sendAccountLocked(res, retryAfterMs) {
+  const minutes = Math.ceil(retryAfterMs / 60000);
+
+  return sendLocked(res, 401, {
+    error: `Conta bloqueada temporariamente. Tente novamente em ${minutes} minuto(s) ou use o link de desbloqueio enviado para o seu e-mail.`,
+    code: 'ACCOUNT_LOCKED'
+  }, retryAfterMs);
+}
+
+/**
+ * Recusa o login de contas desativadas ou bloqueadas por tentativas falhas
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Object} userData - Usuário
+ * @returns {Object|null} Resposta de recusa ou null se a conta pode entrar
+ */
+async function rejectUnavailableAccount(req, res, userData) {
+  // Verificar se a conta está ativa
+  if (!userData.is_active) {
+    await recordAuditEvent(req, 'login', 'failure', { userId: userData.id, reason: 'account_disabled' });
+    return res.status(401).json({ error: 'Conta desativada. Entre em contato com o suporte.' });
+  }
+
+  // Contas bloqueadas são recusadas sem comparar a senha
+  const accountLock = await getAccountLock(userData.id);
+  if (accountLock.locked) {
+    await recordAuditEvent(req, 'login', 'failure', { userId: userData.id, reason: 'account_locked' });
+    return sendAccountLocked(res, accountLock.retryAfterMs);
+  }
+
+  return null;
+}
+
+/**
+ * Conclui um login cujo primeiro fator já foi verificado (senha, diretório ou provedor externo):
+ * abre o desafio de MFA, se ativado, ou emite a sessão
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Object} userData - Usuário autenticado, ativo e com e-mail verificado
+ * @param {Object} options - { rememberMe, loginMethod ('password', 'ldap' ou 'sso') }
+ * @returns {Object} Resposta com o desafio de MFA ou com os tokens
+ */
+async function finishLogin(req, res, userData, { rememberMe, loginMethod }) {
+  // Verificar se MFA está ativado e qual o método do usuário
+  const mfaMethod = await getMfaMethod(userData.id);
+  if (mfaMethod) {
+    // Passkeys como segundo fator precisam de um desafio WebAuthn próprio
+    const webauthnOptions = mfaMethod === 'webauthn'
+      ? await buildAssertionOptions(userData.id)
+      : undefined;
+
+    // O desafio vincula a etapa de MFA a este login
+    const challengeId = await createMfaChallenge(
+      userData.id,
+      mfaMethod,
+      webauthnOptions && webauthnOptions.challenge,
+      rememberMe,
+      loginMethod
+    );
+
+    if (mfaMethod === 'email') {
+      // Gerar e enviar código MFA
+      const mfaCode = generateMfaCode();
+      await storeMfaCode(userData.id, challengeId, mfaCode);
+
+      try {
+        await sendMfaCode(userData.email, mfaCode, getLocale(req));
+      } catch (error) {
+        console.error('Erro ao enviar código MFA:', error, error.cause);
+        await recordAuditEvent(req, 'mfa_challenge', 'failure', {
+          userId: userData.id,
+          reason: 'email_delivery_failed',
+          details: { method: mfaMethod }
+        });
+        return res.status(503).json({
+          error: 'Não foi possível enviar o código de verificação. Tente novamente.',
+          code: 'EMAIL_DELIVERY_FAILED'
+        });
+      }
+    }
+
+    await recordAuditEvent(req, 'mfa_challenge', 'success', {
+      userId: userData.id,
+      details: { method: mfaMethod }
+    });
+
+    // Retornar indicação de que MFA é necessário
+    return res.status(200).json({
+      requireMfa: true,
+      mfaMethod,
+      challengeId,
+      webauthnOptions,
+      message: MFA_PROMPTS[mfaMethod]
+    });
+  }
+
+  // Se não precisar de MFA, gerar tokens JWT
+  const tokens = await generateTokens(userData, await getUserAccess(userData.id));
+
+  // Armazenar tokens no banco de dados
+  await storeTokens(userData.id, tokens, req, { persistent: rememberMe });
+
+  await recordAuditEvent(req, 'login', 'success', {
+    userId: userData.id,
+    details: { method: loginMethod, rememberMe }
+  });
+
+  await recognizeDevice(userData, req, res);
+
+  // Retornar tokens para o cliente
+  return sendTokens(res, tokens, rememberMe);
+}
+
+/**
+ * Redireciona o navegador à tela de login do frontend com os parâmetros informados
+ * @param {Object} res - Resposta Express
+ * @param {Object} params - Parâmetros da query (valores indefinidos são omitidos)
+ * @returns {Object} Resposta
  */
-async function checkMfaEnabled(userId) {
-  const result = await db.query(
-    'SELECT mfa_enabled FROM users WHERE id = $1',
-    [userId]
+function redirectToLogin(res, params) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined)
   );
+  return res.redirect(302, `${process.env.FRONTEND_URL}/login?${query}`);
+}
+
+/**
+ * Obtém o método de MFA configurado para o usuário
+ * @param {string} userId - ID do usuário
+ * @returns {string|null} 'email', 'totp', 'webauthn' ou null se MFA estiver desativado
+ */
+async function getMfaMethod(userId) {
+  const user = await repositories.users.findById(userId);
+
+  if (!user || !user.mfa_enabled) {
+    return null;
+  }
+
+  return user.mfa_method || 'email';
+}
+
+/**
+ * Cria um desafio de MFA opaco e de curta duração para o login em andamento
+ * @param {string} userId - ID do usuário
+ * @param {string} method - Método de MFA ('email', 'totp' ou 'webauthn')
+ * @param {string} [webauthnChallenge] - Desafio WebAuthn quando o método é passkey
+ * @param {boolean} [rememberMe] - "Lembrar de mim" escolhido no login, aplicado ao concluir o MFA
+ * @param {string} [loginMethod] - Primeiro fator do login ('password', 'ldap' ou 'sso'), registrado na auditoria
+ * @returns {string} ID do desafio
+ */
+async function createMfaChallenge(userId, method, webauthnChallenge = null, rememberMe = false, loginMethod = 'password') {
+  const challengeId = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + 10); // Expira em 10 minutos
+
+  await repositories.mfaChallenges.create({
+    id: challengeId,
+    userId,
+    method,
+    webauthnChallenge,
+    rememberMe,
+    loginMethod,
+    expiresAt
+  });
+
+  return challengeId;
+}
+
+/**
+ * Busca um desafio de MFA ainda válido
+ * @param {string} challengeId - ID do desafio
+ * @returns {Object|null} Desafio ou null se inexistente, expirado ou encerrado
+ */
+async function getMfaChallenge(challengeId) {
+  return repositories.mfaChallenges.findActive(challengeId);
+}
+
+/**
+ * Registra um código incorreto e encerra o desafio ao atingir o limite
+ * @param {string} challengeId - ID do desafio
+ * @returns {number} Tentativas restantes
+ */
+async function recordFailedMfaAttempt(challengeId) {
+  const attempts = await repositories.mfaChallenges.recordFailure(challengeId, MFA_MAX_ATTEMPTS);
+
+  return MFA_MAX_ATTEMPTS - attempts;
+}
+
+/**
+ * Encerra o desafio após uma verificação bem-sucedida
+ * @param {string} challengeId - ID do desafio
+ * @returns {boolean} Verdadeiro se o desafio ainda estava aberto
+ */
+async function consumeMfaChallenge(challengeId) {
+  return repositories.mfaChallenges.consume(challengeId);
+}
+
+/**
+ * Verifica o código do aplicativo autenticador no login
+ * @param {string} userId - ID do usuário
+ * @param {string} code - Código TOTP
+ * @returns {boolean} Verdadeiro se o código for válido
+ */
+async function verifyTotpLogin(userId, code) {
+  const user = await repositories.users.findById(userId);
+
+  if (!user || !user.totp_secret) {
+    return false;
+  }
+
+  const counter = totp.verifyCode(user.totp_secret, code);
+  if (counter === null) {
+    return false;
+  }
+
+  // Aceitar cada passo de tempo uma única vez (proteção contra replay)
+  return repositories.users.advanceTotpCounter(userId, counter);
+}
 
-  return result.rows[0].mfa_enabled;
+/**
+ * Obtém origem e identificador do RP para as cerimônias WebAuthn
+ * @returns {Object} Configuração ({ origin, rpId })
+ */
+function getWebAuthnConfig() {
+  const origin = process.env.FRONTEND_URL;
+  return {
+    origin,
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(origin).hostname,
+  };
+}
+
+/**
+ * Armazena um desafio WebAuthn pendente
+ * @param {string} challenge - Desafio em base64url
+ * @param {string} type - 'registration' ou 'authentication'
+ * @param {string|null} userId - ID do usuário, se conhecido
+ */
+async function storeWebAuthnChallenge(challenge, type, userId) {
+  const expiresAt = new Date(Date.now() + WEBAUTHN_TIMEOUT_MS);
+
+  await repositories.webauthnChallenges.create({ challenge, type, userId, expiresAt });
+}
+
+/**
+ * Consome um desafio WebAuthn pendente
+ * @param {string} challenge - Desafio em base64url
+ * @param {string} type - 'registration' ou 'authentication'
+ * @returns {string|null|false} ID do usuário vinculado (ou null) e false se o desafio não existir
+ */
+async function consumeWebAuthnChallenge(challenge, type) {
+  const stored = await repositories.webauthnChallenges.consume(challenge, type);
+
+  return stored ? stored.user_id : false;
+}
+
+/**
+ * Monta as opções de asserção WebAuthn e registra o desafio
+ * @param {string|null} userId - Usuário da etapa de MFA ou null para login sem senha
+ * @returns {Object} Opções para navigator.credentials.get
+ */
+async function buildAssertionOptions(userId) {
+  const { rpId } = getWebAuthnConfig();
+  const challenge = webauthn.generateChallenge();
+
+  let allowCredentials = [];
+  if (userId) {
+    const credentials = await repositories.webauthnCredentials.listByUser(userId);
+    allowCredentials = credentials.map((row) => ({
+      type: 'public-key',
+      id: row.credential_id,
+      transports: row.transports || [],
+    }));
+  } else {
+    // No MFA o desafio fica no próprio mfa_challenges
+    await storeWebAuthnChallenge(challenge, 'authentication', null);
+  }
+
+  return {
+    challenge,
+    rpId,
+    timeout: WEBAUTHN_TIMEOUT_MS,
+    userVerification: 'required',
+    allowCredentials,
+  };
+}
+
+/**
+ * Verifica uma asserção de passkey e atualiza o contador de assinaturas
+ * @param {Object} credential - Asserção serializada pelo navegador
+ * @param {string} expectedChallenge - Desafio emitido
+ * @param {string|null} userId - Exigir que a passkey pertença a este usuário
+ * @returns {string|null} ID do dono da passkey ou null se inválida
+ */
+async function verifyPasskeyAssertion(credential, expectedChallenge, userId) {
+  if (!credential || typeof credential.id !== 'string' || !expectedChallenge) {
+    return null;
+  }
+
+  const stored = await repositories.webauthnCredentials.findByCredentialId(credential.id);
+  if (!stored || (userId && String(stored.user_id) !== String(userId))) {
+    return null;
+  }
+
+  const { origin, rpId } = getWebAuthnConfig();
+  let assertion;
+  try {
+    assertion = webauthn.verifyAuthentication({
+      credential,
+      expectedChallenge,
+      expectedOrigin: origin,
+      rpId,
+      publicKey: typeof stored.public_key === 'string' ? JSON.parse(stored.public_key) : stored.public_key,
+      signCount: Number(stored.sign_count),
+    });
+  } catch (error) {
+    if (error instanceof webauthn.WebAuthnError) {
+      return null;
+    }
+    throw error;
+  }
+
+  await repositories.webauthnCredentials.recordUse(stored.id, assertion.signCount);
+
+  return stored.user_id;
+}
+
+/**
+ * Normaliza e calcula o hash de um código de recuperação
+ * @param {string} code - Código de recuperação
+ * @returns {string} Hash SHA-256 em hexadecimal
+ */
+function hashRecoveryCode(code) {
+  const normalized = code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Gera um novo conjunto de códigos de recuperação, substituindo o anterior
+ * @param {string} userId - ID do usuário
+ * @returns {string[]} Códigos em texto puro, exibidos uma única vez
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await repositories.recoveryCodes.replace(userId, codes.map(hashRecoveryCode));
+
+  return codes;
+}
+
+/**
+ * Consome um código de recuperação do usuário
+ * @param {string} userId - ID do usuário
+ * @param {string} code - Código de recuperação
+ * @returns {boolean} Verdadeiro se o código for válido e ainda não usado
+ */
+async function useRecoveryCode(userId, code) {
+  return repositories.recoveryCodes.consume(userId, hashRecoveryCode(code));
 }
 
 /**
@@ -396,68 +2302,50 @@ async function checkMfaEnabled(userId) {
  * @returns {string} Código MFA
  */
 function generateMfaCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 }
 
 /**
  * Armazena código MFA no banco de dados
  * @param {string} userId - ID do usuário
+ * @param {string} challengeId - ID do desafio ao qual o código pertence
  * @param {string} code - Código MFA
  */
-async function storeMfaCode(userId, code) {
+async function storeMfaCode(userId, challengeId, code) {
   const expiresAt = new Date();
   expiresAt.setMinutes(expiresAt.getMinutes() + 10); // Expira em 10 minutos
 
-  await db.query(
-    'INSERT INTO mfa_codes (user_id, code, expires_at) VALUES ($1, $2, $3)',
-    [userId, code, expiresAt]
-  );
+  await repositories.mfaCodes.create({ userId, challengeId, code, expiresAt });
 }
 
 /**
  * Envia código MFA por e-mail
  * @param {string} email - E-mail do usuário
  * @param {string} code - Código MFA
+ * @param {string} [locale] - Idioma do e-mail
+ * @throws {EmailDeliveryError} Se o envio falhar
  */
-async function sendMfaCode(email, code) {
-  await sendEmail(
-    email,
-    'Código de Verificação',
-    `Seu código de verificação é: ${code}. Válido por 10 minutos.`
-  );
+async function sendMfaCode(email, code, locale) {
+  await sendTemplate(email, 'mfa-code', { code, minutes: 10 }, { locale });
 }
 
 /**
- * Verifica se o código MFA é válido
- * @param {string} code - Código MFA
- * @returns {Object} Resultado da verificação
+ * Idioma preferido do cliente entre os suportados pelos modelos de e-mail
+ * @param {Object} req - Requisição Express
+ * @returns {string|undefined} Idioma, ou undefined para usar o padrão
  */
-async function verifyMfaCode(code) {
-  const result = await db.query(
-    `SELECT * FROM mfa_codes 
-     WHERE code = $1 AND used = FALSE AND expires_at > NOW()`,
-    [code]
-  );
-
-  if (result.rows.length === 0) {
-    return { valid: false };
-  }
-
-  return {
-    valid: true,
-    userId: result.rows[0].user_id
-  };
+function getLocale(req) {
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || undefined;
 }
 
 /**
- * Marca código MFA como usado
+ * Verifica o código MFA do desafio e o marca como usado
+ * @param {string} challengeId - ID do desafio
  * @param {string} code - Código MFA
+ * @returns {boolean} Verdadeiro se o código for válido
  */
-async function markMfaCodeAsUsed(code) {
-  await db.query(
-    'UPDATE mfa_codes SET used = TRUE WHERE code = $1',
-    [code]
-  );
+async function verifyMfaCode(challengeId, code) {
+  return repositories.mfaCodes.consume(challengeId, code);
 }
 
 module.exports = router;
\ No newline at end of file
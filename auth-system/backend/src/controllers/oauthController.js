@@ -0,0 +1,290 @@
+// oauthController.js - Endpoints do provedor OpenID Connect usados pelos outros aplicativos
+// Erros dos endpoints de protocolo seguem o formato do OAuth 2.0 ({ error, error_description });
+// os usados pelo nosso frontend seguem o formato do restante da API ({ error, code })
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+
+const router = express.Router();
+const repositories = require('../repositories'); // Camada de acesso a dados
+const { recordAuditEvent } = require('../services/auditService');
+const {
+  OAuthError,
+  validateAuthorizationRequest,
+  buildErrorRedirect,
+  describeScopes,
+  isConsentRequired,
+  approveAuthorization,
+  authenticateClient,
+  exchangeAuthorizationCode,
+  getUserInfo,
+} = require('../services/oidcService');
+const requireAuth = require('../middleware/requireAuth');
+
+// O endpoint de token recebe application/x-www-form-urlencoded, como define o OAuth 2.0
+router.use(express.urlencoded({ extended: false }));
+
+// Limite por IP do endpoint de token, que confere segredos de clientes e códigos de autorização
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 30, // limite de 30 trocas
+  message: {
+    error: 'temporarily_unavailable',
+    error_description: 'Muitas requisições. Tente novamente em 15 minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Início do fluxo: valida o pedido do cliente e leva o navegador à tela de login e consentimento
+ * GET /api/auth/oauth/authorize
+ */
+router.get('/authorize', async (req, res) => {
+  try {
+    await validateAuthorizationRequest(req.query);
+
+    const query = new URLSearchParams(req.query).toString();
+    return res.redirect(302, `${process.env.FRONTEND_URL}/oauth/authorize?${query}`);
+
+  } catch (error) {
+    if (!(error instanceof OAuthError)) {
+      console.error('Erro no pedido de autorização:', error);
+      return res.status(500).json({ error: 'server_error', error_description: 'Erro interno do servidor' });
+    }
+
+    if (error.redirect) {
+      return res.redirect(302, buildErrorRedirect(error, error.request));
+    }
+
+    // client_id ou redirect_uri inválidos: não há para onde devolver o erro com segurança
+    return res.status(error.status).json({ error: error.error, error_description: error.message });
+  }
+});
+
+/**
+ * Detalhes do pedido para a tela de consentimento
+ * GET /api/auth/oauth/authorize/request
+ */
+router.get('/authorize/request', requireAuth, async (req, res) => {
+  try {
+    const request = await validateAuthorizationRequest(req.query);
+
+    return res.status(200).json({
+      client: { id: request.client.id, name: request.client.name },
+      scopes: describeScopes(request.scopes),
+      consentRequired: await isConsentRequired(req.user.id, request),
+    });
+
+  } catch (error) {
+    return sendAuthorizationError(res, error);
+  }
+});
+
+/**
+ * Aprovar ou recusar o pedido de autorização
+ * POST /api/auth/oauth/authorize
+ */
+router.post('/authorize', requireAuth, async (req, res) => {
+  const { approve, ...params } = req.body;
+
+  try {
+    const request = await validateAuthorizationRequest(params);
+    const details = { clientId: request.client.id, scopes: request.scopes };
+
+    if (approve !== true) {
+      await recordAuditEvent(req, 'oauth_authorize', 'failure', { userId: req.user.id, reason: 'access_denied', details });
+      const denied = new OAuthError('access_denied', 'O usuário recusou o acesso');
+      return res.status(200).json({ redirectTo: buildErrorRedirect(denied, request) });
+    }
+
+    const redirectTo = await approveAuthorization(req.user.id, request, new Date(req.auth.session.created_at));
+
+    await recordAuditEvent(req, 'oauth_authorize', 'success', { userId: req.user.id, details });
+
+    return res.status(200).json({ redirectTo });
+
+  } catch (error) {
+    return sendAuthorizationError(res, error);
+  }
+});
+
+/**
+ * Troca do código de autorização por tokens
+ * POST /api/auth/oauth/token
+ */
+router.post('/token', tokenLimiter, async (req, res) => {
+  // Resposta com tokens nunca pode ficar em cache
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  const credentials = getClientCredentials(req);
+
+  try {
+    const client = await authenticateClient(credentials);
+
+    if (req.body.grant_type !== 'authorization_code') {
+      throw new OAuthError('unsupported_grant_type', 'Apenas grant_type=authorization_code é suportado');
+    }
+
+    const { body, userId } = await exchangeAuthorizationCode(client, {
+      code: req.body.code,
+      redirectUri: req.body.redirect_uri,
+      codeVerifier: req.body.code_verifier,
+    });
+
+    await recordAuditEvent(req, 'oauth_token', 'success', { userId, details: { clientId: client.id } });
+
+    return res.status(200).json(body);
+
+  } catch (error) {
+    if (!(error instanceof OAuthError)) {
+      console.error('Erro no endpoint de token:', error);
+      return res.status(500).json({ error: 'server_error', error_description: 'Erro interno do servidor' });
+    }
+
+    await recordAuditEvent(req, 'oauth_token', 'failure', {
+      reason: error.error,
+      details: { clientId: credentials.clientId || null }
+    });
+
+    if (error.error === 'invalid_client' && credentials.basic) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+
+    return res.status(error.status).json({ error: error.error, error_description: error.message });
+  }
+});
+
+/**
+ * Dados do usuário conforme os escopos do token de acesso
+ * GET /api/auth/oauth/userinfo
+ */
+router.get('/userinfo', async (req, res) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  try {
+    if (!token) {
+      throw new OAuthError('invalid_token', 'Token não fornecido', { status: 401 });
+    }
+
+    return res.status(200).json(await getUserInfo(token));
+
+  } catch (error) {
+    if (!(error instanceof OAuthError)) {
+      console.error('Erro no endpoint userinfo:', error);
+      return res.status(500).json({ error: 'server_error', error_description: 'Erro interno do servidor' });
+    }
+
+    res.set('WWW-Authenticate', `Bearer error="${error.error}"`);
+    return res.status(error.status).json({ error: error.error, error_description: error.message });
+  }
+});
+
+/**
+ * Listar os aplicativos autorizados pelo usuário
+ * GET /api/auth/oauth/consents
+ */
+router.get('/consents', requireAuth, async (req, res) => {
+  try {
+    const consents = await repositories.oauthConsents.listByUser(req.user.id);
+
+    return res.status(200).json({
+      consents: consents.map((consent) => ({
+        clientId: consent.client_id,
+        clientName: consent.client_name,
+        scopes: describeScopes(consent.scopes),
+        grantedAt: consent.granted_at,
+      }))
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar aplicativos autorizados:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Revogar o acesso de um aplicativo; novos logins nele pedirão consentimento outra vez
+ * DELETE /api/auth/oauth/consents/:clientId
+ */
+router.delete('/consents/:clientId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await repositories.oauthConsents.revoke(req.user.id, req.params.clientId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Aplicativo não encontrado' });
+    }
+
+    await recordAuditEvent(req, 'oauth_consent_revoke', 'success', {
+      userId: req.user.id,
+      details: { clientId: req.params.clientId }
+    });
+
+    return res.status(200).json({ message: 'Acesso do aplicativo revogado' });
+
+  } catch (error) {
+    console.error('Erro ao revogar aplicativo:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+// Funções auxiliares
+
+/**
+ * Responde a um pedido de autorização inválido para o nosso frontend
+ * Se o erro puder voltar ao cliente, redirectTo leva o navegador de volta a ele
+ * @param {Object} res - Resposta Express
+ * @param {Error} error - Erro da validação ou da aprovação
+ * @returns {Object} Resposta
+ */
+function sendAuthorizationError(res, error) {
+  if (!(error instanceof OAuthError)) {
+    console.error('Erro na autorização:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+
+  return res.status(error.status).json({
+    error: error.message,
+    code: error.error,
+    ...(error.redirect ? { redirectTo: buildErrorRedirect(error, error.request) } : {}),
+  });
+}
+
+/**
+ * Lê as credenciais do cliente do cabeçalho Basic ou do corpo
+ * @param {Object} req - Requisição Express
+ * @returns {Object} { clientId, clientSecret, basic }
+ */
+function getClientCredentials(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator === -1) {
+      return { basic: true };
+    }
+
+    try {
+      // Identificador e segredo chegam codificados como application/x-www-form-urlencoded
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+        basic: true,
+      };
+    } catch (error) {
+      return { basic: true };
+    }
+  }
+
+  return {
+    clientId: typeof req.body.client_id === 'string' ? req.body.client_id : undefined,
+    clientSecret: typeof req.body.client_secret === 'string' ? req.body.client_secret : undefined,
+    basic: false,
+  };
+}
+
+module.exports = router;
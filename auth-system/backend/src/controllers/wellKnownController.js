@@ -0,0 +1,46 @@
+// wellKnownController.js - Documentos públicos em /.well-known: chaves de verificação dos tokens
+// e metadados do provedor OpenID Connect
+
+const express = require('express');
+
+const router = express.Router();
+const { getJwks, usesKeyPairs } = require('../services/signingKeyService');
+const { getDiscoveryDocument } = require('../services/oidcService');
+
+// Tempo que clientes podem guardar o JWKS; ao ver um kid desconhecido devem buscá-lo de novo
+const JWKS_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Conjunto de chaves públicas (JWK Set) da chave ativa e das chaves em aposentadoria
+ * GET /.well-known/jwks.json
+ */
+router.get('/.well-known/jwks.json', async (req, res) => {
+  try {
+    const jwks = await getJwks();
+
+    res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+    res.set('Access-Control-Allow-Origin', '*');
+    return res.status(200).json(jwks);
+
+  } catch (error) {
+    console.error('Erro ao publicar chaves:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+});
+
+/**
+ * Metadados do provedor OpenID Connect (endpoints, escopos e algoritmos suportados)
+ * GET /.well-known/openid-configuration
+ */
+router.get('/.well-known/openid-configuration', (req, res) => {
+  // Com HS256 o provedor está desabilitado; anunciá-lo levaria clientes a um fluxo que falha
+  if (!usesKeyPairs()) {
+    return res.status(404).json({ error: 'Provedor OpenID Connect desabilitado' });
+  }
+
+  res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+  res.set('Access-Control-Allow-Origin', '*');
+  return res.status(200).json(getDiscoveryDocument());
+});
+
+module.exports = router;
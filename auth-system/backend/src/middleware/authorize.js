@@ -0,0 +1,53 @@
+// authorize.js - Guardas de papéis e permissões para rotas protegidas
+// Devem ser usadas depois de requireAuth, que anexa as claims do token em req.auth
+
+/**
+ * Responde com acesso negado no formato padrão da API
+ * @param {Object} res - Resposta Express
+ * @returns {Object} Resposta 403
+ */
+function sendForbidden(res) {
+  return res.status(403).json({
+    error: 'Você não tem permissão para acessar este recurso',
+    code: 'FORBIDDEN'
+  });
+}
+
+/**
+ * Exige que o token possua todas as permissões informadas
+ * @param {...string} required - Permissões exigidas (ex.: 'users:write')
+ * @returns {Function} Middleware Express
+ */
+function requirePermission(...required) {
+  return (req, res, next) => {
+    const granted = (req.auth && req.auth.payload.permissions) || [];
+
+    if (!required.every((permission) => granted.includes(permission))) {
+      return sendForbidden(res);
+    }
+
+    return next();
+  };
+}
+
+/**
+ * Exige que o token possua ao menos um dos papéis informados
+ * @param {...string} allowed - Papéis aceitos (ex.: 'admin')
+ * @returns {Function} Middleware Express
+ */
+function requireRole(...allowed) {
+  return (req, res, next) => {
+    const roles = (req.auth && req.auth.payload.roles) || [];
+
+    if (!allowed.some((role) => roles.includes(role))) {
+      return sendForbidden(res);
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  requirePermission,
+  requireRole,
+};
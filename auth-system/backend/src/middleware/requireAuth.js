@@ -0,0 +1,187 @@
+// requireAuth.js - Middleware que protege rotas com o token JWT de acesso
+// Tokens de acesso pessoal (pat_...) só são aceitos nas rotas protegidas com requireAuth.withScopes
+
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories'); // Camada de acesso a dados
+const { verifyAccessToken } = require('../services/signingKeyService');
+const { ACCESS_COOKIE, parseCookies, verifyCsrf, isStateChanging } = require('../services/cookieService');
+const { isPersonalToken, findPersonalToken, buildTokenPayload } = require('../services/personalTokenService');
+
+/**
+ * Responde com erro de autenticação no formato padrão da API
+ * @param {Object} res - Resposta Express
+ * @param {number} status - Código HTTP (401 ou 403)
+ * @param {string} code - Código do erro para o cliente
+ * @param {string} message - Mensagem para o usuário
+ */
+function sendAuthError(res, status, code, message) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+  return res.status(status).json({ error: message, code });
+}
+
+/**
+ * Exige um token de acesso válido, não expirado e não revogado.
+ * Aceita o cabeçalho Authorization ou o cookie HttpOnly; no segundo caso,
+ * requisições que alteram estado também precisam do token CSRF.
+ * Anexa o usuário em req.user e os dados do token e da sessão em req.auth.
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function requireAuth(req, res, next) {
+  return authenticate(req, res, next, null);
+}
+
+/**
+ * Como requireAuth, mas também aceita tokens de acesso pessoal com todos os escopos informados
+ * @param {...string} scopes - Escopos exigidos do token (ex.: 'audit:read')
+ * @returns {Function} Middleware Express
+ */
+function withScopes(...scopes) {
+  return (req, res, next) => authenticate(req, res, next, scopes);
+}
+
+/**
+ * Autentica a requisição pela sessão ou, se a rota aceitar, por um token de acesso pessoal
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ * @param {string[]|null} scopes - Escopos exigidos de tokens pessoais; null se a rota exige sessão
+ */
+async function authenticate(req, res, next, scopes) {
+  const authHeader = req.headers.authorization;
+  let token;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    token = authHeader.split(' ')[1];
+
+    if (token && isPersonalToken(token)) {
+      if (!scopes) {
+        return res.status(403).json({
+          error: 'Esta operação exige login; tokens de acesso pessoal não são aceitos',
+          code: 'PERSONAL_TOKEN_NOT_ALLOWED'
+        });
+      }
+      return authenticatePersonalToken(req, res, next, token, scopes);
+    }
+  } else {
+    token = parseCookies(req)[ACCESS_COOKIE];
+
+    if (token && isStateChanging(req.method) && !verifyCsrf(req)) {
+      return res.status(403).json({ error: 'Token CSRF inválido ou ausente', code: 'CSRF_INVALID' });
+    }
+  }
+
+  if (!token) {
+    return sendAuthError(res, 401, 'TOKEN_MISSING', 'Token não fornecido');
+  }
+
+  // Verificar assinatura e expiração
+  let payload;
+  try {
+    payload = await verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return sendAuthError(res, 401, 'TOKEN_EXPIRED', 'Token expirado');
+    }
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      console.error('Erro na verificação do token:', error);
+      return res.status(500).json({ error: 'Erro interno do servidor' });
+    }
+    return sendAuthError(res, 401, 'TOKEN_INVALID', 'Token inválido');
+  }
+
+  try {
+    // Verificar se a sessão não foi encerrada
+    const session = await repositories.authTokens.findByToken(token);
+
+    if (!session || session.revoked) {
+      return sendAuthError(res, 401, 'TOKEN_REVOKED', 'Sessão encerrada. Faça login novamente.');
+    }
+
+    const user = await repositories.users.findById(payload.userId);
+
+    if (!user) {
+      return sendAuthError(res, 401, 'TOKEN_INVALID', 'Token inválido');
+    }
+
+    if (!user.is_active) {
+      return sendAuthError(res, 403, 'ACCOUNT_DISABLED', 'Conta desativada. Entre em contato com o suporte.');
+    }
+
+    // Registrar o último uso da sessão (no máximo uma escrita por minuto)
+    await repositories.authTokens.touch(token, 60 * 1000);
+
+    req.user = user;
+    req.auth = { token, payload, session };
+
+    return next();
+
+  } catch (error) {
+    console.error('Erro na autenticação:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+}
+
+/**
+ * Autentica a requisição por um token de acesso pessoal e registra o uso
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ * @param {string} token - Token pat_ recebido
+ * @param {string[]} scopes - Escopos exigidos pela rota
+ */
+async function authenticatePersonalToken(req, res, next, token, scopes) {
+  try {
+    const record = await findPersonalToken(token);
+
+    if (!record) {
+      return sendAuthError(res, 401, 'TOKEN_INVALID', 'Token inválido');
+    }
+
+    if (record.revoked_at) {
+      return sendAuthError(res, 401, 'TOKEN_REVOKED', 'Token revogado');
+    }
+
+    if (new Date(record.expires_at) <= new Date()) {
+      return sendAuthError(res, 401, 'TOKEN_EXPIRED', 'Token expirado');
+    }
+
+    const user = await repositories.users.findById(record.user_id);
+
+    if (!user) {
+      return sendAuthError(res, 401, 'TOKEN_INVALID', 'Token inválido');
+    }
+
+    if (!user.is_active) {
+      return sendAuthError(res, 403, 'ACCOUNT_DISABLED', 'Conta desativada. Entre em contato com o suporte.');
+    }
+
+    if (!scopes.every((scope) => record.scopes.includes(scope))) {
+      // RFC 6750: o cliente descobre pelo cabeçalho quais escopos faltam ao token
+      res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scopes.join(' ')}"`);
+      return res.status(403).json({
+        error: 'O token não tem os escopos exigidos por esta operação',
+        code: 'INSUFFICIENT_SCOPE',
+        scopes
+      });
+    }
+
+    // Registrar cada uso do token
+    await repositories.personalTokens.recordUse(record.id, req.ip);
+
+    req.user = user;
+    req.auth = { token, payload: await buildTokenPayload(user, record), session: null, personalToken: record };
+
+    return next();
+
+  } catch (error) {
+    console.error('Erro na autenticação por token de acesso pessoal:', error);
+    return res.status(500).json({ error: 'Erro interno do servidor' });
+  }
+}
+
+module.exports = requireAuth;
+module.exports.withScopes = withScopes;
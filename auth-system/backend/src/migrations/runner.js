@@ -0,0 +1,189 @@
+// runner.js - Executor de migrações versionadas do PostgreSQL
+// Cada migração é um par NNN_nome.up.sql / NNN_nome.down.sql em backend/migrations
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Impede que dois processos apliquem migrações ao mesmo tempo
+const ADVISORY_LOCK_ID = 727274;
+
+/**
+ * Lê as migrações disponíveis, em ordem de versão
+ * @param {string} [dir] - Diretório das migrações
+ * @returns {Object[]} Migrações ({ version, name, up, down })
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+
+    if (migration.name !== name) {
+      throw new Error(`Migração ${version} com nomes diferentes: ${migration.name} e ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migração ${migration.version}_${migration.name} sem arquivo up ou down`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Cria a tabela de controle, se ainda não existir
+ * @param {Object} client - Cliente do pg
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version    VARCHAR(20) PRIMARY KEY,
+       name       VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  );
+}
+
+/**
+ * Lista as versões já aplicadas
+ * @param {Object} client - Cliente do pg
+ * @returns {Object[]} Registros de schema_migrations, em ordem de versão
+ */
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations');
+  return result.rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Executa uma função com um cliente exclusivo e a trava de migrações
+ * @param {Object} pool - Pool do pg
+ * @param {Function} fn - Função que recebe o cliente
+ * @returns {*} Resultado da função
+ */
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Executa o SQL de uma migração e atualiza o controle na mesma transação
+ * @param {Object} client - Cliente do pg
+ * @param {string} sql - Conteúdo do arquivo
+ * @param {string} controlSql - Registro ou remoção em schema_migrations
+ * @param {Array} params - Parâmetros do controle
+ */
+async function runInTransaction(client, sql, controlSql, params) {
+  await client.query('BEGIN');
+
+  try {
+    await client.query(sql);
+    await client.query(controlSql, params);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Aplica todas as migrações pendentes
+ * @param {Object} pool - Pool do pg
+ * @param {Object} [options] - dir: diretório das migrações
+ * @returns {Object[]} Migrações aplicadas
+ */
+async function migrate(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async (client) => {
+    const applied = new Set((await getApplied(client)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      await runInTransaction(
+        client,
+        migration.up,
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Desfaz as últimas migrações aplicadas
+ * @param {Object} pool - Pool do pg
+ * @param {Object} [options] - steps: quantas migrações desfazer (padrão 1); dir: diretório
+ * @returns {Object[]} Migrações desfeitas
+ */
+async function rollback(pool, { steps = 1, dir } = {}) {
+  const migrations = new Map(loadMigrations(dir).map((migration) => [migration.version, migration]));
+
+  return withLock(pool, async (client) => {
+    const targets = (await getApplied(client)).reverse().slice(0, steps);
+
+    for (const row of targets) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Arquivo da migração ${row.version}_${row.name} não encontrado`);
+      }
+
+      await runInTransaction(
+        client,
+        migration.down,
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      );
+    }
+
+    return targets;
+  });
+}
+
+/**
+ * Situação de cada migração
+ * @param {Object} pool - Pool do pg
+ * @param {Object} [options] - dir: diretório das migrações
+ * @returns {Object[]} Migrações com appliedAt (null se pendente)
+ */
+async function status(pool, { dir } = {}) {
+  const migrations = loadMigrations(dir);
+
+  return withLock(pool, async (client) => {
+    const applied = new Map((await getApplied(client)).map((row) => [row.version, row]));
+
+    return migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+    }));
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+};
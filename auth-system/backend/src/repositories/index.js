@@ -0,0 +1,23 @@
+// index.js - Camada de acesso a dados usada pelos controladores e middlewares
+// A implementação é escolhida por DB_DRIVER: 'postgres' (padrão) ou 'memory'
+
+const DB_DRIVER = process.env.DB_DRIVER || 'postgres';
+
+/**
+ * Cria os repositórios do driver informado.
+ * O require é feito sob demanda para que o modo em memória não dependa do pacote pg.
+ * @param {string} driver - 'postgres' ou 'memory'
+ * @returns {Object} Repositórios
+ */
+function createRepositories(driver) {
+  switch (driver) {
+    case 'postgres':
+      return require('./postgres').createPostgresRepositories();
+    case 'memory':
+      return require('./memory').createMemoryRepositories();
+    default:
+      throw new Error(`DB_DRIVER desconhecido: ${driver}`);
+  }
+}
+
+module.exports = createRepositories(DB_DRIVER);
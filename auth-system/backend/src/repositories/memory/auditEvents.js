@@ -0,0 +1,46 @@
+// auditEvents.js - Repositório do log de auditoria (em memória)
+// Mesma interface de ../postgres/auditEvents.js
+
+const { copy } = require('./store');
+
+/**
+ * Cria o repositório de eventos de auditoria
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de eventos
+ */
+function createAuditEventRepository(store) {
+  // Ids sequenciais, como o BIGSERIAL do banco, para a paginação por beforeId
+  let nextId = store.auditEvents.length + 1;
+
+  return {
+    async record({ userId, type, outcome, reason, ipAddress, userAgent, details }) {
+      store.auditEvents.push({
+        id: nextId++,
+        user_id: userId,
+        type,
+        outcome,
+        reason,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        details,
+        created_at: new Date(),
+      });
+    },
+
+    async list({ userId, types, from, to, beforeId, limit }) {
+      return store.auditEvents
+        .filter((row) => (!userId || row.user_id === userId)
+          && (!types || types.length === 0 || types.includes(row.type))
+          && (!from || row.created_at >= from)
+          && (!to || row.created_at < to)
+          && (!beforeId || row.id < beforeId))
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(copy);
+    },
+  };
+}
+
+module.exports = {
+  createAuditEventRepository,
+};
@@ -0,0 +1,107 @@
+// authTokens.js - Repositório das sessões e tokens emitidos (em memória)
+// Mesma interface de ../postgres/authTokens.js
+
+const { v4: uuidv4 } = require('uuid');
+const { copy, notExpired } = require('./store');
+
+/**
+ * Cria o repositório de tokens de autenticação
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de tokens
+ */
+function createAuthTokenRepository(store) {
+  const tokens = store.authTokens;
+
+  return {
+    async create({ userId, familyId, token, refreshToken, expiresAt, persistent, userAgent, ipAddress, createdAt }) {
+      const row = {
+        id: uuidv4(),
+        user_id: userId,
+        family_id: familyId,
+        token,
+        refresh_token: refreshToken,
+        expires_at: expiresAt,
+        persistent,
+        revoked: false,
+        rotated_at: null,
+        replaced_by: null,
+        user_agent: userAgent,
+        ip_address: ipAddress,
+        created_at: createdAt,
+        last_used_at: new Date(),
+      };
+      tokens.push(row);
+      return row.id;
+    },
+
+    async findById(id) {
+      return copy(tokens.find((row) => row.id === id));
+    },
+
+    async findActiveById(id) {
+      return copy(tokens.find((row) => row.id === id && !row.revoked));
+    },
+
+    async findByToken(token) {
+      return copy(tokens.find((row) => row.token === token));
+    },
+
+    async findByRefreshToken(refreshToken) {
+      return copy(tokens.find((row) => row.refresh_token === refreshToken));
+    },
+
+    async listActiveForUser(userId) {
+      return tokens
+        .filter((row) => row.user_id === userId && !row.revoked && notExpired(row.expires_at))
+        .sort((a, b) => new Date(b.last_used_at) - new Date(a.last_used_at))
+        .map(copy);
+    },
+
+    async rotate(id) {
+      const row = tokens.find((item) => item.id === id && !item.revoked);
+      if (!row) return false;
+      row.revoked = true;
+      row.rotated_at = new Date();
+      return true;
+    },
+
+    async setReplacedBy(id, replacedBy) {
+      const row = tokens.find((item) => item.id === id);
+      if (row) {
+        row.replaced_by = replacedBy;
+      }
+    },
+
+    async revokeByToken(token) {
+      tokens.filter((row) => row.token === token).forEach((row) => { row.revoked = true; });
+    },
+
+    async revokeById(id, userId) {
+      const row = tokens.find((item) => item.id === id && item.user_id === userId && !item.revoked);
+      if (!row) return false;
+      row.revoked = true;
+      return true;
+    },
+
+    async revokeFamily(familyId) {
+      tokens.filter((row) => row.family_id === familyId).forEach((row) => { row.revoked = true; });
+    },
+
+    async revokeAllForUser(userId, { exceptToken = null } = {}) {
+      const revoked = tokens.filter((row) => row.user_id === userId && !row.revoked && row.token !== exceptToken);
+      revoked.forEach((row) => { row.revoked = true; });
+      return revoked.length;
+    },
+
+    async touch(token, intervalMs) {
+      const row = tokens.find((item) => item.token === token);
+      if (row && (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > intervalMs)) {
+        row.last_used_at = new Date();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createAuthTokenRepository,
+};
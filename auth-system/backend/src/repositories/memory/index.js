@@ -0,0 +1,68 @@
+// index.js - Implementação dos repositórios em memória, para desenvolvimento sem PostgreSQL
+// Os dados são perdidos quando o processo termina
+
+const { createStore } = require('./store');
+const { createUserRepository, createRoleRepository } = require('./users');
+const { createAuthTokenRepository } = require('./authTokens');
+const { createLoginAttemptRepository } = require('./loginAttempts');
+const {
+  createMfaChallengeRepository,
+  createMfaCodeRepository,
+  createRecoveryCodeRepository,
+} = require('./mfa');
+const { createOneTimeTokenRepository } = require('./oneTimeTokens');
+const {
+  createWebAuthnCredentialRepository,
+  createWebAuthnChallengeRepository,
+} = require('./webauthn');
+const { createAuditEventRepository } = require('./auditEvents');
+const { createKnownDeviceRepository } = require('./knownDevices');
+const { createPasswordHistoryRepository } = require('./passwordHistory');
+const { createSigningKeyRepository } = require('./signingKeys');
+const {
+  createOAuthClientRepository,
+  createOAuthConsentRepository,
+  createOAuthCodeRepository,
+} = require('./oauth');
+const { createUserIdentityRepository } = require('./userIdentities');
+const { createPersonalTokenRepository } = require('./personalTokens');
+
+/**
+ * Cria os repositórios sobre um armazenamento em memória
+ * @param {Object} [store] - Armazenamento a reutilizar (padrão: um novo, vazio)
+ * @returns {Object} Repositórios e a função close()
+ */
+function createMemoryRepositories(store = createStore()) {
+  return {
+    store,
+    users: createUserRepository(store),
+    roles: createRoleRepository(store),
+    authTokens: createAuthTokenRepository(store),
+    loginAttempts: createLoginAttemptRepository(store),
+    mfaChallenges: createMfaChallengeRepository(store),
+    mfaCodes: createMfaCodeRepository(store),
+    recoveryCodes: createRecoveryCodeRepository(store),
+    passwordResetTokens: createOneTimeTokenRepository(store, 'passwordResetTokens'),
+    emailVerificationTokens: createOneTimeTokenRepository(store, 'emailVerificationTokens'),
+    accountUnlockTokens: createOneTimeTokenRepository(store, 'accountUnlockTokens'),
+    sessionRevokeTokens: createOneTimeTokenRepository(store, 'sessionRevokeTokens'),
+    ssoLoginTokens: createOneTimeTokenRepository(store, 'ssoLoginTokens'),
+    webauthnCredentials: createWebAuthnCredentialRepository(store),
+    webauthnChallenges: createWebAuthnChallengeRepository(store),
+    auditEvents: createAuditEventRepository(store),
+    knownDevices: createKnownDeviceRepository(store),
+    passwordHistory: createPasswordHistoryRepository(store),
+    signingKeys: createSigningKeyRepository(store),
+    oauthClients: createOAuthClientRepository(store),
+    oauthConsents: createOAuthConsentRepository(store),
+    oauthCodes: createOAuthCodeRepository(store),
+    userIdentities: createUserIdentityRepository(store),
+    personalTokens: createPersonalTokenRepository(store),
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  createMemoryRepositories,
+};
@@ -0,0 +1,55 @@
+// knownDevices.js - Repositório dos dispositivos já usados no login (em memória)
+// Mesma interface de ../postgres/knownDevices.js
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Cria o repositório de dispositivos conhecidos
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de dispositivos
+ */
+function createKnownDeviceRepository(store) {
+  const devices = store.knownDevices;
+
+  return {
+    async existsForUser(userId) {
+      return devices.some((row) => row.user_id === userId);
+    },
+
+    async record({ userId, fingerprint, client, ipAddress }) {
+      const existing = devices.find((row) => row.user_id === userId && row.fingerprint === fingerprint);
+
+      if (existing) {
+        existing.last_seen_at = new Date();
+        existing.ip_address = ipAddress;
+        return false;
+      }
+
+      devices.push({
+        id: uuidv4(),
+        user_id: userId,
+        fingerprint,
+        client,
+        ip_address: ipAddress,
+        first_seen_at: new Date(),
+        last_seen_at: new Date(),
+      });
+      return true;
+    },
+
+    async deleteByUser(userId) {
+      let removed = 0;
+      for (let i = devices.length - 1; i >= 0; i--) {
+        if (devices[i].user_id === userId) {
+          devices.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+module.exports = {
+  createKnownDeviceRepository,
+};
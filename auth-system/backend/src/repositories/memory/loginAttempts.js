@@ -0,0 +1,62 @@
+// loginAttempts.js - Repositório das tentativas de login (em memória)
+// Mesma interface de ../postgres/loginAttempts.js
+
+/**
+ * Resume uma lista de tentativas falhas
+ * @param {Object[]} rows - Tentativas
+ * @returns {Object} { count, lastFailureAt }
+ */
+function summarize(rows) {
+  return {
+    count: rows.length,
+    lastFailureAt: rows.reduce((last, row) => (!last || row.created_at > last ? row.created_at : last), null),
+  };
+}
+
+/**
+ * Cria o repositório de tentativas de login
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de tentativas
+ */
+function createLoginAttemptRepository(store) {
+  return {
+    async record({ userId = null, login = null, ipAddress = null, success }) {
+      store.loginAttempts.push({
+        user_id: userId,
+        login,
+        ip_address: ipAddress,
+        success,
+        cleared_at: null,
+        created_at: new Date(),
+      });
+    },
+
+    async getFailureStats(userId, since) {
+      return summarize(store.loginAttempts.filter((row) => (
+        row.user_id === userId && !row.success && !row.cleared_at && row.created_at > since
+      )));
+    },
+
+    async getIpFailureStats(ipAddress, since) {
+      const rows = store.loginAttempts.filter((row) => (
+        row.ip_address === ipAddress && !row.success && row.created_at > since
+      ));
+      const accounts = new Set(rows.map((row) => row.user_id || String(row.login).toLowerCase()));
+
+      return { ...summarize(rows), accounts: accounts.size };
+    },
+
+    async clearFailures(userId) {
+      const rows = store.loginAttempts.filter((row) => row.user_id === userId && !row.success && !row.cleared_at);
+      const clearedAt = new Date();
+      rows.forEach((row) => {
+        row.cleared_at = clearedAt;
+      });
+      return rows.length;
+    },
+  };
+}
+
+module.exports = {
+  createLoginAttemptRepository,
+};
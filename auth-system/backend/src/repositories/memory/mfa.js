@@ -0,0 +1,109 @@
+// mfa.js - Repositórios da verificação em duas etapas (em memória)
+// Mesma interface de ../postgres/mfa.js
+
+const { v4: uuidv4 } = require('uuid');
+const { copy, notExpired } = require('./store');
+
+/**
+ * Cria o repositório de desafios de MFA
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de desafios
+ */
+function createMfaChallengeRepository(store) {
+  const challenges = store.mfaChallenges;
+
+  return {
+    async create({ id, userId, method, webauthnChallenge, rememberMe, loginMethod = 'password', expiresAt }) {
+      challenges.push({
+        id,
+        user_id: userId,
+        method,
+        webauthn_challenge: webauthnChallenge,
+        remember_me: rememberMe,
+        login_method: loginMethod,
+        attempts: 0,
+        consumed: false,
+        expires_at: expiresAt,
+      });
+    },
+
+    async findActive(id) {
+      return copy(challenges.find((row) => row.id === id && !row.consumed && notExpired(row.expires_at)));
+    },
+
+    async recordFailure(id, maxAttempts) {
+      const row = challenges.find((item) => item.id === id);
+      if (!row) return maxAttempts;
+      row.attempts += 1;
+      row.consumed = row.attempts >= maxAttempts;
+      return row.attempts;
+    },
+
+    async consume(id) {
+      const row = challenges.find((item) => item.id === id && !item.consumed);
+      if (!row) return false;
+      row.consumed = true;
+      return true;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de MFA enviados por e-mail
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de códigos
+ */
+function createMfaCodeRepository(store) {
+  return {
+    async create({ userId, challengeId, code, expiresAt }) {
+      store.mfaCodes.push({
+        id: uuidv4(),
+        user_id: userId,
+        challenge_id: challengeId,
+        code,
+        expires_at: expiresAt,
+        used: false,
+      });
+    },
+
+    async consume(challengeId, code) {
+      const row = store.mfaCodes.find((item) => (
+        item.challenge_id === challengeId && item.code === code && !item.used && notExpired(item.expires_at)
+      ));
+      if (!row) return false;
+      row.used = true;
+      return true;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de recuperação
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de códigos de recuperação
+ */
+function createRecoveryCodeRepository(store) {
+  return {
+    async replace(userId, codeHashes) {
+      store.recoveryCodes = store.recoveryCodes.filter((row) => row.user_id !== userId);
+      for (const codeHash of codeHashes) {
+        store.recoveryCodes.push({ id: uuidv4(), user_id: userId, code_hash: codeHash, used_at: null });
+      }
+    },
+
+    async consume(userId, codeHash) {
+      const row = store.recoveryCodes.find((item) => (
+        item.user_id === userId && item.code_hash === codeHash && !item.used_at
+      ));
+      if (!row) return false;
+      row.used_at = new Date();
+      return true;
+    },
+  };
+}
+
+module.exports = {
+  createMfaChallengeRepository,
+  createMfaCodeRepository,
+  createRecoveryCodeRepository,
+};
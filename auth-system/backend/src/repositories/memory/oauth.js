@@ -0,0 +1,145 @@
+// oauth.js - Repositórios do provedor OpenID Connect: clientes, consentimentos e códigos (em memória)
+// Mesma interface de ../postgres/oauth.js
+
+const { copy, notExpired } = require('./store');
+
+/**
+ * Cria o repositório de aplicativos clientes
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de clientes
+ */
+function createOAuthClientRepository(store) {
+  const clients = store.oauthClients;
+
+  return {
+    async findById(id) {
+      return copy(clients.find((row) => row.id === id));
+    },
+
+    async list() {
+      return clients.map(copy);
+    },
+
+    async create({ id, name, secretHash, redirectUris }) {
+      clients.push({
+        id,
+        name,
+        secret_hash: secretHash,
+        redirect_uris: redirectUris,
+        created_at: new Date(),
+      });
+    },
+
+    async delete(id) {
+      const index = clients.findIndex((row) => row.id === id);
+      if (index === -1) return false;
+
+      clients.splice(index, 1);
+      // Equivalente ao ON DELETE CASCADE
+      store.oauthConsents = store.oauthConsents.filter((row) => row.client_id !== id);
+      store.oauthCodes = store.oauthCodes.filter((row) => row.client_id !== id);
+      return true;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de consentimentos dados pelos usuários aos clientes
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de consentimentos
+ */
+function createOAuthConsentRepository(store) {
+  return {
+    async find(userId, clientId) {
+      return copy(store.oauthConsents.find((row) => row.user_id === userId && row.client_id === clientId));
+    },
+
+    async listByUser(userId) {
+      return store.oauthConsents
+        .filter((row) => row.user_id === userId)
+        .sort((a, b) => b.granted_at - a.granted_at)
+        .map((row) => {
+          const client = store.oauthClients.find((item) => item.id === row.client_id);
+          return { ...row, client_name: client ? client.name : null };
+        });
+    },
+
+    async grant(userId, clientId, scopes) {
+      const existing = store.oauthConsents.find((row) => row.user_id === userId && row.client_id === clientId);
+
+      if (existing) {
+        existing.scopes = [...new Set([...existing.scopes, ...scopes])];
+        existing.granted_at = new Date();
+        return;
+      }
+
+      store.oauthConsents.push({ user_id: userId, client_id: clientId, scopes, granted_at: new Date() });
+    },
+
+    async revoke(userId, clientId) {
+      const before = store.oauthConsents.length;
+      store.oauthConsents = store.oauthConsents.filter((row) => !(row.user_id === userId && row.client_id === clientId));
+      return store.oauthConsents.length < before;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de autorização
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de códigos
+ */
+function createOAuthCodeRepository(store) {
+  return {
+    async create({ codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, authTime, expiresAt }) {
+      store.oauthCodes.push({
+        code_hash: codeHash,
+        client_id: clientId,
+        user_id: userId,
+        redirect_uri: redirectUri,
+        scopes,
+        nonce,
+        code_challenge: codeChallenge,
+        auth_time: authTime,
+        expires_at: expiresAt,
+        used: false,
+        token_id: null,
+        revoked: false,
+        created_at: new Date(),
+      });
+    },
+
+    async consume(codeHash) {
+      const row = store.oauthCodes.find((item) => (
+        item.code_hash === codeHash && !item.used && notExpired(item.expires_at)
+      ));
+      if (!row) return null;
+      row.used = true;
+      return copy(row);
+    },
+
+    async recordToken(codeHash, tokenId) {
+      const row = store.oauthCodes.find((item) => item.code_hash === codeHash);
+      if (row) {
+        row.token_id = tokenId;
+      }
+    },
+
+    async revoke(codeHash) {
+      const row = store.oauthCodes.find((item) => item.code_hash === codeHash && item.used);
+      if (!row) return false;
+      row.revoked = true;
+      return true;
+    },
+
+    async isTokenRevoked(tokenId) {
+      return store.oauthCodes.some((item) => item.token_id === tokenId && item.revoked);
+    },
+  };
+}
+
+module.exports = {
+  createOAuthClientRepository,
+  createOAuthConsentRepository,
+  createOAuthCodeRepository,
+};
@@ -0,0 +1,44 @@
+// oneTimeTokens.js - Repositório de tokens de uso único enviados por e-mail (em memória)
+// Mesma interface de ../postgres/oneTimeTokens.js
+
+const { notExpired } = require('./store');
+
+/**
+ * Cria o repositório de tokens de uso único para uma coleção
+ * @param {Object} store - Armazenamento em memória
+ * @param {string} collection - Coleção (ex.: 'passwordResetTokens')
+ * @returns {Object} Repositório de tokens
+ */
+function createOneTimeTokenRepository(store, collection) {
+  return {
+    async create({ userId, token, expiresAt }) {
+      store[collection].push({ user_id: userId, token, expires_at: expiresAt, used: false });
+    },
+
+    async findUserId(token) {
+      const row = store[collection].find((item) => (
+        item.token === token && !item.used && notExpired(item.expires_at)
+      ));
+      return row ? row.user_id : null;
+    },
+
+    async consume(token) {
+      const row = store[collection].find((item) => (
+        item.token === token && !item.used && notExpired(item.expires_at)
+      ));
+      if (!row) return null;
+      row.used = true;
+      return row.user_id;
+    },
+
+    async invalidateForUser(userId) {
+      store[collection]
+        .filter((row) => row.user_id === userId)
+        .forEach((row) => { row.used = true; });
+    },
+  };
+}
+
+module.exports = {
+  createOneTimeTokenRepository,
+};
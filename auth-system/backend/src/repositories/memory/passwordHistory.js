@@ -0,0 +1,32 @@
+// passwordHistory.js - Repositório do histórico de senhas (em memória)
+// Mesma interface de ../postgres/passwordHistory.js
+
+/**
+ * Cria o repositório do histórico de senhas
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório do histórico
+ */
+function createPasswordHistoryRepository(store) {
+  const history = store.passwordHistory;
+
+  // Hashes do usuário, do mais recente para o mais antigo
+  const forUser = (userId) => history.filter((row) => row.user_id === userId).reverse();
+
+  return {
+    async add(userId, passwordHash, keep) {
+      history.push({ user_id: userId, password_hash: passwordHash, created_at: new Date() });
+
+      for (const row of forUser(userId).slice(keep)) {
+        history.splice(history.indexOf(row), 1);
+      }
+    },
+
+    async listRecent(userId, limit) {
+      return forUser(userId).slice(0, limit).map((row) => row.password_hash);
+    },
+  };
+}
+
+module.exports = {
+  createPasswordHistoryRepository,
+};
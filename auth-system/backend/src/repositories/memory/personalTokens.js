@@ -0,0 +1,69 @@
+// personalTokens.js - Repositório dos tokens de acesso pessoal (em memória)
+// Mesma interface de ../postgres/personalTokens.js
+
+const { v4: uuidv4 } = require('uuid');
+const { copy } = require('./store');
+
+/**
+ * Cria o repositório de tokens de acesso pessoal
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de tokens
+ */
+function createPersonalTokenRepository(store) {
+  const tokens = store.personalTokens;
+
+  return {
+    async create({ userId, name, tokenHash, prefix, scopes, expiresAt }) {
+      const row = {
+        id: uuidv4(),
+        user_id: userId,
+        name,
+        token_hash: tokenHash,
+        prefix,
+        scopes,
+        expires_at: expiresAt,
+        revoked_at: null,
+        last_used_at: null,
+        last_used_ip: null,
+        created_at: new Date(),
+      };
+      tokens.push(row);
+      return copy(row);
+    },
+
+    async findByHash(tokenHash) {
+      return copy(tokens.find((row) => row.token_hash === tokenHash));
+    },
+
+    async listByUser(userId) {
+      return tokens
+        .filter((row) => row.user_id === userId && !row.revoked_at)
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(copy);
+    },
+
+    async recordUse(id, ipAddress) {
+      const row = tokens.find((item) => item.id === id);
+      if (!row) return;
+      row.last_used_at = new Date();
+      row.last_used_ip = ipAddress;
+    },
+
+    async revoke(id, userId) {
+      const row = tokens.find((item) => item.id === id && item.user_id === userId && !item.revoked_at);
+      if (!row) return false;
+      row.revoked_at = new Date();
+      return true;
+    },
+
+    async revokeAllForUser(userId) {
+      const active = tokens.filter((row) => row.user_id === userId && !row.revoked_at);
+      active.forEach((row) => { row.revoked_at = new Date(); });
+      return active.length;
+    },
+  };
+}
+
+module.exports = {
+  createPersonalTokenRepository,
+};
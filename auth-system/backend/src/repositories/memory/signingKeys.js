@@ -0,0 +1,56 @@
+// signingKeys.js - Repositório das chaves de assinatura dos tokens (em memória)
+// Mesma interface de ../postgres/signingKeys.js
+
+const { notExpired } = require('./store');
+
+/**
+ * Cria o repositório de chaves de assinatura
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de chaves
+ */
+function createSigningKeyRepository(store) {
+  const keys = store.signingKeys;
+
+  return {
+    async listValid() {
+      return keys
+        .filter((key) => key.status === 'active' || notExpired(key.retireAt))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .map((key) => ({ ...key }));
+    },
+
+    async rotate({ kid, algorithm, privateKey, publicJwk }, retireAt) {
+      keys
+        .filter((key) => key.status === 'active')
+        .forEach((key) => {
+          key.status = 'retiring';
+          key.retireAt = retireAt;
+        });
+
+      keys.push({
+        kid,
+        algorithm,
+        privateKey,
+        publicJwk,
+        status: 'active',
+        createdAt: new Date(),
+        retireAt: null,
+      });
+    },
+
+    async deleteRetired() {
+      let removed = 0;
+      for (let i = keys.length - 1; i >= 0; i--) {
+        if (keys[i].status === 'retiring' && !notExpired(keys[i].retireAt)) {
+          keys.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+module.exports = {
+  createSigningKeyRepository,
+};
@@ -0,0 +1,72 @@
+// store.js - Armazenamento em memória compartilhado pelos repositórios de desenvolvimento
+
+const { v4: uuidv4 } = require('uuid');
+
+// Papéis iniciais, equivalentes aos criados pelo banco
+const DEFAULT_ROLES = {
+  user: [],
+  admin: ['users:read', 'users:write', 'sessions:revoke', 'audit:read'],
+};
+
+/**
+ * Cria um armazenamento vazio com os papéis padrão
+ * @returns {Object} Tabelas em memória
+ */
+function createStore() {
+  const store = {
+    users: [],
+    roles: [],
+    userRoles: [],
+    authTokens: [],
+    loginAttempts: [],
+    mfaChallenges: [],
+    mfaCodes: [],
+    recoveryCodes: [],
+    passwordResetTokens: [],
+    emailVerificationTokens: [],
+    accountUnlockTokens: [],
+    sessionRevokeTokens: [],
+    ssoLoginTokens: [],
+    knownDevices: [],
+    passwordHistory: [],
+    webauthnCredentials: [],
+    webauthnChallenges: [],
+    auditEvents: [],
+    signingKeys: [],
+    oauthClients: [],
+    oauthConsents: [],
+    oauthCodes: [],
+    userIdentities: [],
+    personalTokens: [],
+  };
+
+  for (const [name, permissions] of Object.entries(DEFAULT_ROLES)) {
+    store.roles.push({ id: uuidv4(), name, permissions });
+  }
+
+  return store;
+}
+
+/**
+ * Copia um registro para que quem o recebe não altere o armazenamento
+ * @param {Object|undefined} row - Registro
+ * @returns {Object|null} Cópia ou null
+ */
+function copy(row) {
+  return row ? { ...row } : null;
+}
+
+/**
+ * Verifica se a data ainda não passou
+ * @param {Date} date - Data de expiração
+ * @returns {boolean} Verdadeiro se ainda válida
+ */
+function notExpired(date) {
+  return new Date(date) > new Date();
+}
+
+module.exports = {
+  createStore,
+  copy,
+  notExpired,
+};
@@ -0,0 +1,45 @@
+// userIdentities.js - Repositório das contas em provedores externos vinculadas aos usuários (em memória)
+// Mesma interface de ../postgres/userIdentities.js
+
+const { copy } = require('./store');
+
+/**
+ * Cria o repositório de identidades externas
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de identidades
+ */
+function createUserIdentityRepository(store) {
+  const identities = store.userIdentities;
+
+  return {
+    async find(provider, subject) {
+      return copy(identities.find((row) => row.provider === provider && row.subject === subject));
+    },
+
+    async listByUser(userId) {
+      return identities.filter((row) => row.user_id === userId).map(copy);
+    },
+
+    async create({ provider, subject, userId, email }) {
+      identities.push({
+        provider,
+        subject,
+        user_id: userId,
+        email,
+        created_at: new Date(),
+        last_login_at: new Date(),
+      });
+    },
+
+    async recordLogin(provider, subject, email) {
+      const row = identities.find((item) => item.provider === provider && item.subject === subject);
+      if (!row) return;
+      row.last_login_at = new Date();
+      row.email = email;
+    },
+  };
+}
+
+module.exports = {
+  createUserIdentityRepository,
+};
@@ -0,0 +1,114 @@
+// users.js - Repositórios de usuários e papéis (em memória)
+// Mesma interface de ../postgres/users.js
+
+const { v4: uuidv4 } = require('uuid');
+const { copy } = require('./store');
+
+/**
+ * Cria o repositório de usuários
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de usuários
+ */
+function createUserRepository(store) {
+  const find = (predicate) => copy(store.users.find(predicate));
+
+  return {
+    async findById(id) {
+      return find((user) => user.id === id);
+    },
+
+    async findByLogin(login) {
+      return find((user) => user.username === login || user.email === login);
+    },
+
+    async findByEmail(email) {
+      return find((user) => user.email === email);
+    },
+
+    async existsByUsernameOrEmail(username, email) {
+      return store.users.some((user) => user.username === username || user.email === email);
+    },
+
+    async create({ username, email, passwordHash }) {
+      const user = {
+        id: uuidv4(),
+        username,
+        email,
+        password_hash: passwordHash,
+        is_active: true,
+        email_verified: false,
+        mfa_enabled: false,
+        mfa_method: null,
+        totp_secret: null,
+        totp_pending_secret: null,
+        totp_last_counter: null,
+        created_at: new Date(),
+      };
+      store.users.push(user);
+      return copy(user);
+    },
+
+    async update(id, changes) {
+      const user = store.users.find((row) => row.id === id);
+      if (user) {
+        Object.assign(user, changes);
+      }
+    },
+
+    async advanceTotpCounter(id, counter) {
+      const user = store.users.find((row) => row.id === id);
+      if (!user || (user.totp_last_counter !== null && user.totp_last_counter >= counter)) {
+        return false;
+      }
+      user.totp_last_counter = counter;
+      return true;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de papéis e permissões
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de papéis
+ */
+function createRoleRepository(store) {
+  return {
+    async getUserAccess(userId) {
+      const roles = new Set();
+      const permissions = new Set();
+
+      for (const userRole of store.userRoles.filter((row) => row.user_id === userId)) {
+        const role = store.roles.find((row) => row.id === userRole.role_id);
+        if (role) {
+          roles.add(role.name);
+          role.permissions.forEach((permission) => permissions.add(permission));
+        }
+      }
+
+      return { roles: [...roles], permissions: [...permissions] };
+    },
+
+    async exists(roleName) {
+      return store.roles.some((row) => row.name === roleName);
+    },
+
+    async assign(userId, roleName) {
+      const role = store.roles.find((row) => row.name === roleName);
+      if (role) {
+        store.userRoles.push({ user_id: userId, role_id: role.id });
+      }
+    },
+
+    async revoke(userId, roleName) {
+      const role = store.roles.find((row) => row.name === roleName);
+      if (role) {
+        store.userRoles = store.userRoles.filter((row) => row.user_id !== userId || row.role_id !== role.id);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createUserRepository,
+  createRoleRepository,
+};
@@ -0,0 +1,83 @@
+// webauthn.js - Repositórios de passkeys e desafios WebAuthn (em memória)
+// Mesma interface de ../postgres/webauthn.js
+
+const { v4: uuidv4 } = require('uuid');
+const { copy, notExpired } = require('./store');
+
+/**
+ * Cria o repositório de passkeys
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de passkeys
+ */
+function createWebAuthnCredentialRepository(store) {
+  const credentials = store.webauthnCredentials;
+
+  return {
+    async listByUser(userId) {
+      return credentials.filter((row) => row.user_id === userId).map(copy);
+    },
+
+    async findByCredentialId(credentialId) {
+      return copy(credentials.find((row) => row.credential_id === credentialId));
+    },
+
+    async create({ userId, credentialId, publicKey, signCount, transports, name }) {
+      credentials.push({
+        id: uuidv4(),
+        user_id: userId,
+        credential_id: credentialId,
+        public_key: publicKey,
+        sign_count: signCount,
+        transports,
+        name,
+        created_at: new Date(),
+        last_used_at: null,
+      });
+    },
+
+    async recordUse(id, signCount) {
+      const row = credentials.find((item) => item.id === id);
+      if (row) {
+        row.sign_count = signCount;
+        row.last_used_at = new Date();
+      }
+    },
+
+    async deleteByUser(userId) {
+      let removed = 0;
+      for (let i = credentials.length - 1; i >= 0; i--) {
+        if (credentials[i].user_id === userId) {
+          credentials.splice(i, 1);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de desafios WebAuthn pendentes
+ * @param {Object} store - Armazenamento em memória
+ * @returns {Object} Repositório de desafios
+ */
+function createWebAuthnChallengeRepository(store) {
+  return {
+    async create({ challenge, type, userId, expiresAt }) {
+      store.webauthnChallenges.push({ challenge, type, user_id: userId, expires_at: expiresAt });
+    },
+
+    async consume(challenge, type) {
+      const index = store.webauthnChallenges.findIndex((row) => (
+        row.challenge === challenge && row.type === type && notExpired(row.expires_at)
+      ));
+      if (index === -1) return null;
+      return store.webauthnChallenges.splice(index, 1)[0];
+    },
+  };
+}
+
+module.exports = {
+  createWebAuthnCredentialRepository,
+  createWebAuthnChallengeRepository,
+};
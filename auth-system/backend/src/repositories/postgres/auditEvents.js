@@ -0,0 +1,57 @@
+// auditEvents.js - Repositório do log de auditoria (PostgreSQL)
+
+/**
+ * Cria o repositório de eventos de auditoria
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de eventos
+ */
+function createAuditEventRepository(pool) {
+  return {
+    /**
+     * Registra um evento de auditoria
+     * @param {Object} data - Dados do evento ({ userId, type, outcome, reason, ipAddress, userAgent, details })
+     */
+    async record({ userId, type, outcome, reason, ipAddress, userAgent, details }) {
+      await pool.query(
+        `INSERT INTO audit_events (user_id, type, outcome, reason, ip_address, user_agent, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [userId, type, outcome, reason, ipAddress, userAgent, details ? JSON.stringify(details) : null]
+      );
+    },
+
+    /**
+     * Lista eventos do mais recente para o mais antigo
+     * A paginação usa o id do último evento recebido (beforeId), estável mesmo com novas gravações
+     * @param {Object} filters - { userId, types, from, to, beforeId, limit }
+     * @returns {Object[]} Eventos
+     */
+    async list({ userId, types, from, to, beforeId, limit }) {
+      const conditions = [];
+      const values = [];
+
+      const add = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+      };
+
+      if (userId) add('user_id = ?', userId);
+      if (types && types.length > 0) add('type = ANY(?)', types);
+      if (from) add('created_at >= ?', from);
+      if (to) add('created_at < ?', to);
+      if (beforeId) add('id < ?', beforeId);
+
+      values.push(limit);
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await pool.query(
+        `SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT $${values.length}`,
+        values
+      );
+      return result.rows;
+    },
+  };
+}
+
+module.exports = {
+  createAuditEventRepository,
+};
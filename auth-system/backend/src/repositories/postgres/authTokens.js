@@ -0,0 +1,177 @@
+// authTokens.js - Repositório das sessões e tokens emitidos (PostgreSQL)
+
+/**
+ * Cria o repositório de tokens de autenticação
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de tokens
+ */
+function createAuthTokenRepository(pool) {
+  return {
+    /**
+     * Registra um par de tokens emitido
+     * @param {Object} data - Dados da sessão
+     * @returns {string} ID do registro criado
+     */
+    async create({ userId, familyId, token, refreshToken, expiresAt, persistent, userAgent, ipAddress, createdAt }) {
+      const result = await pool.query(
+        `INSERT INTO auth_tokens
+           (user_id, family_id, token, refresh_token, expires_at, persistent, user_agent, ip_address, created_at, last_used_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+         RETURNING id`,
+        [userId, familyId, token, refreshToken, expiresAt, persistent, userAgent, ipAddress, createdAt]
+      );
+      return result.rows[0].id;
+    },
+
+    /**
+     * Busca o registro pelo ID
+     * @param {string} id - ID do registro
+     * @returns {Object|null} Registro ou null
+     */
+    async findById(id) {
+      const result = await pool.query('SELECT * FROM auth_tokens WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Busca o registro pelo ID, apenas se não revogado
+     * @param {string} id - ID do registro
+     * @returns {Object|null} Registro ou null
+     */
+    async findActiveById(id) {
+      const result = await pool.query(
+        'SELECT * FROM auth_tokens WHERE id = $1 AND revoked = FALSE',
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Busca o registro pelo token de acesso
+     * @param {string} token - Token de acesso
+     * @returns {Object|null} Registro ou null
+     */
+    async findByToken(token) {
+      const result = await pool.query('SELECT * FROM auth_tokens WHERE token = $1', [token]);
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Busca o registro pelo refresh token, revogado ou não
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object|null} Registro ou null
+     */
+    async findByRefreshToken(refreshToken) {
+      const result = await pool.query(
+        'SELECT * FROM auth_tokens WHERE refresh_token = $1',
+        [refreshToken]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Lista as sessões ativas do usuário, da mais recente para a mais antiga
+     * @param {string} userId - ID do usuário
+     * @returns {Object[]} Registros ativos
+     */
+    async listActiveForUser(userId) {
+      const result = await pool.query(
+        `SELECT * FROM auth_tokens
+         WHERE user_id = $1 AND revoked = FALSE AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Marca o registro como rotacionado, de forma atômica
+     * @param {string} id - ID do registro
+     * @returns {boolean} Verdadeiro se o registro ainda estava ativo
+     */
+    async rotate(id) {
+      const result = await pool.query(
+        'UPDATE auth_tokens SET revoked = TRUE, rotated_at = NOW() WHERE id = $1 AND revoked = FALSE',
+        [id]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Vincula o registro rotacionado ao seu sucessor
+     * @param {string} id - ID do registro rotacionado
+     * @param {string} replacedBy - ID do novo registro
+     */
+    async setReplacedBy(id, replacedBy) {
+      await pool.query(
+        'UPDATE auth_tokens SET replaced_by = $1 WHERE id = $2',
+        [replacedBy, id]
+      );
+    },
+
+    /**
+     * Revoga a sessão do token de acesso informado
+     * @param {string} token - Token de acesso
+     */
+    async revokeByToken(token) {
+      await pool.query('UPDATE auth_tokens SET revoked = TRUE WHERE token = $1', [token]);
+    },
+
+    /**
+     * Revoga uma sessão do usuário
+     * @param {string} id - ID do registro
+     * @param {string} userId - Dono da sessão
+     * @returns {boolean} Verdadeiro se a sessão existia e estava ativa
+     */
+    async revokeById(id, userId) {
+      const result = await pool.query(
+        'UPDATE auth_tokens SET revoked = TRUE WHERE id = $1 AND user_id = $2 AND revoked = FALSE',
+        [id, userId]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Revoga todos os tokens de uma família (sessão)
+     * @param {string} familyId - ID da família
+     */
+    async revokeFamily(familyId) {
+      await pool.query(
+        'UPDATE auth_tokens SET revoked = TRUE WHERE family_id = $1 AND revoked = FALSE',
+        [familyId]
+      );
+    },
+
+    /**
+     * Revoga todas as sessões do usuário
+     * @param {string} userId - ID do usuário
+     * @param {Object} [options] - exceptToken: token de acesso da sessão a preservar
+     * @returns {number} Quantidade de sessões revogadas
+     */
+    async revokeAllForUser(userId, { exceptToken = null } = {}) {
+      const result = await pool.query(
+        `UPDATE auth_tokens SET revoked = TRUE
+         WHERE user_id = $1 AND revoked = FALSE AND ($2::text IS NULL OR token <> $2)`,
+        [userId, exceptToken]
+      );
+      return result.rowCount;
+    },
+
+    /**
+     * Registra o uso da sessão, no máximo uma escrita por intervalo
+     * @param {string} token - Token de acesso
+     * @param {number} intervalMs - Intervalo mínimo entre escritas
+     */
+    async touch(token, intervalMs) {
+      await pool.query(
+        `UPDATE auth_tokens SET last_used_at = NOW()
+         WHERE token = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - $2 * INTERVAL '1 millisecond')`,
+        [token, intervalMs]
+      );
+    },
+  };
+}
+
+module.exports = {
+  createAuthTokenRepository,
+};
@@ -0,0 +1,74 @@
+// index.js - Implementação dos repositórios sobre PostgreSQL
+
+const { Pool } = require('pg');
+const { createUserRepository, createRoleRepository } = require('./users');
+const { createAuthTokenRepository } = require('./authTokens');
+const { createLoginAttemptRepository } = require('./loginAttempts');
+const {
+  createMfaChallengeRepository,
+  createMfaCodeRepository,
+  createRecoveryCodeRepository,
+} = require('./mfa');
+const { createOneTimeTokenRepository } = require('./oneTimeTokens');
+const {
+  createWebAuthnCredentialRepository,
+  createWebAuthnChallengeRepository,
+} = require('./webauthn');
+const { createAuditEventRepository } = require('./auditEvents');
+const { createKnownDeviceRepository } = require('./knownDevices');
+const { createPasswordHistoryRepository } = require('./passwordHistory');
+const { createSigningKeyRepository } = require('./signingKeys');
+const {
+  createOAuthClientRepository,
+  createOAuthConsentRepository,
+  createOAuthCodeRepository,
+} = require('./oauth');
+const { createUserIdentityRepository } = require('./userIdentities');
+const { createPersonalTokenRepository } = require('./personalTokens');
+
+/**
+ * Cria os repositórios conectados ao PostgreSQL
+ * @param {Object} [options] - connectionString: URL do banco (padrão: DATABASE_URL)
+ * @returns {Object} Repositórios e a função close()
+ */
+function createPostgresRepositories({ connectionString = process.env.DATABASE_URL } = {}) {
+  const pool = new Pool({ connectionString });
+
+  return {
+    pool,
+    users: createUserRepository(pool),
+    roles: createRoleRepository(pool),
+    authTokens: createAuthTokenRepository(pool),
+    loginAttempts: createLoginAttemptRepository(pool),
+    mfaChallenges: createMfaChallengeRepository(pool),
+    mfaCodes: createMfaCodeRepository(pool),
+    recoveryCodes: createRecoveryCodeRepository(pool),
+    passwordResetTokens: createOneTimeTokenRepository(pool, 'password_reset_tokens'),
+    emailVerificationTokens: createOneTimeTokenRepository(pool, 'email_verification_tokens'),
+    accountUnlockTokens: createOneTimeTokenRepository(pool, 'account_unlock_tokens'),
+    sessionRevokeTokens: createOneTimeTokenRepository(pool, 'session_revoke_tokens'),
+    ssoLoginTokens: createOneTimeTokenRepository(pool, 'sso_login_tokens'),
+    webauthnCredentials: createWebAuthnCredentialRepository(pool),
+    webauthnChallenges: createWebAuthnChallengeRepository(pool),
+    auditEvents: createAuditEventRepository(pool),
+    knownDevices: createKnownDeviceRepository(pool),
+    passwordHistory: createPasswordHistoryRepository(pool),
+    signingKeys: createSigningKeyRepository(pool),
+    oauthClients: createOAuthClientRepository(pool),
+    oauthConsents: createOAuthConsentRepository(pool),
+    oauthCodes: createOAuthCodeRepository(pool),
+    userIdentities: createUserIdentityRepository(pool),
+    personalTokens: createPersonalTokenRepository(pool),
+
+    /**
+     * Encerra as conexões do pool
+     */
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+module.exports = {
+  createPostgresRepositories,
+};
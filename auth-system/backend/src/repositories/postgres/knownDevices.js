@@ -0,0 +1,54 @@
+// knownDevices.js - Repositório dos dispositivos já usados no login (PostgreSQL)
+
+/**
+ * Cria o repositório de dispositivos conhecidos
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de dispositivos
+ */
+function createKnownDeviceRepository(pool) {
+  return {
+    /**
+     * Indica se o usuário já tem algum dispositivo registrado
+     * @param {string} userId - ID do usuário
+     * @returns {boolean} Verdadeiro se houver ao menos um
+     */
+    async existsForUser(userId) {
+      const result = await pool.query(
+        'SELECT 1 FROM known_devices WHERE user_id = $1 LIMIT 1',
+        [userId]
+      );
+      return result.rows.length > 0;
+    },
+
+    /**
+     * Registra o uso do dispositivo, criando-o se ainda não for conhecido
+     * @param {Object} data - Dados do dispositivo ({ userId, fingerprint, client, ipAddress })
+     * @returns {boolean} Verdadeiro se o dispositivo é novo
+     */
+    async record({ userId, fingerprint, client, ipAddress }) {
+      // xmax = 0 apenas em linhas recém-inseridas
+      const result = await pool.query(
+        `INSERT INTO known_devices (user_id, fingerprint, client, ip_address) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, fingerprint)
+         DO UPDATE SET last_seen_at = NOW(), ip_address = EXCLUDED.ip_address
+         RETURNING (xmax = 0) AS inserted`,
+        [userId, fingerprint, client, ipAddress]
+      );
+      return result.rows[0].inserted;
+    },
+
+    /**
+     * Esquece todos os dispositivos do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade removida
+     */
+    async deleteByUser(userId) {
+      const result = await pool.query('DELETE FROM known_devices WHERE user_id = $1', [userId]);
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = {
+  createKnownDeviceRepository,
+};
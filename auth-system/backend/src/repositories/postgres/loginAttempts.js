@@ -0,0 +1,82 @@
+// loginAttempts.js - Repositório das tentativas de login (PostgreSQL)
+
+/**
+ * Cria o repositório de tentativas de login
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de tentativas
+ */
+function createLoginAttemptRepository(pool) {
+  return {
+    /**
+     * Registra uma tentativa de login
+     * @param {Object} data - Dados da tentativa ({ userId, login, ipAddress, success })
+     *   userId é nulo quando o usuário informado não existe
+     */
+    async record({ userId = null, login = null, ipAddress = null, success }) {
+      await pool.query(
+        'INSERT INTO login_attempts (user_id, login, ip_address, success) VALUES ($1, $2, $3, $4)',
+        [userId, login, ipAddress, success]
+      );
+    },
+
+    /**
+     * Resume as tentativas falhas do usuário a partir de um instante, ignorando as já zeradas
+     * @param {string} userId - ID do usuário
+     * @param {Date} since - Início da janela
+     * @returns {Object} { count, lastFailureAt }
+     */
+    async getFailureStats(userId, since) {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count, MAX(created_at) AS last_failure_at FROM login_attempts
+         WHERE user_id = $1 AND success = FALSE AND cleared_at IS NULL AND created_at > $2`,
+        [userId, since]
+      );
+      return {
+        count: Number(result.rows[0].count),
+        lastFailureAt: result.rows[0].last_failure_at,
+      };
+    },
+
+    /**
+     * Resume as tentativas falhas de um IP a partir de um instante
+     * Contas distintas contam também logins inexistentes, típico de credential stuffing
+     * @param {string} ipAddress - Endereço IP
+     * @param {Date} since - Início da janela
+     * @returns {Object} { count, accounts, lastFailureAt }
+     */
+    async getIpFailureStats(ipAddress, since) {
+      const result = await pool.query(
+        `SELECT COUNT(*) AS count,
+                COUNT(DISTINCT COALESCE(user_id::text, LOWER(login))) AS accounts,
+                MAX(created_at) AS last_failure_at
+         FROM login_attempts
+         WHERE ip_address = $1 AND success = FALSE AND created_at > $2`,
+        [ipAddress, since]
+      );
+      return {
+        count: Number(result.rows[0].count),
+        accounts: Number(result.rows[0].accounts),
+        lastFailureAt: result.rows[0].last_failure_at,
+      };
+    },
+
+    /**
+     * Zera as tentativas falhas do usuário, desbloqueando a conta.
+     * Os registros são mantidos: continuam contando no bloqueio por IP
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade de tentativas zeradas
+     */
+    async clearFailures(userId) {
+      const result = await pool.query(
+        `UPDATE login_attempts SET cleared_at = NOW()
+         WHERE user_id = $1 AND success = FALSE AND cleared_at IS NULL`,
+        [userId]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = {
+  createLoginAttemptRepository,
+};
@@ -0,0 +1,162 @@
+// mfa.js - Repositórios da verificação em duas etapas (PostgreSQL)
+
+/**
+ * Cria o repositório de desafios de MFA
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de desafios
+ */
+function createMfaChallengeRepository(pool) {
+  return {
+    /**
+     * Registra um desafio de MFA
+     * @param {Object} data - Dados do desafio; loginMethod é o primeiro fator ('password' ou 'sso')
+     */
+    async create({ id, userId, method, webauthnChallenge, rememberMe, loginMethod = 'password', expiresAt }) {
+      await pool.query(
+        `INSERT INTO mfa_challenges (id, user_id, method, webauthn_challenge, remember_me, login_method, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [id, userId, method, webauthnChallenge, rememberMe, loginMethod, expiresAt]
+      );
+    },
+
+    /**
+     * Busca um desafio aberto e não expirado
+     * @param {string} id - ID do desafio
+     * @returns {Object|null} Desafio ou null
+     */
+    async findActive(id) {
+      const result = await pool.query(
+        `SELECT * FROM mfa_challenges
+         WHERE id = $1 AND consumed = FALSE AND expires_at > NOW()`,
+        [id]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Soma uma tentativa incorreta e encerra o desafio ao atingir o limite
+     * @param {string} id - ID do desafio
+     * @param {number} maxAttempts - Limite de tentativas
+     * @returns {number} Tentativas já feitas
+     */
+    async recordFailure(id, maxAttempts) {
+      const result = await pool.query(
+        `UPDATE mfa_challenges
+         SET attempts = attempts + 1, consumed = (attempts + 1 >= $2)
+         WHERE id = $1
+         RETURNING attempts`,
+        [id, maxAttempts]
+      );
+      return result.rows.length > 0 ? result.rows[0].attempts : maxAttempts;
+    },
+
+    /**
+     * Encerra o desafio
+     * @param {string} id - ID do desafio
+     * @returns {boolean} Verdadeiro se o desafio ainda estava aberto
+     */
+    async consume(id) {
+      const result = await pool.query(
+        'UPDATE mfa_challenges SET consumed = TRUE WHERE id = $1 AND consumed = FALSE',
+        [id]
+      );
+      return result.rowCount > 0;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de MFA enviados por e-mail
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de códigos
+ */
+function createMfaCodeRepository(pool) {
+  return {
+    /**
+     * Registra um código enviado
+     * @param {Object} data - Dados do código ({ userId, challengeId, code, expiresAt })
+     */
+    async create({ userId, challengeId, code, expiresAt }) {
+      await pool.query(
+        'INSERT INTO mfa_codes (user_id, challenge_id, code, expires_at) VALUES ($1, $2, $3, $4)',
+        [userId, challengeId, code, expiresAt]
+      );
+    },
+
+    /**
+     * Marca o código do desafio como usado, de forma atômica
+     * @param {string} challengeId - ID do desafio
+     * @param {string} code - Código informado
+     * @returns {boolean} Verdadeiro se o código era válido
+     */
+    async consume(challengeId, code) {
+      const result = await pool.query(
+        `UPDATE mfa_codes SET used = TRUE
+         WHERE challenge_id = $1 AND code = $2 AND used = FALSE AND expires_at > NOW()
+         RETURNING id`,
+        [challengeId, code]
+      );
+      return result.rows.length > 0;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de recuperação
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de códigos de recuperação
+ */
+function createRecoveryCodeRepository(pool) {
+  return {
+    /**
+     * Substitui todos os códigos do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string[]} codeHashes - Hashes dos novos códigos
+     */
+    async replace(userId, codeHashes) {
+      // Em transação, para que uma falha no meio não deixe o usuário com parte dos códigos
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+        for (const codeHash of codeHashes) {
+          await client.query(
+            'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, codeHash]
+          );
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    /**
+     * Marca um código como usado, de forma atômica
+     * @param {string} userId - ID do usuário
+     * @param {string} codeHash - Hash do código informado
+     * @returns {boolean} Verdadeiro se o código existia e não tinha sido usado
+     */
+    async consume(userId, codeHash) {
+      const result = await pool.query(
+        `UPDATE mfa_recovery_codes SET used_at = NOW()
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [userId, codeHash]
+      );
+      return result.rows.length > 0;
+    },
+  };
+}
+
+module.exports = {
+  createMfaChallengeRepository,
+  createMfaCodeRepository,
+  createRecoveryCodeRepository,
+};
@@ -0,0 +1,200 @@
+// oauth.js - Repositórios do provedor OpenID Connect: clientes, consentimentos e códigos (PostgreSQL)
+
+/**
+ * Cria o repositório de aplicativos clientes
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de clientes
+ */
+function createOAuthClientRepository(pool) {
+  return {
+    /**
+     * Busca o cliente pelo client_id
+     * @param {string} id - client_id
+     * @returns {Object|null} Cliente ou null
+     */
+    async findById(id) {
+      const result = await pool.query('SELECT * FROM oauth_clients WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Lista os clientes cadastrados
+     * @returns {Object[]} Clientes, do mais antigo para o mais novo
+     */
+    async list() {
+      const result = await pool.query('SELECT * FROM oauth_clients ORDER BY created_at');
+      return result.rows;
+    },
+
+    /**
+     * Cadastra um cliente
+     * @param {Object} data - { id, name, secretHash, redirectUris }; secretHash nulo para clientes públicos
+     */
+    async create({ id, name, secretHash, redirectUris }) {
+      await pool.query(
+        'INSERT INTO oauth_clients (id, name, secret_hash, redirect_uris) VALUES ($1, $2, $3, $4)',
+        [id, name, secretHash, redirectUris]
+      );
+    },
+
+    /**
+     * Remove o cliente com seus consentimentos e códigos pendentes
+     * @param {string} id - client_id
+     * @returns {boolean} Verdadeiro se existia
+     */
+    async delete(id) {
+      const result = await pool.query('DELETE FROM oauth_clients WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de consentimentos dados pelos usuários aos clientes
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de consentimentos
+ */
+function createOAuthConsentRepository(pool) {
+  return {
+    /**
+     * Busca o consentimento do usuário para o cliente
+     * @param {string} userId - ID do usuário
+     * @param {string} clientId - client_id
+     * @returns {Object|null} Consentimento ou null
+     */
+    async find(userId, clientId) {
+      const result = await pool.query(
+        'SELECT * FROM oauth_consents WHERE user_id = $1 AND client_id = $2',
+        [userId, clientId]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Lista os aplicativos autorizados pelo usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object[]} Consentimentos com o nome do cliente (client_name)
+     */
+    async listByUser(userId) {
+      const result = await pool.query(
+        `SELECT oauth_consents.*, oauth_clients.name AS client_name
+         FROM oauth_consents JOIN oauth_clients ON oauth_clients.id = oauth_consents.client_id
+         WHERE oauth_consents.user_id = $1
+         ORDER BY oauth_consents.granted_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Registra o consentimento, somando os escopos aos já concedidos
+     * @param {string} userId - ID do usuário
+     * @param {string} clientId - client_id
+     * @param {string[]} scopes - Escopos aprovados
+     */
+    async grant(userId, clientId, scopes) {
+      await pool.query(
+        `INSERT INTO oauth_consents (user_id, client_id, scopes) VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, client_id) DO UPDATE SET
+           scopes = ARRAY(SELECT DISTINCT unnest(oauth_consents.scopes || EXCLUDED.scopes)),
+           granted_at = NOW()`,
+        [userId, clientId, scopes]
+      );
+    },
+
+    /**
+     * Revoga o consentimento do usuário para o cliente
+     * @param {string} userId - ID do usuário
+     * @param {string} clientId - client_id
+     * @returns {boolean} Verdadeiro se existia
+     */
+    async revoke(userId, clientId) {
+      const result = await pool.query(
+        'DELETE FROM oauth_consents WHERE user_id = $1 AND client_id = $2',
+        [userId, clientId]
+      );
+      return result.rowCount > 0;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de códigos de autorização
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de códigos
+ */
+function createOAuthCodeRepository(pool) {
+  return {
+    /**
+     * Registra um código de autorização
+     * @param {Object} data - Dados do código, com o hash do código entregue ao cliente
+     */
+    async create({ codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, authTime, expiresAt }) {
+      await pool.query(
+        `INSERT INTO oauth_authorization_codes
+           (code_hash, client_id, user_id, redirect_uri, scopes, nonce, code_challenge, auth_time, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, authTime, expiresAt]
+      );
+    },
+
+    /**
+     * Consome o código de forma atômica para que não possa ser trocado duas vezes
+     * @param {string} codeHash - Hash do código recebido
+     * @returns {Object|null} Código ou null se inválido, usado ou expirado
+     */
+    async consume(codeHash) {
+      const result = await pool.query(
+        `UPDATE oauth_authorization_codes SET used = TRUE
+         WHERE code_hash = $1 AND used = FALSE AND expires_at > NOW()
+         RETURNING *`,
+        [codeHash]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Registra o token de acesso emitido na troca do código
+     * @param {string} codeHash - Hash do código
+     * @param {string} tokenId - jti do token de acesso
+     */
+    async recordToken(codeHash, tokenId) {
+      await pool.query(
+        'UPDATE oauth_authorization_codes SET token_id = $2 WHERE code_hash = $1',
+        [codeHash, tokenId]
+      );
+    },
+
+    /**
+     * Revoga o token emitido com um código já trocado
+     * @param {string} codeHash - Hash do código reapresentado
+     * @returns {boolean} Verdadeiro se o código existia e já tinha sido usado
+     */
+    async revoke(codeHash) {
+      const result = await pool.query(
+        'UPDATE oauth_authorization_codes SET revoked = TRUE WHERE code_hash = $1 AND used = TRUE',
+        [codeHash]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Verifica se o token de acesso foi revogado pela reapresentação do seu código
+     * @param {string} tokenId - jti do token de acesso
+     * @returns {boolean} Verdadeiro se revogado
+     */
+    async isTokenRevoked(tokenId) {
+      const result = await pool.query(
+        'SELECT 1 FROM oauth_authorization_codes WHERE token_id = $1 AND revoked = TRUE',
+        [tokenId]
+      );
+      return result.rows.length > 0;
+    },
+  };
+}
+
+module.exports = {
+  createOAuthClientRepository,
+  createOAuthConsentRepository,
+  createOAuthCodeRepository,
+};
@@ -0,0 +1,66 @@
+// oneTimeTokens.js - Repositório de tokens de uso único enviados por e-mail (PostgreSQL)
+// Usado para os tokens enviados por e-mail (redefinição de senha, verificação, desbloqueio etc.), que têm a mesma estrutura
+
+/**
+ * Cria o repositório de tokens de uso único para uma tabela
+ * @param {Object} pool - Pool de conexões do pg
+ * @param {string} table - Tabela (ex.: 'password_reset_tokens')
+ * @returns {Object} Repositório de tokens
+ */
+function createOneTimeTokenRepository(pool, table) {
+  return {
+    /**
+     * Registra um token
+     * @param {Object} data - Dados do token ({ userId, token, expiresAt })
+     */
+    async create({ userId, token, expiresAt }) {
+      await pool.query(
+        `INSERT INTO ${table} (user_id, token, expires_at) VALUES ($1, $2, $3)`,
+        [userId, token, expiresAt]
+      );
+    },
+
+    /**
+     * Busca o usuário de um token válido sem consumi-lo
+     * @param {string} token - Token recebido
+     * @returns {string|null} ID do usuário ou null se inválido, usado ou expirado
+     */
+    async findUserId(token) {
+      const result = await pool.query(
+        `SELECT user_id FROM ${table} WHERE token = $1 AND used = FALSE AND expires_at > NOW()`,
+        [token]
+      );
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+    },
+
+    /**
+     * Consome o token de forma atômica para que não possa ser usado duas vezes
+     * @param {string} token - Token recebido
+     * @returns {string|null} ID do usuário ou null se inválido, usado ou expirado
+     */
+    async consume(token) {
+      const result = await pool.query(
+        `UPDATE ${table} SET used = TRUE
+         WHERE token = $1 AND used = FALSE AND expires_at > NOW()
+         RETURNING user_id`,
+        [token]
+      );
+      return result.rows.length > 0 ? result.rows[0].user_id : null;
+    },
+
+    /**
+     * Invalida os tokens pendentes do usuário
+     * @param {string} userId - ID do usuário
+     */
+    async invalidateForUser(userId) {
+      await pool.query(
+        `UPDATE ${table} SET used = TRUE WHERE user_id = $1 AND used = FALSE`,
+        [userId]
+      );
+    },
+  };
+}
+
+module.exports = {
+  createOneTimeTokenRepository,
+};
@@ -0,0 +1,48 @@
+// passwordHistory.js - Repositório do histórico de senhas (PostgreSQL)
+
+/**
+ * Cria o repositório do histórico de senhas
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório do histórico
+ */
+function createPasswordHistoryRepository(pool) {
+  return {
+    /**
+     * Registra uma nova senha e descarta as mais antigas
+     * @param {string} userId - ID do usuário
+     * @param {string} passwordHash - Hash da senha definida
+     * @param {number} keep - Quantidade de senhas mantidas no histórico
+     */
+    async add(userId, passwordHash, keep) {
+      await pool.query(
+        'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+        [userId, passwordHash]
+      );
+      await pool.query(
+        `DELETE FROM password_history
+         WHERE user_id = $1 AND id NOT IN (
+           SELECT id FROM password_history WHERE user_id = $1 ORDER BY id DESC LIMIT $2
+         )`,
+        [userId, keep]
+      );
+    },
+
+    /**
+     * Lista os hashes mais recentes do usuário
+     * @param {string} userId - ID do usuário
+     * @param {number} limit - Quantidade máxima
+     * @returns {string[]} Hashes, do mais recente para o mais antigo
+     */
+    async listRecent(userId, limit) {
+      const result = await pool.query(
+        'SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY id DESC LIMIT $2',
+        [userId, limit]
+      );
+      return result.rows.map((row) => row.password_hash);
+    },
+  };
+}
+
+module.exports = {
+  createPasswordHistoryRepository,
+};
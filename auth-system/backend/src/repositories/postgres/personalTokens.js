@@ -0,0 +1,96 @@
+// personalTokens.js - Repositório dos tokens de acesso pessoal (PostgreSQL)
+
+/**
+ * Cria o repositório de tokens de acesso pessoal
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de tokens
+ */
+function createPersonalTokenRepository(pool) {
+  return {
+    /**
+     * Registra um token
+     * @param {Object} data - { userId, name, tokenHash, prefix, scopes, expiresAt }
+     * @returns {Object} Registro criado
+     */
+    async create({ userId, name, tokenHash, prefix, scopes, expiresAt }) {
+      const result = await pool.query(
+        `INSERT INTO personal_access_tokens (user_id, name, token_hash, prefix, scopes, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [userId, name, tokenHash, prefix, scopes, expiresAt]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Busca o token pelo hash, revogado ou expirado inclusive
+     * @param {string} tokenHash - SHA-256 do token recebido
+     * @returns {Object|null} Registro ou null
+     */
+    async findByHash(tokenHash) {
+      const result = await pool.query(
+        'SELECT * FROM personal_access_tokens WHERE token_hash = $1',
+        [tokenHash]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Lista os tokens não revogados do usuário, expirados inclusive, do mais novo para o mais antigo
+     * @param {string} userId - ID do usuário
+     * @returns {Object[]} Registros
+     */
+    async listByUser(userId) {
+      const result = await pool.query(
+        `SELECT * FROM personal_access_tokens
+         WHERE user_id = $1 AND revoked_at IS NULL
+         ORDER BY created_at DESC`,
+        [userId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Registra o uso do token
+     * @param {string} id - ID do token
+     * @param {string} ipAddress - IP de origem
+     */
+    async recordUse(id, ipAddress) {
+      await pool.query(
+        'UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+        [id, ipAddress]
+      );
+    },
+
+    /**
+     * Revoga um token do usuário
+     * @param {string} id - ID do token
+     * @param {string} userId - Dono do token
+     * @returns {boolean} Verdadeiro se o token existia e não estava revogado
+     */
+    async revoke(id, userId) {
+      const result = await pool.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+        [id, userId]
+      );
+      return result.rowCount > 0;
+    },
+
+    /**
+     * Revoga todos os tokens do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade de tokens revogados
+     */
+    async revokeAllForUser(userId) {
+      const result = await pool.query(
+        'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = {
+  createPersonalTokenRepository,
+};
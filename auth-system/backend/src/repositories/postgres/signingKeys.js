@@ -0,0 +1,85 @@
+// signingKeys.js - Repositório das chaves de assinatura dos tokens (PostgreSQL)
+
+/**
+ * Converte a linha do banco para o formato usado pelo serviço de chaves
+ * @param {Object} row - Linha de signing_keys
+ * @returns {Object} Chave
+ */
+function toKey(row) {
+  return {
+    kid: row.kid,
+    algorithm: row.algorithm,
+    privateKey: row.private_key,
+    publicJwk: row.public_jwk,
+    status: row.status,
+    createdAt: row.created_at,
+    retireAt: row.retire_at,
+  };
+}
+
+/**
+ * Cria o repositório de chaves de assinatura
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de chaves
+ */
+function createSigningKeyRepository(pool) {
+  return {
+    /**
+     * Lista a chave ativa e as chaves em aposentadoria ainda válidas, da mais nova para a mais antiga
+     * @returns {Object[]} Chaves
+     */
+    async listValid() {
+      const result = await pool.query(
+        `SELECT * FROM signing_keys
+         WHERE status = 'active' OR retire_at > NOW()
+         ORDER BY created_at DESC`
+      );
+      return result.rows.map(toKey);
+    },
+
+    /**
+     * Ativa uma nova chave; a chave ativa anterior passa a aposentadoria até retireAt
+     * @param {Object} key - { kid, algorithm, privateKey, publicJwk }
+     * @param {Date} retireAt - Até quando a chave anterior ainda verifica tokens
+     */
+    async rotate({ kid, algorithm, privateKey, publicJwk }, retireAt) {
+      // Em transação, para que nunca existam duas chaves ativas; em rotações simultâneas
+      // a segunda falha no índice único e a primeira prevalece
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        await client.query(
+          "UPDATE signing_keys SET status = 'retiring', retire_at = $1 WHERE status = 'active'",
+          [retireAt]
+        );
+        await client.query(
+          `INSERT INTO signing_keys (kid, algorithm, private_key, public_jwk, status)
+           VALUES ($1, $2, $3, $4, 'active')`,
+          [kid, algorithm, privateKey, JSON.stringify(publicJwk)]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    /**
+     * Remove as chaves cuja aposentadoria terminou
+     * @returns {number} Quantidade removida
+     */
+    async deleteRetired() {
+      const result = await pool.query(
+        "DELETE FROM signing_keys WHERE status = 'retiring' AND retire_at <= NOW()"
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+module.exports = {
+  createSigningKeyRepository,
+};
@@ -0,0 +1,66 @@
+// userIdentities.js - Repositório das contas em provedores externos vinculadas aos usuários (PostgreSQL)
+
+/**
+ * Cria o repositório de identidades externas
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de identidades
+ */
+function createUserIdentityRepository(pool) {
+  return {
+    /**
+     * Busca a identidade pelo provedor e pela claim sub
+     * @param {string} provider - ID do provedor
+     * @param {string} subject - Identificador do usuário no provedor
+     * @returns {Object|null} Identidade ou null
+     */
+    async find(provider, subject) {
+      const result = await pool.query(
+        'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+        [provider, subject]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Lista as identidades vinculadas ao usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object[]} Identidades, da mais antiga para a mais nova
+     */
+    async listByUser(userId) {
+      const result = await pool.query(
+        'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at',
+        [userId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Vincula uma identidade externa ao usuário
+     * @param {Object} data - { provider, subject, userId, email }
+     */
+    async create({ provider, subject, userId, email }) {
+      await pool.query(
+        'INSERT INTO user_identities (provider, subject, user_id, email) VALUES ($1, $2, $3, $4)',
+        [provider, subject, userId, email]
+      );
+    },
+
+    /**
+     * Registra um login pela identidade, atualizando o e-mail informado pelo provedor
+     * @param {string} provider - ID do provedor
+     * @param {string} subject - Identificador do usuário no provedor
+     * @param {string|null} email - E-mail atual no provedor
+     */
+    async recordLogin(provider, subject, email) {
+      await pool.query(
+        `UPDATE user_identities SET last_login_at = NOW(), email = $3
+         WHERE provider = $1 AND subject = $2`,
+        [provider, subject, email]
+      );
+    },
+  };
+}
+
+module.exports = {
+  createUserIdentityRepository,
+};
@@ -0,0 +1,195 @@
+// users.js - Repositórios de usuários e papéis (PostgreSQL)
+
+// Colunas que podem ser alteradas por update(); evita montar SQL com nomes arbitrários
+const UPDATABLE_COLUMNS = [
+  'password_hash',
+  'is_active',
+  'email_verified',
+  'mfa_enabled',
+  'mfa_method',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_last_counter',
+];
+
+/**
+ * Cria o repositório de usuários
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de usuários
+ */
+function createUserRepository(pool) {
+  return {
+    /**
+     * Busca usuário pelo ID
+     * @param {string} id - ID do usuário
+     * @returns {Object|null} Usuário ou null
+     */
+    async findById(id) {
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Busca usuário pelo nome de usuário ou e-mail
+     * @param {string} login - Nome de usuário ou e-mail
+     * @returns {Object|null} Usuário ou null
+     */
+    async findByLogin(login) {
+      const result = await pool.query(
+        'SELECT * FROM users WHERE username = $1 OR email = $1',
+        [login]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Busca usuário pelo e-mail
+     * @param {string} email - E-mail do usuário
+     * @returns {Object|null} Usuário ou null
+     */
+    async findByEmail(email) {
+      const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Verifica se o nome de usuário ou o e-mail já estão em uso
+     * @param {string} username - Nome de usuário
+     * @param {string} email - E-mail
+     * @returns {boolean} Verdadeiro se algum dos dois já existir
+     */
+    async existsByUsernameOrEmail(username, email) {
+      const result = await pool.query(
+        'SELECT id FROM users WHERE username = $1 OR email = $2',
+        [username, email]
+      );
+      return result.rows.length > 0;
+    },
+
+    /**
+     * Cria uma conta ativa com e-mail ainda não verificado
+     * @param {Object} data - Dados da conta ({ username, email, passwordHash })
+     * @returns {Object} Usuário criado
+     */
+    async create({ username, email, passwordHash }) {
+      const result = await pool.query(
+        `INSERT INTO users (username, email, password_hash, is_active, email_verified)
+         VALUES ($1, $2, $3, TRUE, FALSE)
+         RETURNING *`,
+        [username, email, passwordHash]
+      );
+      return result.rows[0];
+    },
+
+    /**
+     * Atualiza colunas do usuário
+     * @param {string} id - ID do usuário
+     * @param {Object} changes - Colunas e novos valores
+     */
+    async update(id, changes) {
+      const columns = Object.keys(changes);
+      const invalid = columns.find((column) => !UPDATABLE_COLUMNS.includes(column));
+      if (invalid) {
+        throw new Error(`Coluna não pode ser alterada: ${invalid}`);
+      }
+      if (columns.length === 0) return;
+
+      const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+      await pool.query(
+        `UPDATE users SET ${assignments.join(', ')} WHERE id = $1`,
+        [id, ...columns.map((column) => changes[column])]
+      );
+    },
+
+    /**
+     * Avança o último passo TOTP aceito, apenas se for mais recente que o anterior
+     * @param {string} id - ID do usuário
+     * @param {number} counter - Passo de tempo do código aceito
+     * @returns {boolean} Verdadeiro se o passo ainda não tinha sido usado
+     */
+    async advanceTotpCounter(id, counter) {
+      const result = await pool.query(
+        `UPDATE users SET totp_last_counter = $1
+         WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1)`,
+        [counter, id]
+      );
+      return result.rowCount > 0;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de papéis e permissões
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de papéis
+ */
+function createRoleRepository(pool) {
+  return {
+    /**
+     * Carrega papéis e permissões do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object} Papéis e permissões ({ roles, permissions })
+     */
+    async getUserAccess(userId) {
+      const result = await pool.query(
+        `SELECT roles.name AS role, permissions.name AS permission
+         FROM user_roles
+         JOIN roles ON roles.id = user_roles.role_id
+         LEFT JOIN role_permissions ON role_permissions.role_id = roles.id
+         LEFT JOIN permissions ON permissions.id = role_permissions.permission_id
+         WHERE user_roles.user_id = $1`,
+        [userId]
+      );
+
+      const roles = new Set();
+      const permissions = new Set();
+      for (const row of result.rows) {
+        roles.add(row.role);
+        if (row.permission) {
+          permissions.add(row.permission);
+        }
+      }
+
+      return { roles: [...roles], permissions: [...permissions] };
+    },
+
+    /**
+     * Verifica se o papel existe
+     * @param {string} roleName - Nome do papel
+     * @returns {boolean} Verdadeiro se existir
+     */
+    async exists(roleName) {
+      const result = await pool.query('SELECT id FROM roles WHERE name = $1', [roleName]);
+      return result.rows.length > 0;
+    },
+
+    /**
+     * Atribui um papel ao usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} roleName - Nome do papel
+     */
+    async assign(userId, roleName) {
+      await pool.query(
+        'INSERT INTO user_roles (user_id, role_id) SELECT $1, id FROM roles WHERE name = $2',
+        [userId, roleName]
+      );
+    },
+
+    /**
+     * Remove um papel do usuário
+     * @param {string} userId - ID do usuário
+     * @param {string} roleName - Nome do papel
+     */
+    async revoke(userId, roleName) {
+      await pool.query(
+        'DELETE FROM user_roles WHERE user_id = $1 AND role_id = (SELECT id FROM roles WHERE name = $2)',
+        [userId, roleName]
+      );
+    },
+  };
+}
+
+module.exports = {
+  createUserRepository,
+  createRoleRepository,
+};
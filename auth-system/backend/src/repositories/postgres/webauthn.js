@@ -0,0 +1,114 @@
+// webauthn.js - Repositórios de passkeys e desafios WebAuthn (PostgreSQL)
+
+/**
+ * Cria o repositório de passkeys
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de passkeys
+ */
+function createWebAuthnCredentialRepository(pool) {
+  return {
+    /**
+     * Lista as passkeys do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {Object[]} Passkeys cadastradas
+     */
+    async listByUser(userId) {
+      const result = await pool.query(
+        'SELECT * FROM webauthn_credentials WHERE user_id = $1',
+        [userId]
+      );
+      return result.rows;
+    },
+
+    /**
+     * Busca a passkey pelo ID da credencial
+     * @param {string} credentialId - ID da credencial em base64url
+     * @returns {Object|null} Passkey ou null
+     */
+    async findByCredentialId(credentialId) {
+      const result = await pool.query(
+        'SELECT * FROM webauthn_credentials WHERE credential_id = $1',
+        [credentialId]
+      );
+      return result.rows[0] || null;
+    },
+
+    /**
+     * Cadastra uma passkey
+     * @param {Object} data - Dados da passkey
+     */
+    async create({ userId, credentialId, publicKey, signCount, transports, name }) {
+      await pool.query(
+        `INSERT INTO webauthn_credentials (user_id, credential_id, public_key, sign_count, transports, name)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, credentialId, JSON.stringify(publicKey), signCount, transports, name]
+      );
+    },
+
+    /**
+     * Atualiza o contador de assinaturas e o último uso
+     * @param {string} id - ID do registro
+     * @param {number} signCount - Novo contador
+     */
+    async recordUse(id, signCount) {
+      await pool.query(
+        'UPDATE webauthn_credentials SET sign_count = $1, last_used_at = NOW() WHERE id = $2',
+        [signCount, id]
+      );
+    },
+
+    /**
+     * Remove todas as passkeys do usuário
+     * @param {string} userId - ID do usuário
+     * @returns {number} Quantidade de passkeys removidas
+     */
+    async deleteByUser(userId) {
+      const result = await pool.query(
+        'DELETE FROM webauthn_credentials WHERE user_id = $1',
+        [userId]
+      );
+      return result.rowCount;
+    },
+  };
+}
+
+/**
+ * Cria o repositório de desafios WebAuthn pendentes
+ * @param {Object} pool - Pool de conexões do pg
+ * @returns {Object} Repositório de desafios
+ */
+function createWebAuthnChallengeRepository(pool) {
+  return {
+    /**
+     * Registra um desafio pendente
+     * @param {Object} data - Dados do desafio ({ challenge, type, userId, expiresAt })
+     */
+    async create({ challenge, type, userId, expiresAt }) {
+      await pool.query(
+        'INSERT INTO webauthn_challenges (challenge, type, user_id, expires_at) VALUES ($1, $2, $3, $4)',
+        [challenge, type, userId, expiresAt]
+      );
+    },
+
+    /**
+     * Remove e devolve o desafio, se ainda válido
+     * @param {string} challenge - Desafio em base64url
+     * @param {string} type - 'registration' ou 'authentication'
+     * @returns {Object|null} Desafio removido ou null
+     */
+    async consume(challenge, type) {
+      const result = await pool.query(
+        `DELETE FROM webauthn_challenges
+         WHERE challenge = $1 AND type = $2 AND expires_at > NOW()
+         RETURNING *`,
+        [challenge, type]
+      );
+      return result.rows[0] || null;
+    },
+  };
+}
+
+module.exports = {
+  createWebAuthnCredentialRepository,
+  createWebAuthnChallengeRepository,
+};
@@ -0,0 +1,300 @@
+// admin.js - Linha de comando para administração de usuários
+// Uso: node src/scripts/admin.js <comando> [usuário] [--opções]
+// A saída é sempre um objeto JSON em uma linha; o código de saída é 1 em caso de erro
+// Exige DB_DRIVER=postgres: no modo em memória o servidor não enxergaria as alterações
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
+
+const repositories = require('../repositories');
+const { hashPassword } = require('../services/passwordService');
+const { evaluatePassword, rememberPassword } = require('../services/passwordPolicy');
+const { notifyPasswordChanged, notifyMfaChanged } = require('../services/securityNoticeService');
+const { rotateSigningKey, listSigningKeys } = require('../services/signingKeyService');
+const { registerClient } = require('../services/oidcService');
+
+const USAGE = [
+  'Comandos:',
+  '  user:create --username NOME --email EMAIL --password SENHA [--role PAPEL] [--unverified]',
+  '  user:set-password USUÁRIO --password SENHA',
+  '  user:unlock USUÁRIO',
+  '  user:deactivate USUÁRIO',
+  '  user:activate USUÁRIO',
+  '  user:mfa-reset USUÁRIO [--remove-passkeys]',
+  '  sessions:revoke USUÁRIO',
+  '  keys:list',
+  '  keys:rotate',
+  '  oauth:client-create --name NOME --redirect-uris URI[,URI...] [--public]',
+  '  oauth:client-list',
+  '  oauth:client-delete CLIENT_ID',
+  'USUÁRIO pode ser o nome de usuário ou o e-mail.',
+].join('\n');
+
+// Erro de uso ou de dados informados pelo operador
+class CliError extends Error {}
+
+/**
+ * Separa argumentos posicionais e opções (--chave valor ou --flag)
+ * @param {string[]} argv - Argumentos após o comando
+ * @returns {Object} { positional, options }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i++;
+    }
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Valida a senha com a mesma política da API
+ * @param {string} password - Senha informada
+ * @param {Object} account - { username, email } do titular
+ */
+function assertPassword(password, account) {
+  if (typeof password !== 'string') {
+    throw new CliError('Informe --password');
+  }
+
+  const { errors } = evaluatePassword(password, account);
+  if (errors.length > 0) {
+    throw new CliError(errors[0]);
+  }
+}
+
+/**
+ * Busca o usuário informado como primeiro argumento posicional
+ * @param {string[]} positional - Argumentos posicionais
+ * @returns {Object} Usuário
+ */
+async function findUser(positional) {
+  const login = positional[0];
+  if (!login) {
+    throw new CliError('Informe o nome de usuário ou e-mail');
+  }
+
+  const user = await repositories.users.findByLogin(login);
+  if (!user) {
+    throw new CliError(`Usuário não encontrado: ${login}`);
+  }
+  return user;
+}
+
+/**
+ * Resumo do usuário para a saída JSON
+ * @param {Object} user - Registro do usuário
+ * @returns {Object} Campos públicos
+ */
+function describeUser(user) {
+  return { id: user.id, username: user.username, email: user.email };
+}
+
+const commands = {
+  async 'user:create'({ options }) {
+    const { username, email, password } = options;
+    if (typeof username !== 'string' || typeof email !== 'string') {
+      throw new CliError('Informe --username e --email');
+    }
+    assertPassword(password, { username, email });
+
+    if (await repositories.users.existsByUsernameOrEmail(username, email)) {
+      throw new CliError('Nome de usuário ou e-mail já cadastrado');
+    }
+
+    const role = typeof options.role === 'string' ? options.role : 'user';
+    if (!(await repositories.roles.exists(role))) {
+      throw new CliError(`Papel não encontrado: ${role}`);
+    }
+
+    const passwordHash = await hashPassword(password);
+    const user = await repositories.users.create({ username, email, passwordHash });
+    await rememberPassword(user.id, passwordHash);
+
+    // Contas criadas pelo operador já nascem com e-mail verificado, salvo --unverified
+    if (!options.unverified) {
+      await repositories.users.update(user.id, { email_verified: true });
+    }
+    await repositories.roles.assign(user.id, role);
+
+    return { user: describeUser(user), role, emailVerified: !options.unverified };
+  },
+
+  async 'user:set-password'({ positional, options }) {
+    const user = await findUser(positional);
+    assertPassword(options.password, user);
+
+    const passwordHash = await hashPassword(options.password);
+    await repositories.users.update(user.id, { password_hash: passwordHash });
+    await rememberPassword(user.id, passwordHash);
+    await repositories.passwordResetTokens.invalidateForUser(user.id);
+    const revokedSessions = await repositories.authTokens.revokeAllForUser(user.id);
+    const revokedPersonalTokens = await repositories.personalTokens.revokeAllForUser(user.id);
+    await notifyPasswordChanged(user);
+
+    return { user: describeUser(user), revokedSessions, revokedPersonalTokens };
+  },
+
+  async 'user:unlock'({ positional }) {
+    const user = await findUser(positional);
+    const clearedAttempts = await repositories.loginAttempts.clearFailures(user.id);
+
+    return { user: describeUser(user), clearedAttempts };
+  },
+
+  async 'user:deactivate'({ positional }) {
+    const user = await findUser(positional);
+
+    await repositories.users.update(user.id, { is_active: false });
+    const revokedSessions = await repositories.authTokens.revokeAllForUser(user.id);
+
+    return { user: describeUser(user), active: false, revokedSessions };
+  },
+
+  async 'user:activate'({ positional }) {
+    const user = await findUser(positional);
+
+    await repositories.users.update(user.id, { is_active: true });
+
+    return { user: describeUser(user), active: true };
+  },
+
+  async 'user:mfa-reset'({ positional, options }) {
+    const user = await findUser(positional);
+
+    await repositories.users.update(user.id, {
+      mfa_enabled: false,
+      mfa_method: null,
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_last_counter: null,
+    });
+    await repositories.recoveryCodes.replace(user.id, []);
+
+    // Passkeys também servem para login sem senha; remova-as se o dispositivo foi perdido
+    const removedPasskeys = options['remove-passkeys']
+      ? await repositories.webauthnCredentials.deleteByUser(user.id)
+      : 0;
+
+    await notifyMfaChanged(user, 'mfa_reset');
+
+    return { user: describeUser(user), mfaEnabled: false, removedPasskeys };
+  },
+
+  async 'sessions:revoke'({ positional }) {
+    const user = await findUser(positional);
+    const revokedSessions = await repositories.authTokens.revokeAllForUser(user.id);
+
+    return { user: describeUser(user), revokedSessions };
+  },
+
+  async 'keys:list'() {
+    return { keys: await listSigningKeys() };
+  },
+
+  // Troca antecipada da chave de assinatura (ex.: suspeita de vazamento); a anterior segue
+  // aceita até os tokens emitidos com ela expirarem
+  async 'keys:rotate'() {
+    try {
+      return { key: await rotateSigningKey() };
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+  },
+
+  // O segredo do cliente só aparece nesta saída; guarde-o no aplicativo antes de fechar o terminal
+  async 'oauth:client-create'({ options }) {
+    const { name } = options;
+    const redirectUris = typeof options['redirect-uris'] === 'string'
+      ? options['redirect-uris'].split(',').map((uri) => uri.trim()).filter(Boolean)
+      : [];
+
+    if (typeof name !== 'string' || redirectUris.length === 0) {
+      throw new CliError('Informe --name e --redirect-uris');
+    }
+
+    try {
+      const client = await registerClient({ name, redirectUris, isPublic: Boolean(options.public) });
+      return { client: { ...client, name, redirectUris } };
+    } catch (error) {
+      throw new CliError(error.message);
+    }
+  },
+
+  async 'oauth:client-list'() {
+    const clients = await repositories.oauthClients.list();
+
+    return {
+      clients: clients.map((client) => ({
+        clientId: client.id,
+        name: client.name,
+        redirectUris: client.redirect_uris,
+        public: !client.secret_hash,
+        createdAt: client.created_at,
+      }))
+    };
+  },
+
+  // Remove também os consentimentos e códigos pendentes; tokens já emitidos valem até expirar
+  async 'oauth:client-delete'({ positional }) {
+    const [clientId] = positional;
+    if (!clientId) {
+      throw new CliError('Informe o identificador do cliente');
+    }
+
+    if (!(await repositories.oauthClients.delete(clientId))) {
+      throw new CliError(`Cliente não encontrado: ${clientId}`);
+    }
+
+    return { clientId, deleted: true };
+  },
+};
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+
+  if (!command || command === 'help' || command === '--help') {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    const handler = commands[command];
+    if (!handler) {
+      console.error(USAGE);
+      throw new CliError(`Comando desconhecido: ${command}`);
+    }
+
+    // No modo em memória cada processo tem seu próprio banco: o comando não afetaria o servidor
+    if (process.env.DB_DRIVER === 'memory') {
+      throw new CliError('DB_DRIVER=memory: os dados deste processo se perdem ao terminar; use o PostgreSQL');
+    }
+
+    const result = await handler(parseArgs(argv));
+    console.log(JSON.stringify({ ok: true, command, ...result }));
+  } catch (error) {
+    if (!(error instanceof CliError)) {
+      console.error('Erro na administração:', error);
+    }
+    console.log(JSON.stringify({ ok: false, command, error: error.message }));
+    process.exitCode = 1;
+  } finally {
+    await repositories.close();
+  }
+}
+
+main();
@@ -0,0 +1,70 @@
+// migrate.js - Linha de comando das migrações
+// Uso: node src/scripts/migrate.js <migrate|rollback|status> [--steps N]
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '..', '.env') });
+
+const { Pool } = require('pg');
+const runner = require('../migrations/runner');
+
+const USAGE = 'Uso: node src/scripts/migrate.js <migrate|rollback|status> [--steps N]';
+
+/**
+ * Lê o valor de --steps, usado pelo rollback
+ * @param {string[]} args - Argumentos da linha de comando
+ * @returns {number} Quantidade de migrações a desfazer
+ */
+function parseSteps(args) {
+  const index = args.indexOf('--steps');
+  if (index === -1) return 1;
+
+  const steps = Number(args[index + 1]);
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error('--steps deve ser um inteiro positivo');
+  }
+  return steps;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    switch (command) {
+      case 'migrate': {
+        const applied = await runner.migrate(pool);
+        applied.forEach((migration) => console.log(`Aplicada ${migration.version}_${migration.name}`));
+        console.log(applied.length ? `${applied.length} migração(ões) aplicada(s)` : 'Nenhuma migração pendente');
+        break;
+      }
+
+      case 'rollback': {
+        const reverted = await runner.rollback(pool, { steps: parseSteps(args) });
+        reverted.forEach((migration) => console.log(`Desfeita ${migration.version}_${migration.name}`));
+        console.log(reverted.length ? `${reverted.length} migração(ões) desfeita(s)` : 'Nenhuma migração aplicada');
+        break;
+      }
+
+      case 'status': {
+        const migrations = await runner.status(pool);
+        for (const migration of migrations) {
+          const state = migration.appliedAt
+            ? `aplicada em ${new Date(migration.appliedAt).toISOString()}`
+            : 'pendente';
+          console.log(`${migration.version}_${migration.name}  ${state}`);
+        }
+        break;
+      }
+
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Erro na migração:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
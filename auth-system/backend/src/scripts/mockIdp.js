@@ -0,0 +1,128 @@
+// mockIdp.js - Provedor OpenID Connect mínimo para testar o login externo (SSO) localmente
+// Uso: node src/scripts/mockIdp.js
+// No backend: SSO_PROVIDERS=[{"id":"mock","name":"Mock IdP","issuer":"http://localhost:4100","clientId":"auth-system","clientSecret":"mock-secret"}]
+// A tela de login do provedor pede só o e-mail (sem senha) e permite simular um e-mail não verificado.
+// Tudo fica em memória; as chaves são geradas a cada execução.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = Number(process.env.MOCK_IDP_PORT) || 4100;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'auth-system';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const CODE_TTL_MS = 60 * 1000;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-1', alg: 'RS256', use: 'sig' };
+
+// Códigos emitidos, com os dados do login e do pedido
+const codes = new Map();
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Identificador estável do usuário simulado, derivado do e-mail
+ * @param {string} email - E-mail informado
+ * @returns {string} sub
+ */
+function subjectFor(email) {
+  return crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Tela de login do provedor; o formulário reenvia os parâmetros do pedido
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID || req.query.response_type !== 'code') {
+    return res.status(400).send('client_id ou response_type inválido');
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  return res.type('html').send(
+    `<h1>Mock IdP</h1><form method="post" action="/authorize">${hidden}`
+    + '<p><label>E-mail <input name="email" value="dani@example.com"></label></p>'
+    + '<p><label><input type="checkbox" name="unverified"> E-mail não verificado</label></p>'
+    + '<button name="decision" value="allow">Entrar</button> <button name="decision" value="deny">Recusar</button></form>'
+  );
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, email } = req.body;
+  const url = new URL(redirectUri);
+
+  url.searchParams.set('state', state);
+  url.searchParams.set('iss', ISSUER);
+
+  if (req.body.decision !== 'allow') {
+    url.searchParams.set('error', 'access_denied');
+    return res.redirect(url.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    email,
+    emailVerified: !req.body.unverified,
+    redirectUri,
+    nonce: req.body.nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  url.searchParams.set('code', code);
+  return res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const authHeader = req.headers.authorization || '';
+  const [clientId, clientSecret] = Buffer.from(authHeader.replace(/^Basic /, ''), 'base64').toString('utf8').split(':');
+
+  if (decodeURIComponent(clientId || '') !== CLIENT_ID || decodeURIComponent(clientSecret || '') !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+
+  const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const idToken = jwt.sign({
+    sub: subjectFor(grant.email),
+    email: grant.email,
+    email_verified: grant.emailVerified,
+    preferred_username: grant.email.split('@')[0],
+    nonce: grant.nonce,
+  }, privateKey, { algorithm: 'RS256', keyid: jwk.kid, issuer: ISSUER, audience: CLIENT_ID, expiresIn: 300 });
+
+  return res.json({ access_token: crypto.randomBytes(24).toString('base64url'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock IdP em ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -0,0 +1,106 @@
+// mockLdap.js - Diretório LDAP mínimo para testar AUTH_BACKENDS=ldap localmente
+// Uso: node src/scripts/mockLdap.js
+// No backend:
+//   AUTH_BACKENDS=ldap,local LDAP_URL=ldap://localhost:3890 LDAP_BASE_DN=ou=people,dc=example,dc=com
+//   LDAP_BIND_DN=cn=admin,dc=example,dc=com LDAP_BIND_PASSWORD=admin-secret
+//   LDAP_ROLE_MAPPING={"cn=admins,ou=groups,dc=example,dc=com":"admin"}
+// Usuários: ana / ana-secret (grupos admins e staff), bruno / bruno-secret (staff) e
+// carla / carla-secret (sem e-mail, recusada no primeiro login). Tudo fica em memória.
+
+const crypto = require('crypto');
+const ldap = require('ldapjs');
+
+const PORT = Number(process.env.MOCK_LDAP_PORT) || 3890;
+const SUFFIX = 'dc=example,dc=com';
+const ADMIN_DN = `cn=admin,${SUFFIX}`;
+const ADMIN_PASSWORD = process.env.MOCK_LDAP_ADMIN_PASSWORD || 'admin-secret';
+
+const ADMINS_GROUP = `cn=admins,ou=groups,${SUFFIX}`;
+const STAFF_GROUP = `cn=staff,ou=groups,${SUFFIX}`;
+
+/**
+ * entryUUID estável para o usuário, para que os vínculos sobrevivam ao reinício do diretório
+ * @param {string} uid - uid do usuário
+ * @returns {string} UUID
+ */
+function entryUuid(uid) {
+  const hex = crypto.createHash('sha256').update(uid).digest('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Monta a entrada de um usuário
+ * @param {Object} user - { uid, name, mail, password, groups }
+ * @returns {Object} { dn, password, attributes }
+ */
+function person({ uid, name, mail, password, groups }) {
+  const attributes = {
+    objectClass: ['inetOrgPerson'],
+    uid,
+    cn: name,
+    entryUUID: entryUuid(uid),
+    memberOf: groups,
+  };
+  if (mail) {
+    attributes.mail = mail;
+  }
+
+  return { dn: `uid=${uid},ou=people,${SUFFIX}`, password, attributes };
+}
+
+const ENTRIES = [
+  person({ uid: 'ana', name: 'Ana Souza', mail: 'ana@example.com', password: 'ana-secret', groups: [ADMINS_GROUP, STAFF_GROUP] }),
+  person({ uid: 'bruno', name: 'Bruno Lima', mail: 'bruno@example.com', password: 'bruno-secret', groups: [STAFF_GROUP] }),
+  person({ uid: 'carla', name: 'Carla Dias', mail: null, password: 'carla-secret', groups: [STAFF_GROUP] }),
+];
+
+const normalizeDn = (dn) => String(dn).toLowerCase().replace(/\s*([,=])\s*/g, '$1');
+
+const server = ldap.createServer();
+
+server.bind(SUFFIX, (req, res, next) => {
+  const dn = normalizeDn(req.dn.toString());
+  const password = req.credentials;
+
+  const valid = dn === normalizeDn(ADMIN_DN)
+    ? password === ADMIN_PASSWORD
+    : ENTRIES.some((entry) => normalizeDn(entry.dn) === dn && entry.password === password);
+
+  if (!valid) {
+    return next(new ldap.InvalidCredentialsError());
+  }
+
+  res.end();
+  return next();
+});
+
+// Como num diretório real, só a conta de serviço pode buscar
+server.search(SUFFIX, (req, res, next) => {
+  if (normalizeDn(req.connection.ldap.bindDN.toString()) !== normalizeDn(ADMIN_DN)) {
+    return next(new ldap.InsufficientAccessRightsError());
+  }
+
+  const base = normalizeDn(req.dn.toString());
+
+  // O ldapjs compara os atributos pedidos com os da entrada já em minúsculas; sem isto entryUUID e memberOf somem
+  res.attributes = res.attributes.map((name) => name.toLowerCase());
+
+  for (const entry of ENTRIES) {
+    const dn = normalizeDn(entry.dn);
+    if ((dn === base || dn.endsWith(`,${base}`)) && req.filter.matches(entry.attributes, false)) {
+      res.send({ dn: entry.dn, attributes: { ...entry.attributes } });
+    }
+  }
+
+  res.end();
+  return next();
+});
+
+// Requisições malformadas derrubariam o processo
+server.on('error', (error) => {
+  console.error('Erro no diretório de teste:', error.message);
+});
+
+server.listen(PORT, () => {
+  console.log(`Diretório LDAP de teste em ldap://localhost:${PORT} (base ${SUFFIX})`);
+});
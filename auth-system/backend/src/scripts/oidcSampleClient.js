@@ -0,0 +1,167 @@
+// oidcSampleClient.js - Aplicativo de exemplo que faz login usando este serviço como provedor OpenID Connect
+// Uso: OIDC_CLIENT_ID=... OIDC_CLIENT_SECRET=... node src/scripts/oidcSampleClient.js
+// Cadastre o cliente antes com:
+//   node src/scripts/admin.js oauth:client-create --name "Exemplo" --redirect-uris http://localhost:4000/callback
+// Depois abra http://localhost:4000 no navegador. Sem OIDC_CLIENT_SECRET o cliente age como público (só PKCE).
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = (process.env.OIDC_ISSUER || 'http://localhost:3001').replace(/\/$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const PORT = Number(process.env.SAMPLE_CLIENT_PORT) || 4000;
+const REDIRECT_URI = `http://localhost:${PORT}/callback`;
+
+// Logins em andamento, indexados pelo state; cada um guarda o code_verifier e o nonce
+const pending = new Map();
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Busca um JSON e falha com a resposta do servidor quando o status não é 2xx
+ * @param {string} url - URL
+ * @param {Object} [options] - Opções do fetch
+ * @returns {Promise<Object>} Corpo da resposta
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`${url} respondeu ${response.status}: ${JSON.stringify(data)}`);
+  }
+
+  return data;
+}
+
+/**
+ * Verifica o ID token pelas chaves publicadas no JWKS do provedor
+ * @param {string} idToken - ID token recebido
+ * @param {Object} discovery - Documento de descoberta
+ * @param {string} nonce - Nonce enviado no pedido de autorização
+ * @returns {Promise<Object>} Claims verificadas
+ */
+async function verifyIdToken(idToken, discovery, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token malformado');
+  }
+
+  const { keys } = await fetchJson(discovery.jwks_uri);
+  const jwk = keys.find((key) => key.kid === decoded.header.kid);
+  if (!jwk) {
+    throw new Error(`Chave ${decoded.header.kid} não publicada no JWKS`);
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: discovery.id_token_signing_alg_values_supported,
+    issuer: discovery.issuer,
+    audience: CLIENT_ID,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('Nonce do ID token não confere');
+  }
+
+  return claims;
+}
+
+async function main() {
+  if (!CLIENT_ID) {
+    console.error('Defina OIDC_CLIENT_ID (e OIDC_CLIENT_SECRET para clientes confidenciais)');
+    process.exitCode = 1;
+    return;
+  }
+
+  const discovery = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+  const app = express();
+
+  app.get('/', (req, res) => {
+    res.type('html').send('<a href="/login">Entrar com a conta da empresa</a>');
+  });
+
+  app.get('/login', (req, res) => {
+    const state = randomValue();
+    const nonce = randomValue();
+    const codeVerifier = randomValue();
+
+    pending.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: CLIENT_ID,
+      redirect_uri: REDIRECT_URI,
+      scope: 'openid profile email',
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    }).toString();
+
+    res.redirect(url.toString());
+  });
+
+  app.get('/callback', async (req, res) => {
+    const login = pending.get(req.query.state);
+    pending.delete(req.query.state);
+
+    if (!login || Date.now() - login.createdAt > PENDING_TTL_MS) {
+      return res.status(400).send('State desconhecido ou expirado');
+    }
+
+    if (req.query.error) {
+      return res.status(400).send(escapeHtml(`Login recusado: ${req.query.error} ${req.query.error_description || ''}`));
+    }
+
+    // O provedor identifica a si mesmo no retorno (RFC 9207)
+    if (req.query.iss && req.query.iss !== discovery.issuer) {
+      return res.status(400).send('Emissor inesperado');
+    }
+
+    try {
+      const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+      const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: req.query.code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: login.codeVerifier,
+      });
+
+      if (CLIENT_SECRET) {
+        const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_id', CLIENT_ID);
+      }
+
+      const tokens = await fetchJson(discovery.token_endpoint, { method: 'POST', headers, body });
+      const idToken = await verifyIdToken(tokens.id_token, discovery, login.nonce);
+      const userInfo = await fetchJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+      });
+
+      return res.type('html').send(
+        `<h1>Login concluído</h1><h2>ID token</h2><pre>${escapeHtml(JSON.stringify(idToken, null, 2))}</pre>` +
+        `<h2>userinfo</h2><pre>${escapeHtml(JSON.stringify(userInfo, null, 2))}</pre><a href="/login">Entrar de novo</a>`
+      );
+    } catch (error) {
+      console.error('Erro no retorno do login:', error);
+      return res.status(500).send(escapeHtml(error.message));
+    }
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Cliente de exemplo em http://localhost:${PORT} usando o provedor ${discovery.issuer}`);
+  });
+}
+
+main().catch((error) => {
+  console.error('Erro ao iniciar o cliente de exemplo:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+// outbox.js - Consulta os e-mails gravados pelo transporte de arquivos (EMAIL_TRANSPORT=file)
+// Uso: node src/scripts/outbox.js [--to EMAIL] [--last N] [--clear]
+// Imprime um objeto JSON por linha com destinatário, modelo, links e códigos encontrados no texto
+
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '..', '.env') });
+
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.resolve('outbox');
+
+const LINK_PATTERN = /https?:\/\/\S+/g;
+const CODE_PATTERN = /\b\d{6}\b/g;
+
+/**
+ * Lê as mensagens do outbox, da mais antiga para a mais recente
+ * @returns {Object[]} Mensagens com o nome do arquivo
+ */
+function readOutbox() {
+  if (!fs.existsSync(OUTBOX_DIR)) return [];
+
+  return fs.readdirSync(OUTBOX_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => ({ file, ...JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, file), 'utf8')) }));
+}
+
+function main(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--clear') options.clear = true;
+    else if (argv[i] === '--to') options.to = argv[++i];
+    else if (argv[i] === '--last') options.last = Number(argv[++i]);
+  }
+
+  const messages = readOutbox();
+
+  if (options.clear) {
+    messages.forEach(({ file }) => fs.unlinkSync(path.join(OUTBOX_DIR, file)));
+    console.log(JSON.stringify({ ok: true, removed: messages.length }));
+    return;
+  }
+
+  const selected = messages
+    .filter((message) => !options.to || message.to.toLowerCase() === options.to.toLowerCase())
+    .slice(-(options.last || 10));
+
+  for (const message of selected) {
+    console.log(JSON.stringify({
+      sentAt: message.sentAt,
+      to: message.to,
+      template: message.template,
+      subject: message.subject,
+      links: message.text.match(LINK_PATTERN) || [],
+      codes: message.text.match(CODE_PATTERN) || [],
+    }));
+  }
+}
+
+main(process.argv.slice(2));
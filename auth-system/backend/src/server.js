@@ -0,0 +1,62 @@
+// server.js - Ponto de entrada do servidor de autenticação
+// Para rodar sem PostgreSQL: DB_DRIVER=memory node src/server.js
+
+// Carregar o .env antes dos módulos, que leem a configuração ao serem carregados
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const express = require('express');
+const authController = require('./controllers/authController');
+const auditController = require('./controllers/auditController');
+const wellKnownController = require('./controllers/wellKnownController');
+const oauthController = require('./controllers/oauthController');
+const { seedDevClient } = require('./services/oidcService');
+
+const app = express();
+
+// Necessário para req.ip refletir o cliente quando atrás de um proxy reverso
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+app.use(express.json());
+
+// CORS para o frontend, com credenciais (cookies) habilitadas
+app.use((req, res, next) => {
+  const origin = req.get('origin');
+
+  if (origin && origin === process.env.FRONTEND_URL) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Access-Control-Allow-Credentials', 'true');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-CSRF-Token');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.set('Vary', 'Origin');
+  }
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  return next();
+});
+
+app.use(wellKnownController);
+app.use('/api/auth/audit-events', auditController);
+app.use('/api/auth/oauth', oauthController);
+app.use('/api/auth', authController);
+
+const port = Number(process.env.PORT) || 3001;
+
+seedDevClient()
+  .then((devClient) => {
+    if (devClient) {
+      console.log(`Cliente OIDC de desenvolvimento cadastrado: ${devClient.clientId}`);
+    }
+
+    app.listen(port, () => {
+      console.log(`Servidor de autenticação ouvindo na porta ${port} (DB_DRIVER=${process.env.DB_DRIVER || 'postgres'})`);
+    });
+  })
+  .catch((error) => {
+    console.error('Erro ao iniciar o servidor:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,55 @@
+// auditService.js - Log de auditoria dos eventos de autenticação
+// Cada evento tem tipo (ex.: 'login'), resultado ('success' ou 'failure') e, nas falhas, um motivo curto
+
+const repositories = require('../repositories');
+
+/**
+ * Registra um evento de auditoria
+ * Falhas ao gravar não interrompem a requisição: o evento é perdido e o erro vai para o log
+ * @param {Object} req - Requisição Express (IP e user agent)
+ * @param {string} type - Tipo do evento (ex.: 'login', 'token_refresh')
+ * @param {string} outcome - 'success' ou 'failure'
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Usuário envolvido, quando conhecido
+ * @param {string} [options.reason] - Motivo (ex.: 'invalid_password')
+ * @param {Object} [options.details] - Dados adicionais
+ */
+async function recordAuditEvent(req, type, outcome, { userId = null, reason = null, details = null } = {}) {
+  try {
+    await repositories.auditEvents.record({
+      userId,
+      type,
+      outcome,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+      details
+    });
+  } catch (error) {
+    console.error('Erro ao registrar evento de auditoria:', error);
+  }
+}
+
+/**
+ * Converte um registro do banco para o formato público da API
+ * @param {Object} row - Registro de audit_events
+ * @returns {Object} Evento
+ */
+function formatAuditEvent(row) {
+  return {
+    id: String(row.id),
+    type: row.type,
+    outcome: row.outcome,
+    reason: row.reason,
+    userId: row.user_id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    details: row.details,
+    createdAt: row.created_at,
+  };
+}
+
+module.exports = {
+  recordAuditEvent,
+  formatAuditEvent,
+};
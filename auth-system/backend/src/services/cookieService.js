@@ -0,0 +1,215 @@
+// cookieService.js - Transporte dos tokens em cookies HttpOnly com proteção CSRF (double-submit)
+
+const crypto = require('crypto');
+
+// Ativa o modo cookie: os tokens deixam de ser enviados no corpo das respostas
+const COOKIE_MODE = process.env.AUTH_COOKIE_MODE === 'true';
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Identificador do navegador, usado para reconhecer dispositivos já conhecidos no login
+const DEVICE_COOKIE = 'device_id';
+const DEVICE_COOKIE_MAX_AGE_MS = 400 * 24 * 60 * 60 * 1000; // Limite aceito pelos navegadores
+
+// Estado do login em um provedor externo (SSO); volta ao backend no redirecionamento do provedor
+const SSO_STATE_COOKIE = 'sso_state';
+const SSO_STATE_COOKIE_PATH = '/api/auth/sso';
+const SSO_STATE_MAX_AGE_MS = 10 * 60 * 1000; // 10 minutos
+
+// O refresh token só é enviado pelo navegador para a rota de renovação
+const REFRESH_COOKIE_PATH = '/api/auth/refresh-token';
+
+const ACCESS_TOKEN_MAX_AGE_MS = 60 * 60 * 1000; // 1 hora
+const REFRESH_TOKEN_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 dias
+
+/**
+ * Opções comuns dos cookies de autenticação
+ * @returns {Object} Opções de res.cookie
+ */
+function baseCookieOptions() {
+  return {
+    secure: process.env.COOKIE_SECURE !== 'false', // Desative apenas em desenvolvimento sem HTTPS
+    sameSite: process.env.COOKIE_SAME_SITE || 'strict',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+  };
+}
+
+/**
+ * Lê os cookies da requisição sem depender de cookie-parser
+ * @param {Object} req - Requisição Express
+ * @returns {Object} Cookies por nome
+ */
+function parseCookies(req) {
+  if (req.cookies) return req.cookies;
+
+  const cookies = {};
+  const header = req.headers.cookie;
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Define os cookies de sessão.
+ * Com "lembrar de mim" os cookies são persistentes; caso contrário, expiram ao fechar o navegador.
+ * @param {Object} res - Resposta Express
+ * @param {Object} tokens - Tokens gerados
+ * @param {boolean} persistent - Se os cookies devem sobreviver ao fechamento do navegador
+ * @returns {string} Token CSRF emitido junto com a sessão
+ */
+function setAuthCookies(res, tokens, persistent) {
+  const options = baseCookieOptions();
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(ACCESS_COOKIE, tokens.token, {
+    ...options,
+    httpOnly: true,
+    path: '/api',
+    maxAge: persistent ? ACCESS_TOKEN_MAX_AGE_MS : undefined,
+  });
+
+  res.cookie(REFRESH_COOKIE, tokens.refresh_token, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: persistent ? REFRESH_TOKEN_MAX_AGE_MS : undefined,
+  });
+
+  // Legível pelo JavaScript para ser reenviado no cabeçalho (double-submit)
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    maxAge: persistent ? REFRESH_TOKEN_MAX_AGE_MS : undefined,
+  });
+
+  return csrfToken;
+}
+
+/**
+ * Remove os cookies de sessão
+ * @param {Object} res - Resposta Express
+ */
+function clearAuthCookies(res) {
+  const options = baseCookieOptions();
+
+  res.clearCookie(ACCESS_COOKIE, { ...options, httpOnly: true, path: '/api' });
+  res.clearCookie(REFRESH_COOKIE, { ...options, httpOnly: true, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+}
+
+/**
+ * Define o cookie de identificação do dispositivo.
+ * Independe do modo cookie: também é enviado quando os tokens trafegam no corpo das respostas.
+ * @param {Object} res - Resposta Express
+ * @param {string} deviceId - Identificador aleatório do dispositivo
+ */
+function setDeviceCookie(res, deviceId) {
+  res.cookie(DEVICE_COOKIE, deviceId, {
+    ...baseCookieOptions(),
+    httpOnly: true,
+    path: '/api/auth',
+    maxAge: DEVICE_COOKIE_MAX_AGE_MS,
+  });
+}
+
+/**
+ * Define o cookie com o estado do login em um provedor externo.
+ * SameSite=Lax é necessário: o retorno do provedor é uma navegação vinda de outro site.
+ * @param {Object} res - Resposta Express
+ * @param {string} value - Estado assinado
+ */
+function setSsoStateCookie(res, value) {
+  res.cookie(SSO_STATE_COOKIE, value, {
+    ...baseCookieOptions(),
+    sameSite: 'lax',
+    httpOnly: true,
+    path: SSO_STATE_COOKIE_PATH,
+    maxAge: SSO_STATE_MAX_AGE_MS,
+  });
+}
+
+/**
+ * Remove o cookie de estado do login externo
+ * @param {Object} res - Resposta Express
+ */
+function clearSsoStateCookie(res) {
+  res.clearCookie(SSO_STATE_COOKIE, { ...baseCookieOptions(), sameSite: 'lax', httpOnly: true, path: SSO_STATE_COOKIE_PATH });
+}
+
+/**
+ * Confere o token CSRF do cabeçalho com o do cookie
+ * @param {Object} req - Requisição Express
+ * @returns {boolean} Verdadeiro se os tokens coincidem
+ */
+function verifyCsrf(req) {
+  const cookieToken = parseCookies(req)[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+}
+
+/**
+ * Indica se o método HTTP altera estado e, portanto, exige CSRF
+ * @param {string} method - Método HTTP
+ * @returns {boolean} Verdadeiro para POST, PUT, PATCH e DELETE
+ */
+function isStateChanging(method) {
+  return !['GET', 'HEAD', 'OPTIONS'].includes(method);
+}
+
+/**
+ * Middleware que exige o token CSRF quando a requisição é autenticada por cookie.
+ * Requisições com cabeçalho Authorization não são enviadas automaticamente pelo navegador
+ * e por isso dispensam a verificação.
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo middleware
+ */
+function csrfProtection(req, res, next) {
+  const cookies = parseCookies(req);
+  const usesCookies = !req.headers.authorization && (cookies[ACCESS_COOKIE] || cookies[REFRESH_COOKIE]);
+
+  if (usesCookies && isStateChanging(req.method) && !verifyCsrf(req)) {
+    return res.status(403).json({ error: 'Token CSRF inválido ou ausente', code: 'CSRF_INVALID' });
+  }
+
+  return next();
+}
+
+module.exports = {
+  COOKIE_MODE,
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  DEVICE_COOKIE,
+  SSO_STATE_COOKIE,
+  parseCookies,
+  setAuthCookies,
+  clearAuthCookies,
+  setDeviceCookie,
+  setSsoStateCookie,
+  clearSsoStateCookie,
+  verifyCsrf,
+  isStateChanging,
+  csrfProtection,
+};
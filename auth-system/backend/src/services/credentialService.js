@@ -0,0 +1,107 @@
+// credentialService.js - Origens de credenciais do login com senha
+// AUTH_BACKENDS lista as origens em ordem: 'local' (hash em users) e 'ldap' (bind no diretório).
+// A primeira origem que reconhece o login confere a senha; com 'ldap,local', quem não está no
+// diretório continua entrando com a senha local. Bloqueio, MFA e emissão de tokens ficam no login.
+
+const repositories = require('../repositories');
+const { CredentialError } = require('./credentials/errors');
+
+// Provedor das identidades do diretório em user_identities; essas contas só entram pelo LDAP
+const DIRECTORY_PROVIDER = 'ldap';
+
+const BACKENDS = {
+  local: () => require('./credentials/local').createLocalBackend({ isDirectoryAccount }),
+  ldap: () => require('./credentials/ldap').createLdapBackend({ provider: DIRECTORY_PROVIDER }),
+};
+
+const ACTIVE_BACKENDS = loadBackends();
+
+/**
+ * Lê AUTH_BACKENDS e cria as origens
+ * @returns {Object[]} Origens na ordem configurada
+ */
+function loadBackends() {
+  const names = (process.env.AUTH_BACKENDS || 'local').split(',').map((name) => name.trim()).filter(Boolean);
+
+  return names.map((name) => {
+    const factory = BACKENDS[name];
+    if (!factory) {
+      throw new Error(`AUTH_BACKENDS inválido: ${name}`);
+    }
+    return { name, ...factory() };
+  });
+}
+
+/**
+ * Diz se a conta pertence ao diretório LDAP (senha gerenciada fora deste serviço)
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<boolean>} Verdadeiro para contas do diretório
+ */
+async function isDirectoryAccount(userId) {
+  const identities = await repositories.userIdentities.listByUser(userId);
+  return identities.some((identity) => identity.provider === DIRECTORY_PROVIDER);
+}
+
+/**
+ * Procura o login nas origens configuradas
+ * @param {string} login - Nome de usuário ou e-mail
+ * @returns {Promise<Object|null>} { backend, user (null se ainda sem conta local), ... } ou null
+ * @throws {CredentialError} Nenhuma origem reconheceu o login e alguma estava indisponível
+ */
+async function findAccount(login) {
+  let unavailable = false;
+
+  for (const backend of ACTIVE_BACKENDS) {
+    try {
+      const account = await backend.findAccount(login);
+      if (account) {
+        return { ...account, backend: backend.name };
+      }
+    } catch (error) {
+      // As origens seguintes ainda podem reconhecer o login
+      console.error(`Erro ao consultar a origem de credenciais ${backend.name}:`, error);
+      unavailable = true;
+    }
+  }
+
+  if (unavailable) {
+    throw unavailableError();
+  }
+
+  return null;
+}
+
+/**
+ * Confere a senha na origem que reconheceu o login
+ * @param {Object} account - Conta retornada por findAccount
+ * @param {string} password - Senha informada
+ * @returns {Promise<Object|null>} { user, linked?, provisioned?, roles? } ou null se a senha não confere
+ * @throws {CredentialError} Origem indisponível ou conta que não pode entrar
+ */
+async function verifyCredentials(account, password) {
+  const backend = ACTIVE_BACKENDS.find((item) => item.name === account.backend);
+
+  try {
+    return await backend.verify(account, password);
+  } catch (error) {
+    if (error instanceof CredentialError) throw error;
+
+    console.error(`Erro ao conferir a senha na origem ${backend.name}:`, error);
+    throw unavailableError();
+  }
+}
+
+/**
+ * Erro devolvido quando a origem da conta não responde
+ * @returns {CredentialError} Erro com status 503
+ */
+function unavailableError() {
+  return new CredentialError('AUTH_BACKEND_UNAVAILABLE', 'Serviço de autenticação indisponível. Tente novamente em instantes.', 503);
+}
+
+module.exports = {
+  CredentialError,
+  findAccount,
+  verifyCredentials,
+  isDirectoryAccount,
+};
@@ -0,0 +1,15 @@
+// errors.js - Erro das origens de credenciais
+
+// Falha que impede o login mesmo com a senha correta; code e status vão para a resposta da API
+class CredentialError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'CredentialError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = {
+  CredentialError,
+};
@@ -0,0 +1,248 @@
+// ldap.js - Senha conferida por bind no diretório LDAP ou Active Directory
+// A conta de serviço (LDAP_BIND_DN) procura a entrada do usuário e a senha é conferida com um bind
+// no DN encontrado. No primeiro login a conta local é vinculada pelo e-mail ou criada; a cada login
+// os papéis de LDAP_ROLE_MAPPING acompanham os grupos do usuário.
+
+const fs = require('fs');
+const { Client, InvalidCredentialsError } = require('ldapts');
+const repositories = require('../../repositories');
+const { createExternalUser } = require('../provisioningService');
+const { CredentialError } = require('./errors');
+
+// OpenLDAP; no Active Directory use (sAMAccountName={{login}})
+const DEFAULT_USER_FILTER = '(|(uid={{login}})(mail={{login}}))';
+
+// Atributos binários, convertidos para hexadecimal
+const BINARY_ATTRIBUTES = ['objectGUID'];
+
+/**
+ * Lê e valida a configuração LDAP_*
+ * @returns {Object} Configuração
+ */
+function loadConfig() {
+  const { LDAP_URL, LDAP_BASE_DN } = process.env;
+  if (!LDAP_URL || !LDAP_BASE_DN) {
+    throw new Error('AUTH_BACKENDS com ldap exige LDAP_URL e LDAP_BASE_DN');
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(process.env.LDAP_ROLE_MAPPING || '{}');
+  } catch (error) {
+    throw new Error('LDAP_ROLE_MAPPING inválido: JSON malformado');
+  }
+
+  // DN do grupo => papel ou lista de papéis
+  const roleMapping = Object.entries(mapping).map(([group, roles]) => [normalizeDn(group), [].concat(roles)]);
+
+  return {
+    url: LDAP_URL,
+    baseDn: LDAP_BASE_DN,
+    bindDn: process.env.LDAP_BIND_DN || null,
+    bindPassword: process.env.LDAP_BIND_PASSWORD || '',
+    userFilter: process.env.LDAP_USER_FILTER || DEFAULT_USER_FILTER,
+    idAttribute: process.env.LDAP_ID_ATTRIBUTE || 'entryUUID',
+    usernameAttribute: process.env.LDAP_USERNAME_ATTRIBUTE || 'uid',
+    emailAttribute: process.env.LDAP_EMAIL_ATTRIBUTE || 'mail',
+    groupAttribute: process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf',
+    roleMapping,
+    // Só os papéis que aparecem no mapeamento são concedidos ou removidos pelo diretório
+    managedRoles: [...new Set(roleMapping.flatMap(([, roles]) => roles))],
+    startTls: process.env.LDAP_START_TLS === 'true',
+    tlsOptions: process.env.LDAP_TLS_CA_FILE ? { ca: [fs.readFileSync(process.env.LDAP_TLS_CA_FILE)] } : {},
+    timeoutMs: Number(process.env.LDAP_TIMEOUT_MS) || 5000,
+  };
+}
+
+/**
+ * Normaliza um DN para comparação (maiúsculas e espaços entre os componentes não importam)
+ * @param {string} dn - DN
+ * @returns {string} DN normalizado
+ */
+function normalizeDn(dn) {
+  return String(dn).toLowerCase().replace(/\s*([,=+])\s*/g, '$1').trim();
+}
+
+/**
+ * Escapa um valor para uso em filtro de busca (RFC 4515)
+ * @param {string} value - Valor informado pelo usuário
+ * @returns {string} Valor escapado
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, (char) => `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+/**
+ * Valores de um atributo da entrada como lista de textos
+ * O nome é comparado sem diferenciar maiúsculas, como no próprio LDAP
+ * @param {Object} entry - Entrada retornada pela busca
+ * @param {string} name - Nome do atributo
+ * @returns {string[]} Valores
+ */
+function attributeValues(entry, name) {
+  const key = Object.keys(entry).find((item) => item.toLowerCase() === name.toLowerCase());
+  if (!key) return [];
+  return [].concat(entry[key]).map((item) => (Buffer.isBuffer(item) ? item.toString('hex') : String(item)));
+}
+
+/**
+ * Cria a origem de credenciais LDAP
+ * @param {Object} options
+ * @param {string} options.provider - Provedor das identidades do diretório em user_identities
+ * @returns {Object} Origem com findAccount(login) e verify(account, password)
+ */
+function createLdapBackend({ provider }) {
+  const config = loadConfig();
+
+  /**
+   * Abre uma conexão, executa fn e encerra a conexão
+   * @param {Function} fn - Recebe o cliente do ldapts
+   * @returns {Promise<*>} Resultado de fn
+   */
+  async function withClient(fn) {
+    const client = new Client({
+      url: config.url,
+      timeout: config.timeoutMs,
+      connectTimeout: config.timeoutMs,
+      // Com tlsOptions o ldapts abre a conexão já em TLS, então só vale para ldaps://
+      tlsOptions: config.url.startsWith('ldaps:') ? config.tlsOptions : undefined,
+    });
+
+    try {
+      if (config.startTls) {
+        await client.startTLS(config.tlsOptions);
+      }
+      return await fn(client);
+    } finally {
+      await client.unbind().catch(() => {});
+    }
+  }
+
+  /**
+   * Encontra a conta local de quem acabou de se autenticar no diretório, vinculando ou criando
+   * @param {Object} account - Conta encontrada por findAccount
+   * @returns {Promise<Object>} { user, linked, provisioned }
+   * @throws {CredentialError} Entrada sem e-mail ou e-mail de uma conta local não verificada
+   */
+  async function resolveUser({ user, entry }) {
+    if (user) {
+      await repositories.userIdentities.recordLogin(provider, entry.subject, entry.email);
+      return { user, linked: false, provisioned: false };
+    }
+
+    if (!entry.email) {
+      throw new CredentialError('DIRECTORY_ACCOUNT_INVALID', 'Sua conta no diretório não tem e-mail cadastrado. Fale com o administrador.', 403);
+    }
+
+    const existing = await repositories.users.findByEmail(entry.email);
+
+    if (existing) {
+      // Conta local com e-mail não confirmado pode ter sido criada por outra pessoa com este endereço
+      if (!existing.email_verified) {
+        throw new CredentialError('ACCOUNT_CONFLICT', 'Já existe uma conta com este e-mail ainda não verificada. Fale com o administrador.', 409);
+      }
+
+      await repositories.userIdentities.create({ provider, subject: entry.subject, userId: existing.id, email: entry.email });
+      return { user: existing, linked: true, provisioned: false };
+    }
+
+    const created = await createExternalUser({
+      provider,
+      subject: entry.subject,
+      username: entry.username,
+      email: entry.email,
+    });
+
+    return { user: created, linked: false, provisioned: true };
+  }
+
+  /**
+   * Concede e remove os papéis mapeados conforme os grupos do usuário no diretório
+   * @param {string} userId - ID do usuário
+   * @param {string[]} groups - DNs dos grupos
+   * @returns {Promise<Object>} { granted, revoked }
+   */
+  async function syncRoles(userId, groups) {
+    const memberOf = new Set(groups.map(normalizeDn));
+    const wanted = new Set(
+      config.roleMapping.filter(([group]) => memberOf.has(group)).flatMap(([, roles]) => roles)
+    );
+
+    const { roles: current } = await repositories.roles.getUserAccess(userId);
+    const granted = [];
+    const revoked = [];
+
+    for (const role of config.managedRoles) {
+      if (wanted.has(role) && !current.includes(role)) {
+        await repositories.roles.assign(userId, role);
+        granted.push(role);
+      } else if (!wanted.has(role) && current.includes(role)) {
+        await repositories.roles.revoke(userId, role);
+        revoked.push(role);
+      }
+    }
+
+    return { granted, revoked };
+  }
+
+  return {
+    async findAccount(login) {
+      const entry = await withClient(async (client) => {
+        if (config.bindDn) {
+          await client.bind(config.bindDn, config.bindPassword);
+        }
+
+        const { searchEntries } = await client.search(config.baseDn, {
+          scope: 'sub',
+          filter: config.userFilter.replace(/\{\{login\}\}/g, escapeFilterValue(login)),
+          attributes: [config.idAttribute, config.usernameAttribute, config.emailAttribute, config.groupAttribute],
+          explicitBufferAttributes: BINARY_ATTRIBUTES,
+        });
+
+        // Nenhuma ou mais de uma entrada: o login não identifica um usuário do diretório
+        return searchEntries.length === 1 ? searchEntries[0] : null;
+      });
+
+      if (!entry) return null;
+
+      const [subject] = attributeValues(entry, config.idAttribute);
+      if (!subject) {
+        throw new Error(`Entrada ${entry.dn} sem o atributo ${config.idAttribute}`);
+      }
+
+      const identity = await repositories.userIdentities.find(provider, subject);
+
+      return {
+        user: identity ? await repositories.users.findById(identity.user_id) : null,
+        entry: {
+          dn: entry.dn,
+          subject,
+          username: attributeValues(entry, config.usernameAttribute)[0] || null,
+          email: attributeValues(entry, config.emailAttribute)[0] || null,
+          groups: attributeValues(entry, config.groupAttribute),
+        },
+      };
+    },
+
+    async verify(account, password) {
+      // Bind com senha vazia é anônimo e seria aceito pelo servidor
+      if (!password) return null;
+
+      try {
+        await withClient((client) => client.bind(account.entry.dn, password));
+      } catch (error) {
+        if (error instanceof InvalidCredentialsError) return null;
+        throw error;
+      }
+
+      const result = await resolveUser(account);
+      const roles = await syncRoles(result.user.id, account.entry.groups);
+
+      return { ...result, roles };
+    },
+  };
+}
+
+module.exports = {
+  createLdapBackend,
+};
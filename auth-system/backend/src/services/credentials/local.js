@@ -0,0 +1,34 @@
+// local.js - Senha conferida com o hash guardado na própria tabela users
+
+const repositories = require('../../repositories');
+const { verifyPassword } = require('../passwordService');
+
+/**
+ * Cria a origem de credenciais local
+ * @param {Object} options
+ * @param {Function} options.isDirectoryAccount - Diz se a conta pertence ao diretório LDAP
+ * @returns {Object} Origem com findAccount(login) e verify(account, password)
+ */
+function createLocalBackend({ isDirectoryAccount }) {
+  return {
+    async findAccount(login) {
+      const user = await repositories.users.findByLogin(login);
+
+      // Contas do diretório não entram com a senha local, que pode ter sido definida fora dele
+      if (!user || await isDirectoryAccount(user.id)) {
+        return null;
+      }
+
+      return { user };
+    },
+
+    async verify(account, password) {
+      const valid = await verifyPassword(password, account.user.password_hash);
+      return valid ? { user: account.user } : null;
+    },
+  };
+}
+
+module.exports = {
+  createLocalBackend,
+};
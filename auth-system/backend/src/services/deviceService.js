@@ -0,0 +1,70 @@
+// deviceService.js - Reconhecimento de dispositivos no login
+// O dispositivo é identificado pelo cookie device_id combinado com o navegador e o sistema do user agent
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { DEVICE_COOKIE, parseCookies } = require('./cookieService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Descrição dos clientes não reconhecidos; o user agent bruto mudaria a cada versão
+const UNKNOWN_CLIENT = 'Cliente desconhecido';
+
+// Ordem importa: Edge e Opera também se anunciam como Chrome, e o Chrome como Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+  ['Windows', /Windows/],
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Descreve aproximadamente o cliente a partir do user agent (ex.: 'Firefox (Windows)')
+ * Versões são ignoradas para que atualizações do navegador não pareçam um dispositivo novo
+ * @param {string} [userAgent] - Cabeçalho User-Agent
+ * @returns {string} Descrição do cliente
+ */
+function describeClient(userAgent) {
+  if (!userAgent) return '-';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return UNKNOWN_CLIENT;
+  }
+
+  return system ? `${browser ? browser[0] : '?'} (${system[0]})` : browser[0];
+}
+
+/**
+ * Identifica o dispositivo da requisição; sem cookie device_id válido, gera um identificador novo
+ * @param {Object} req - Requisição Express
+ * @returns {Object} { deviceId (a gravar no cookie pela resposta), fingerprint, client }
+ */
+function identifyDevice(req) {
+  let deviceId = parseCookies(req)[DEVICE_COOKIE];
+
+  if (!deviceId || !UUID_PATTERN.test(deviceId)) {
+    deviceId = uuidv4();
+  }
+
+  const client = describeClient(req.get('user-agent'));
+  const fingerprint = crypto.createHash('sha256').update(`${deviceId}:${client}`).digest('hex');
+
+  return { deviceId, fingerprint, client };
+}
+
+module.exports = {
+  describeClient,
+  identifyDevice,
+};
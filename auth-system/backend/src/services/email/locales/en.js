@@ -0,0 +1,98 @@
+// en.js - Modelos de e-mail em inglês
+// Mesmas chaves e variáveis de pt-BR.js
+
+module.exports = {
+  'mfa-code': {
+    subject: 'Verification code',
+    text: 'Your verification code is: {{code}}. Valid for {{minutes}} minutes.\n\n'
+      + 'If you did not try to sign in, change your password.',
+    html: '<p>Your verification code is:</p>'
+      + '<p style="font-size:24px;font-weight:bold;letter-spacing:4px">{{code}}</p>'
+      + '<p>Valid for {{minutes}} minutes.</p>'
+      + '<p>If you did not try to sign in, change your password.</p>',
+  },
+
+  'password-reset': {
+    subject: 'Password reset',
+    text: 'Click the link below to reset your password:\n{{link}}\n\n'
+      + 'The link expires in {{hours}} hour(s). If you did not request a reset, ignore this email.',
+    html: '<p>Click the button below to reset your password.</p>'
+      + '<p><a href="{{link}}">Reset password</a></p>'
+      + '<p>The link expires in {{hours}} hour(s). If you did not request a reset, ignore this email.</p>',
+  },
+
+  'email-verification': {
+    subject: 'Confirm your email',
+    text: 'Click the link below to confirm your email and activate your account:\n{{link}}\n\n'
+      + 'The link expires in {{hours}} hours.',
+    html: '<p>Click the button below to confirm your email and activate your account.</p>'
+      + '<p><a href="{{link}}">Confirm email</a></p>'
+      + '<p>The link expires in {{hours}} hours.</p>',
+  },
+
+  'account-unlock': {
+    subject: 'Your account was temporarily locked',
+    text: 'We detected several failed sign-in attempts on your account, which will be locked for {{minutes}} minute(s).\n\n'
+      + 'If it was you, unlock it now with the link below:\n{{link}}\n\n'
+      + 'If it was not you, we recommend changing your password. The link expires in {{hours}} hours.',
+    html: '<p>We detected several failed sign-in attempts on your account, which will be locked for {{minutes}} minute(s).</p>'
+      + '<p>If it was you, unlock it now with the button below.</p>'
+      + '<p><a href="{{link}}">Unlock account</a></p>'
+      + '<p>If it was not you, we recommend changing your password. The link expires in {{hours}} hours.</p>',
+  },
+
+  'new-device-login': {
+    subject: 'New sign-in to your account',
+    text: 'Your account was accessed from a new device.\n\n'
+      + 'When: {{time}}\nDevice: {{client}}\nIP address: {{ipAddress}}\n\n'
+      + 'If it was you, there is nothing to do. If not, sign out all sessions with the link below and reset your password:\n{{link}}',
+    html: '<p>Your account was accessed from a new device.</p>'
+      + '<ul><li>When: {{time}}</li><li>Device: {{client}}</li><li>IP address: {{ipAddress}}</li></ul>'
+      + '<p>If it was you, there is nothing to do. If not, sign out all sessions and reset your password.</p>'
+      + '<p><a href="{{link}}">This wasn\'t me</a></p>',
+  },
+
+  'password-changed': {
+    subject: 'Your password was changed',
+    text: 'Your account password was changed on {{time}}. Open sessions and personal access tokens were revoked.\n\n'
+      + 'If it was not you, sign out all sessions with the link below and contact support:\n{{link}}',
+    html: '<p>Your account password was changed on {{time}}. Open sessions and personal access tokens were revoked.</p>'
+      + '<p>If it was not you, sign out all sessions and contact support.</p>'
+      + '<p><a href="{{link}}">This wasn\'t me</a></p>',
+  },
+
+  'mfa-changed': {
+    subject: 'Two-step verification changed',
+    text: 'Two-step verification on your account was changed on {{time}}: {{change}}.\n\n'
+      + 'If it was not you, sign out all sessions with the link below and reset your password:\n{{link}}',
+    html: '<p>Two-step verification on your account was changed on {{time}}: {{change}}.</p>'
+      + '<p>If it was not you, sign out all sessions and reset your password.</p>'
+      + '<p><a href="{{link}}">This wasn\'t me</a></p>',
+    labels: {
+      change: {
+        totp_enabled: 'authenticator app enabled',
+        passkey_added: 'new passkey added',
+        recovery_codes_regenerated: 'new recovery codes generated',
+        mfa_reset: 'two-step verification disabled by support',
+      },
+    },
+  },
+
+  'sso-linked': {
+    subject: 'New sign-in method linked to your account',
+    text: 'Your account was linked to sign-in with {{provider}} on {{time}}. You can now sign in with it.\n\n'
+      + 'If it was not you, sign out all sessions with the link below and contact support:\n{{link}}',
+    html: '<p>Your account was linked to sign-in with {{provider}} on {{time}}. You can now sign in with it.</p>'
+      + '<p>If it was not you, sign out all sessions and contact support.</p>'
+      + '<p><a href="{{link}}">This wasn\'t me</a></p>',
+  },
+
+  'personal-token-created': {
+    subject: 'New personal access token',
+    text: 'A personal access token named "{{name}}" was created on your account on {{time}}.\n\n'
+      + 'If it was not you, sign out all sessions and revoke the tokens with the link below:\n{{link}}',
+    html: '<p>A personal access token named "{{name}}" was created on your account on {{time}}.</p>'
+      + '<p>If it was not you, sign out all sessions and revoke the tokens.</p>'
+      + '<p><a href="{{link}}">This wasn\'t me</a></p>',
+  },
+};
@@ -0,0 +1,99 @@
+// pt-BR.js - Modelos de e-mail em português
+// Variáveis entre chaves duplas são substituídas na renderização; no HTML os valores são escapados
+// Em labels, valores enumerados das variáveis (ex.: change) recebem o texto traduzido
+
+module.exports = {
+  'mfa-code': {
+    subject: 'Código de verificação',
+    text: 'Seu código de verificação é: {{code}}. Válido por {{minutes}} minutos.\n\n'
+      + 'Se você não tentou entrar, altere sua senha.',
+    html: '<p>Seu código de verificação é:</p>'
+      + '<p style="font-size:24px;font-weight:bold;letter-spacing:4px">{{code}}</p>'
+      + '<p>Válido por {{minutes}} minutos.</p>'
+      + '<p>Se você não tentou entrar, altere sua senha.</p>',
+  },
+
+  'password-reset': {
+    subject: 'Redefinição de senha',
+    text: 'Clique no link abaixo para redefinir sua senha:\n{{link}}\n\n'
+      + 'O link expira em {{hours}} hora(s). Se você não pediu a redefinição, ignore este e-mail.',
+    html: '<p>Clique no botão abaixo para redefinir sua senha.</p>'
+      + '<p><a href="{{link}}">Redefinir senha</a></p>'
+      + '<p>O link expira em {{hours}} hora(s). Se você não pediu a redefinição, ignore este e-mail.</p>',
+  },
+
+  'email-verification': {
+    subject: 'Confirme seu e-mail',
+    text: 'Clique no link abaixo para confirmar seu e-mail e ativar sua conta:\n{{link}}\n\n'
+      + 'O link expira em {{hours}} horas.',
+    html: '<p>Clique no botão abaixo para confirmar seu e-mail e ativar sua conta.</p>'
+      + '<p><a href="{{link}}">Confirmar e-mail</a></p>'
+      + '<p>O link expira em {{hours}} horas.</p>',
+  },
+
+  'account-unlock': {
+    subject: 'Sua conta foi bloqueada temporariamente',
+    text: 'Detectamos várias tentativas de login sem sucesso na sua conta, que ficará bloqueada por {{minutes}} minuto(s).\n\n'
+      + 'Se foi você, desbloqueie agora pelo link abaixo:\n{{link}}\n\n'
+      + 'Se não foi você, recomendamos alterar sua senha. O link expira em {{hours}} horas.',
+    html: '<p>Detectamos várias tentativas de login sem sucesso na sua conta, que ficará bloqueada por {{minutes}} minuto(s).</p>'
+      + '<p>Se foi você, desbloqueie agora pelo botão abaixo.</p>'
+      + '<p><a href="{{link}}">Desbloquear conta</a></p>'
+      + '<p>Se não foi você, recomendamos alterar sua senha. O link expira em {{hours}} horas.</p>',
+  },
+
+  'new-device-login': {
+    subject: 'Novo acesso à sua conta',
+    text: 'Sua conta foi acessada a partir de um dispositivo novo.\n\n'
+      + 'Quando: {{time}}\nDispositivo: {{client}}\nEndereço IP: {{ipAddress}}\n\n'
+      + 'Se foi você, nada precisa ser feito. Se não foi, encerre todas as sessões pelo link abaixo e redefina sua senha:\n{{link}}',
+    html: '<p>Sua conta foi acessada a partir de um dispositivo novo.</p>'
+      + '<ul><li>Quando: {{time}}</li><li>Dispositivo: {{client}}</li><li>Endereço IP: {{ipAddress}}</li></ul>'
+      + '<p>Se foi você, nada precisa ser feito. Se não foi, encerre todas as sessões e redefina sua senha.</p>'
+      + '<p><a href="{{link}}">Não fui eu</a></p>',
+  },
+
+  'password-changed': {
+    subject: 'Sua senha foi alterada',
+    text: 'A senha da sua conta foi alterada em {{time}}. As sessões abertas e os tokens de acesso pessoal foram encerrados.\n\n'
+      + 'Se não foi você, encerre todas as sessões pelo link abaixo e entre em contato com o suporte:\n{{link}}',
+    html: '<p>A senha da sua conta foi alterada em {{time}}. As sessões abertas e os tokens de acesso pessoal foram encerrados.</p>'
+      + '<p>Se não foi você, encerre todas as sessões e entre em contato com o suporte.</p>'
+      + '<p><a href="{{link}}">Não fui eu</a></p>',
+  },
+
+  'mfa-changed': {
+    subject: 'Verificação em duas etapas alterada',
+    text: 'A verificação em duas etapas da sua conta foi alterada em {{time}}: {{change}}.\n\n'
+      + 'Se não foi você, encerre todas as sessões pelo link abaixo e redefina sua senha:\n{{link}}',
+    html: '<p>A verificação em duas etapas da sua conta foi alterada em {{time}}: {{change}}.</p>'
+      + '<p>Se não foi você, encerre todas as sessões e redefina sua senha.</p>'
+      + '<p><a href="{{link}}">Não fui eu</a></p>',
+    labels: {
+      change: {
+        totp_enabled: 'aplicativo autenticador ativado',
+        passkey_added: 'nova passkey cadastrada',
+        recovery_codes_regenerated: 'novos códigos de recuperação gerados',
+        mfa_reset: 'verificação em duas etapas desativada pelo suporte',
+      },
+    },
+  },
+
+  'sso-linked': {
+    subject: 'Novo login vinculado à sua conta',
+    text: 'Sua conta foi vinculada ao login por {{provider}} em {{time}}. A partir de agora é possível entrar por ele.\n\n'
+      + 'Se não foi você, encerre todas as sessões pelo link abaixo e entre em contato com o suporte:\n{{link}}',
+    html: '<p>Sua conta foi vinculada ao login por {{provider}} em {{time}}. A partir de agora é possível entrar por ele.</p>'
+      + '<p>Se não foi você, encerre todas as sessões e entre em contato com o suporte.</p>'
+      + '<p><a href="{{link}}">Não fui eu</a></p>',
+  },
+
+  'personal-token-created': {
+    subject: 'Novo token de acesso pessoal',
+    text: 'Um token de acesso pessoal chamado "{{name}}" foi criado na sua conta em {{time}}.\n\n'
+      + 'Se não foi você, encerre todas as sessões e revogue os tokens pelo link abaixo:\n{{link}}',
+    html: '<p>Um token de acesso pessoal chamado "{{name}}" foi criado na sua conta em {{time}}.</p>'
+      + '<p>Se não foi você, encerre todas as sessões e revogue os tokens.</p>'
+      + '<p><a href="{{link}}">Não fui eu</a></p>',
+  },
+};
@@ -0,0 +1,102 @@
+// templates.js - Renderização dos modelos de e-mail por idioma
+
+const LOCALES = {
+  'pt-BR': require('./locales/pt-BR'),
+  en: require('./locales/en'),
+};
+
+const DEFAULT_LOCALE = process.env.EMAIL_DEFAULT_LOCALE || 'pt-BR';
+
+/**
+ * Escapa caracteres especiais de HTML
+ * @param {*} value - Valor a inserir no HTML
+ * @returns {string} Valor escapado
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Substitui as variáveis {{nome}} do modelo
+ * @param {string} template - Texto do modelo
+ * @param {Object} data - Valores das variáveis
+ * @param {Function} [escape] - Função aplicada a cada valor
+ * @returns {string} Texto renderizado
+ */
+function interpolate(template, data, escape = String) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (!(key in data)) {
+      throw new Error(`Variável ausente no modelo de e-mail: ${key}`);
+    }
+    return escape(data[key]);
+  });
+}
+
+/**
+ * Troca valores enumerados pelos rótulos traduzidos do modelo (ex.: 'totp_enabled')
+ * @param {Object} data - Valores das variáveis
+ * @param {Object} [labels] - Rótulos por variável e valor
+ * @returns {Object} Valores com os rótulos aplicados
+ */
+function applyLabels(data, labels = {}) {
+  const result = { ...data };
+
+  for (const [key, values] of Object.entries(labels)) {
+    if (key in result && values[result[key]]) {
+      result[key] = values[result[key]];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Escolhe o idioma suportado mais próximo (ex.: 'en-US' usa 'en')
+ * @param {string} [locale] - Idioma desejado
+ * @returns {string} Idioma disponível
+ */
+function resolveLocale(locale) {
+  if (locale && LOCALES[locale]) return locale;
+
+  const language = locale && locale.split('-')[0];
+  const match = Object.keys(LOCALES).find((available) => available.split('-')[0] === language);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Renderiza um modelo de e-mail
+ * @param {string} name - Nome do modelo (ex.: 'mfa-code')
+ * @param {Object} data - Valores das variáveis
+ * @param {string} [locale] - Idioma desejado
+ * @returns {Object} Mensagem ({ subject, text, html, locale })
+ */
+function renderTemplate(name, data, locale) {
+  const resolved = resolveLocale(locale);
+  const template = LOCALES[resolved][name];
+
+  if (!template) {
+    throw new Error(`Modelo de e-mail desconhecido: ${name}`);
+  }
+
+  const values = applyLabels(data, template.labels);
+
+  return {
+    subject: interpolate(template.subject, values),
+    text: interpolate(template.text, values),
+    html: `<!DOCTYPE html><html lang="${resolved}"><body style="font-family:sans-serif;color:#1f2937">`
+      + interpolate(template.html, values, escapeHtml)
+      + '</body></html>',
+    locale: resolved,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LOCALES: Object.keys(LOCALES),
+  renderTemplate,
+  resolveLocale,
+};
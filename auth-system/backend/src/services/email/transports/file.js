@@ -0,0 +1,31 @@
+// file.js - Transporte que grava cada e-mail como JSON em uma pasta ("outbox") para desenvolvimento
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cria o transporte de arquivos
+ * @param {string} [dir] - Pasta de saída (padrão: EMAIL_OUTBOX_DIR ou ./outbox)
+ * @returns {Object} Transporte com send(message)
+ */
+function createFileTransport(dir = process.env.EMAIL_OUTBOX_DIR || path.resolve('outbox')) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Nome ordenável por data, para achar facilmente a mensagem mais recente
+      const sentAt = new Date();
+      const file = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+
+      await fs.promises.writeFile(
+        path.join(dir, file),
+        JSON.stringify({ ...message, sentAt }, null, 2)
+      );
+    },
+  };
+}
+
+module.exports = {
+  createFileTransport,
+};
@@ -0,0 +1,25 @@
+// memory.js - Transporte que guarda os e-mails em memória, para testes
+
+/**
+ * Cria o transporte em memória
+ * @returns {Object} Transporte com send(message), messages e clear()
+ */
+function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    messages,
+
+    async send(message) {
+      messages.push({ ...message, sentAt: new Date() });
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryTransport,
+};
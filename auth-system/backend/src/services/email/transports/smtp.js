@@ -0,0 +1,35 @@
+// smtp.js - Transporte de e-mail via SMTP (nodemailer)
+
+/**
+ * Cria o transporte SMTP a partir das variáveis de ambiente
+ * @returns {Object} Transporte com send(message)
+ */
+function createSmtpTransport() {
+  // Carregado sob demanda: os transportes de desenvolvimento não dependem do nodemailer
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true', // true para a porta 465
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    async send(message) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_FROM,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+    },
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+};
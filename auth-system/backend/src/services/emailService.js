@@ -0,0 +1,96 @@
+// emailService.js - Envio de e-mails transacionais a partir de modelos
+// O transporte é escolhido por EMAIL_TRANSPORT: 'smtp', 'file' (outbox em disco) ou 'memory' (testes)
+
+const { renderTemplate } = require('./email/templates');
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = 500; // Dobra a cada nova tentativa
+
+const TRANSPORTS = {
+  smtp: () => require('./email/transports/smtp').createSmtpTransport(),
+  file: () => require('./email/transports/file').createFileTransport(),
+  memory: () => require('./email/transports/memory').createMemoryTransport(),
+};
+
+// Falha definitiva de entrega, após esgotar as tentativas
+class EmailDeliveryError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'EmailDeliveryError';
+    this.cause = cause;
+  }
+}
+
+let transport = null;
+
+/**
+ * Retorna o transporte configurado, criando-o no primeiro uso
+ * Sem EMAIL_TRANSPORT, usa SMTP quando SMTP_HOST estiver definido e o outbox em disco caso contrário
+ * @returns {Object} Transporte com send(message)
+ */
+function getTransport() {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+    const factory = TRANSPORTS[name];
+
+    if (!factory) {
+      throw new Error(`EMAIL_TRANSPORT inválido: ${name}`);
+    }
+
+    transport = factory();
+  }
+
+  return transport;
+}
+
+/**
+ * Renderiza um modelo e o envia, repetindo em caso de falha
+ * @param {string} to - Destinatário
+ * @param {string} template - Nome do modelo (ex.: 'password-reset')
+ * @param {Object} data - Variáveis do modelo
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Idioma da mensagem
+ * @throws {EmailDeliveryError} Se todas as tentativas falharem
+ */
+async function sendTemplate(to, template, data, { locale } = {}) {
+  const message = { to, template, ...renderTemplate(template, data, locale) };
+  const activeTransport = getTransport();
+
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await activeTransport.send(message);
+      return;
+    } catch (error) {
+      lastError = error;
+      console.warn(`[email] Falha ao enviar '${template}' (tentativa ${attempt}/${MAX_ATTEMPTS}):`, error.message);
+
+      if (attempt < MAX_ATTEMPTS) {
+        await new Promise((resolve) => setTimeout(resolve, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  throw new EmailDeliveryError(`Não foi possível enviar o e-mail '${template}'`, lastError);
+}
+
+/**
+ * Envia um modelo em segundo plano, sem aguardar a entrega
+ * Usado quando a resposta não pode depender do envio (ex.: não revelar se a conta existe)
+ * @param {string} to - Destinatário
+ * @param {string} template - Nome do modelo
+ * @param {Object} data - Variáveis do modelo
+ * @param {Object} [options] - Mesmas opções de sendTemplate
+ */
+function queueTemplate(to, template, data, options) {
+  sendTemplate(to, template, data, options).catch((error) => {
+    console.error('Erro ao enviar e-mail:', error, error.cause);
+  });
+}
+
+module.exports = {
+  EmailDeliveryError,
+  getTransport,
+  sendTemplate,
+  queueTemplate,
+};
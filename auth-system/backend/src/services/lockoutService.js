@@ -0,0 +1,97 @@
+// lockoutService.js - Bloqueio progressivo de login por conta e por IP
+// Conta: a partir de ACCOUNT_LOCK_THRESHOLD falhas seguidas, cada nova falha dobra o tempo de bloqueio
+// IP: muitas falhas ou muitas contas diferentes no mesmo IP (credential stuffing) bloqueiam o IP
+
+const repositories = require('../repositories');
+
+const ACCOUNT_LOCK_THRESHOLD = 5;
+const ACCOUNT_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // Falhas mais antigas são esquecidas
+
+const IP_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const IP_MAX_FAILURES = 20;
+const IP_MAX_ACCOUNTS = 5; // Contas distintas com falha a partir do mesmo IP
+
+const LOCK_BASE_MS = 60 * 1000; // 1 minuto no primeiro bloqueio
+const LOCK_MAX_MS = 60 * 60 * 1000; // Nunca mais que 1 hora por vez
+
+/**
+ * Duração do bloqueio após exceder o limite
+ * @param {number} excess - Falhas além do limite (0 no primeiro bloqueio)
+ * @returns {number} Duração em milissegundos
+ */
+function getLockDuration(excess) {
+  return Math.min(LOCK_BASE_MS * 2 ** excess, LOCK_MAX_MS);
+}
+
+/**
+ * Calcula o tempo restante de bloqueio a partir da última falha
+ * @param {number} excess - Falhas além do limite; negativo se não atingiu o limite
+ * @param {Date} lastFailureAt - Data da última falha
+ * @returns {number} Milissegundos restantes (0 se não está bloqueado)
+ */
+function getRemainingLock(excess, lastFailureAt) {
+  if (excess < 0 || !lastFailureAt) return 0;
+
+  const unlockAt = new Date(lastFailureAt).getTime() + getLockDuration(excess);
+  return Math.max(unlockAt - Date.now(), 0);
+}
+
+/**
+ * Verifica se a conta está bloqueada por tentativas falhas
+ * @param {string} userId - ID do usuário
+ * @returns {Object} { locked, retryAfterMs, failures }
+ */
+async function getAccountLock(userId) {
+  const since = new Date(Date.now() - ACCOUNT_FAILURE_WINDOW_MS);
+  const { count, lastFailureAt } = await repositories.loginAttempts.getFailureStats(userId, since);
+
+  const retryAfterMs = getRemainingLock(count - ACCOUNT_LOCK_THRESHOLD, lastFailureAt);
+  return { locked: retryAfterMs > 0, retryAfterMs, failures: count };
+}
+
+/**
+ * Verifica se o IP está bloqueado por excesso de falhas
+ * @param {string} ipAddress - Endereço IP
+ * @returns {Object} { locked, retryAfterMs, reason }
+ */
+async function getIpLock(ipAddress) {
+  const since = new Date(Date.now() - IP_FAILURE_WINDOW_MS);
+  const { count, accounts, lastFailureAt } = await repositories.loginAttempts.getIpFailureStats(ipAddress, since);
+
+  const failureExcess = count - IP_MAX_FAILURES;
+  const accountExcess = accounts - IP_MAX_ACCOUNTS;
+  const retryAfterMs = getRemainingLock(Math.max(failureExcess, accountExcess), lastFailureAt);
+
+  return {
+    locked: retryAfterMs > 0,
+    retryAfterMs,
+    reason: accountExcess >= failureExcess ? 'credential_stuffing' : 'too_many_failures',
+  };
+}
+
+/**
+ * Registra uma tentativa de login falha
+ * @param {Object} attempt - { userId, login, ipAddress }; userId nulo se o usuário não existe
+ * @returns {Object} Situação da conta após a falha ({ locked, retryAfterMs, failures }, vazio sem userId)
+ */
+async function recordLoginFailure({ userId = null, login, ipAddress }) {
+  await repositories.loginAttempts.record({ userId, login, ipAddress, success: false });
+
+  return userId ? getAccountLock(userId) : {};
+}
+
+/**
+ * Zera as falhas da conta após um login bem-sucedido ou um desbloqueio
+ * @param {string} userId - ID do usuário
+ */
+async function clearAccountFailures(userId) {
+  await repositories.loginAttempts.clearFailures(userId);
+}
+
+module.exports = {
+  ACCOUNT_LOCK_THRESHOLD,
+  getAccountLock,
+  getIpLock,
+  recordLoginFailure,
+  clearAccountFailures,
+};
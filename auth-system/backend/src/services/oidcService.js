@@ -0,0 +1,480 @@
+// oidcService.js - Provedor OpenID Connect para os outros aplicativos da empresa
+// Fluxo de código de autorização com PKCE (S256 obrigatório). A etapa interativa (login, MFA e
+// consentimento) acontece no frontend; aqui ficam a validação dos pedidos, a emissão dos códigos
+// e dos tokens e os dados do usuário entregues aos clientes.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const {
+  JWT_ALGORITHM,
+  ACCESS_TOKEN_TTL_SECONDS,
+  usesKeyPairs,
+  signToken,
+  verifyAccessToken,
+} = require('./signingKeyService');
+
+// Identificador público do provedor; deve ser a URL base do backend vista pelos clientes
+const ISSUER = (process.env.OIDC_ISSUER || `http://localhost:${Number(process.env.PORT) || 3001}`).replace(/\/$/, '');
+
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000; // 5 minutos
+
+// Escopos aceitos e o que cada um libera, na ordem exibida na tela de consentimento
+const SCOPES = {
+  openid: 'Confirmar sua identidade',
+  profile: 'Ver seu nome de usuário',
+  email: 'Ver seu endereço de e-mail',
+};
+
+const PKCE_PATTERN = /^[A-Za-z0-9._~-]{43,128}$/;
+
+// Erro no formato do OAuth 2.0 (RFC 6749); redirect indica se pode ser devolvido ao redirect_uri
+class OAuthError extends Error {
+  constructor(error, description, { status = 400, redirect = false } = {}) {
+    super(description);
+    this.name = 'OAuthError';
+    this.error = error;
+    this.status = status;
+    this.redirect = redirect;
+  }
+}
+
+/**
+ * Calcula o SHA-256 em hexadecimal (códigos de autorização e segredos de clientes)
+ * @param {string} value - Valor recebido
+ * @returns {string} Hash
+ */
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Compara hashes em tempo constante
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {boolean} Verdadeiro se iguais
+ */
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Garante que o provedor pode emitir tokens verificáveis pelo JWKS
+ */
+function assertEnabled() {
+  if (!usesKeyPairs()) {
+    throw new OAuthError(
+      'server_error',
+      'O provedor OpenID Connect exige JWT_ALGORITHM RS256 ou ES256',
+      { status: 503 }
+    );
+  }
+}
+
+/**
+ * Documento de descoberta (/.well-known/openid-configuration)
+ * @returns {Object} Metadados do provedor
+ */
+function getDiscoveryDocument() {
+  return {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/api/auth/oauth/authorize`,
+    token_endpoint: `${ISSUER}/api/auth/oauth/token`,
+    userinfo_endpoint: `${ISSUER}/api/auth/oauth/userinfo`,
+    jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+    scopes_supported: Object.keys(SCOPES),
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [JWT_ALGORITHM],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'preferred_username', 'email', 'email_verified'],
+  };
+}
+
+/**
+ * Valida uma URI de retorno no cadastro do cliente
+ * Exige HTTPS, exceto para localhost, e não aceita fragmento
+ * @param {string} uri - URI informada
+ * @returns {boolean} Verdadeiro se aceitável
+ */
+function isValidRedirectUri(uri) {
+  let url;
+  try {
+    url = new URL(uri);
+  } catch (error) {
+    return false;
+  }
+
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  return !url.hash && (url.protocol === 'https:' || (url.protocol === 'http:' && local));
+}
+
+/**
+ * Cadastra um aplicativo cliente
+ * @param {Object} data - { name, redirectUris, isPublic }; clientes públicos (SPA, nativos) não têm segredo
+ * @returns {Promise<Object>} { clientId, clientSecret }; o segredo só é exibido aqui
+ */
+async function registerClient({ name, redirectUris, isPublic = false }) {
+  const invalid = redirectUris.find((uri) => !isValidRedirectUri(uri));
+  if (invalid) {
+    throw new Error(`URI de retorno inválida: ${invalid}`);
+  }
+
+  const clientId = crypto.randomBytes(16).toString('hex');
+  const clientSecret = isPublic ? null : crypto.randomBytes(32).toString('base64url');
+
+  await repositories.oauthClients.create({
+    id: clientId,
+    name,
+    secretHash: clientSecret ? sha256(clientSecret) : null,
+    redirectUris,
+  });
+
+  return { clientId, clientSecret };
+}
+
+/**
+ * Cadastra o cliente de desenvolvimento de OAUTH_DEV_CLIENT_*, só com DB_DRIVER=memory,
+ * em que o admin.js não alcança o banco do servidor
+ * @returns {Promise<Object|null>} { clientId } ou null se não configurado
+ */
+async function seedDevClient() {
+  const clientId = process.env.OAUTH_DEV_CLIENT_ID;
+  if (!clientId) return null;
+
+  if (process.env.DB_DRIVER !== 'memory') {
+    throw new Error('OAUTH_DEV_CLIENT_ID só vale com DB_DRIVER=memory; cadastre clientes com: npm run admin -- oauth:client-create');
+  }
+
+  const redirectUris = (process.env.OAUTH_DEV_CLIENT_REDIRECT_URIS || '').split(',').map((uri) => uri.trim()).filter(Boolean);
+  if (redirectUris.length === 0) {
+    throw new Error('Informe OAUTH_DEV_CLIENT_REDIRECT_URIS');
+  }
+
+  const invalid = redirectUris.find((uri) => !isValidRedirectUri(uri));
+  if (invalid) {
+    throw new Error(`URI de retorno inválida: ${invalid}`);
+  }
+
+  // Sem segredo, o cliente é público (SPA ou nativo)
+  const clientSecret = process.env.OAUTH_DEV_CLIENT_SECRET;
+
+  await repositories.oauthClients.create({
+    id: clientId,
+    name: 'Cliente de desenvolvimento',
+    secretHash: clientSecret ? sha256(clientSecret) : null,
+    redirectUris,
+  });
+
+  return { clientId };
+}
+
+/**
+ * Monta a URL de retorno ao cliente, preservando a query já existente
+ * @param {string} redirectUri - URI de retorno registrada
+ * @param {Object} params - Parâmetros a acrescentar (valores vazios são omitidos)
+ * @returns {string} URL
+ */
+function buildRedirect(redirectUri, params) {
+  const url = new URL(redirectUri);
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  }
+
+  return url.toString();
+}
+
+/**
+ * URL que devolve um erro ao cliente pelo redirect_uri
+ * @param {OAuthError} error - Erro
+ * @param {Object} request - Pedido validado até o redirect_uri ({ redirectUri, state })
+ * @returns {string} URL
+ */
+function buildErrorRedirect(error, { redirectUri, state }) {
+  return buildRedirect(redirectUri, { error: error.error, error_description: error.message, state });
+}
+
+/**
+ * Valida o pedido de autorização recebido do cliente
+ * Erros no client_id ou redirect_uri não podem voltar ao cliente (redirect = false);
+ * os demais vêm com request.redirectUri e request.state para serem devolvidos por redirecionamento
+ * @param {Object} params - Parâmetros da query (client_id, redirect_uri, response_type, scope, state, nonce, code_challenge, code_challenge_method, prompt)
+ * @returns {Promise<Object>} { client, redirectUri, scopes, state, nonce, codeChallenge, prompt }
+ * @throws {OAuthError} Pedido inválido; error.request traz o que foi validado
+ */
+async function validateAuthorizationRequest(params) {
+  assertEnabled();
+
+  const get = (name) => (typeof params[name] === 'string' ? params[name] : undefined);
+
+  const client = get('client_id') && await repositories.oauthClients.findById(get('client_id'));
+  if (!client) {
+    throw new OAuthError('invalid_request', 'Aplicativo cliente desconhecido');
+  }
+
+  const redirectUri = get('redirect_uri');
+  if (!redirectUri || !client.redirect_uris.includes(redirectUri)) {
+    throw new OAuthError('invalid_request', 'redirect_uri não cadastrado para este aplicativo');
+  }
+
+  const request = { client, redirectUri, state: get('state') };
+  const fail = (error, description) => {
+    const oauthError = new OAuthError(error, description, { redirect: true });
+    oauthError.request = request;
+    return oauthError;
+  };
+
+  if (get('response_type') !== 'code') {
+    throw fail('unsupported_response_type', 'Apenas response_type=code é suportado');
+  }
+
+  const requested = (get('scope') || '').split(' ').filter(Boolean);
+  if (!requested.includes('openid')) {
+    throw fail('invalid_scope', 'O escopo openid é obrigatório');
+  }
+
+  // Escopos desconhecidos são ignorados, como permite a especificação
+  const scopes = Object.keys(SCOPES).filter((scope) => requested.includes(scope));
+
+  if (get('code_challenge_method') !== 'S256' || !PKCE_PATTERN.test(get('code_challenge') || '')) {
+    throw fail('invalid_request', 'PKCE obrigatório: informe code_challenge com code_challenge_method=S256');
+  }
+
+  // Sem sessão no próprio provedor não há como autenticar sem interação
+  if (get('prompt') === 'none') {
+    throw fail('interaction_required', 'Autenticação silenciosa não é suportada');
+  }
+
+  return {
+    ...request,
+    scopes,
+    nonce: get('nonce'),
+    codeChallenge: get('code_challenge'),
+    prompt: get('prompt'),
+  };
+}
+
+/**
+ * Descreve os escopos para a tela de consentimento
+ * @param {string[]} scopes - Escopos pedidos
+ * @returns {Object[]} { id, description }, na ordem de SCOPES
+ */
+function describeScopes(scopes) {
+  return Object.keys(SCOPES)
+    .filter((scope) => scopes.includes(scope))
+    .map((scope) => ({ id: scope, description: SCOPES[scope] }));
+}
+
+/**
+ * Indica se o usuário precisa aprovar o pedido (primeiro acesso, escopos novos ou prompt=consent)
+ * @param {string} userId - ID do usuário
+ * @param {Object} request - Pedido validado
+ * @returns {Promise<boolean>} Verdadeiro se a tela de consentimento deve ser exibida
+ */
+async function isConsentRequired(userId, request) {
+  if (request.prompt === 'consent') return true;
+
+  const consent = await repositories.oauthConsents.find(userId, request.client.id);
+  return !consent || request.scopes.some((scope) => !consent.scopes.includes(scope));
+}
+
+/**
+ * Aprova o pedido: registra o consentimento e emite o código de autorização
+ * @param {string} userId - ID do usuário
+ * @param {Object} request - Pedido validado
+ * @param {Date} authTime - Momento do login que originou a sessão
+ * @returns {Promise<string>} URL de retorno ao cliente com o código
+ */
+async function approveAuthorization(userId, request, authTime) {
+  await repositories.oauthConsents.grant(userId, request.client.id, request.scopes);
+
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await repositories.oauthCodes.create({
+    codeHash: sha256(code),
+    clientId: request.client.id,
+    userId,
+    redirectUri: request.redirectUri,
+    scopes: request.scopes,
+    nonce: request.nonce || null,
+    codeChallenge: request.codeChallenge,
+    authTime,
+    expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_MS),
+  });
+
+  return buildRedirect(request.redirectUri, { code, state: request.state, iss: ISSUER });
+}
+
+/**
+ * Autentica o cliente no endpoint de token (client_secret_basic, client_secret_post ou público)
+ * @param {Object} credentials - { clientId, clientSecret }
+ * @returns {Promise<Object>} Cliente
+ * @throws {OAuthError} invalid_client
+ */
+async function authenticateClient({ clientId, clientSecret }) {
+  const client = clientId && await repositories.oauthClients.findById(clientId);
+
+  if (!client) {
+    throw new OAuthError('invalid_client', 'Aplicativo cliente desconhecido', { status: 401 });
+  }
+
+  if (client.secret_hash && !(clientSecret && safeEqual(sha256(clientSecret), client.secret_hash))) {
+    throw new OAuthError('invalid_client', 'Falha na autenticação do aplicativo cliente', { status: 401 });
+  }
+
+  return client;
+}
+
+/**
+ * Claims do usuário liberadas pelos escopos
+ * @param {Object} user - Usuário
+ * @param {string[]} scopes - Escopos concedidos
+ * @returns {Object} Claims
+ */
+function getUserClaims(user, scopes) {
+  const claims = { sub: user.id };
+
+  if (scopes.includes('profile')) {
+    claims.preferred_username = user.username;
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = Boolean(user.email_verified);
+  }
+
+  return claims;
+}
+
+/**
+ * Troca o código de autorização por um token de acesso e um ID token
+ * @param {Object} client - Cliente autenticado
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Resposta do endpoint de token e o ID do usuário ({ body, userId })
+ * @throws {OAuthError} invalid_request ou invalid_grant
+ */
+async function exchangeAuthorizationCode(client, { code, redirectUri, codeVerifier }) {
+  assertEnabled();
+
+  if (!code || !redirectUri || !PKCE_PATTERN.test(codeVerifier || '')) {
+    throw new OAuthError('invalid_request', 'Informe code, redirect_uri e code_verifier');
+  }
+
+  // Consumido antes das demais verificações: um código apresentado de forma incorreta não vale mais
+  const codeHash = sha256(code);
+  const grant = await repositories.oauthCodes.consume(codeHash);
+
+  // Código já trocado e apresentado de novo: pode ter vazado, então os tokens emitidos com ele são revogados
+  if (!grant && await repositories.oauthCodes.revoke(codeHash)) {
+    throw new OAuthError('invalid_grant', 'Código de autorização já utilizado; os tokens emitidos com ele foram revogados');
+  }
+
+  if (!grant || grant.client_id !== client.id || grant.redirect_uri !== redirectUri) {
+    throw new OAuthError('invalid_grant', 'Código de autorização inválido ou expirado');
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  if (!safeEqual(challenge, grant.code_challenge)) {
+    throw new OAuthError('invalid_grant', 'code_verifier não confere com o code_challenge');
+  }
+
+  const user = await repositories.users.findById(grant.user_id);
+  if (!user || !user.is_active) {
+    throw new OAuthError('invalid_grant', 'Conta indisponível');
+  }
+
+  const accessTokenId = uuidv4();
+  const accessToken = await signToken({
+    iss: ISSUER,
+    sub: user.id,
+    aud: ISSUER,
+    client_id: client.id,
+    scope: grant.scopes.join(' '),
+  }, { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: accessTokenId, typ: 'at+jwt' });
+
+  // Vincula o token ao código, para revogá-lo se o código for reapresentado
+  await repositories.oauthCodes.recordToken(codeHash, accessTokenId);
+
+  // at_hash: metade esquerda do SHA-256 do token de acesso (RS256 e ES256 usam SHA-256)
+  const accessTokenHash = crypto.createHash('sha256').update(accessToken).digest();
+
+  const idToken = await signToken({
+    ...getUserClaims(user, grant.scopes),
+    iss: ISSUER,
+    aud: client.id,
+    auth_time: Math.floor(new Date(grant.auth_time).getTime() / 1000),
+    at_hash: accessTokenHash.subarray(0, accessTokenHash.length / 2).toString('base64url'),
+    ...(grant.nonce ? { nonce: grant.nonce } : {}),
+  }, { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: uuidv4() });
+
+  return {
+    userId: user.id,
+    body: {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      id_token: idToken,
+      scope: grant.scopes.join(' '),
+    },
+  };
+}
+
+/**
+ * Dados do usuário para o endpoint userinfo, conforme os escopos do token de acesso
+ * @param {string} accessToken - Token emitido pelo endpoint de token
+ * @returns {Promise<Object>} Claims
+ * @throws {OAuthError} invalid_token
+ */
+async function getUserInfo(accessToken) {
+  let payload;
+  try {
+    payload = await verifyAccessToken(accessToken);
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new OAuthError('invalid_token', 'Token de acesso inválido ou expirado', { status: 401 });
+    }
+    throw error;
+  }
+
+  // Apenas tokens emitidos para aplicativos clientes; os da própria API não servem aqui
+  const header = jwt.decode(accessToken, { complete: true }).header;
+  const scopes = typeof payload.scope === 'string' ? payload.scope.split(' ') : [];
+
+  if (header.typ !== 'at+jwt' || payload.iss !== ISSUER || !scopes.includes('openid')) {
+    throw new OAuthError('invalid_token', 'Token de acesso inválido ou expirado', { status: 401 });
+  }
+
+  if (await repositories.oauthCodes.isTokenRevoked(payload.jti)) {
+    throw new OAuthError('invalid_token', 'Token de acesso revogado', { status: 401 });
+  }
+
+  const user = await repositories.users.findById(payload.sub);
+  if (!user || !user.is_active) {
+    throw new OAuthError('invalid_token', 'Conta indisponível', { status: 401 });
+  }
+
+  return getUserClaims(user, scopes);
+}
+
+module.exports = {
+  OAuthError,
+  ISSUER,
+  getDiscoveryDocument,
+  registerClient,
+  seedDevClient,
+  validateAuthorizationRequest,
+  buildErrorRedirect,
+  describeScopes,
+  isConsentRequired,
+  approveAuthorization,
+  authenticateClient,
+  exchangeAuthorizationCode,
+  getUserInfo,
+};
@@ -0,0 +1,183 @@
+// passwordPolicy.js - Política de senhas única para cadastro, redefinição, alteração e CLI
+// As mesmas regras e mensagens são expostas ao frontend (GET /password/policy e POST /password/evaluate)
+
+const fs = require('fs');
+const path = require('path');
+const repositories = require('../repositories');
+const { verifyPassword } = require('./passwordService');
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_MIN_CHARACTER_CLASSES = 3; // Entre minúsculas, maiúsculas, números e símbolos
+const PASSPHRASE_MIN_LENGTH = 16; // Frases longas dispensam a mistura de tipos de caractere
+const PASSWORD_HISTORY_SIZE = 5; // Senhas recentes que não podem ser reutilizadas
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', '..', 'data', 'common-passwords.txt');
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Regras na ordem em que são exibidas
+const RULES = [
+  { id: 'min_length', message: `A senha deve ter pelo menos ${PASSWORD_MIN_LENGTH} caracteres` },
+  { id: 'max_length', message: `A senha deve ter no máximo ${PASSWORD_MAX_LENGTH} caracteres` },
+  {
+    id: 'character_classes',
+    message: `A senha deve combinar pelo menos ${PASSWORD_MIN_CHARACTER_CLASSES} tipos de caractere (minúsculas, maiúsculas, números e símbolos) ou ter pelo menos ${PASSPHRASE_MIN_LENGTH} caracteres`
+  },
+  { id: 'not_common', message: 'A senha não pode ser uma senha comum ou já vazada' },
+  { id: 'not_personal', message: 'A senha não pode conter o nome de usuário ou o e-mail' },
+];
+
+const REUSE_MESSAGE = `A nova senha não pode ser igual a uma das últimas ${PASSWORD_HISTORY_SIZE} senhas`;
+
+let commonPasswords = null;
+
+/**
+ * Carrega a lista de senhas comuns na primeira consulta
+ * @returns {Set<string>} Senhas em minúsculas
+ */
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+
+  return commonPasswords;
+}
+
+/**
+ * Indica se a senha é comum, inclusive com números ou símbolos no final (ex.: 'Senha123!')
+ * @param {string} password - Senha
+ * @returns {boolean} Verdadeiro se estiver na lista
+ */
+function isCommonPassword(password) {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '');
+
+  return list.has(lower) || (base.length >= 4 && list.has(base));
+}
+
+/**
+ * Indica se a senha contém o nome de usuário ou a parte local do e-mail
+ * @param {string} password - Senha
+ * @param {Object} context - { username, email }
+ * @returns {boolean} Verdadeiro se contiver
+ */
+function containsPersonalData(password, { username, email }) {
+  const lower = password.toLowerCase();
+  const parts = [username, email && String(email).split('@')[0]]
+    .filter((part) => typeof part === 'string' && part.length >= 3)
+    .map((part) => part.toLowerCase());
+
+  return parts.some((part) => lower.includes(part));
+}
+
+/**
+ * Estima a força da senha de 0 (muito fraca) a 4 (forte)
+ * @param {string} password - Senha
+ * @param {number} classes - Tipos de caractere presentes
+ * @returns {number} Pontuação
+ */
+function estimateStrength(password, classes) {
+  const poolSizes = [26, 26, 10, 33];
+  const pool = CHARACTER_CLASSES.reduce((sum, pattern, i) => sum + (pattern.test(password) ? poolSizes[i] : 0), 0);
+
+  let bits = password.length * Math.log2(pool || 1);
+
+  // Repetições (aaa) e poucos tipos de caractere reduzem a força real
+  if (/(.)\1{2,}/.test(password)) bits -= 10;
+  if (classes < 2) bits -= 10;
+
+  if (bits < 30) return 0;
+  if (bits < 45) return 1;
+  if (bits < 60) return 2;
+  if (bits < 80) return 3;
+  return 4;
+}
+
+/**
+ * Avalia a senha contra as regras da política
+ * @param {string} password - Senha
+ * @param {Object} [context] - { username, email } do titular, para a regra de dados pessoais
+ * @returns {Object} { valid, score, checks: [{ id, message, passed }], errors: [mensagens] }
+ */
+function evaluatePassword(password, context = {}) {
+  const value = typeof password === 'string' ? password : '';
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(value)).length;
+
+  const results = {
+    min_length: value.length >= PASSWORD_MIN_LENGTH,
+    max_length: value.length <= PASSWORD_MAX_LENGTH,
+    character_classes: classes >= PASSWORD_MIN_CHARACTER_CLASSES || value.length >= PASSPHRASE_MIN_LENGTH,
+    not_common: value.length > 0 && !isCommonPassword(value),
+    not_personal: !containsPersonalData(value, context),
+  };
+
+  const checks = RULES.map((rule) => ({ ...rule, passed: results[rule.id] }));
+  const errors = checks.filter((check) => !check.passed).map((check) => check.message);
+
+  // Senhas fora da política nunca aparecem como fortes no medidor
+  const strength = results.not_common ? estimateStrength(value, classes) : 0;
+
+  return {
+    valid: errors.length === 0,
+    score: errors.length === 0 ? strength : Math.min(strength, 1),
+    checks,
+    errors,
+  };
+}
+
+/**
+ * Verifica se a senha está entre as últimas do usuário
+ * @param {Object} user - Usuário ({ id, password_hash })
+ * @param {string} password - Nova senha
+ * @returns {boolean} Verdadeiro se for reuso
+ */
+async function isPasswordReused(user, password) {
+  const recent = await repositories.passwordHistory.listRecent(user.id, PASSWORD_HISTORY_SIZE);
+  const hashes = new Set([user.password_hash, ...recent].filter(Boolean));
+
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Registra a senha definida no histórico
+ * @param {string} userId - ID do usuário
+ * @param {string} passwordHash - Hash da nova senha
+ */
+async function rememberPassword(userId, passwordHash) {
+  await repositories.passwordHistory.add(userId, passwordHash, PASSWORD_HISTORY_SIZE);
+}
+
+/**
+ * Descrição pública da política, para o frontend
+ * @returns {Object} Limites e regras
+ */
+function describePolicy() {
+  return {
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+    minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+    passphraseMinLength: PASSPHRASE_MIN_LENGTH,
+    historySize: PASSWORD_HISTORY_SIZE,
+    rules: [...RULES, { id: 'not_reused', message: REUSE_MESSAGE }],
+  };
+}
+
+module.exports = {
+  PASSWORD_MAX_LENGTH,
+  REUSE_MESSAGE,
+  evaluatePassword,
+  isPasswordReused,
+  rememberPassword,
+  describePolicy,
+};
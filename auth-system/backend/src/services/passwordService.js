@@ -0,0 +1,136 @@
+// passwordService.js - Hash e verificação de senhas, compartilhado pela API e pela CLI de administração
+// Novas senhas usam argon2id; hashes bcrypt antigos continuam válidos e são convertidos no próximo login.
+// O algoritmo e o custo ficam registrados no próprio hash; o identificador do pepper vai nos dados
+// associados do argon2 (parâmetro data=), para que a troca de configuração seja detectada.
+
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+
+// Algoritmo das novas senhas: 'argon2id' (padrão) ou 'bcrypt'
+const PASSWORD_HASH_ALGORITHM = process.env.PASSWORD_HASH_ALGORITHM || 'argon2id';
+
+// Parâmetros do argon2id (padrão: recomendação mínima da OWASP)
+const ARGON2_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: Number(process.env.ARGON2_MEMORY_COST) || 19456, // KiB
+  timeCost: Number(process.env.ARGON2_TIME_COST) || 2,
+  parallelism: Number(process.env.ARGON2_PARALLELISM) || 1,
+};
+
+// Custo do hash bcrypt, usado apenas com PASSWORD_HASH_ALGORITHM=bcrypt
+const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
+
+// Segredo adicional fora do banco; só se aplica a hashes argon2id
+const PASSWORD_PEPPER = process.env.PASSWORD_PEPPER || '';
+const PASSWORD_PEPPER_ID = process.env.PASSWORD_PEPPER_ID || '1';
+
+const PEPPER_DATA_PREFIX = 'pepper:';
+
+if (!['argon2id', 'bcrypt'].includes(PASSWORD_HASH_ALGORITHM)) {
+  throw new Error(`PASSWORD_HASH_ALGORITHM inválido: ${PASSWORD_HASH_ALGORITHM}`);
+}
+
+/**
+ * Identifica o algoritmo de um hash armazenado
+ * @param {string} passwordHash - Hash armazenado
+ * @returns {string|null} 'argon2id', 'bcrypt' ou null se o formato é desconhecido
+ */
+function getAlgorithm(passwordHash) {
+  if (typeof passwordHash !== 'string') return null;
+  if (passwordHash.startsWith('$argon2id$')) return 'argon2id';
+  if (/^\$2[aby]\$\d{2}\$/.test(passwordHash)) return 'bcrypt';
+  return null;
+}
+
+/**
+ * Lê o identificador do pepper registrado em um hash argon2id
+ * @param {string} passwordHash - Hash argon2id
+ * @returns {string|null} Identificador ou null se o hash foi gerado sem pepper
+ */
+function getPepperId(passwordHash) {
+  const match = passwordHash.split('$')[3].match(/(?:^|,)data=([A-Za-z0-9+/]+)/);
+  if (!match) return null;
+
+  const data = Buffer.from(match[1], 'base64').toString('utf8');
+  return data.startsWith(PEPPER_DATA_PREFIX) ? data.slice(PEPPER_DATA_PREFIX.length) : null;
+}
+
+/**
+ * Gera o hash de uma senha com o algoritmo e os parâmetros configurados
+ * @param {string} password - Senha em texto puro
+ * @returns {Promise<string>} Hash da senha
+ */
+function hashPassword(password) {
+  if (PASSWORD_HASH_ALGORITHM === 'bcrypt') {
+    return bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
+  }
+
+  if (!PASSWORD_PEPPER) {
+    return argon2.hash(password, ARGON2_OPTIONS);
+  }
+
+  return argon2.hash(password, {
+    ...ARGON2_OPTIONS,
+    secret: Buffer.from(PASSWORD_PEPPER),
+    associatedData: Buffer.from(`${PEPPER_DATA_PREFIX}${PASSWORD_PEPPER_ID}`),
+  });
+}
+
+/**
+ * Compara uma senha com o hash armazenado, em qualquer formato suportado
+ * @param {string} password - Senha informada
+ * @param {string} passwordHash - Hash armazenado
+ * @returns {Promise<boolean>} Verdadeiro se a senha confere
+ */
+async function verifyPassword(password, passwordHash) {
+  const algorithm = getAlgorithm(passwordHash);
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  if (algorithm !== 'argon2id') {
+    return false;
+  }
+
+  const pepperId = getPepperId(passwordHash);
+  if (!pepperId) {
+    return argon2.verify(passwordHash, password);
+  }
+
+  if (!PASSWORD_PEPPER || pepperId !== PASSWORD_PEPPER_ID) {
+    // Sem o pepper usado na criação não há como verificar; o usuário precisa redefinir a senha
+    console.error(`Hash de senha gerado com o pepper ${pepperId}, que não está configurado`);
+    return false;
+  }
+
+  return argon2.verify(passwordHash, password, { secret: Buffer.from(PASSWORD_PEPPER) });
+}
+
+/**
+ * Indica se o hash deve ser refeito com a configuração atual (algoritmo, custo ou pepper)
+ * Só pode ser chamado após verificar a senha, pois o novo hash precisa dela
+ * @param {string} passwordHash - Hash armazenado
+ * @returns {boolean} Verdadeiro se o hash está desatualizado
+ */
+function needsRehash(passwordHash) {
+  const algorithm = getAlgorithm(passwordHash);
+
+  if (algorithm !== PASSWORD_HASH_ALGORITHM) {
+    return true;
+  }
+
+  if (algorithm === 'bcrypt') {
+    return bcrypt.getRounds(passwordHash) !== BCRYPT_SALT_ROUNDS;
+  }
+
+  const expectedPepperId = PASSWORD_PEPPER ? PASSWORD_PEPPER_ID : null;
+
+  return getPepperId(passwordHash) !== expectedPepperId || argon2.needsRehash(passwordHash, ARGON2_OPTIONS);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+};
@@ -0,0 +1,146 @@
+// personalTokenService.js - Tokens de acesso pessoal para scripts, CI e outras integrações
+// O token é opaco (pat_...), vale até a data escolhida na criação e só é exibido uma vez; o banco
+// guarda o SHA-256. Os escopos limitam o que o token faz: 'profile' lê os dados da conta e os
+// demais são permissões do usuário, conferidas de novo a cada uso.
+
+const crypto = require('crypto');
+const repositories = require('../repositories');
+
+// Prefixo que identifica o token no cabeçalho Authorization e em varreduras de segredos vazados
+const TOKEN_PREFIX = 'pat_';
+
+// Caracteres exibidos na lista para o usuário reconhecer o token
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+
+const MAX_LIFETIME_DAYS = Number(process.env.PERSONAL_TOKEN_MAX_DAYS) || 365;
+
+// Escopo liberado para qualquer usuário
+const PROFILE_SCOPE = 'profile';
+
+// Descrição dos escopos; permissões sem descrição aparecem pelo nome
+const SCOPE_DESCRIPTIONS = {
+  [PROFILE_SCOPE]: 'Ler os dados da conta',
+  'users:read': 'Consultar usuários',
+  'users:write': 'Alterar usuários',
+  'sessions:revoke': 'Encerrar sessões de usuários',
+  'audit:read': 'Consultar o log de auditoria',
+};
+
+/**
+ * Calcula o SHA-256 do token em hexadecimal
+ * @param {string} token - Token recebido
+ * @returns {string} Hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Diz se o valor do cabeçalho Authorization é um token de acesso pessoal (e não um JWT)
+ * @param {string} token - Token recebido
+ * @returns {boolean} Verdadeiro para tokens pat_
+ */
+function isPersonalToken(token) {
+  return token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Escopos que o usuário pode conceder a um token novo
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<string[]>} 'profile' e as permissões atuais do usuário
+ */
+async function getGrantableScopes(userId) {
+  const { permissions } = await repositories.roles.getUserAccess(userId);
+  return [PROFILE_SCOPE, ...permissions];
+}
+
+/**
+ * Descreve os escopos para exibição
+ * @param {string[]} scopes - Escopos
+ * @returns {Object[]} { id, description }
+ */
+function describeScopes(scopes) {
+  return scopes.map((scope) => ({ id: scope, description: SCOPE_DESCRIPTIONS[scope] || scope }));
+}
+
+/**
+ * Cria um token de acesso pessoal
+ * @param {string} userId - Dono do token
+ * @param {Object} data - { name, scopes, expiresInDays }; os escopos já validados
+ * @returns {Promise<Object>} { token, record }; token é o valor a exibir uma única vez
+ */
+async function createPersonalToken(userId, { name, scopes, expiresInDays }) {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+
+  const record = await repositories.personalTokens.create({
+    userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes,
+    expiresAt,
+  });
+
+  return { token, record };
+}
+
+/**
+ * Busca o registro do token recebido
+ * @param {string} token - Token pat_ recebido
+ * @returns {Promise<Object|null>} Registro (revogado ou expirado inclusive) ou null
+ */
+async function findPersonalToken(token) {
+  return repositories.personalTokens.findByHash(hashToken(token));
+}
+
+/**
+ * Monta as claims equivalentes às do JWT de acesso para uma requisição feita com o token
+ * As permissões são as do usuário hoje, limitadas aos escopos do token
+ * @param {Object} user - Dono do token
+ * @param {Object} record - Registro do token
+ * @returns {Promise<Object>} Claims, com os escopos do token em scopes
+ */
+async function buildTokenPayload(user, record) {
+  const access = await repositories.roles.getUserAccess(user.id);
+
+  return {
+    userId: user.id,
+    username: user.username,
+    email: user.email,
+    roles: access.roles,
+    permissions: access.permissions.filter((permission) => record.scopes.includes(permission)),
+    scopes: record.scopes,
+  };
+}
+
+/**
+ * Converte um registro para o formato público da API (nunca inclui o hash)
+ * @param {Object} row - Registro de personal_access_tokens
+ * @returns {Object} Token
+ */
+function formatPersonalToken(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: describeScopes(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    expired: new Date(row.expires_at) <= new Date(),
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+  };
+}
+
+module.exports = {
+  MAX_LIFETIME_DAYS,
+  isPersonalToken,
+  getGrantableScopes,
+  describeScopes,
+  createPersonalToken,
+  findPersonalToken,
+  buildTokenPayload,
+  formatPersonalToken,
+};
@@ -0,0 +1,55 @@
+// provisioningService.js - Criação de contas locais para identidades externas (SSO e diretório LDAP)
+// A conta nasce com o e-mail confirmado pela origem, uma senha aleatória e o papel do cadastro público,
+// já vinculada à identidade externa em user_identities.
+
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { hashPassword } = require('./passwordService');
+
+// Papel das contas criadas no primeiro login, o mesmo do cadastro público
+const DEFAULT_ROLE = 'user';
+
+/**
+ * Cria a conta local de uma identidade externa
+ * @param {Object} identity - { provider, subject, username (sugestão), email }
+ * @returns {Promise<Object>} Usuário criado
+ */
+async function createExternalUser({ provider, subject, username, email }) {
+  const freeUsername = await generateUsername(username || email.split('@')[0]);
+
+  // Senha aleatória que ninguém conhece
+  const passwordHash = await hashPassword(crypto.randomBytes(32).toString('base64url'));
+
+  const user = await repositories.users.create({ username: freeUsername, email, passwordHash });
+  await repositories.users.update(user.id, { email_verified: true });
+  await repositories.roles.assign(user.id, DEFAULT_ROLE);
+  await repositories.userIdentities.create({ provider, subject, userId: user.id, email });
+
+  return { ...user, email_verified: true };
+}
+
+/**
+ * Gera um nome de usuário livre, nas regras do cadastro, a partir do nome informado pela origem
+ * @param {string} base - Nome sugerido (preferred_username, uid ou parte local do e-mail)
+ * @returns {Promise<string>} Nome de usuário
+ */
+async function generateUsername(base) {
+  let candidate = String(base).replace(/[^a-zA-Z0-9_.-]/g, '').slice(0, 24);
+  if (candidate.length < 3) {
+    candidate = 'usuario';
+  }
+
+  const prefix = candidate;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    if (!(await repositories.users.findByLogin(candidate))) {
+      return candidate;
+    }
+    candidate = `${prefix}${crypto.randomInt(1000, 1000000)}`;
+  }
+
+  throw new Error('Não foi possível gerar um nome de usuário livre');
+}
+
+module.exports = {
+  createExternalUser,
+};
@@ -0,0 +1,112 @@
+// securityNoticeService.js - Avisos por e-mail de eventos sensíveis da conta
+// Cada aviso traz um link "não fui eu" que encerra todas as sessões (POST /api/auth/account/secure)
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const { queueTemplate } = require('./emailService');
+const { resolveLocale } = require('./email/templates');
+
+const REVOKE_LINK_VALIDITY_DAYS = 7;
+
+/**
+ * Gera o link "não fui eu" do usuário
+ * @param {string} userId - ID do usuário
+ * @returns {string} URL para a tela que encerra as sessões
+ */
+async function createRevokeLink(userId) {
+  const token = uuidv4();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REVOKE_LINK_VALIDITY_DAYS);
+
+  await repositories.sessionRevokeTokens.create({ userId, token, expiresAt });
+
+  return `${process.env.FRONTEND_URL}/secure-account?token=${token}`;
+}
+
+/**
+ * Formata a data do evento no idioma do e-mail, sempre em UTC
+ * @param {Date} date - Data do evento
+ * @param {string} [locale] - Idioma do e-mail
+ * @returns {string} Data formatada
+ */
+function formatTime(date, locale) {
+  return `${date.toLocaleString(resolveLocale(locale), {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: 'UTC',
+  })} UTC`;
+}
+
+/**
+ * Envia um aviso com link "não fui eu"
+ * O envio ocorre em segundo plano; falhas são registradas no log sem afetar a requisição
+ * @param {Object} user - Usuário ({ id, email })
+ * @param {string} template - Nome do modelo
+ * @param {Object} data - Variáveis adicionais do modelo
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function sendNotice(user, template, data, locale) {
+  try {
+    const link = await createRevokeLink(user.id);
+    queueTemplate(user.email, template, { ...data, link, time: formatTime(new Date(), locale) }, { locale });
+  } catch (error) {
+    console.error('Erro ao preparar aviso de segurança:', error);
+  }
+}
+
+/**
+ * Avisa sobre login a partir de um dispositivo novo
+ * @param {Object} user - Usuário
+ * @param {Object} device - { client, ipAddress }
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function notifyNewDevice(user, { client, ipAddress }, locale) {
+  await sendNotice(user, 'new-device-login', { client, ipAddress: ipAddress || '-' }, locale);
+}
+
+/**
+ * Avisa que a senha foi alterada
+ * @param {Object} user - Usuário
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function notifyPasswordChanged(user, locale) {
+  await sendNotice(user, 'password-changed', {}, locale);
+}
+
+/**
+ * Avisa sobre mudança na verificação em duas etapas
+ * @param {Object} user - Usuário
+ * @param {string} change - 'totp_enabled', 'passkey_added', 'recovery_codes_regenerated' ou 'mfa_reset'
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function notifyMfaChanged(user, change, locale) {
+  await sendNotice(user, 'mfa-changed', { change }, locale);
+}
+
+/**
+ * Avisa que um login externo (SSO) foi vinculado à conta pelo e-mail
+ * @param {Object} user - Usuário
+ * @param {string} provider - Nome do provedor exibido no login
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function notifySsoLinked(user, provider, locale) {
+  await sendNotice(user, 'sso-linked', { provider }, locale);
+}
+
+/**
+ * Avisa que um token de acesso pessoal foi criado
+ * @param {Object} user - Usuário
+ * @param {string} name - Nome dado ao token
+ * @param {string} [locale] - Idioma do e-mail
+ */
+async function notifyPersonalTokenCreated(user, name, locale) {
+  await sendNotice(user, 'personal-token-created', { name }, locale);
+}
+
+module.exports = {
+  notifyNewDevice,
+  notifyPasswordChanged,
+  notifyMfaChanged,
+  notifySsoLinked,
+  notifyPersonalTokenCreated,
+};
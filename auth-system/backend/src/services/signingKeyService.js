@@ -0,0 +1,270 @@
+// signingKeyService.js - Assinatura e verificação dos tokens de acesso
+// Com JWT_ALGORITHM=RS256 ou ES256 os tokens levam o kid da chave no cabeçalho e as chaves públicas
+// ficam em /.well-known/jwks.json, para que outros serviços verifiquem os tokens sem conhecer segredos.
+// A chave ativa é trocada a cada JWT_KEY_ROTATION_DAYS; a anterior continua publicada até os tokens
+// assinados por ela expirarem. Com HS256 (padrão) nada disso se aplica e vale apenas JWT_SECRET.
+// Na migração de HS256 para chaves assimétricas, tokens sem kid só são aceitos até JWT_LEGACY_HS256_UNTIL.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+
+// Validade do token de acesso
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60; // 1 hora
+
+const KEY_ROTATION_MS = (Number(process.env.JWT_KEY_ROTATION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// A chave substituída verifica tokens até o último assinado por ela expirar, com folga para relógios
+const KEY_RETIRE_MS = (ACCESS_TOKEN_TTL_SECONDS + 5 * 60) * 1000;
+
+// Chaves lidas do banco são reaproveitadas por este tempo; outras instâncias podem ter rotacionado
+const KEY_CACHE_MS = 60 * 1000;
+
+// Senha opcional que cifra as chaves privadas armazenadas
+const KEY_PASSPHRASE = process.env.JWT_KEY_PASSPHRASE || undefined;
+
+const KEY_GENERATION = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }],
+};
+
+if (JWT_ALGORITHM !== 'HS256' && !KEY_GENERATION[JWT_ALGORITHM]) {
+  throw new Error(`JWT_ALGORITHM inválido: ${JWT_ALGORITHM}`);
+}
+
+// Fim da aceitação de tokens HS256 emitidos antes da troca para RS256/ES256 (ausente: recusados)
+const LEGACY_HS256_UNTIL = process.env.JWT_LEGACY_HS256_UNTIL
+  ? new Date(process.env.JWT_LEGACY_HS256_UNTIL)
+  : null;
+
+if (LEGACY_HS256_UNTIL && Number.isNaN(LEGACY_HS256_UNTIL.getTime())) {
+  throw new Error(`JWT_LEGACY_HS256_UNTIL inválido: ${process.env.JWT_LEGACY_HS256_UNTIL}`);
+}
+
+let cache = { keys: [], loadedAt: 0 };
+
+/**
+ * Indica se os tokens são assinados com chaves assimétricas
+ * @returns {boolean} Verdadeiro para RS256 e ES256
+ */
+function usesKeyPairs() {
+  return JWT_ALGORITHM !== 'HS256';
+}
+
+/**
+ * Indica se tokens sem kid, assinados com JWT_SECRET, ainda são aceitos
+ * @returns {boolean} Sempre com HS256; com chaves assimétricas, só até JWT_LEGACY_HS256_UNTIL
+ */
+function acceptsLegacyTokens() {
+  if (!usesKeyPairs()) return true;
+  return Boolean(LEGACY_HS256_UNTIL) && Date.now() < LEGACY_HS256_UNTIL.getTime();
+}
+
+/**
+ * Carrega as chaves válidas do repositório, usando o cache quando recente
+ * @param {Object} [options] - maxAgeMs: idade máxima aceita para o cache
+ * @returns {Object[]} Chaves da mais nova para a mais antiga
+ */
+async function loadKeys({ maxAgeMs = KEY_CACHE_MS } = {}) {
+  if (Date.now() - cache.loadedAt > maxAgeMs) {
+    cache = { keys: await repositories.signingKeys.listValid(), loadedAt: Date.now() };
+  }
+  return cache.keys;
+}
+
+/**
+ * Calcula o thumbprint da chave pública (RFC 7638), usado como kid
+ * @param {Object} jwk - Chave pública em JWK
+ * @returns {string} Thumbprint em base64url
+ */
+function getThumbprint(jwk) {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Gera uma nova chave e a torna ativa; a anterior entra em aposentadoria
+ * @returns {Object} { kid, algorithm }
+ */
+async function rotateSigningKey() {
+  if (!usesKeyPairs()) {
+    throw new Error('A rotação de chaves exige JWT_ALGORITHM RS256 ou ES256');
+  }
+
+  const [type, options] = KEY_GENERATION[JWT_ALGORITHM];
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+
+  const jwk = publicKey.export({ format: 'jwk' });
+  const kid = getThumbprint(jwk);
+
+  await repositories.signingKeys.rotate({
+    kid,
+    algorithm: JWT_ALGORITHM,
+    privateKey: privateKey.export({
+      type: 'pkcs8',
+      format: 'pem',
+      ...(KEY_PASSPHRASE ? { cipher: 'aes-256-cbc', passphrase: KEY_PASSPHRASE } : {}),
+    }),
+    publicJwk: { ...jwk, kid, alg: JWT_ALGORITHM, use: 'sig' },
+  }, new Date(Date.now() + KEY_RETIRE_MS));
+
+  await repositories.signingKeys.deleteRetired();
+  cache.loadedAt = 0;
+
+  return { kid, algorithm: JWT_ALGORITHM };
+}
+
+/**
+ * Obtém a chave que assina novos tokens, rotacionando-a quando vencida
+ * @returns {Object} Chave ativa
+ */
+async function getActiveKey() {
+  const findActive = (keys) => keys.find((key) => key.status === 'active' && key.algorithm === JWT_ALGORITHM);
+
+  let active = findActive(await loadKeys());
+
+  if (!active || Date.now() - new Date(active.createdAt).getTime() > KEY_ROTATION_MS) {
+    try {
+      await rotateSigningKey();
+    } catch (error) {
+      // Outra instância pode ter rotacionado ao mesmo tempo; a chave dela serve
+      console.error('Erro ao rotacionar chave de assinatura:', error);
+    }
+    active = findActive(await loadKeys({ maxAgeMs: 0 }));
+  }
+
+  if (!active) {
+    throw new Error('Nenhuma chave de assinatura disponível');
+  }
+
+  return active;
+}
+
+/**
+ * Assina um JWT com a chave ativa, identificada pelo kid no cabeçalho
+ * @param {Object} payload - Claims do token
+ * @param {Object} options - { expiresIn (segundos), jwtid, typ (cabeçalho, padrão 'JWT') }
+ * @returns {Promise<string>} Token JWT
+ */
+async function signWithActiveKey(payload, { expiresIn, jwtid, typ = 'JWT' }) {
+  const key = await getActiveKey();
+
+  return jwt.sign(
+    payload,
+    { key: key.privateKey, passphrase: KEY_PASSPHRASE },
+    { expiresIn, jwtid, algorithm: key.algorithm, keyid: key.kid, header: { typ } }
+  );
+}
+
+/**
+ * Assina um token de acesso
+ * @param {Object} payload - Claims do token
+ * @param {Object} [options] - jwtid: identificador único do token
+ * @returns {Promise<string>} Token JWT
+ */
+async function signAccessToken(payload, { jwtid } = {}) {
+  if (!usesKeyPairs()) {
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid,
+      algorithm: 'HS256',
+    });
+  }
+
+  return signWithActiveKey(payload, { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid });
+}
+
+/**
+ * Assina um token destinado a outro aplicativo (ID token ou token de acesso OIDC)
+ * Exige chaves assimétricas, pois o destinatário verifica a assinatura pelo JWKS
+ * @param {Object} payload - Claims do token
+ * @param {Object} options - { expiresIn (segundos), jwtid, typ }
+ * @returns {Promise<string>} Token JWT
+ */
+async function signToken(payload, options) {
+  if (!usesKeyPairs()) {
+    throw new Error('Tokens para outros aplicativos exigem JWT_ALGORITHM RS256 ou ES256');
+  }
+
+  return signWithActiveKey(payload, options);
+}
+
+/**
+ * Verifica assinatura e expiração de um token de acesso
+ * Tokens sem kid são verificados com JWT_SECRET (HS256); com chaves assimétricas, só até
+ * JWT_LEGACY_HS256_UNTIL, para cobrir os tokens emitidos antes da troca
+ * @param {string} token - Token JWT
+ * @returns {Promise<Object>} Claims do token
+ * @throws {jwt.JsonWebTokenError} Token inválido (TokenExpiredError se expirado)
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+
+  if (!kid) {
+    if (!acceptsLegacyTokens() || !process.env.JWT_SECRET) {
+      throw new jwt.JsonWebTokenError('kid ausente');
+    }
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  // Chave desconhecida: recarregar, pois pode ter sido criada por outra instância
+  let key = (await loadKeys()).find((item) => item.kid === kid);
+  if (!key) {
+    key = (await loadKeys({ maxAgeMs: 5 * 1000 })).find((item) => item.kid === kid);
+  }
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('kid desconhecido');
+  }
+
+  const publicKey = crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' });
+  return jwt.verify(token, publicKey, { algorithms: [key.algorithm] });
+}
+
+/**
+ * Chaves públicas para /.well-known/jwks.json (vazio com HS256)
+ * @returns {Promise<Object>} JWK Set
+ */
+async function getJwks() {
+  if (!usesKeyPairs()) {
+    return { keys: [] };
+  }
+
+  // Garante uma chave publicada antes do primeiro token
+  await getActiveKey();
+
+  const keys = await loadKeys();
+  return { keys: keys.map((key) => key.publicJwk) };
+}
+
+/**
+ * Lista as chaves válidas sem o material privado
+ * @returns {Promise<Object[]>} { kid, algorithm, status, createdAt, retireAt }
+ */
+async function listSigningKeys() {
+  const keys = await loadKeys({ maxAgeMs: 0 });
+  return keys.map(({ kid, algorithm, status, createdAt, retireAt }) => ({ kid, algorithm, status, createdAt, retireAt }));
+}
+
+module.exports = {
+  JWT_ALGORITHM,
+  ACCESS_TOKEN_TTL_SECONDS,
+  usesKeyPairs,
+  signAccessToken,
+  signToken,
+  verifyAccessToken,
+  rotateSigningKey,
+  listSigningKeys,
+  getJwks,
+};
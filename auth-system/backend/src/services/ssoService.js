@@ -0,0 +1,397 @@
+// ssoService.js - Login com provedores OpenID Connect externos (IdP corporativo do cliente)
+// Aqui o backend é o cliente OIDC: redireciona ao provedor com state, nonce e PKCE, troca o código
+// pelo ID token, valida-o pelo JWKS do provedor e encontra, vincula ou cria o usuário local.
+// Os provedores vêm de SSO_PROVIDERS (JSON), por exemplo:
+//   [{ "id": "corp", "name": "Corp SSO", "issuer": "https://idp.corp.example", "clientId": "...",
+//      "clientSecret": "...", "scopes": "openid email profile", "allowSignup": true, "trustEmail": false }]
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const repositories = require('../repositories');
+const { ISSUER } = require('./oidcService');
+const { createExternalUser } = require('./provisioningService');
+
+// Tempo para o usuário concluir o login no provedor
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutos
+
+// Metadados e chaves do provedor são reaproveitados por este tempo
+const PROVIDER_CACHE_MS = 60 * 60 * 1000; // 1 hora
+
+// Tolerância para diferenças de relógio com o provedor
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+// Algoritmos aceitos nos ID tokens; HS256 exigiria compartilhar o segredo do cliente como chave
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Erro do fluxo de SSO; code é enviado ao frontend, que exibe a mensagem correspondente
+class SsoError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code;
+  }
+}
+
+const PROVIDERS = loadProviders();
+
+const cache = new Map();
+
+/**
+ * Lê e valida SSO_PROVIDERS
+ * @returns {Object[]} Provedores configurados
+ */
+function loadProviders() {
+  let providers;
+  try {
+    providers = JSON.parse(process.env.SSO_PROVIDERS || '[]');
+  } catch (error) {
+    throw new Error('SSO_PROVIDERS inválido: JSON malformado');
+  }
+
+  if (!Array.isArray(providers)) {
+    throw new Error('SSO_PROVIDERS inválido: esperada uma lista de provedores');
+  }
+
+  return providers.map((provider) => {
+    if (!PROVIDER_ID_PATTERN.test(provider.id || '') || !provider.issuer || !provider.clientId) {
+      throw new Error(`SSO_PROVIDERS inválido: ${JSON.stringify(provider.id)} precisa de id, issuer e clientId`);
+    }
+
+    // 'ldap' identifica em user_identities as contas do diretório (AUTH_BACKENDS)
+    if (provider.id === 'ldap') {
+      throw new Error('SSO_PROVIDERS inválido: o id "ldap" é reservado');
+    }
+
+    return {
+      id: provider.id,
+      name: provider.name || provider.id,
+      issuer: provider.issuer.replace(/\/$/, ''),
+      clientId: provider.clientId,
+      clientSecret: provider.clientSecret || null,
+      scopes: provider.scopes || 'openid email profile',
+      allowSignup: provider.allowSignup !== false,
+      // Alguns provedores corporativos não enviam email_verified, mas só emitem e-mails do próprio domínio
+      trustEmail: provider.trustEmail === true,
+    };
+  });
+}
+
+/**
+ * Lista os provedores para os botões da tela de login
+ * @returns {Object[]} { id, name }
+ */
+function listProviders() {
+  return PROVIDERS.map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Busca um provedor configurado
+ * @param {string} id - ID do provedor
+ * @returns {Object|null} Provedor ou null
+ */
+function getProvider(id) {
+  return PROVIDERS.find((provider) => provider.id === id) || null;
+}
+
+/**
+ * URL de retorno registrada no provedor para este backend
+ * @param {Object} provider - Provedor
+ * @returns {string} URL do callback
+ */
+function getRedirectUri(provider) {
+  return `${ISSUER}/api/auth/sso/${provider.id}/callback`;
+}
+
+/**
+ * Busca um JSON do provedor
+ * @param {string} url - URL
+ * @param {Object} [options] - Opções do fetch
+ * @returns {Promise<Object>} { ok, status, data }
+ */
+async function fetchJson(url, options) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10 * 1000) });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, status: response.status, data };
+}
+
+/**
+ * Obtém o documento de descoberta do provedor, usando o cache quando recente
+ * @param {Object} provider - Provedor
+ * @param {Object} [options] - maxAgeMs: idade máxima aceita para o cache
+ * @returns {Promise<Object>} { discovery, keys }
+ */
+async function loadMetadata(provider, { maxAgeMs = PROVIDER_CACHE_MS } = {}) {
+  const cached = cache.get(provider.id);
+  if (cached && Date.now() - cached.loadedAt <= maxAgeMs) {
+    return cached;
+  }
+
+  const { ok, data: discovery } = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (!ok || discovery.issuer !== provider.issuer) {
+    throw new Error(`Documento de descoberta inválido para o provedor ${provider.id}`);
+  }
+
+  const jwks = await fetchJson(discovery.jwks_uri);
+  if (!jwks.ok || !Array.isArray(jwks.data.keys)) {
+    throw new Error(`JWKS inválido para o provedor ${provider.id}`);
+  }
+
+  const metadata = { discovery, keys: jwks.data.keys, loadedAt: Date.now() };
+  cache.set(provider.id, metadata);
+  return metadata;
+}
+
+/**
+ * Assina os dados do login em andamento para o cookie de estado
+ * @param {Object} data - Dados do login
+ * @returns {string} Valor do cookie
+ */
+function sealState(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${signState(payload)}`;
+}
+
+/**
+ * Lê o cookie de estado, conferindo a assinatura e a validade
+ * @param {string} value - Valor do cookie
+ * @returns {Object|null} Dados do login ou null se inválido ou expirado
+ */
+function openState(value) {
+  const [payload, signature] = (value || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = signState(payload);
+  if (signature.length !== expected.length
+    || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  return data.expiresAt > Date.now() ? data : null;
+}
+
+/**
+ * HMAC do cookie de estado, com chave derivada de JWT_REFRESH_SECRET
+ * @param {string} payload - Conteúdo do cookie
+ * @returns {string} Assinatura em base64url
+ */
+function signState(payload) {
+  const key = crypto.createHmac('sha256', process.env.JWT_REFRESH_SECRET).update('sso-state').digest();
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+/**
+ * Inicia o login no provedor
+ * O estado fica em um cookie assinado, o que prende o retorno ao navegador que iniciou o login
+ * @param {Object} provider - Provedor
+ * @param {Object} options - { rememberMe, returnTo }
+ * @returns {Promise<Object>} { authorizationUrl, state (valor do cookie) }
+ */
+async function createLoginRequest(provider, { rememberMe = false, returnTo = null } = {}) {
+  const { discovery } = await loadMetadata(provider);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return {
+    authorizationUrl: url.toString(),
+    state: sealState({
+      provider: provider.id,
+      state,
+      nonce,
+      codeVerifier,
+      rememberMe,
+      returnTo,
+      expiresAt: Date.now() + LOGIN_REQUEST_TTL_MS,
+    }),
+  };
+}
+
+/**
+ * Valida o retorno do provedor e obtém as claims do ID token
+ * @param {Object} provider - Provedor
+ * @param {Object} query - Query do callback ({ code, state, error, iss })
+ * @param {string} stateCookie - Valor do cookie de estado
+ * @returns {Promise<Object>} { claims, rememberMe, returnTo }
+ * @throws {SsoError} Retorno inválido, recusado ou com ID token inválido
+ */
+async function completeLoginRequest(provider, query, stateCookie) {
+  const request = openState(stateCookie);
+
+  if (!request || request.provider !== provider.id || typeof query.state !== 'string'
+    || query.state.length !== request.state.length
+    || !crypto.timingSafeEqual(Buffer.from(query.state), Buffer.from(request.state))) {
+    throw new SsoError('SSO_STATE_INVALID', 'Login expirado ou iniciado em outro navegador');
+  }
+
+  if (query.error) {
+    throw new SsoError('SSO_DENIED', `Provedor recusou o login: ${query.error}`);
+  }
+
+  const { discovery } = await loadMetadata(provider);
+
+  // Identificação do emissor no retorno (RFC 9207), quando o provedor a envia
+  if (query.iss !== undefined && query.iss !== discovery.issuer) {
+    throw new SsoError('SSO_STATE_INVALID', 'Emissor inesperado no retorno do provedor');
+  }
+
+  if (typeof query.code !== 'string' || !query.code) {
+    throw new SsoError('SSO_STATE_INVALID', 'Código de autorização ausente');
+  }
+
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code: query.code,
+    redirect_uri: getRedirectUri(provider),
+    code_verifier: request.codeVerifier,
+  });
+
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    body.set('client_id', provider.clientId);
+  }
+
+  const tokenResponse = await fetchJson(discovery.token_endpoint, { method: 'POST', headers, body });
+  if (!tokenResponse.ok || typeof tokenResponse.data.id_token !== 'string') {
+    console.error(`Troca de código recusada pelo provedor ${provider.id}:`, tokenResponse.status, tokenResponse.data);
+    throw new SsoError('SSO_TOKEN_INVALID', 'O provedor recusou a troca do código');
+  }
+
+  const claims = await verifyIdToken(provider, tokenResponse.data.id_token);
+
+  if (claims.nonce !== request.nonce) {
+    throw new SsoError('SSO_TOKEN_INVALID', 'Nonce do ID token não confere');
+  }
+
+  return { claims, rememberMe: request.rememberMe, returnTo: request.returnTo };
+}
+
+/**
+ * Verifica assinatura, emissor, audiência e validade do ID token
+ * @param {Object} provider - Provedor
+ * @param {string} idToken - ID token recebido
+ * @returns {Promise<Object>} Claims
+ * @throws {SsoError} ID token inválido
+ */
+async function verifyIdToken(provider, idToken) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new SsoError('SSO_TOKEN_INVALID', 'ID token malformado ou com algoritmo não aceito');
+  }
+
+  // Chave desconhecida: o provedor pode ter rotacionado; recarrega o JWKS uma vez
+  const findKey = ({ keys }) => keys.find((key) => (
+    decoded.header.kid ? key.kid === decoded.header.kid : (!key.use || key.use === 'sig')
+  ));
+
+  let metadata = await loadMetadata(provider);
+  let jwk = findKey(metadata);
+  if (!jwk) {
+    metadata = await loadMetadata(provider, { maxAgeMs: 60 * 1000 });
+    jwk = findKey(metadata);
+  }
+
+  if (!jwk) {
+    throw new SsoError('SSO_TOKEN_INVALID', 'Chave do ID token não publicada pelo provedor');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: jwk.alg ? [jwk.alg] : ID_TOKEN_ALGORITHMS,
+      issuer: metadata.discovery.issuer,
+      audience: provider.clientId,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (error) {
+    throw new SsoError('SSO_TOKEN_INVALID', `ID token inválido: ${error.message}`);
+  }
+
+  // Com várias audiências, o token precisa ter sido emitido para este cliente
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new SsoError('SSO_TOKEN_INVALID', 'ID token emitido para outro cliente');
+  }
+
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new SsoError('SSO_TOKEN_INVALID', 'ID token sem sub');
+  }
+
+  return claims;
+}
+
+/**
+ * Encontra o usuário da identidade externa; no primeiro login vincula a uma conta com o mesmo
+ * e-mail verificado ou, se permitido pelo provedor, cria uma conta nova
+ * @param {Object} provider - Provedor
+ * @param {Object} claims - Claims do ID token
+ * @returns {Promise<Object>} { user, linked, provisioned }
+ * @throws {SsoError} E-mail ausente ou não verificado, conflito de conta ou cadastro desativado
+ */
+async function resolveUser(provider, claims) {
+  const email = typeof claims.email === 'string' ? claims.email.trim() : null;
+  const identity = await repositories.userIdentities.find(provider.id, claims.sub);
+
+  if (identity) {
+    await repositories.userIdentities.recordLogin(provider.id, claims.sub, email);
+    return { user: await repositories.users.findById(identity.user_id), linked: false, provisioned: false };
+  }
+
+  // Sem e-mail confirmado pelo provedor não há como saber se a conta local é da mesma pessoa
+  const emailVerified = provider.trustEmail || claims.email_verified === true || claims.email_verified === 'true';
+  if (!email || !emailVerified) {
+    throw new SsoError('SSO_EMAIL_UNVERIFIED', 'O provedor não informou um e-mail verificado');
+  }
+
+  const existing = await repositories.users.findByEmail(email);
+
+  if (existing) {
+    // Conta local com e-mail não confirmado pode ter sido criada por outra pessoa com este endereço
+    if (!existing.email_verified) {
+      throw new SsoError('SSO_ACCOUNT_CONFLICT', 'Já existe uma conta com este e-mail ainda não verificada');
+    }
+
+    await repositories.userIdentities.create({ provider: provider.id, subject: claims.sub, userId: existing.id, email });
+    return { user: existing, linked: true, provisioned: false };
+  }
+
+  if (!provider.allowSignup) {
+    throw new SsoError('SSO_SIGNUP_DISABLED', 'Nenhuma conta vinculada a este login');
+  }
+
+  // Sem senha conhecida; o usuário pode definir uma pelo "esqueci minha senha"
+  const user = await createExternalUser({
+    provider: provider.id,
+    subject: claims.sub,
+    username: claims.preferred_username,
+    email,
+  });
+
+  return { user, linked: false, provisioned: true };
+}
+
+module.exports = {
+  SsoError,
+  listProviders,
+  getProvider,
+  createLoginRequest,
+  completeLoginRequest,
+  resolveUser,
+};
@@ -0,0 +1,163 @@
+// totpService.js - Geração e validação de códigos TOTP (RFC 6238)
+// Compatível com aplicativos autenticadores (Google Authenticator, Authy, etc.)
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Parâmetros padrão aceitos por todos os aplicativos autenticadores
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // segundos
+const TOTP_ALGORITHM = 'sha1';
+
+/**
+ * Codifica bytes em Base32 (RFC 4648, sem padding)
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto em Base32
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodifica texto em Base32, ignorando espaços, hífens e padding
+ * @param {string} input - Texto em Base32
+ * @returns {Buffer} Bytes decodificados
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Caractere Base32 inválido: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera um novo segredo TOTP aleatório
+ * @returns {string} Segredo em Base32 (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Calcula o passo de tempo (contador) para um instante
+ * @param {number} [timestamp] - Instante em milissegundos
+ * @returns {number} Contador TOTP
+ */
+function getCounter(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Gera o código HOTP para um contador (RFC 4226)
+ * @param {string} secret - Segredo em Base32
+ * @param {number} counter - Contador
+ * @returns {string} Código com 6 dígitos
+ */
+function generateCode(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac(TOTP_ALGORITHM, base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+
+  // Truncamento dinâmico
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Valida um código TOTP tolerando diferença de relógio
+ * @param {string} secret - Segredo em Base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {Object} [options] - Opções de validação
+ * @param {number} [options.window] - Passos aceitos antes e depois do atual
+ * @param {number} [options.timestamp] - Instante de referência em milissegundos
+ * @returns {number|null} Contador correspondente ao código ou null se inválido
+ */
+function verifyCode(secret, code, { window = 1, timestamp = Date.now() } = {}) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const current = getCounter(timestamp);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = generateCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Monta a URI otpauth:// usada para cadastrar o segredo no aplicativo
+ * @param {string} secret - Segredo em Base32
+ * @param {string} accountName - Identificação da conta (e-mail ou usuário)
+ * @param {string} issuer - Nome do emissor exibido no aplicativo
+ * @returns {string} URI otpauth
+ */
+function buildOtpAuthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getCounter,
+  verifyCode,
+  buildOtpAuthUri,
+};
@@ -0,0 +1,403 @@
+// webauthnService.js - Verificação das cerimônias WebAuthn (passkeys)
+// Implementa registro (atestação "none") e autenticação (asserção) com ES256, RS256 e EdDSA
+
+const crypto = require('crypto');
+
+// Algoritmos COSE aceitos, em ordem de preferência
+const COSE_ALGORITHMS = {
+  ES256: -7,
+  EDDSA: -8,
+  RS256: -257,
+};
+
+// Bits do campo flags dos dados do autenticador
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+// Objetos de atestação e chaves COSE têm poucos níveis
+const MAX_CBOR_DEPTH = 8;
+
+/**
+ * Erro de validação de uma cerimônia WebAuthn
+ */
+class WebAuthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebAuthnError';
+  }
+}
+
+/**
+ * Converte texto base64url em Buffer
+ * @param {string} value - Texto em base64url
+ * @returns {Buffer} Bytes decodificados
+ */
+function fromBase64Url(value) {
+  if (typeof value !== 'string') {
+    throw new WebAuthnError('Campo da credencial ausente ou inválido');
+  }
+  return Buffer.from(value, 'base64url');
+}
+
+/**
+ * Gera um desafio aleatório para uma cerimônia
+ * @returns {string} Desafio em base64url
+ */
+function generateChallenge() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Decodifica um item CBOR (RFC 8949), no subconjunto usado pelo WebAuthn
+ * @param {Buffer} buffer - Dados CBOR
+ * @param {number} [offset] - Posição inicial
+ * @param {number} [depth] - Profundidade do item, limitada para não estourar a pilha
+ * @returns {Object} Valor decodificado e posição seguinte ({ value, offset })
+ */
+function decodeCbor(buffer, offset = 0, depth = 0) {
+  if (depth > MAX_CBOR_DEPTH) {
+    throw new WebAuthnError('CBOR aninhado demais');
+  }
+
+  // Toda leitura é conferida antes: dados truncados viram WebAuthnError, e não RangeError
+  const ensureAvailable = (length) => {
+    if (offset + length > buffer.length) {
+      throw new WebAuthnError('CBOR truncado');
+    }
+  };
+
+  ensureAvailable(1);
+  const initial = buffer[offset++];
+  const majorType = initial >> 5;
+  const additional = initial & 0x1f;
+
+  // Lê o argumento (tamanho ou valor) do item
+  let argument;
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional === 24) {
+    ensureAvailable(1);
+    argument = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    ensureAvailable(2);
+    argument = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    ensureAvailable(4);
+    argument = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    ensureAvailable(8);
+    argument = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new WebAuthnError('CBOR de tamanho indefinido não é suportado');
+  }
+
+  switch (majorType) {
+    case 0: // Inteiro sem sinal
+      return { value: argument, offset };
+    case 1: // Inteiro negativo
+      return { value: -1 - argument, offset };
+    case 2: // Bytes
+      ensureAvailable(argument);
+      return { value: buffer.subarray(offset, offset + argument), offset: offset + argument };
+    case 3: // Texto
+      ensureAvailable(argument);
+      return { value: buffer.toString('utf8', offset, offset + argument), offset: offset + argument };
+    case 4: { // Array
+      const items = [];
+      for (let i = 0; i < argument; i++) {
+        const item = decodeCbor(buffer, offset, depth + 1);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: { // Map (chaves convertidas para texto)
+      const map = {};
+      for (let i = 0; i < argument; i++) {
+        const key = decodeCbor(buffer, offset, depth + 1);
+        const value = decodeCbor(buffer, key.offset, depth + 1);
+        map[key.value] = value.value;
+        offset = value.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7: // Valores simples
+      if (additional === 20) return { value: false, offset };
+      if (additional === 21) return { value: true, offset };
+      if (additional === 22) return { value: null, offset };
+      throw new WebAuthnError('Valor CBOR não suportado');
+    default:
+      throw new WebAuthnError('Tipo CBOR não suportado');
+  }
+}
+
+/**
+ * Converte uma chave pública COSE em JWK
+ * @param {Object} coseKey - Chave COSE decodificada
+ * @returns {Object} Chave no formato JWK, com o algoritmo COSE em "alg"
+ */
+function coseToJwk(coseKey) {
+  if (!coseKey || typeof coseKey !== 'object' || Array.isArray(coseKey)) {
+    throw new WebAuthnError('Chave pública inválida');
+  }
+
+  const kty = coseKey['1'];
+  const alg = coseKey['3'];
+
+  // Parâmetro binário da chave, em base64url
+  const bytes = (label) => {
+    if (!Buffer.isBuffer(coseKey[label]) || coseKey[label].length === 0) {
+      throw new WebAuthnError('Chave pública inválida');
+    }
+    return coseKey[label].toString('base64url');
+  };
+
+  let jwk;
+  if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey['-1'] === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: bytes('-2'), y: bytes('-3') };
+  } else if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+    jwk = { kty: 'RSA', n: bytes('-1'), e: bytes('-2') };
+  } else if (kty === 1 && alg === COSE_ALGORITHMS.EDDSA && coseKey['-1'] === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: bytes('-2') };
+  } else {
+    throw new WebAuthnError('Algoritmo da chave pública não suportado');
+  }
+
+  // Coordenadas fora da curva ou módulo inválido só seriam notados no login
+  try {
+    crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (error) {
+    throw new WebAuthnError('Chave pública inválida');
+  }
+
+  return { ...jwk, alg };
+}
+
+/**
+ * Interpreta os dados do autenticador (authenticatorData)
+ * @param {Buffer} authData - Dados brutos
+ * @returns {Object} Campos interpretados
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new WebAuthnError('Dados do autenticador inválidos');
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33),
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_DATA) {
+    if (authData.length < 55) {
+      throw new WebAuthnError('Dados do autenticador inválidos');
+    }
+
+    const credentialIdLength = authData.readUInt16BE(53);
+    const credentialIdEnd = 55 + credentialIdLength;
+    if (credentialIdLength === 0 || credentialIdEnd >= authData.length) {
+      throw new WebAuthnError('Dados do autenticador inválidos');
+    }
+
+    parsed.aaguid = authData.subarray(37, 53);
+    parsed.credentialId = authData.subarray(55, credentialIdEnd);
+    parsed.credentialPublicKey = decodeCbor(authData, credentialIdEnd).value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Valida o clientDataJSON recebido do navegador
+ * @param {Buffer} clientDataJSON - Dados brutos
+ * @param {Object} expected - Valores esperados (type, challenge, origin)
+ * @returns {Object} Dados do cliente interpretados
+ */
+function verifyClientData(clientDataJSON, { type, challenge, origin }) {
+  let clientData;
+  try {
+    clientData = JSON.parse(clientDataJSON.toString('utf8'));
+  } catch (error) {
+    throw new WebAuthnError('clientDataJSON inválido');
+  }
+
+  if (clientData.type !== type) {
+    throw new WebAuthnError('Tipo de cerimônia inesperado');
+  }
+  if (clientData.challenge !== challenge) {
+    throw new WebAuthnError('Desafio não corresponde');
+  }
+  if (clientData.origin !== origin) {
+    throw new WebAuthnError('Origem não autorizada');
+  }
+
+  return clientData;
+}
+
+/**
+ * Valida hash do RP e flags de presença/verificação do usuário
+ * @param {Object} authData - Dados do autenticador interpretados
+ * @param {string} rpId - Identificador do RP esperado
+ * @param {boolean} requireUserVerification - Se a verificação do usuário é obrigatória
+ */
+function verifyAuthenticatorFlags(authData, rpId, requireUserVerification) {
+  const expectedRpIdHash = crypto.createHash('sha256').update(rpId).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+    throw new WebAuthnError('Credencial emitida para outro domínio');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw new WebAuthnError('Presença do usuário não confirmada');
+  }
+  if (requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw new WebAuthnError('Verificação do usuário não realizada');
+  }
+}
+
+/**
+ * Lê o desafio contido no clientDataJSON, antes de validá-lo
+ * @param {Object} credential - Credencial serializada pelo navegador
+ * @returns {string|null} Desafio em base64url ou null
+ */
+function extractChallenge(credential) {
+  try {
+    const clientData = JSON.parse(fromBase64Url(credential.response.clientDataJSON).toString('utf8'));
+    return typeof clientData.challenge === 'string' ? clientData.challenge : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verifica a resposta de registro (navigator.credentials.create)
+ * @param {Object} params - Parâmetros da verificação
+ * @param {Object} params.credential - Credencial serializada pelo navegador
+ * @param {string} params.expectedChallenge - Desafio emitido
+ * @param {string} params.expectedOrigin - Origem do frontend
+ * @param {string} params.rpId - Identificador do RP
+ * @param {boolean} [params.requireUserVerification] - Exigir verificação do usuário
+ * @returns {Object} Dados da nova credencial (credentialId, publicKey, signCount, transports)
+ */
+function verifyRegistration({ credential, expectedChallenge, expectedOrigin, rpId, requireUserVerification = true }) {
+  if (!credential || !credential.response) {
+    throw new WebAuthnError('Credencial não informada');
+  }
+
+  verifyClientData(fromBase64Url(credential.response.clientDataJSON), {
+    type: 'webauthn.create',
+    challenge: expectedChallenge,
+    origin: expectedOrigin,
+  });
+
+  // Como não exigimos atestação, o attStmt não é verificado
+  const attestation = decodeCbor(fromBase64Url(credential.response.attestationObject)).value;
+  if (!attestation || !Buffer.isBuffer(attestation.authData)) {
+    throw new WebAuthnError('Objeto de atestação inválido');
+  }
+
+  const authData = parseAuthenticatorData(attestation.authData);
+  verifyAuthenticatorFlags(authData, rpId, requireUserVerification);
+
+  if (!authData.credentialId) {
+    throw new WebAuthnError('Dados da credencial ausentes');
+  }
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credential.id !== credentialId) {
+    throw new WebAuthnError('Identificador da credencial não corresponde');
+  }
+
+  return {
+    credentialId,
+    publicKey: coseToJwk(authData.credentialPublicKey),
+    signCount: authData.signCount,
+    transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+  };
+}
+
+/**
+ * Verifica a resposta de autenticação (navigator.credentials.get)
+ * @param {Object} params - Parâmetros da verificação
+ * @param {Object} params.credential - Asserção serializada pelo navegador
+ * @param {string} params.expectedChallenge - Desafio emitido
+ * @param {string} params.expectedOrigin - Origem do frontend
+ * @param {string} params.rpId - Identificador do RP
+ * @param {Object} params.publicKey - Chave pública JWK armazenada
+ * @param {number} params.signCount - Contador de assinaturas armazenado
+ * @param {boolean} [params.requireUserVerification] - Exigir verificação do usuário
+ * @returns {Object} Novo contador de assinaturas ({ signCount })
+ */
+function verifyAuthentication({
+  credential,
+  expectedChallenge,
+  expectedOrigin,
+  rpId,
+  publicKey,
+  signCount,
+  requireUserVerification = true,
+}) {
+  if (!credential || !credential.response) {
+    throw new WebAuthnError('Credencial não informada');
+  }
+
+  const clientDataJSON = fromBase64Url(credential.response.clientDataJSON);
+  verifyClientData(clientDataJSON, {
+    type: 'webauthn.get',
+    challenge: expectedChallenge,
+    origin: expectedOrigin,
+  });
+
+  const rawAuthData = fromBase64Url(credential.response.authenticatorData);
+  const authData = parseAuthenticatorData(rawAuthData);
+  verifyAuthenticatorFlags(authData, rpId, requireUserVerification);
+
+  // A assinatura cobre authenticatorData || SHA-256(clientDataJSON)
+  const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+  const signedData = Buffer.concat([rawAuthData, clientDataHash]);
+  const signature = fromBase64Url(credential.response.signature);
+
+  const { alg, ...jwk } = publicKey;
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+  let valid;
+  try {
+    if (alg === COSE_ALGORITHMS.ES256) {
+      valid = crypto.verify('sha256', signedData, { key, dsaEncoding: 'der' }, signature);
+    } else if (alg === COSE_ALGORITHMS.RS256) {
+      valid = crypto.verify('sha256', signedData, key, signature);
+    } else if (alg === COSE_ALGORITHMS.EDDSA) {
+      valid = crypto.verify(null, signedData, key, signature);
+    } else {
+      throw new WebAuthnError('Algoritmo da chave pública não suportado');
+    }
+  } catch (error) {
+    if (error instanceof WebAuthnError) throw error;
+    // Assinatura malformada (ex.: DER inválido)
+    valid = false;
+  }
+
+  if (!valid) {
+    throw new WebAuthnError('Assinatura inválida');
+  }
+
+  // Contador que não avança indica autenticador clonado
+  if ((authData.signCount > 0 || signCount > 0) && authData.signCount <= signCount) {
+    throw new WebAuthnError('Contador de assinaturas inválido');
+  }
+
+  return { signCount: authData.signCount };
+}
+
+module.exports = {
+  COSE_ALGORITHMS,
+  WebAuthnError,
+  generateChallenge,
+  extractChallenge,
+  verifyRegistration,
+  verifyAuthentication,
+};
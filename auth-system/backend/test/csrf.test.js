@@ -0,0 +1,93 @@
+// csrf.test.js - Modo cookie: double-submit do token CSRF nas requisições que alteram estado
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+
+// Lido ao carregar o cookieService
+process.env.AUTH_COOKIE_MODE = 'true';
+
+const repositories = require('../src/repositories');
+const authController = require('../src/controllers/authController');
+
+let app;
+
+/**
+ * Faz login e devolve os cookies da sessão prontos para o cabeçalho Cookie
+ * @param {string} username - Nome de usuário
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Promise<Object>} { cookie, csrfToken }
+ */
+async function loginWithCookies(username, ip) {
+  const response = await request(`${app.baseUrl}/api/auth/login`, {
+    method: 'POST',
+    body: { username, password: PASSWORD },
+    ip,
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.token, undefined);
+
+  const cookie = response.headers.getSetCookie().map((item) => item.split(';')[0]).join('; ');
+  return { cookie, csrfToken: response.body.csrfToken };
+}
+
+before(async () => {
+  app = await startApp([['/api/auth', authController]]);
+});
+
+after(async () => {
+  await app.close();
+  await repositories.close();
+});
+
+test('POST autenticado por cookie exige o cabeçalho igual ao cookie CSRF', async () => {
+  const ip = '10.0.4.1';
+  await createUser('ana');
+  const { cookie, csrfToken } = await loginWithCookies('ana', ip);
+  assert.ok(csrfToken);
+  assert.match(cookie, new RegExp(`csrf_token=${csrfToken}`));
+
+  const refresh = (headers) => request(`${app.baseUrl}/api/auth/refresh-token`, { method: 'POST', headers, ip });
+
+  const missing = await refresh({ Cookie: cookie });
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, 'CSRF_INVALID');
+
+  const wrong = await refresh({ Cookie: cookie, 'X-CSRF-Token': `${csrfToken.slice(1)}x` });
+  assert.equal(wrong.status, 403);
+
+  const valid = await refresh({ Cookie: cookie, 'X-CSRF-Token': csrfToken });
+  assert.equal(valid.status, 200);
+  assert.ok(valid.body.csrfToken);
+});
+
+test('DELETE autenticado por cookie exige o token CSRF; leituras não', async () => {
+  const ip = '10.0.4.2';
+  await createUser('bia');
+  const current = await loginWithCookies('bia', ip);
+  await loginWithCookies('bia', ip);
+
+  const sessions = await request(`${app.baseUrl}/api/auth/sessions`, { headers: { Cookie: current.cookie }, ip });
+  assert.equal(sessions.status, 200);
+  const other = sessions.body.sessions.find((session) => !session.current);
+
+  const endSession = (headers) => request(`${app.baseUrl}/api/auth/sessions/${other.id}`, { method: 'DELETE', headers, ip });
+
+  const missing = await endSession({ Cookie: current.cookie });
+  assert.equal(missing.status, 403);
+  assert.equal(missing.body.code, 'CSRF_INVALID');
+
+  assert.equal((await endSession({ Cookie: current.cookie, 'X-CSRF-Token': current.csrfToken })).status, 200);
+});
+
+test('requisições com o cabeçalho Authorization dispensam o token CSRF', async () => {
+  const ip = '10.0.4.3';
+  await createUser('caio');
+  const { cookie } = await loginWithCookies('caio', ip);
+
+  // O navegador não envia o cabeçalho sozinho: sem cookies, não há o que forjar
+  const [, accessToken] = cookie.match(/access_token=([^;]+)/);
+  const logout = await request(`${app.baseUrl}/api/auth/logout`, { method: 'POST', token: accessToken, ip });
+  assert.equal(logout.status, 200);
+});
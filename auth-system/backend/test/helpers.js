@@ -0,0 +1,160 @@
+// helpers.js - Utilitários compartilhados pelos testes (não é um arquivo de teste)
+// Carregar antes dos módulos de src: define o ambiente de teste com o banco em memória
+
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.FRONTEND_URL = 'http://localhost:3000';
+process.env.EMAIL_TRANSPORT = 'memory';
+
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const bcrypt = require('bcrypt');
+const express = require('express');
+const repositories = require('../src/repositories');
+
+const PASSWORD = 'Pa1n-Azul-Ve1ho';
+
+// Tempo para um script de src/scripts começar a ouvir antes de o teste desistir
+const SCRIPT_START_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Reserva uma porta livre
+ * @returns {Promise<number>} Porta
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Inicia um script de src/scripts e espera a primeira linha de saída (servidor ouvindo)
+ * Se o script terminar ou não responder a tempo, o processo é encerrado e a promessa rejeitada
+ * @param {string} script - Nome do script
+ * @param {Object} env - Variáveis de ambiente adicionais
+ * @param {Object} [options] - { timeoutMs }
+ * @returns {Promise<ChildProcess>} Processo iniciado
+ */
+function startScript(script, env = {}, { timeoutMs = SCRIPT_START_TIMEOUT_MS } = {}) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'scripts', script)], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${script} não iniciou em ${timeoutMs} ms`));
+    }, timeoutMs);
+
+    child.stdout.once('data', () => {
+      clearTimeout(timer);
+      resolve(child);
+    });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`${script} terminou com código ${code}`));
+    });
+  });
+}
+
+/**
+ * Sobe um app Express com os controllers informados
+ * O proxy local é confiável: cada teste escolhe seu IP pelo X-Forwarded-For (ver request)
+ * @param {Array<Array>} mounts - Pares [caminho, router]; caminho null monta na raiz
+ * @param {Object} [options] - { port } (padrão: porta livre qualquer)
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function startApp(mounts, { port = 0 } = {}) {
+  const app = express();
+  app.set('trust proxy', 'loopback');
+  app.use(express.json());
+
+  for (const [mountPath, router] of mounts) {
+    if (mountPath) {
+      app.use(mountPath, router);
+    } else {
+      app.use(router);
+    }
+  }
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(port, () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://localhost:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Faz uma requisição sem seguir redirecionamentos
+ * @param {string} url - URL
+ * @param {Object} [options] - { method, body (objeto vira JSON), token, ip, headers }
+ * @returns {Promise<Object>} { status, headers, body } (body em JSON quando a resposta é JSON)
+ */
+async function request(url, { method = 'GET', body, token, ip, headers = {} } = {}) {
+  const requestHeaders = { ...headers };
+  let payload = body;
+
+  if (body !== undefined && !(body instanceof URLSearchParams)) {
+    requestHeaders['Content-Type'] = 'application/json';
+    payload = JSON.stringify(body);
+  }
+  if (token) {
+    requestHeaders.Authorization = `Bearer ${token}`;
+  }
+  if (ip) {
+    requestHeaders['X-Forwarded-For'] = ip;
+  }
+
+  const response = await fetch(url, { method, headers: requestHeaders, body: payload, redirect: 'manual' });
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson ? await response.json() : await response.text(),
+  };
+}
+
+/**
+ * Cria uma conta local com a senha PASSWORD e o e-mail <username>@example.com
+ * @param {string} username - Nome de usuário
+ * @param {Object} [options] - { verified (padrão true), roles (padrão ['user']) }
+ * @returns {Promise<Object>} Usuário criado
+ */
+async function createUser(username, { verified = true, roles = ['user'] } = {}) {
+  const user = await repositories.users.create({
+    username,
+    email: `${username}@example.com`,
+    // Custo baixo só para o teste ser rápido
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+  });
+
+  if (verified) {
+    await repositories.users.update(user.id, { email_verified: true });
+  }
+  for (const role of roles) {
+    await repositories.roles.assign(user.id, role);
+  }
+
+  return repositories.users.findById(user.id);
+}
+
+module.exports = {
+  PASSWORD,
+  getFreePort,
+  startScript,
+  startApp,
+  request,
+  createUser,
+};
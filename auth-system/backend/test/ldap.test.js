@@ -0,0 +1,100 @@
+// ldap.test.js - Login com senha pelo diretório de teste (src/scripts/mockLdap.js), de ponta a ponta
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, getFreePort, startScript, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+
+let directory;
+let app;
+
+/**
+ * Faz login com usuário e senha
+ * @param {string} username - Nome de usuário ou e-mail
+ * @param {string} password - Senha
+ * @returns {Promise<Object>} { status, body }
+ */
+function login(username, password) {
+  return request(`${app.baseUrl}/api/auth/login`, { method: 'POST', body: { username, password } });
+}
+
+/**
+ * Papéis atuais da conta
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<string[]>} Papéis em ordem alfabética
+ */
+async function rolesOf(userId) {
+  return (await repositories.roles.getUserAccess(userId)).roles.sort();
+}
+
+before(async () => {
+  const ldapPort = await getFreePort();
+
+  Object.assign(process.env, {
+    AUTH_BACKENDS: 'ldap,local',
+    LDAP_URL: `ldap://localhost:${ldapPort}`,
+    LDAP_BASE_DN: 'ou=people,dc=example,dc=com',
+    LDAP_BIND_DN: 'cn=admin,dc=example,dc=com',
+    LDAP_BIND_PASSWORD: 'admin-secret',
+    LDAP_ROLE_MAPPING: JSON.stringify({ 'cn=admins,ou=groups,dc=example,dc=com': 'admin' }),
+  });
+
+  directory = await startScript('mockLdap.js', { MOCK_LDAP_PORT: String(ldapPort) });
+  app = await startApp([['/api/auth', require('../src/controllers/authController')]]);
+});
+
+after(async () => {
+  if (directory) directory.kill();
+  if (app) await app.close();
+  await repositories.close();
+});
+
+test('provisiona a conta do diretório no primeiro login, com os papéis dos grupos', async () => {
+  const first = await login('ana', 'ana-secret');
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+
+  const ana = await repositories.users.findByEmail('ana@example.com');
+  assert.equal(ana.username, 'ana');
+  assert.equal(ana.email_verified, true);
+  assert.deepEqual(await rolesOf(ana.id), ['admin', 'user']);
+
+  const identities = await repositories.userIdentities.listByUser(ana.id);
+  assert.deepEqual(identities.map((identity) => identity.provider), ['ldap']);
+
+  assert.equal((await login('ana@example.com', 'ana-secret')).status, 200);
+  assert.equal((await login('ana', 'senha-errada')).status, 401);
+});
+
+test('vincula a conta local verificada e ajusta só os papéis mapeados', async () => {
+  const bruno = await createUser('bruno', { verified: false, roles: ['user', 'admin'] });
+
+  // E-mail local não verificado: não há como saber se a conta é da mesma pessoa
+  const conflict = await login('bruno', 'bruno-secret');
+  assert.equal(conflict.status, 409);
+  assert.equal(conflict.body.code, 'ACCOUNT_CONFLICT');
+
+  await repositories.users.update(bruno.id, { email_verified: true });
+
+  assert.equal((await login('bruno', 'bruno-secret')).status, 200);
+  assert.deepEqual(
+    (await repositories.userIdentities.listByUser(bruno.id)).map((identity) => identity.provider),
+    ['ldap']
+  );
+  // bruno não está no grupo admins: o papel mapeado é removido, os demais ficam
+  assert.deepEqual(await rolesOf(bruno.id), ['user']);
+
+  // Vinculada ao diretório, a conta não entra mais com a senha local
+  assert.equal((await login('bruno', PASSWORD)).status, 401);
+});
+
+test('recusa contas do diretório sem e-mail e mantém o login das contas locais', async () => {
+  const carla = await login('carla', 'carla-secret');
+  assert.equal(carla.status, 403);
+  assert.equal(carla.body.code, 'DIRECTORY_ACCOUNT_INVALID');
+
+  await createUser('zeca');
+
+  assert.equal((await login('zeca', PASSWORD)).status, 200);
+});
@@ -0,0 +1,129 @@
+// lockout.test.js - Bloqueio progressivo por conta e limites por IP no login com senha
+// Roda com o banco em memória: npm test
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const lockout = require('../src/services/lockoutService');
+const authController = require('../src/controllers/authController');
+
+const MINUTE_MS = 60 * 1000;
+
+let app;
+
+/**
+ * Faz login a partir de um IP
+ * @param {string} username - Nome de usuário
+ * @param {string} password - Senha
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function login(username, password, ip) {
+  return request(`${app.baseUrl}/api/auth/login`, { method: 'POST', body: { username, password }, ip });
+}
+
+/**
+ * Confere um tempo de bloqueio com tolerância para a duração do próprio teste
+ * @param {number} actualMs - Tempo restante informado
+ * @param {number} expectedMs - Duração esperada do bloqueio
+ */
+function assertLockFor(actualMs, expectedMs) {
+  assert.ok(actualMs <= expectedMs && actualMs > expectedMs - 5000, `${actualMs} ms, esperado ${expectedMs} ms`);
+}
+
+before(async () => {
+  app = await startApp([['/api/auth', authController]]);
+});
+
+after(async () => {
+  mock.timers.reset();
+  await app.close();
+  await repositories.close();
+});
+
+test('o bloqueio da conta começa no limite de falhas e dobra a cada nova falha', async () => {
+  const ip = '10.0.5.1';
+  const user = await createUser('ana');
+
+  for (let attempt = 1; attempt < lockout.ACCOUNT_LOCK_THRESHOLD; attempt++) {
+    const failure = await login('ana', 'senha-errada', ip);
+    assert.equal(failure.status, 401);
+    assert.equal(failure.body.code, undefined);
+  }
+
+  const locked = await login('ana', 'senha-errada', ip);
+  assert.equal(locked.status, 401);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  assert.equal(locked.headers.get('retry-after'), '60');
+
+  // Nem a senha certa entra durante o bloqueio
+  const blocked = await login('ana', PASSWORD, ip);
+  assert.equal(blocked.body.code, 'ACCOUNT_LOCKED');
+
+  await lockout.recordLoginFailure({ userId: user.id, login: 'ana', ipAddress: ip });
+  assertLockFor((await lockout.getAccountLock(user.id)).retryAfterMs, 2 * MINUTE_MS);
+  await lockout.recordLoginFailure({ userId: user.id, login: 'ana', ipAddress: ip });
+  assertLockFor((await lockout.getAccountLock(user.id)).retryAfterMs, 4 * MINUTE_MS);
+
+  // Passado o bloqueio, a senha certa entra e zera a sequência
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  mock.timers.tick(4 * MINUTE_MS + 1000);
+
+  assert.equal((await login('ana', PASSWORD, ip)).status, 200);
+  assert.deepEqual(await lockout.getAccountLock(user.id), { locked: false, retryAfterMs: 0, failures: 0 });
+
+  mock.timers.reset();
+});
+
+test('um IP que testa muitas contas é bloqueado só naquele IP', async () => {
+  const ip = '10.0.5.2';
+  await createUser('bia');
+
+  // Cinco contas diferentes, mesmo inexistentes, caracterizam credential stuffing
+  for (let account = 0; account < 5; account++) {
+    assert.equal((await login(`visitante${account}`, 'senha-errada', ip)).status, 401);
+  }
+
+  const blocked = await login('bia', PASSWORD, ip);
+  assert.equal(blocked.status, 429);
+  assert.equal(blocked.body.code, 'IP_LOCKED');
+  assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+
+  assert.equal((await login('bia', PASSWORD, '10.0.5.3')).status, 200);
+});
+
+test('um IP com muitas falhas na mesma conta é bloqueado', async () => {
+  const ip = '10.0.5.4';
+  const user = await createUser('caio');
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    await lockout.recordLoginFailure({ userId: user.id, login: 'caio', ipAddress: ip });
+  }
+
+  const ipLock = await lockout.getIpLock(ip);
+  assert.equal(ipLock.locked, true);
+  assert.equal(ipLock.reason, 'too_many_failures');
+  assert.equal((await lockout.getIpLock('10.0.5.5')).locked, false);
+});
+
+test('desbloquear a conta não apaga as falhas que contam para o IP', async () => {
+  const ip = '10.0.5.6';
+  const user = await createUser('dani');
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    await lockout.recordLoginFailure({ userId: user.id, login: 'dani', ipAddress: ip });
+  }
+  assert.equal((await lockout.getAccountLock(user.id)).locked, true);
+
+  // Como no link de desbloqueio ou em um login bem-sucedido
+  await lockout.clearAccountFailures(user.id);
+
+  assert.deepEqual(await lockout.getAccountLock(user.id), { locked: false, retryAfterMs: 0, failures: 0 });
+  assert.equal((await lockout.getIpLock(ip)).locked, true);
+
+  // A sequência da conta recomeça do zero
+  const failure = await lockout.recordLoginFailure({ userId: user.id, login: 'dani', ipAddress: '10.0.5.7' });
+  assert.equal(failure.failures, 1);
+  assert.equal(failure.locked, false);
+});
@@ -0,0 +1,136 @@
+// mfa.test.js - Etapa de MFA do login: vínculo do código ao desafio e limite de tentativas
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const totp = require('../src/services/totpService');
+const authController = require('../src/controllers/authController');
+
+let app;
+
+/**
+ * Cria uma conta com MFA por aplicativo autenticador
+ * @param {string} username - Nome de usuário
+ * @returns {Promise<Object>} { user, secret }
+ */
+async function createTotpUser(username) {
+  const user = await createUser(username);
+  const secret = totp.generateSecret();
+  await repositories.users.update(user.id, { mfa_enabled: true, mfa_method: 'totp', totp_secret: secret });
+  return { user, secret };
+}
+
+/**
+ * Código do aplicativo autenticador; com offset, um código fora da janela aceita
+ * @param {string} secret - Segredo TOTP
+ * @param {number} [offset] - Passos de tempo a partir do atual
+ * @returns {string} Código de 6 dígitos
+ */
+function codeFor(secret, offset = 0) {
+  return totp.generateCode(secret, totp.getCounter() + offset);
+}
+
+/**
+ * Cria as funções de login e verificação de um teste, com um IP próprio para os limites por IP
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Object} { login(username), verify(body) }
+ */
+function client(ip) {
+  return {
+    login: (username) => request(`${app.baseUrl}/api/auth/login`, {
+      method: 'POST',
+      body: { username, password: PASSWORD },
+      ip,
+    }),
+    verify: (body) => request(`${app.baseUrl}/api/auth/mfa/verify`, { method: 'POST', body, ip }),
+  };
+}
+
+before(async () => {
+  app = await startApp([['/api/auth', authController]]);
+});
+
+after(async () => {
+  await app.close();
+  await repositories.close();
+});
+
+test('o código só vale para o desafio emitido no login da própria conta', async () => {
+  const { login, verify } = client('10.0.2.1');
+  const ana = await createTotpUser('ana');
+  const bia = await createTotpUser('bia');
+
+  const first = await login('ana');
+  assert.equal(first.status, 200);
+  assert.equal(first.body.requireMfa, true);
+  assert.equal(first.body.token, undefined);
+
+  // Sem desafio ou com um desafio desconhecido o código não é conferido
+  assert.equal((await verify({ code: codeFor(ana.secret) })).status, 400);
+  const unknown = await verify({ code: codeFor(ana.secret), challengeId: 'desafio-inexistente' });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.code, 'MFA_CHALLENGE_EXPIRED');
+
+  // Código válido de outra conta
+  const foreign = await verify({ code: codeFor(bia.secret), challengeId: first.body.challengeId });
+  assert.equal(foreign.status, 401);
+
+  const verified = await verify({ code: codeFor(ana.secret), challengeId: first.body.challengeId });
+  assert.equal(verified.status, 200);
+  assert.ok(verified.body.token);
+
+  // Desafio consumido: não emite uma segunda sessão
+  const second = await login('ana');
+  const reused = await verify({ code: codeFor(ana.secret, 1), challengeId: first.body.challengeId });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'MFA_CHALLENGE_EXPIRED');
+  assert.equal((await verify({ code: codeFor(ana.secret, 1), challengeId: second.body.challengeId })).status, 200);
+});
+
+test('o desafio é encerrado após o limite de tentativas, mesmo com o código certo em seguida', async () => {
+  const { login, verify } = client('10.0.2.2');
+  const { secret } = await createTotpUser('caio');
+  const { challengeId } = (await login('caio')).body;
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const wrong = await verify({ code: codeFor(secret, 10), challengeId });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, undefined, `tentativa ${attempt}`);
+  }
+
+  const last = await verify({ code: codeFor(secret, 10), challengeId });
+  assert.equal(last.status, 401);
+  assert.equal(last.body.code, 'MFA_CHALLENGE_EXPIRED');
+
+  const correct = await verify({ code: codeFor(secret), challengeId });
+  assert.equal(correct.status, 401);
+  assert.equal(correct.body.token, undefined);
+});
+
+test('código ou desafio que não são texto são recusados com 400', async () => {
+  const { login, verify } = client('10.0.2.3');
+  const { secret } = await createTotpUser('dani');
+  const { challengeId } = (await login('dani')).body;
+
+  assert.equal((await verify({ code: [codeFor(secret)], challengeId })).status, 400);
+  assert.equal((await verify({ code: { $ne: '' }, challengeId })).status, 400);
+  assert.equal((await verify({ code: codeFor(secret), challengeId: [challengeId] })).status, 400);
+  assert.equal((await verify({ code: codeFor(secret), challengeId: { id: challengeId } })).status, 400);
+
+  // As recusas não gastam o desafio
+  assert.equal((await verify({ code: codeFor(secret), challengeId })).status, 200);
+});
+
+test('a conta desativada entre o login e a etapa de MFA não recebe sessão', async () => {
+  const { login, verify } = client('10.0.2.4');
+  const { user, secret } = await createTotpUser('enzo');
+  const { challengeId } = (await login('enzo')).body;
+
+  await repositories.users.update(user.id, { is_active: false });
+
+  const response = await verify({ code: codeFor(secret), challengeId });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.token, undefined);
+});
@@ -0,0 +1,178 @@
+// oidc.test.js - Provedor OpenID Connect de ponta a ponta com o cliente de exemplo (src/scripts/oidcSampleClient.js)
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PASSWORD, getFreePort, startScript, startApp, request, createUser } = require('./helpers');
+
+// Lido ao carregar os módulos: o provedor exige chaves assimétricas
+process.env.JWT_ALGORITHM = 'ES256';
+
+const repositories = require('../src/repositories');
+
+let app;
+let sampleClient;
+let sampleClientUrl;
+let oidc;
+
+/**
+ * Faz login com senha e devolve o token de acesso da sessão
+ * @param {string} username - Nome de usuário
+ * @returns {Promise<string>} Token de acesso
+ */
+async function login(username) {
+  const response = await request(`${app.baseUrl}/api/auth/login`, {
+    method: 'POST',
+    body: { username, password: PASSWORD },
+  });
+  assert.equal(response.status, 200);
+  return response.body.token;
+}
+
+/**
+ * Aprova um pedido de autorização como faria a tela de consentimento do frontend
+ * @param {Object} params - Parâmetros do pedido, como chegaram ao frontend
+ * @param {string} session - Token de acesso do usuário
+ * @returns {Promise<URL>} URL de retorno ao cliente, com o código
+ */
+async function approve(params, session) {
+  const query = new URLSearchParams(params).toString();
+  const details = await request(`${app.baseUrl}/api/auth/oauth/authorize/request?${query}`, { token: session });
+  assert.equal(details.status, 200);
+
+  const approved = await request(`${app.baseUrl}/api/auth/oauth/authorize`, {
+    method: 'POST',
+    body: { ...params, approve: true },
+    token: session,
+  });
+  assert.equal(approved.status, 200);
+  return new URL(approved.body.redirectTo);
+}
+
+/**
+ * Troca o código de autorização por tokens
+ * @param {Object} client - { clientId, clientSecret }
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} { status, body }
+ */
+function exchangeCode(client, { code, redirectUri, codeVerifier }) {
+  return request(`${app.baseUrl}/api/auth/oauth/token`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+      client_id: client.clientId,
+      client_secret: client.clientSecret,
+    }),
+  });
+}
+
+before(async () => {
+  const port = await getFreePort();
+  const clientPort = await getFreePort();
+  sampleClientUrl = `http://localhost:${clientPort}`;
+
+  // Lido ao carregar o oidcService: endpoints do documento de descoberta e claim iss
+  process.env.OIDC_ISSUER = `http://localhost:${port}`;
+
+  oidc = require('../src/services/oidcService');
+  app = await startApp([
+    [null, require('../src/controllers/wellKnownController')],
+    ['/api/auth/oauth', require('../src/controllers/oauthController')],
+    ['/api/auth', require('../src/controllers/authController')],
+  ], { port });
+
+  // O cliente de exemplo lê o documento de descoberta ao iniciar
+  const client = await oidc.registerClient({ name: 'Exemplo', redirectUris: [`${sampleClientUrl}/callback`] });
+  sampleClient = await startScript('oidcSampleClient.js', {
+    OIDC_ISSUER: process.env.OIDC_ISSUER,
+    OIDC_CLIENT_ID: client.clientId,
+    OIDC_CLIENT_SECRET: client.clientSecret,
+    SAMPLE_CLIENT_PORT: String(clientPort),
+  });
+});
+
+after(async () => {
+  if (sampleClient) sampleClient.kill();
+  if (app) await app.close();
+  await repositories.close();
+});
+
+test('o cliente de exemplo conclui o login: autorização, consentimento, token com PKCE S256 e userinfo', async () => {
+  await createUser('ana');
+  const session = await login('ana');
+
+  const start = await request(`${sampleClientUrl}/login`);
+  assert.equal(start.status, 302);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, app.baseUrl);
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+
+  // O backend valida o pedido e leva o navegador à tela de consentimento do frontend
+  const authorize = await request(authorizeUrl.toString());
+  assert.equal(authorize.status, 302);
+  const consentUrl = new URL(authorize.headers.get('location'));
+  assert.equal(consentUrl.origin, process.env.FRONTEND_URL);
+
+  const redirect = await approve(Object.fromEntries(consentUrl.searchParams), session);
+  assert.equal(redirect.origin, sampleClientUrl);
+  assert.equal(redirect.searchParams.get('iss'), app.baseUrl);
+
+  // O cliente troca o código, verifica o ID token pelo JWKS e consulta o userinfo
+  const callback = await request(redirect.toString());
+  assert.equal(callback.status, 200, callback.body);
+  assert.match(callback.body, /Login concluído/);
+  assert.match(callback.body, /ana@example\.com/);
+});
+
+test('reusar o código de autorização revoga os tokens emitidos com ele', async () => {
+  await createUser('bia');
+  const session = await login('bia');
+
+  const redirectUri = 'http://localhost:4999/callback';
+  const client = await oidc.registerClient({ name: 'Replay', redirectUris: [redirectUri] });
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  const redirect = await approve({
+    response_type: 'code',
+    client_id: client.clientId,
+    redirect_uri: redirectUri,
+    scope: 'openid profile',
+    state: 'estado',
+    code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }, session);
+  const code = redirect.searchParams.get('code');
+
+  const first = await exchangeCode(client, { code, redirectUri, codeVerifier });
+  assert.equal(first.status, 200);
+  const userInfo = () => request(`${app.baseUrl}/api/auth/oauth/userinfo`, { token: first.body.access_token });
+  assert.equal((await userInfo()).status, 200);
+
+  const replayed = await exchangeCode(client, { code, redirectUri, codeVerifier });
+  assert.equal(replayed.status, 400);
+  assert.equal(replayed.body.error, 'invalid_grant');
+
+  const revoked = await userInfo();
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.error, 'invalid_token');
+});
+
+test('o endpoint de token limita as requisições por IP', async () => {
+  const attempt = () => request(`${app.baseUrl}/api/auth/oauth/token`, {
+    method: 'POST',
+    body: new URLSearchParams({ grant_type: 'authorization_code', client_id: 'inexistente', client_secret: 'x' }),
+    ip: '10.0.8.1',
+  });
+
+  for (let count = 0; count < 30; count++) {
+    assert.equal((await attempt()).status, 401);
+  }
+
+  const limited = await attempt();
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, 'temporarily_unavailable');
+});
@@ -0,0 +1,123 @@
+// personalTokens.test.js - Tokens de acesso pessoal: escopos exigidos por rota e revogação
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const authController = require('../src/controllers/authController');
+const auditController = require('../src/controllers/auditController');
+
+let app;
+
+/**
+ * Cria as funções de requisição de um teste, com um IP próprio para os limites por IP
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Object} { login(username), createToken(session, scopes), get(path, token) }
+ */
+function client(ip) {
+  return {
+    login: async (username) => {
+      const response = await request(`${app.baseUrl}/api/auth/login`, {
+        method: 'POST',
+        body: { username, password: PASSWORD },
+        ip,
+      });
+      assert.equal(response.status, 200);
+      return response.body.token;
+    },
+    createToken: (session, scopes) => request(`${app.baseUrl}/api/auth/personal-tokens`, {
+      method: 'POST',
+      body: { name: 'CI', scopes, expiresInDays: 30 },
+      token: session,
+      ip,
+    }),
+    get: (path, token) => request(`${app.baseUrl}${path}`, { token, ip }),
+  };
+}
+
+before(async () => {
+  app = await startApp([
+    ['/api/auth/audit-events', auditController],
+    ['/api/auth', authController],
+  ]);
+});
+
+after(async () => {
+  await app.close();
+  await repositories.close();
+});
+
+test('o token só acessa rotas que declaram os escopos dele', async () => {
+  const { login, createToken, get } = client('10.0.7.1');
+  await createUser('ana', { roles: ['user', 'admin'] });
+  const session = await login('ana');
+
+  const created = await createToken(session, ['profile']);
+  assert.equal(created.status, 201);
+  const { token } = created.body;
+  assert.match(token, /^pat_/);
+
+  const me = await get('/api/auth/me', token);
+  assert.equal(me.status, 200);
+  assert.equal(me.body.username, 'ana');
+
+  // A conta tem audit:read, mas o token não
+  const audit = await get('/api/auth/audit-events', token);
+  assert.equal(audit.status, 403);
+  assert.equal(audit.body.code, 'INSUFFICIENT_SCOPE');
+  assert.match(audit.headers.get('www-authenticate'), /insufficient_scope.*audit:read/);
+
+  // Rotas sem withScopes exigem login
+  const sessions = await get('/api/auth/sessions', token);
+  assert.equal(sessions.status, 403);
+  assert.equal(sessions.body.code, 'PERSONAL_TOKEN_NOT_ALLOWED');
+  assert.equal((await createToken(token, ['profile'])).status, 403);
+
+  const auditToken = (await createToken(session, ['audit:read'])).body.token;
+  assert.equal((await get('/api/auth/audit-events', auditToken)).status, 200);
+  assert.equal((await get('/api/auth/me', auditToken)).status, 403);
+});
+
+test('só é possível delegar permissões que a conta tem', async () => {
+  const { login, createToken } = client('10.0.7.2');
+  await createUser('bia');
+  const session = await login('bia');
+
+  const response = await createToken(session, ['profile', 'audit:read']);
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, 'INVALID_SCOPE');
+});
+
+test('tokens revogados, inclusive pela troca de senha, deixam de valer', async () => {
+  const { login, createToken, get } = client('10.0.7.3');
+  await createUser('caio');
+  const session = await login('caio');
+
+  const revoked = await createToken(session, ['profile']);
+  const revoke = await request(`${app.baseUrl}/api/auth/personal-tokens/${revoked.body.personalToken.id}`, {
+    method: 'DELETE',
+    token: session,
+    ip: '10.0.7.3',
+  });
+  assert.equal(revoke.status, 200);
+
+  const afterRevoke = await get('/api/auth/me', revoked.body.token);
+  assert.equal(afterRevoke.status, 401);
+  assert.equal(afterRevoke.body.code, 'TOKEN_REVOKED');
+
+  const { token } = (await createToken(session, ['profile'])).body;
+  assert.equal((await get('/api/auth/me', token)).status, 200);
+
+  const change = await request(`${app.baseUrl}/api/auth/password/change`, {
+    method: 'POST',
+    body: { currentPassword: PASSWORD, newPassword: 'Outra-Senha-F0rte-2024' },
+    token: session,
+    ip: '10.0.7.3',
+  });
+  assert.equal(change.status, 200);
+
+  const afterChange = await get('/api/auth/me', token);
+  assert.equal(afterChange.status, 401);
+  assert.equal(afterChange.body.code, 'TOKEN_REVOKED');
+});
@@ -0,0 +1,113 @@
+// refreshToken.test.js - Rotação do refresh token: janela de tolerância e detecção de reuso
+// Roda com o banco em memória: npm test
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const authController = require('../src/controllers/authController');
+
+// Janela em que o token recém-rotacionado ainda devolve o sucessor (REFRESH_GRACE_PERIOD_MS)
+const GRACE_PERIOD_MS = 30 * 1000;
+
+let app;
+
+/**
+ * Cria as funções de requisição de um teste, com um IP próprio para os limites por IP
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Object} { login(username), refresh(refreshToken), me(token) }
+ */
+function client(ip) {
+  return {
+    login: async (username) => {
+      const response = await request(`${app.baseUrl}/api/auth/login`, {
+        method: 'POST',
+        body: { username, password: PASSWORD },
+        ip,
+      });
+      assert.equal(response.status, 200);
+      return response.body;
+    },
+    refresh: (refreshToken) => request(`${app.baseUrl}/api/auth/refresh-token`, {
+      method: 'POST',
+      body: { refresh_token: refreshToken },
+      ip,
+    }),
+    me: (token) => request(`${app.baseUrl}/api/auth/me`, { token, ip }),
+  };
+}
+
+before(async () => {
+  app = await startApp([['/api/auth', authController]]);
+});
+
+after(async () => {
+  mock.timers.reset();
+  await app.close();
+  await repositories.close();
+});
+
+test('cada renovação emite um novo par; o token anterior devolve o sucessor dentro da janela', async () => {
+  const { login, refresh } = client('10.0.3.1');
+  await createUser('ana');
+  const session = await login('ana');
+
+  const rotated = await refresh(session.refresh_token);
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refresh_token, session.refresh_token);
+  assert.notEqual(rotated.body.token, session.token);
+
+  // Outra aba renovando com o mesmo token ao mesmo tempo recebe o par já emitido
+  const concurrent = await refresh(session.refresh_token);
+  assert.equal(concurrent.status, 200);
+  assert.equal(concurrent.body.refresh_token, rotated.body.refresh_token);
+
+  const next = await refresh(rotated.body.refresh_token);
+  assert.equal(next.status, 200);
+});
+
+test('reuso fora da janela revoga toda a família, sem afetar outras sessões', async () => {
+  const { login, refresh, me } = client('10.0.3.2');
+  await createUser('bia');
+  const session = await login('bia');
+  const otherDevice = await login('bia');
+
+  const rotated = await refresh(session.refresh_token);
+  assert.equal(rotated.status, 200);
+
+  mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  mock.timers.tick(GRACE_PERIOD_MS + 1000);
+
+  const reused = await refresh(session.refresh_token);
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.code, 'REFRESH_TOKEN_REUSED');
+
+  // O par emitido na rotação pertence à mesma família e também deixa de valer
+  assert.equal((await refresh(rotated.body.refresh_token)).status, 401);
+  assert.equal((await me(rotated.body.token)).status, 401);
+
+  assert.equal((await me(otherDevice.token)).status, 200);
+  assert.equal((await refresh(otherDevice.refresh_token)).status, 200);
+
+  mock.timers.reset();
+});
+
+test('token de sessão encerrada é recusado sem revogar outras famílias', async () => {
+  const { login, refresh } = client('10.0.3.3');
+  await createUser('caio');
+  const session = await login('caio');
+  const otherDevice = await login('caio');
+
+  const logout = await request(`${app.baseUrl}/api/auth/logout`, {
+    method: 'POST',
+    token: session.token,
+    ip: '10.0.3.3',
+  });
+  assert.equal(logout.status, 200);
+
+  const revoked = await refresh(session.refresh_token);
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.code, undefined);
+
+  assert.equal((await refresh(otherDevice.refresh_token)).status, 200);
+});
@@ -0,0 +1,149 @@
+// signingKeys.test.js - Tokens ES256 com kid, JWKS publicado, rotação e tokens HS256 antigos
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+
+// Lido ao carregar o signingKeyService
+process.env.JWT_ALGORITHM = 'ES256';
+
+const repositories = require('../src/repositories');
+const signingKeys = require('../src/services/signingKeyService');
+const authController = require('../src/controllers/authController');
+const wellKnownController = require('../src/controllers/wellKnownController');
+
+const SIGNING_KEY_SERVICE = require.resolve('../src/services/signingKeyService');
+
+let app;
+
+/**
+ * Faz login e devolve o token de acesso
+ * @param {string} username - Nome de usuário
+ * @returns {Promise<string>} Token de acesso
+ */
+async function login(username) {
+  const response = await request(`${app.baseUrl}/api/auth/login`, {
+    method: 'POST',
+    body: { username, password: PASSWORD },
+    ip: '10.0.6.1',
+  });
+  assert.equal(response.status, 200);
+  return response.body.token;
+}
+
+/**
+ * Chaves publicadas em /.well-known/jwks.json
+ * @returns {Promise<Object[]>} JWKs
+ */
+async function fetchJwks() {
+  const response = await request(`${app.baseUrl}/.well-known/jwks.json`);
+  assert.equal(response.status, 200);
+  return response.body.keys;
+}
+
+/**
+ * Verifica um token como faria outro serviço, só com o JWKS público
+ * @param {string} token - Token de acesso
+ * @param {Object[]} keys - JWKs publicados
+ * @returns {Object} Claims verificadas
+ */
+function verifyWithJwks(token, keys) {
+  const { kid } = jwt.decode(token, { complete: true }).header;
+  const jwk = keys.find((key) => key.kid === kid);
+  assert.ok(jwk, `kid ${kid} publicado no JWKS`);
+  return jwt.verify(token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), { algorithms: ['ES256'] });
+}
+
+/**
+ * Carrega uma nova instância do serviço com outro JWT_LEGACY_HS256_UNTIL
+ * @param {string|undefined} legacyUntil - Data limite ou undefined para remover
+ * @returns {Object} signingKeyService
+ */
+function loadWithLegacyUntil(legacyUntil) {
+  if (legacyUntil) {
+    process.env.JWT_LEGACY_HS256_UNTIL = legacyUntil;
+  } else {
+    delete process.env.JWT_LEGACY_HS256_UNTIL;
+  }
+
+  // A instância usada pelo app continua no cache
+  const loaded = require.cache[SIGNING_KEY_SERVICE];
+  delete require.cache[SIGNING_KEY_SERVICE];
+  const service = require(SIGNING_KEY_SERVICE);
+  require.cache[SIGNING_KEY_SERVICE] = loaded;
+  return service;
+}
+
+before(async () => {
+  app = await startApp([
+    [null, wellKnownController],
+    ['/api/auth', authController],
+  ]);
+});
+
+after(async () => {
+  await app.close();
+  await repositories.close();
+});
+
+test('o token leva o kid de uma chave publicada no JWKS e continua válido após a rotação', async () => {
+  await createUser('ana');
+
+  const first = await login('ana');
+  const firstHeader = jwt.decode(first, { complete: true }).header;
+  assert.equal(firstHeader.alg, 'ES256');
+  assert.ok(firstHeader.kid);
+
+  const keys = await fetchJwks();
+  assert.equal(keys.length, 1);
+  assert.equal(keys[0].d, undefined);
+  assert.ok(verifyWithJwks(first, keys).userId);
+
+  await signingKeys.rotateSigningKey();
+
+  const second = await login('ana');
+  assert.notEqual(jwt.decode(second, { complete: true }).header.kid, firstHeader.kid);
+
+  // A chave anterior segue publicada até os tokens assinados por ela expirarem
+  const rotatedKeys = await fetchJwks();
+  assert.equal(rotatedKeys.length, 2);
+  verifyWithJwks(first, rotatedKeys);
+  verifyWithJwks(second, rotatedKeys);
+
+  assert.equal((await request(`${app.baseUrl}/api/auth/me`, { token: first })).status, 200);
+  assert.equal((await request(`${app.baseUrl}/api/auth/me`, { token: second })).status, 200);
+});
+
+test('tokens assinados por uma chave que não é do serviço são recusados', async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const kid = crypto.createHash('sha256').update(publicKey.export({ format: 'der', type: 'spki' })).digest('base64url');
+  const forged = jwt.sign({ userId: 'qualquer' }, privateKey, { algorithm: 'ES256', keyid: kid, expiresIn: 60 });
+
+  await assert.rejects(() => signingKeys.verifyAccessToken(forged), { message: 'kid desconhecido' });
+
+  // kid de uma chave publicada, mas assinatura de outra
+  const [published] = await fetchJwks();
+  const mismatched = jwt.sign({ userId: 'qualquer' }, privateKey, { algorithm: 'ES256', keyid: published.kid, expiresIn: 60 });
+  await assert.rejects(() => signingKeys.verifyAccessToken(mismatched), jwt.JsonWebTokenError);
+
+  assert.equal((await request(`${app.baseUrl}/api/auth/me`, { token: forged })).status, 401);
+});
+
+test('tokens HS256 sem kid só são aceitos até JWT_LEGACY_HS256_UNTIL', async () => {
+  const legacy = jwt.sign({ userId: 'qualquer' }, process.env.JWT_SECRET, { algorithm: 'HS256', expiresIn: 60 });
+
+  await assert.rejects(() => loadWithLegacyUntil(undefined).verifyAccessToken(legacy), { message: 'kid ausente' });
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+  assert.equal((await loadWithLegacyUntil(tomorrow).verifyAccessToken(legacy)).userId, 'qualquer');
+
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  await assert.rejects(() => loadWithLegacyUntil(yesterday).verifyAccessToken(legacy), { message: 'kid ausente' });
+
+  // Assinado com outro segredo: nem dentro do prazo
+  const foreign = jwt.sign({ userId: 'qualquer' }, 'outro-segredo', { algorithm: 'HS256', expiresIn: 60 });
+  await assert.rejects(() => loadWithLegacyUntil(tomorrow).verifyAccessToken(foreign), jwt.JsonWebTokenError);
+});
@@ -0,0 +1,131 @@
+// sso.test.js - Login externo de ponta a ponta contra o IdP de teste (src/scripts/mockIdp.js)
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFreePort, startScript, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const { ACCOUNT_LOCK_THRESHOLD, recordLoginFailure, clearAccountFailures } = require('../src/services/lockoutService');
+
+let idp;
+let app;
+let idpUrl;
+
+/**
+ * Percorre o login no IdP: início no backend, tela do IdP, callback e retorno ao frontend
+ * @param {string} email - E-mail informado na tela do IdP
+ * @returns {Promise<Object>} Parâmetros da URL de retorno ao frontend (ssoToken ou ssoError)
+ */
+async function loginWithIdp(email) {
+  const start = await fetch(`${app.baseUrl}/api/auth/sso/mock/start`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, idpUrl);
+  const cookie = start.headers.get('set-cookie').split(';')[0];
+
+  const form = new URLSearchParams(Object.fromEntries(authorizeUrl.searchParams));
+  form.set('email', email);
+  form.set('decision', 'allow');
+  const consent = await fetch(`${idpUrl}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+
+  const callback = await fetch(consent.headers.get('location'), { redirect: 'manual', headers: { Cookie: cookie } });
+  return Object.fromEntries(new URL(callback.headers.get('location')).searchParams);
+}
+
+/**
+ * Troca o ssoToken pelos tokens da sessão
+ * @param {string} token - ssoToken recebido pelo frontend
+ * @returns {Promise<Object>} { status, body }
+ */
+function completeLogin(token) {
+  return request(`${app.baseUrl}/api/auth/sso/complete`, { method: 'POST', body: { token } });
+}
+
+before(async () => {
+  const port = await getFreePort();
+  const idpPort = await getFreePort();
+  idpUrl = `http://localhost:${idpPort}`;
+
+  // Lidas ao carregar os módulos: o callback registrado no IdP depende da porta do backend
+  process.env.OIDC_ISSUER = `http://localhost:${port}`;
+  process.env.SSO_PROVIDERS = JSON.stringify([
+    { id: 'mock', name: 'Mock IdP', issuer: idpUrl, clientId: 'auth-system', clientSecret: 'mock-secret' },
+  ]);
+
+  idp = await startScript('mockIdp.js', { MOCK_IDP_PORT: String(idpPort) });
+  app = await startApp([['/api/auth', require('../src/controllers/authController')]], { port });
+});
+
+after(async () => {
+  if (idp) idp.kill();
+  if (app) await app.close();
+  await repositories.close();
+});
+
+test('provisiona a conta no primeiro login e a reconhece pelo vínculo no seguinte', async () => {
+  const first = await loginWithIdp('dani@example.com');
+  assert.ok(first.ssoToken, JSON.stringify(first));
+
+  const session = await completeLogin(first.ssoToken);
+  assert.equal(session.status, 200);
+  assert.ok(session.body.token);
+
+  const user = await repositories.users.findByEmail('dani@example.com');
+  assert.equal(user.username, 'dani');
+  assert.equal(user.email_verified, true);
+  assert.deepEqual((await repositories.roles.getUserAccess(user.id)).roles, ['user']);
+
+  const identities = await repositories.userIdentities.listByUser(user.id);
+  assert.deepEqual(identities.map((identity) => [identity.provider, identity.email]), [['mock', 'dani@example.com']]);
+
+  // O token só pode ser trocado uma vez
+  assert.equal((await completeLogin(first.ssoToken)).status, 400);
+
+  const second = await loginWithIdp('dani@example.com');
+  assert.equal((await completeLogin(second.ssoToken)).status, 200);
+  assert.equal((await repositories.users.findByEmail('dani@example.com')).id, user.id);
+  assert.equal((await repositories.userIdentities.listByUser(user.id)).length, 1);
+});
+
+test('vincula a conta local verificada com o mesmo e-mail, mantendo seus papéis', async () => {
+  const erin = await createUser('erin', { roles: ['user', 'admin'] });
+
+  const params = await loginWithIdp('erin@example.com');
+  const session = await completeLogin(params.ssoToken);
+  assert.equal(session.status, 200);
+
+  const identities = await repositories.userIdentities.listByUser(erin.id);
+  assert.deepEqual(identities.map((identity) => identity.provider), ['mock']);
+  assert.deepEqual((await repositories.roles.getUserAccess(erin.id)).roles.sort(), ['admin', 'user']);
+});
+
+test('não vincula conta local com e-mail não verificado', async () => {
+  const gabi = await createUser('gabi', { verified: false });
+
+  const params = await loginWithIdp('gabi@example.com');
+  assert.equal(params.ssoError, 'SSO_ACCOUNT_CONFLICT');
+  assert.equal((await repositories.userIdentities.listByUser(gabi.id)).length, 0);
+});
+
+test('contas desativadas ou bloqueadas não entram pelo provedor externo', async () => {
+  const hugo = await createUser('hugo');
+
+  // Bloqueio por tentativas de senha erradas
+  for (let attempt = 0; attempt < ACCOUNT_LOCK_THRESHOLD; attempt++) {
+    await recordLoginFailure({ userId: hugo.id, login: 'hugo', ipAddress: '203.0.113.7' });
+  }
+
+  const locked = await completeLogin((await loginWithIdp('hugo@example.com')).ssoToken);
+  assert.equal(locked.status, 401);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+
+  // Conta desativada entre o retorno do provedor e a troca do ssoToken
+  await clearAccountFailures(hugo.id);
+  const params = await loginWithIdp('hugo@example.com');
+  await repositories.users.update(hugo.id, { is_active: false });
+
+  const disabled = await completeLogin(params.ssoToken);
+  assert.equal(disabled.status, 401);
+  assert.equal(disabled.body.token, undefined);
+});
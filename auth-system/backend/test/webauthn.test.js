@@ -0,0 +1,335 @@
+// webauthn.test.js - Registro e login com passkey usando um autenticador ES256 gerado em software
+// Roda com o banco em memória: npm test
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PASSWORD, startApp, request, createUser } = require('./helpers');
+const repositories = require('../src/repositories');
+const { ACCOUNT_LOCK_THRESHOLD, recordLoginFailure } = require('../src/services/lockoutService');
+const webauthn = require('../src/services/webauthnService');
+const authController = require('../src/controllers/authController');
+
+const ORIGIN = process.env.FRONTEND_URL;
+const RP_ID = 'localhost';
+
+/**
+ * Codifica um valor em CBOR (inteiros, texto, bytes e mapas), o suficiente para o autenticador
+ * @param {*} value - Valor
+ * @returns {Buffer} Dados CBOR
+ */
+function encodeCbor(value) {
+  const head = (majorType, length) => {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 256) return Buffer.from([(majorType << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (majorType << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+
+  // Mapa: chaves numéricas em texto ("-2") voltam a ser inteiros, como nas chaves COSE
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  return Buffer.concat([
+    head(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+}
+
+/**
+ * Autenticador ES256 em software, com contador de assinaturas
+ * @returns {Object} { credentialId, attest(challenge), assert(challenge, [signCount]) }
+ */
+function createSoftwareAuthenticator() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+  let counter = 0;
+
+  const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN }));
+
+  const authenticatorData = (flags, signCount, attested = Buffer.alloc(0)) => {
+    const header = Buffer.alloc(37);
+    rpIdHash.copy(header, 0);
+    header[32] = flags;
+    header.writeUInt32BE(signCount, 33);
+    return Buffer.concat([header, attested]);
+  };
+
+  return {
+    credentialId: credentialId.toString('base64url'),
+
+    attest(challenge) {
+      const coseKey = new Map([
+        [1, 2],
+        [3, webauthn.COSE_ALGORITHMS.ES256],
+        [-1, 1],
+        [-2, Buffer.from(jwk.x, 'base64url')],
+        [-3, Buffer.from(jwk.y, 'base64url')],
+      ]);
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, encodeCbor(coseKey)]);
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', challenge).toString('base64url'),
+          // Presença, verificação do usuário e dados da credencial
+          attestationObject: encodeCbor({
+            fmt: 'none',
+            attStmt: {},
+            authData: authenticatorData(0x45, counter, attested),
+          }).toString('base64url'),
+          transports: ['internal'],
+        },
+      };
+    },
+
+    assert(challenge, signCount = ++counter) {
+      const clientDataJSON = clientData('webauthn.get', challenge);
+      const authData = authenticatorData(0x05, signCount);
+      const signature = crypto.sign(
+        'sha256',
+        Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]),
+        privateKey
+      );
+
+      return {
+        id: credentialId.toString('base64url'),
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+        },
+      };
+    },
+  };
+}
+
+let app;
+
+/**
+ * Cria a função de requisições JSON de um teste, com um IP próprio para os limites por IP
+ * @param {string} ip - IP de origem (X-Forwarded-For)
+ * @returns {Function} post(path, body, token) => Promise<{ status, body }>
+ */
+function client(ip) {
+  return (path, body = {}, token = null) => request(`${app.baseUrl}${path}`, { method: 'POST', body, token, ip });
+}
+
+before(async () => {
+  app = await startApp([['/api/auth', authController]]);
+});
+
+after(async () => {
+  await app.close();
+  await repositories.close();
+});
+
+test('registra uma passkey ES256 e entra com ela, recusando contador repetido', async () => {
+  const post = client('10.0.1.1');
+  const user = await createUser('ana');
+
+  const login = await post('/api/auth/login', { username: 'ana', password: PASSWORD });
+  assert.equal(login.status, 200);
+
+  const authenticator = createSoftwareAuthenticator();
+
+  const registerOptions = await post('/api/auth/webauthn/register/options', {}, login.body.token);
+  assert.equal(registerOptions.status, 200);
+
+  const registered = await post('/api/auth/webauthn/register/verify', {
+    credential: authenticator.attest(registerOptions.body.challenge),
+    name: 'Chave de teste',
+  }, login.body.token);
+  assert.equal(registered.status, 201);
+
+  const [stored] = await repositories.webauthnCredentials.listByUser(user.id);
+  assert.equal(stored.credential_id, authenticator.credentialId);
+  assert.equal(stored.public_key.kty, 'EC');
+  assert.equal(stored.public_key.alg, webauthn.COSE_ALGORITHMS.ES256);
+
+  const loginOptions = await post('/api/auth/webauthn/login/options');
+  const assertion = authenticator.assert(loginOptions.body.challenge);
+  const passkeyLogin = await post('/api/auth/webauthn/login/verify', { credential: assertion });
+  assert.equal(passkeyLogin.status, 200);
+  assert.ok(passkeyLogin.body.token);
+
+  // A mesma asserção outra vez: o desafio já foi consumido
+  const replayed = await post('/api/auth/webauthn/login/verify', { credential: assertion });
+  assert.equal(replayed.status, 400);
+
+  // Desafio novo, mas o contador não avançou (autenticador clonado)
+  const cloneOptions = await post('/api/auth/webauthn/login/options');
+  const cloned = await post('/api/auth/webauthn/login/verify', {
+    credential: authenticator.assert(cloneOptions.body.challenge, 1),
+  });
+  assert.equal(cloned.status, 401);
+
+  // O autenticador original continua funcionando
+  const nextOptions = await post('/api/auth/webauthn/login/options');
+  const next = await post('/api/auth/webauthn/login/verify', {
+    credential: authenticator.assert(nextOptions.body.challenge),
+  });
+  assert.equal(next.status, 200);
+});
+
+test('credenciais truncadas ou malformadas são recusadas com 400', async () => {
+  const post = client('10.0.1.2');
+  const user = await createUser('bia');
+  const { token } = (await post('/api/auth/login', { username: 'bia', password: PASSWORD })).body;
+
+  const authenticator = createSoftwareAuthenticator();
+  const options = await post('/api/auth/webauthn/register/options', {}, token);
+  const credential = authenticator.attest(options.body.challenge);
+  const attestationObject = Buffer.from(credential.response.attestationObject, 'base64url');
+
+  // Cada corte cai em um ponto diferente: cabeçalho CBOR, authData, ID da credencial, chave COSE
+  for (const length of [1, 10, 40, 80, 120, attestationObject.length - 1]) {
+    const { challenge } = (await post('/api/auth/webauthn/register/options', {}, token)).body;
+    const truncated = authenticator.attest(challenge);
+    truncated.response.attestationObject = Buffer.from(truncated.response.attestationObject, 'base64url')
+      .subarray(0, length)
+      .toString('base64url');
+
+    const response = await post('/api/auth/webauthn/register/verify', { credential: truncated }, token);
+    assert.equal(response.status, 400, `attestationObject com ${length} bytes`);
+  }
+
+  assert.equal((await repositories.webauthnCredentials.listByUser(user.id)).length, 0);
+});
+
+test('a passkey não entra em conta bloqueada, desativada ou com e-mail pendente', async () => {
+  const post = client('10.0.1.3');
+  const user = await createUser('caio');
+  const { token } = (await post('/api/auth/login', { username: 'caio', password: PASSWORD })).body;
+
+  const authenticator = createSoftwareAuthenticator();
+  const options = await post('/api/auth/webauthn/register/options', {}, token);
+  await post('/api/auth/webauthn/register/verify', { credential: authenticator.attest(options.body.challenge) }, token);
+
+  const loginWithPasskey = async () => {
+    const { challenge } = (await post('/api/auth/webauthn/login/options')).body;
+    return post('/api/auth/webauthn/login/verify', { credential: authenticator.assert(challenge) });
+  };
+
+  for (let attempt = 0; attempt < ACCOUNT_LOCK_THRESHOLD; attempt++) {
+    await recordLoginFailure({ userId: user.id, login: 'caio', ipAddress: '203.0.113.9' });
+  }
+  const locked = await loginWithPasskey();
+  assert.equal(locked.status, 401);
+  assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  // A recusa não zera a sequência de falhas
+  assert.equal((await loginWithPasskey()).body.code, 'ACCOUNT_LOCKED');
+
+  await repositories.loginAttempts.clearFailures(user.id);
+  await repositories.users.update(user.id, { email_verified: false });
+  const unverified = await loginWithPasskey();
+  assert.equal(unverified.status, 403);
+  assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+
+  await repositories.users.update(user.id, { email_verified: true, is_active: false });
+  const disabled = await loginWithPasskey();
+  assert.equal(disabled.status, 401);
+  assert.equal(disabled.body.token, undefined);
+});
+
+test('o parser recusa CBOR, authData e chaves COSE inválidos com WebAuthnError', () => {
+  const authenticator = createSoftwareAuthenticator();
+  const challenge = webauthn.generateChallenge();
+  const params = { expectedChallenge: challenge, expectedOrigin: ORIGIN, rpId: RP_ID };
+
+  const withAttestation = (attestationObject) => {
+    const credential = authenticator.attest(challenge);
+    credential.response.attestationObject = attestationObject.toString('base64url');
+    return credential;
+  };
+
+  const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+  const attestedAuthData = (rest) => Buffer.concat([rpIdHash, Buffer.from([0x45, 0, 0, 0, 0]), Buffer.alloc(16), rest]);
+
+  const malformed = [
+    // Tamanho de texto maior que os dados
+    Buffer.from([0x7a, 0xff, 0xff, 0xff, 0xff]),
+    // Argumento de 8 bytes truncado
+    Buffer.from([0x1b, 0x00, 0x01]),
+    // Aninhamento profundo
+    Buffer.alloc(64, 0x81),
+    // Atestação que não é um mapa
+    encodeCbor(5),
+    // authData com credencial sem tamanho do ID
+    encodeCbor({ fmt: 'none', attStmt: {}, authData: Buffer.concat([rpIdHash, Buffer.from([0x45, 0, 0, 0, 0])]) }),
+    // ID da credencial maior que os dados
+    encodeCbor({ fmt: 'none', attStmt: {}, authData: attestedAuthData(Buffer.from([0x01, 0x00, 0xaa])) }),
+    // Chave COSE que não é um mapa
+    encodeCbor({ fmt: 'none', attStmt: {}, authData: attestedAuthData(Buffer.concat([Buffer.from([0x00, 0x01, 0xaa]), encodeCbor(7)])) }),
+    // Chave EC com coordenadas ausentes
+    encodeCbor({
+      fmt: 'none',
+      attStmt: {},
+      authData: attestedAuthData(Buffer.concat([
+        Buffer.from([0x00, 0x01, 0xaa]),
+        encodeCbor(new Map([[1, 2], [3, -7], [-1, 1]])),
+      ])),
+    }),
+    // Ponto fora da curva
+    encodeCbor({
+      fmt: 'none',
+      attStmt: {},
+      authData: attestedAuthData(Buffer.concat([
+        Buffer.from([0x00, 0x01, 0xaa]),
+        encodeCbor(new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.alloc(32, 1)], [-3, Buffer.alloc(32, 2)]])),
+      ])),
+    }),
+  ];
+
+  for (const attestationObject of malformed) {
+    const credential = withAttestation(attestationObject);
+    // O ID não importa: a verificação falha antes de compará-lo
+    assert.throws(
+      () => webauthn.verifyRegistration({ credential, ...params }),
+      webauthn.WebAuthnError,
+      attestationObject.toString('hex')
+    );
+  }
+
+  const registration = webauthn.verifyRegistration({ credential: authenticator.attest(challenge), ...params });
+  const assertion = authenticator.assert(challenge);
+
+  const truncatedAuthData = { ...assertion.response, authenticatorData: Buffer.alloc(20).toString('base64url') };
+  assert.throws(
+    () => webauthn.verifyAuthentication({
+      credential: { ...assertion, response: truncatedAuthData },
+      ...params,
+      publicKey: registration.publicKey,
+      signCount: 0,
+    }),
+    webauthn.WebAuthnError
+  );
+
+  const badSignature = { ...assertion.response, signature: Buffer.from([0x30, 0x02, 0x01]).toString('base64url') };
+  assert.throws(
+    () => webauthn.verifyAuthentication({
+      credential: { ...assertion, response: badSignature },
+      ...params,
+      publicKey: registration.publicKey,
+      signCount: 0,
+    }),
+    webauthn.WebAuthnError
+  );
+});
@@ -1,38 +1,78 @@
 // auth-system/frontend/src/App.jsx
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import LoginScreen from './pages/LoginScreen';
+import ForgotPasswordScreen from './pages/ForgotPasswordScreen';
+import ResetPasswordScreen from './pages/ResetPasswordScreen';
+import SignUpScreen from './pages/SignUpScreen';
+import VerifyEmailScreen from './pages/VerifyEmailScreen';
+import UnlockAccountScreen from './pages/UnlockAccountScreen';
+import SecureAccountScreen from './pages/SecureAccountScreen';
+import ForbiddenScreen from './pages/ForbiddenScreen';
+import AuthorizeScreen from './pages/AuthorizeScreen';
+import TotpSetup from './components/TotpSetup';
+import RecoveryCodes from './components/RecoveryCodes';
+import PasskeySetup from './components/PasskeySetup';
+import SessionsPanel from './components/SessionsPanel';
+import ChangePassword from './components/ChangePassword';
+import ConnectedApps from './components/ConnectedApps';
+import PersonalTokens from './components/PersonalTokens';
 import authService from './services/authService';
 
 // Componente Dashboard simples para demonstração
-const Dashboard = () => (
-  <div className="min-h-screen bg-gray-100 dark:bg-gray-900 p-6">
-    <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
-      <h1 className="text-2xl font-bold text-gray-800 dark:text-white mb-4">Dashboard</h1>
-      <p className="text-gray-600 dark:text-gray-300 mb-4">
-        Você está logado com sucesso!
-      </p>
-      <button
-        onClick={() => {
-          authService.logout();
-          window.location.href = '/login';
-        }}
-        className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md"
-      >
-        Sair
-      </button>
+const Dashboard = () => {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    authService.getCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null));
+  }, []);
+
+  return (
+    <div className="min-h-screen bg-gray-100 dark:bg-gray-900 p-6">
+      <div className="max-w-4xl mx-auto bg-white dark:bg-gray-800 rounded-lg shadow-md p-6">
+        <h1 className="text-2xl font-bold text-gray-800 dark:text-white mb-4">Dashboard</h1>
+        <p className="text-gray-600 dark:text-gray-300 mb-4">
+          {user ? `Olá, ${user.username}! Você está logado com sucesso.` : 'Você está logado com sucesso!'}
+        </p>
+        <ChangePassword user={user} />
+        <TotpSetup />
+        <PasskeySetup />
+        <RecoveryCodes />
+        <SessionsPanel />
+        <ConnectedApps />
+        <PersonalTokens />
+        <button
+          onClick={() => {
+            authService.logout();
+            window.location.href = '/login';
+          }}
+          className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-md"
+        >
+          Sair
+        </button>
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
-// Componente de proteção de rota
-const ProtectedRoute = ({ children }) => {
+// Componente de proteção de rota, opcionalmente restrito a papéis e permissões
+const ProtectedRoute = ({ children, roles = [], permissions = [] }) => {
   const isAuthenticated = authService.isAuthenticated();
 
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
 
+  if (roles.length > 0 && !authService.hasRole(roles)) {
+    return <ForbiddenScreen />;
+  }
+
+  if (permissions.length > 0 && !authService.hasPermissions(permissions)) {
+    return <ForbiddenScreen />;
+  }
+
   return children;
 };
 
@@ -41,6 +81,14 @@ function App() {
     <Router>
       <Routes>
         <Route path="/login" element={<LoginScreen />} />
+        <Route path="/forgot-password" element={<ForgotPasswordScreen />} />
+        <Route path="/reset-password" element={<ResetPasswordScreen />} />
+        <Route path="/signup" element={<SignUpScreen />} />
+        <Route path="/verify-email" element={<VerifyEmailScreen />} />
+        <Route path="/unlock-account" element={<UnlockAccountScreen />} />
+        <Route path="/secure-account" element={<SecureAccountScreen />} />
+        {/* Redireciona ao login quando necessário, preservando o pedido do aplicativo */}
+        <Route path="/oauth/authorize" element={<AuthorizeScreen />} />
         <Route
           path="/dashboard"
           element={
@@ -0,0 +1,156 @@
+// auth-system/frontend/src/components/ChangePassword.jsx
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Lock } from 'lucide-react';
+import authService from '../services/authService';
+import PasswordStrength from './PasswordStrength';
+
+const EMPTY_FORM = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+// Painel para alterar a senha da conta autenticada
+const ChangePassword = ({ user }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const validateForm = () => {
+    if (!formData.currentPassword) {
+      setError('Por favor, digite sua senha atual');
+      return false;
+    }
+    if (!formData.newPassword) {
+      setError('Por favor, digite a nova senha');
+      return false;
+    }
+    if (evaluation && !evaluation.valid) {
+      setError(evaluation.errors[0]);
+      return false;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('As senhas não conferem');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!validateForm()) return;
+
+    setLoading(true);
+
+    try {
+      const response = await authService.changePassword(formData.currentPassword, formData.newPassword);
+      setMessage(response.message);
+      setFormData(EMPTY_FORM);
+    } catch (err) {
+      setError(err.message || 'Erro ao alterar a senha.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <Lock className="h-5 w-5 mr-2" />
+        Alterar senha
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+          <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="mb-3">
+          <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Senha atual
+          </label>
+          <input
+            type="password"
+            id="currentPassword"
+            name="currentPassword"
+            value={formData.currentPassword}
+            onChange={handleChange}
+            className={inputClassName}
+            autoComplete="current-password"
+          />
+        </div>
+
+        <div className="mb-3">
+          <label htmlFor="newPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Nova senha
+          </label>
+          <input
+            type="password"
+            id="newPassword"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            className={inputClassName}
+            autoComplete="new-password"
+          />
+          <PasswordStrength
+            password={formData.newPassword}
+            username={user ? user.username : undefined}
+            email={user ? user.email : undefined}
+            onResult={setEvaluation}
+          />
+        </div>
+
+        <div className="mb-4">
+          <label htmlFor="confirmNewPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Confirmar nova senha
+          </label>
+          <input
+            type="password"
+            id="confirmNewPassword"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            className={inputClassName}
+            autoComplete="new-password"
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          Alterar senha
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ChangePassword;
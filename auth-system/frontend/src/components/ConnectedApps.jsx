@@ -0,0 +1,81 @@
+// auth-system/frontend/src/components/ConnectedApps.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, AppWindow } from 'lucide-react';
+import authService from '../services/authService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('pt-BR') : '-');
+
+// Painel com os aplicativos que entram usando a conta do usuário (OpenID Connect)
+const ConnectedApps = () => {
+  const [apps, setApps] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadApps = useCallback(async () => {
+    try {
+      setApps(await authService.getConnectedApps());
+    } catch (err) {
+      setError(err.message || 'Erro ao carregar aplicativos.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApps();
+  }, [loadApps]);
+
+  const handleRevoke = async (clientId) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await authService.revokeConnectedApp(clientId);
+      await loadApps();
+    } catch (err) {
+      setError(err.message || 'Erro ao revogar o acesso.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Sem aplicativos autorizados o painel não aparece
+  if (apps.length === 0 && !error) return null;
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <AppWindow className="h-5 w-5 mr-2" />
+        Aplicativos conectados
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {apps.map((app) => (
+          <li key={app.clientId} className="py-3 flex justify-between items-center">
+            <div>
+              <p className="text-sm font-medium text-gray-800 dark:text-gray-200">{app.clientName}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {app.scopes.map((scope) => scope.description).join(' · ')} · Autorizado em {formatDate(app.grantedAt)}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={() => handleRevoke(app.clientId)}
+              disabled={loading}
+              className="text-sm text-red-600 dark:text-red-400 hover:underline"
+            >
+              Revogar
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ConnectedApps;
@@ -0,0 +1,102 @@
+// auth-system/frontend/src/components/PasskeySetup.jsx
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Fingerprint } from 'lucide-react';
+import authService from '../services/authService';
+import { RecoveryCodeList } from './RecoveryCodes';
+
+// Painel para cadastrar uma passkey (WebAuthn)
+const PasskeySetup = () => {
+  const [name, setName] = useState('');
+  const [useForMfa, setUseForMfa] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!window.PublicKeyCredential) {
+      setError('Este navegador não oferece suporte a passkeys.');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.registerPasskey(name || 'Passkey', useForMfa);
+      setName('');
+      setMessage(response.message);
+      setRecoveryCodes(response.recoveryCodes || []);
+    } catch (err) {
+      setError(err.message || 'Não foi possível cadastrar a passkey.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <Fingerprint className="h-5 w-5 mr-2" />
+        Passkeys
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+          <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleRegister}>
+        <label htmlFor="passkeyName" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Nome da passkey
+        </label>
+        <input
+          type="text"
+          id="passkeyName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Ex.: Notebook do trabalho"
+          className="w-full p-2 mb-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+          maxLength={64}
+        />
+
+        <div className="flex items-center mb-4">
+          <input
+            type="checkbox"
+            id="useForMfa"
+            checked={useForMfa}
+            onChange={(e) => setUseForMfa(e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <label htmlFor="useForMfa" className="ml-2 block text-sm text-gray-700 dark:text-gray-300">
+            Usar como segunda etapa de verificação no lugar do código
+          </label>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          Cadastrar passkey
+        </button>
+      </form>
+
+      {recoveryCodes.length > 0 && <RecoveryCodeList codes={recoveryCodes} />}
+    </div>
+  );
+};
+
+export default PasskeySetup;
@@ -0,0 +1,83 @@
+// auth-system/frontend/src/components/PasswordStrength.jsx
+import React, { useEffect, useState } from 'react';
+import { Check, X } from 'lucide-react';
+import authService from '../services/authService';
+
+// Espera após a última tecla antes de consultar o servidor
+const EVALUATE_DELAY_MS = 300;
+
+const STRENGTH_LEVELS = [
+  { label: 'Muito fraca', color: 'bg-red-600' },
+  { label: 'Fraca', color: 'bg-orange-500' },
+  { label: 'Razoável', color: 'bg-yellow-500' },
+  { label: 'Boa', color: 'bg-lime-500' },
+  { label: 'Forte', color: 'bg-green-600' },
+];
+
+// Medidor de força e lista de regras, avaliados pelo servidor com a mesma política do cadastro
+const PasswordStrength = ({ password, username, email, onResult }) => {
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!password) {
+      setResult(null);
+      if (onResult) onResult(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const evaluation = await authService.evaluatePassword(password, { username, email });
+        if (!cancelled) {
+          setResult(evaluation);
+          if (onResult) onResult(evaluation);
+        }
+      } catch (err) {
+        // Sem avaliação, o servidor ainda valida a senha no envio
+        if (!cancelled) setResult(null);
+      }
+    }, EVALUATE_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [password, username, email, onResult]);
+
+  if (!result) return null;
+
+  const level = STRENGTH_LEVELS[result.score];
+
+  return (
+    <div className="mt-2">
+      <div className="flex gap-1 mb-1">
+        {STRENGTH_LEVELS.map((item, index) => (
+          <div
+            key={item.label}
+            className={`h-1.5 flex-1 rounded ${index <= result.score ? level.color : 'bg-gray-200 dark:bg-gray-600'}`}
+          />
+        ))}
+      </div>
+      <p className="text-xs text-gray-600 dark:text-gray-400 mb-2">Força: {level.label}</p>
+
+      <ul className="space-y-1">
+        {result.checks.map((check) => (
+          <li
+            key={check.id}
+            className={`text-xs flex items-start ${check.passed ? 'text-green-700 dark:text-green-400' : 'text-gray-600 dark:text-gray-400'}`}
+          >
+            {check.passed ? (
+              <Check className="h-4 w-4 mr-1 flex-shrink-0" />
+            ) : (
+              <X className="h-4 w-4 mr-1 flex-shrink-0 text-red-500 dark:text-red-400" />
+            )}
+            {check.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PasswordStrength;
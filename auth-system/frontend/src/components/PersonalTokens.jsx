@@ -0,0 +1,239 @@
+// auth-system/frontend/src/components/PersonalTokens.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Copy, Terminal } from 'lucide-react';
+import authService from '../services/authService';
+
+// Validades oferecidas na criação, limitadas ao máximo aceito pelo backend
+const LIFETIME_OPTIONS = [
+  { days: 7, label: '7 dias' },
+  { days: 30, label: '30 dias' },
+  { days: 90, label: '90 dias' },
+  { days: 365, label: '1 ano' },
+];
+
+const EMPTY_FORM = {
+  name: '',
+  scopes: ['profile'],
+  expiresInDays: 30,
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('pt-BR') : '-');
+
+// Painel com os tokens de acesso pessoal usados por scripts e integrações
+const PersonalTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [maxLifetimeDays, setMaxLifetimeDays] = useState(365);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [createdToken, setCreatedToken] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const data = await authService.getPersonalTokens();
+      setTokens(data.tokens);
+      setAvailableScopes(data.availableScopes);
+      setMaxLifetimeDays(data.maxLifetimeDays);
+    } catch (err) {
+      setError(err.message || 'Erro ao carregar tokens.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const handleScopeChange = (e) => {
+    const { value, checked } = e.target;
+    setFormData({
+      ...formData,
+      scopes: checked ? [...formData.scopes, value] : formData.scopes.filter((scope) => scope !== value),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setCreatedToken('');
+
+    if (!formData.name.trim()) {
+      setError('Por favor, dê um nome ao token');
+      return;
+    }
+    if (formData.scopes.length === 0) {
+      setError('Escolha ao menos um escopo');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.createPersonalToken(
+        formData.name.trim(),
+        formData.scopes,
+        Number(formData.expiresInDays)
+      );
+      setCreatedToken(response.token);
+      setFormData(EMPTY_FORM);
+      await loadTokens();
+    } catch (err) {
+      setError(err.message || 'Erro ao criar o token.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (tokenId) => {
+    if (!window.confirm('Scripts e integrações que usam este token deixarão de funcionar. Deseja continuar?')) {
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      await authService.revokePersonalToken(tokenId);
+      await loadTokens();
+    } catch (err) {
+      setError(err.message || 'Erro ao revogar o token.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = "w-full p-2 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <Terminal className="h-5 w-5 mr-2" />
+        Tokens de acesso pessoal
+      </h2>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-3">
+        Para scripts e jobs de CI, que enviam o token no cabeçalho Authorization: Bearer.
+        Trocar ou redefinir a senha revoga todos os tokens.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {createdToken && (
+        <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-900 rounded-md p-3 mb-4">
+          <p className="text-sm text-yellow-800 dark:text-yellow-300 mb-2">
+            Copie o token agora e guarde-o em um local seguro. Ele não será exibido novamente.
+          </p>
+          <div className="flex items-center">
+            <code className="flex-1 font-mono text-sm text-gray-800 dark:text-gray-200 break-all">{createdToken}</code>
+            <button
+              type="button"
+              onClick={() => navigator.clipboard.writeText(createdToken)}
+              className="ml-2 text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-white"
+              title="Copiar"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+          {tokens.map((token) => (
+            <li key={token.id} className="py-3 flex justify-between items-center">
+              <div>
+                <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500 dark:text-gray-400">{token.prefix}…</span>
+                  {token.expired && (
+                    <span className="ml-2 text-xs bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400 px-2 py-0.5 rounded">
+                      Expirado
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {token.scopes.map((scope) => scope.description).join(' · ')}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Criado em {formatDate(token.createdAt)} · Expira em {formatDate(token.expiresAt)} · Último uso {formatDate(token.lastUsedAt)}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(token.id)}
+                disabled={loading}
+                className="text-sm text-red-600 dark:text-red-400 hover:underline"
+              >
+                Revogar
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <div className="mb-3">
+          <label htmlFor="personalTokenName" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Nome
+          </label>
+          <input
+            type="text"
+            id="personalTokenName"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            className={inputClassName}
+            placeholder="Ex.: exportação do log no CI"
+            maxLength={100}
+          />
+        </div>
+
+        <div className="mb-3">
+          <label htmlFor="personalTokenLifetime" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Validade
+          </label>
+          <select
+            id="personalTokenLifetime"
+            value={formData.expiresInDays}
+            onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+            className={inputClassName}
+          >
+            {LIFETIME_OPTIONS.filter((option) => option.days <= maxLifetimeDays).map((option) => (
+              <option key={option.days} value={option.days}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <fieldset className="mb-3">
+          <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Escopos</legend>
+          {availableScopes.map((scope) => (
+            <label key={scope.id} className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                value={scope.id}
+                checked={formData.scopes.includes(scope.id)}
+                onChange={handleScopeChange}
+                className="mr-2"
+              />
+              {scope.description}
+              <span className="ml-1 font-mono text-xs text-gray-500 dark:text-gray-400">({scope.id})</span>
+            </label>
+          ))}
+        </fieldset>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          Criar token
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PersonalTokens;
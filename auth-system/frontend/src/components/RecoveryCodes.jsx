@@ -0,0 +1,73 @@
+// auth-system/frontend/src/components/RecoveryCodes.jsx
+import React, { useState } from 'react';
+import { AlertCircle, KeyRound } from 'lucide-react';
+import authService from '../services/authService';
+
+// Lista de códigos de recuperação exibida uma única vez após a geração
+export const RecoveryCodeList = ({ codes }) => (
+  <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-900 rounded-md p-3 mt-4">
+    <p className="text-sm text-yellow-800 dark:text-yellow-300 mb-2">
+      Guarde estes códigos em um local seguro. Cada um pode ser usado uma vez caso você perca
+      acesso ao seu e-mail ou aplicativo autenticador. Eles não serão exibidos novamente.
+    </p>
+    <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-800 dark:text-gray-200">
+      {codes.map((code) => (
+        <li key={code}>{code}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+// Painel para gerar um novo conjunto de códigos de recuperação
+const RecoveryCodes = () => {
+  const [codes, setCodes] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Os códigos de recuperação atuais deixarão de funcionar. Deseja continuar?')) {
+      return;
+    }
+
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.regenerateRecoveryCodes();
+      setCodes(response.recoveryCodes);
+    } catch (err) {
+      setError(err.message || 'Erro ao gerar códigos de recuperação.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <KeyRound className="h-5 w-5 mr-2" />
+        Códigos de recuperação
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleRegenerate}
+        disabled={loading}
+        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+      >
+        Gerar novos códigos
+      </button>
+
+      {codes.length > 0 && <RecoveryCodeList codes={codes} />}
+    </div>
+  );
+};
+
+export default RecoveryCodes;
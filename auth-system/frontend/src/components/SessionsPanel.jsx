@@ -0,0 +1,143 @@
+// auth-system/frontend/src/components/SessionsPanel.jsx
+import React, { useCallback, useEffect, useState } from 'react';
+import { AlertCircle, Monitor } from 'lucide-react';
+import authService from '../services/authService';
+
+/**
+ * Descreve o navegador e o sistema a partir do user agent
+ * @param {string|null} userAgent - User agent registrado na sessão
+ * @returns {string} Descrição curta do dispositivo
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Dispositivo desconhecido';
+
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ].find(([token]) => userAgent.includes(token));
+
+  const system = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !system) return userAgent;
+
+  return `${browser ? browser[1] : 'Navegador'} em ${system ? system[1] : 'sistema desconhecido'}`;
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('pt-BR') : '-');
+
+// Painel com as sessões ativas do usuário
+const SessionsPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await authService.getSessions());
+    } catch (err) {
+      setError(err.message || 'Erro ao carregar sessões.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await authService.revokeSession(sessionId);
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Erro ao encerrar a sessão.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      await authService.revokeOtherSessions();
+      await loadSessions();
+    } catch (err) {
+      setError(err.message || 'Erro ao encerrar as sessões.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold text-gray-800 dark:text-white flex items-center">
+          <Monitor className="h-5 w-5 mr-2" />
+          Sessões
+        </h2>
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            disabled={loading}
+            className="text-sm text-red-600 dark:text-red-400 hover:underline"
+          >
+            Sair de todas as outras
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {sessions.map((session) => (
+          <li key={session.id} className="py-3 flex justify-between items-center">
+            <div>
+              <p className="text-sm font-medium text-gray-800 dark:text-gray-200">
+                {describeUserAgent(session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 text-xs bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 px-2 py-0.5 rounded">
+                    Sessão atual
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                IP {session.ipAddress || '-'} · Início {formatDate(session.createdAt)} · Último uso {formatDate(session.lastUsedAt)}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                type="button"
+                onClick={() => handleRevoke(session.id)}
+                disabled={loading}
+                className="text-sm text-red-600 dark:text-red-400 hover:underline"
+              >
+                Sair
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SessionsPanel;
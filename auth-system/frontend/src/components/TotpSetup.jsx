@@ -0,0 +1,126 @@
+// auth-system/frontend/src/components/TotpSetup.jsx
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Smartphone } from 'lucide-react';
+import authService from '../services/authService';
+import { RecoveryCodeList } from './RecoveryCodes';
+
+// Painel para cadastrar um aplicativo autenticador (TOTP)
+const TotpSetup = () => {
+  const [enrollment, setEnrollment] = useState(null);
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleStart = async () => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await authService.enrollTotp();
+      setEnrollment(response);
+    } catch (err) {
+      setError(err.message || 'Erro ao iniciar o cadastro do autenticador.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!code) {
+      setError('Por favor, digite o código exibido no aplicativo');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await authService.confirmTotp(code);
+      setEnrollment(null);
+      setCode('');
+      setMessage(response.message);
+      setRecoveryCodes(response.recoveryCodes || []);
+    } catch (err) {
+      setError(err.message || 'Código inválido. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="border border-gray-200 dark:border-gray-700 rounded-md p-4 mb-4">
+      <h2 className="text-lg font-semibold text-gray-800 dark:text-white mb-2 flex items-center">
+        <Smartphone className="h-5 w-5 mr-2" />
+        Aplicativo autenticador
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+        </div>
+      )}
+
+      {message && (
+        <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+          <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+        </div>
+      )}
+
+      {!enrollment ? (
+        <button
+          type="button"
+          onClick={handleStart}
+          disabled={loading}
+          className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+        >
+          Configurar autenticador
+        </button>
+      ) : (
+        <form onSubmit={handleConfirm}>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+            Adicione a conta no seu aplicativo autenticador pelo link abaixo ou digitando a chave manualmente.
+          </p>
+          <a href={enrollment.otpauthUrl} className="text-sm text-blue-600 dark:text-blue-400 hover:underline break-all">
+            {enrollment.otpauthUrl}
+          </a>
+          <p className="text-sm text-gray-700 dark:text-gray-300 mt-2 mb-4">
+            Chave: <code className="font-mono">{enrollment.secret}</code>
+          </p>
+          <label htmlFor="totpCode" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Código de verificação
+          </label>
+          <div className="flex">
+            <input
+              type="text"
+              id="totpCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Digite o código de 6 dígitos"
+              className="flex-1 p-2 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+              maxLength={6}
+              autoComplete="one-time-code"
+            />
+            <button
+              type="submit"
+              disabled={loading}
+              className="ml-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+            >
+              Confirmar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes.length > 0 && <RecoveryCodeList codes={recoveryCodes} />}
+    </div>
+  );
+};
+
+export default TotpSetup;
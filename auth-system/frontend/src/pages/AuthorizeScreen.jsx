@@ -0,0 +1,137 @@
+// auth-system/frontend/src/pages/AuthorizeScreen.jsx
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Navigate, useSearchParams } from 'react-router-dom';
+import { AlertCircle, CheckCircle, ShieldCheck } from 'lucide-react';
+import authService from '../services/authService';
+
+// Volta ao aplicativo cliente com o código ou com o erro
+const returnToClient = (redirectTo) => {
+  window.location.href = redirectTo;
+};
+
+// Tela de consentimento do login com a nossa conta em outros aplicativos (OpenID Connect)
+const AuthorizeScreen = () => {
+  const [searchParams] = useSearchParams();
+  const query = searchParams.toString();
+  const isAuthenticated = authService.isAuthenticated();
+
+  const [request, setRequest] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  // Evita aprovar duas vezes no modo estrito do React; cada aprovação gera um código
+  const requested = useRef(false);
+
+  const handleError = useCallback((err) => {
+    if (err.redirectTo) {
+      returnToClient(err.redirectTo);
+      return;
+    }
+    setError(err.message || 'Não foi possível concluir a autorização.');
+    setLoading(false);
+  }, []);
+
+  const decide = async (approve) => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.decideAuthorization(Object.fromEntries(searchParams), approve);
+      returnToClient(response.redirectTo);
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  useEffect(() => {
+    if (!isAuthenticated || requested.current) return;
+    requested.current = true;
+
+    authService.getAuthorizationRequest(query)
+      .then(async (response) => {
+        // Aplicativo já autorizado com estes escopos: segue direto, sem perguntar de novo
+        if (!response.consentRequired) {
+          const approved = await authService.decideAuthorization(Object.fromEntries(new URLSearchParams(query)), true);
+          returnToClient(approved.redirectTo);
+          return;
+        }
+        setRequest(response);
+      })
+      .catch(handleError);
+  }, [isAuthenticated, query, handleError]);
+
+  if (!isAuthenticated) {
+    return <Navigate to={`/login?returnTo=${encodeURIComponent(`/oauth/authorize?${query}`)}`} replace />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          {/* Logo da empresa */}
+          <div className="w-32 h-12 bg-blue-600 rounded-md flex items-center justify-center text-white font-bold">
+            LOGO
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+            <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {!request && !error && (
+          <p className="text-sm text-center text-gray-600 dark:text-gray-400">
+            Carregando...
+          </p>
+        )}
+
+        {request && (
+          <>
+            <h1 className="text-2xl font-bold text-center mb-2 text-gray-800 dark:text-white flex items-center justify-center">
+              <ShieldCheck className="h-6 w-6 mr-2" />
+              Autorizar acesso
+            </h1>
+            <p className="text-sm text-center text-gray-600 dark:text-gray-400 mb-6">
+              <span className="font-semibold">{request.client.name}</span> quer usar sua conta para:
+            </p>
+
+            <ul className="mb-6 space-y-2">
+              {request.scopes.map((scope) => (
+                <li key={scope.id} className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                  <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5" />
+                  {scope.description}
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => decide(false)}
+                disabled={loading}
+                className="flex-1 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 px-4 py-2 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Recusar
+              </button>
+              <button
+                type="button"
+                onClick={() => decide(true)}
+                disabled={loading}
+                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md"
+              >
+                Permitir
+              </button>
+            </div>
+
+            <p className="mt-4 text-xs text-center text-gray-500 dark:text-gray-400">
+              Você pode revogar este acesso a qualquer momento no dashboard.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorizeScreen;
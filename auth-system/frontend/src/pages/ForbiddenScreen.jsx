@@ -0,0 +1,24 @@
+// auth-system/frontend/src/pages/ForbiddenScreen.jsx
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+
+const ForbiddenScreen = () => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+    <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md text-center">
+      <ShieldAlert className="h-12 w-12 text-red-500 dark:text-red-400 mx-auto mb-4" />
+      <h1 className="text-2xl font-bold mb-2 text-gray-800 dark:text-white">
+        Acesso negado
+      </h1>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-6">
+        Você não tem permissão para acessar esta página. Se acredita que isso é um erro,
+        entre em contato com o administrador.
+      </p>
+      <Link to="/dashboard" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+        Voltar para o dashboard
+      </Link>
+    </div>
+  </div>
+);
+
+export default ForbiddenScreen;
@@ -0,0 +1,111 @@
+// auth-system/frontend/src/pages/ForgotPasswordScreen.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Mail, AlertCircle, CheckCircle } from 'lucide-react';
+import authService from '../services/authService';
+
+const ForgotPasswordScreen = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!email) {
+      setError('Por favor, digite seu e-mail');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await authService.requestPasswordReset(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Ocorreu um erro ao solicitar a redefinição. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          {/* Logo da empresa */}
+          <div className="w-32 h-12 bg-blue-600 rounded-md flex items-center justify-center text-white font-bold">
+            LOGO
+          </div>
+        </div>
+
+        <h1 className="text-2xl font-bold text-center mb-6 text-gray-800 dark:text-white">
+          Redefinir senha
+        </h1>
+
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+            <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+            <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Digite o e-mail da sua conta e enviaremos um link para você criar uma nova senha.
+            </p>
+            <div className="mb-6">
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                E-mail
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  placeholder="Seu e-mail"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="pl-10 w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+                  autoComplete="email"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 flex justify-center"
+            >
+              {loading ? (
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+              ) : null}
+              Enviar link
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+            Voltar para o login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordScreen;
@@ -1,9 +1,38 @@
 // auth-system/frontend/src/pages/LoginScreen.jsx
-import React, { useState } from 'react';
-import { Eye, EyeOff, Mail, Lock, AlertCircle } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Eye, EyeOff, Mail, Lock, AlertCircle, CheckCircle, Fingerprint, Building2 } from 'lucide-react';
 import authService from '../services/authService'; // Importando o serviço de autenticação
 
+/**
+ * Destino após o login: o caminho em returnTo (ex.: tela de consentimento OIDC) ou o dashboard
+ * Só aceita caminhos internos, para que o link de login não leve a outro site
+ * @param {string|null} returnTo - Valor do parâmetro returnTo
+ * @returns {string} Caminho de destino
+ */
+const getReturnPath = (returnTo) => (
+  returnTo && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/\\')
+    ? returnTo
+    : '/dashboard'
+);
+
+// Mensagens para os códigos de erro do login externo (parâmetro ssoError)
+const SSO_ERRORS = {
+  SSO_STATE_INVALID: 'O login expirou ou foi iniciado em outra janela. Tente novamente.',
+  SSO_DENIED: 'O login foi cancelado no provedor.',
+  SSO_TOKEN_INVALID: 'Não foi possível confirmar o login com o provedor. Tente novamente.',
+  SSO_EMAIL_UNVERIFIED: 'O provedor não confirmou o seu e-mail. Verifique o e-mail na conta do provedor.',
+  SSO_ACCOUNT_CONFLICT: 'Já existe uma conta com este e-mail ainda não verificada. Entre com a senha e confirme o e-mail primeiro.',
+  SSO_SIGNUP_DISABLED: 'Nenhuma conta está vinculada a este login. Fale com o administrador.',
+  SSO_ACCOUNT_DISABLED: 'Conta desativada. Entre em contato com o suporte.',
+  SSO_UNAVAILABLE: 'O provedor de login está indisponível no momento. Tente mais tarde.',
+};
+
 const LoginScreen = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const returnTo = searchParams.get('returnTo');
+  const returnPath = getReturnPath(returnTo);
+
   const [formData, setFormData] = useState({
     username: '',
     password: '',
@@ -11,9 +40,67 @@ const LoginScreen = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [error, setError] = useState('');
+  const [info, setInfo] = useState('');
+  const [needsVerification, setNeedsVerification] = useState(false);
   const [loading, setLoading] = useState(false);
   const [showMfa, setShowMfa] = useState(false);
   const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [mfaMethod, setMfaMethod] = useState('email');
+  const [challengeId, setChallengeId] = useState('');
+  const [webauthnOptions, setWebauthnOptions] = useState(null);
+  const [ssoProviders, setSsoProviders] = useState([]);
+  // O token do login externo vale uma única vez; evita consumi-lo duas vezes no modo estrito do React
+  const ssoHandled = useRef(false);
+
+  // Passkey como segundo fator dispensa o campo de código
+  const usePasskey = mfaMethod === 'webauthn' && !useRecoveryCode;
+
+  useEffect(() => {
+    authService.getSsoProviders()
+      .then(setSsoProviders)
+      .catch(() => setSsoProviders([]));
+  }, []);
+
+  // Retorno do provedor externo: ssoToken conclui o login, ssoError explica a falha
+  useEffect(() => {
+    const ssoToken = searchParams.get('ssoToken');
+    const ssoError = searchParams.get('ssoError');
+    if ((!ssoToken && !ssoError) || ssoHandled.current) return;
+    ssoHandled.current = true;
+
+    const rememberMe = searchParams.get('rememberMe') === 'true';
+
+    // Tira os parâmetros da barra de endereço, mantendo só o destino
+    setSearchParams(returnTo ? { returnTo } : {}, { replace: true });
+
+    if (ssoError) {
+      setError(SSO_ERRORS[ssoError] || SSO_ERRORS.SSO_UNAVAILABLE);
+      return;
+    }
+
+    setLoading(true);
+    setFormData((current) => ({ ...current, rememberMe }));
+
+    authService.completeSsoLogin(ssoToken, rememberMe)
+      .then((response) => {
+        if (response.requireMfa) {
+          setMfaMethod(response.mfaMethod || 'email');
+          setChallengeId(response.challengeId);
+          setWebauthnOptions(response.webauthnOptions || null);
+          setShowMfa(true);
+          setLoading(false);
+          return;
+        }
+
+        authService.saveTokens(response, rememberMe);
+        window.location.href = returnPath;
+      })
+      .catch((err) => {
+        setError(SSO_ERRORS[err.code] || err.message || SSO_ERRORS.SSO_UNAVAILABLE);
+        setLoading(false);
+      });
+  }, [searchParams, setSearchParams, returnTo, returnPath]);
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -32,16 +119,14 @@ const LoginScreen = () => {
       setError('Por favor, digite sua senha');
       return false;
     }
-    if (formData.password.length < 8) {
-      setError('A senha deve ter pelo menos 8 caracteres');
-      return false;
-    }
     return true;
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setInfo('');
+    setNeedsVerification(false);
 
     if (!validateForm()) return;
 
@@ -62,10 +147,13 @@ const LoginScreen = () => {
       }
 
       // Utilizando o serviço de autenticação
-      const response = await authService.login(formData.username, formData.password);
+      const response = await authService.login(formData.username, formData.password, formData.rememberMe);
 
       // Verifica se é necessário MFA
       if (response.requireMfa) {
+        setMfaMethod(response.mfaMethod || 'email');
+        setChallengeId(response.challengeId);
+        setWebauthnOptions(response.webauthnOptions || null);
         setShowMfa(true);
         setLoading(false);
         return;
@@ -74,21 +162,59 @@ const LoginScreen = () => {
       // Armazena tokens
       authService.saveTokens(response, formData.rememberMe);
 
-      // Redireciona para o dashboard
-      window.location.href = '/dashboard';
+      // Redireciona para o dashboard ou para a página que pediu o login
+      window.location.href = returnPath;
 
     } catch (err) {
       setError(err.message || 'Ocorreu um erro ao tentar fazer login. Tente novamente.');
+      setNeedsVerification(err.code === 'EMAIL_NOT_VERIFIED');
       console.error('Login error:', err);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleResendVerification = async () => {
+    setLoading(true);
+
+    try {
+      const response = await authService.resendVerification(formData.username);
+      setError('');
+      setNeedsVerification(false);
+      setInfo(response.message);
+    } catch (err) {
+      setError(err.message || 'Erro ao reenviar o e-mail de verificação. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasskeyLogin = async () => {
+    setError('');
+    setInfo('');
+    setLoading(true);
+
+    try {
+      const response = await authService.loginWithPasskey(formData.rememberMe);
+
+      authService.saveTokens(response, formData.rememberMe);
+      window.location.href = returnPath;
+    } catch (err) {
+      setError(err.message || 'Não foi possível entrar com a passkey. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSsoLogin = (providerId) => {
+    setLoading(true);
+    window.location.href = authService.getSsoLoginUrl(providerId, formData.rememberMe, returnTo);
+  };
+
   const handleMfaSubmit = async (e) => {
     e.preventDefault();
 
-    if (!mfaCode) {
+    if (!usePasskey && !mfaCode) {
       setError('Por favor, digite o código de verificação');
       return;
     }
@@ -96,26 +222,32 @@ const LoginScreen = () => {
     setLoading(true);
 
     try {
-      // Para fins de demonstração
-      if (mfaCode === '123456') {
-        // Em produção, aqui utilizaríamos authService.verifyMfa(mfaCode)
-        const mockToken = {
-          token: "eyJhbGciOiJIUzI1NiIsIn...",
-          refresh_token: "dQw4w9WgXcQ..."
-        };
-
-        authService.saveTokens(mockToken, formData.rememberMe);
-        window.location.href = '/dashboard';
-      } else {
-        setError('Código de verificação inválido. Tente novamente.');
-      }
+      // Em modo de demonstração o serviço aceita o código 123456
+      const response = usePasskey
+        ? await authService.verifyMfaWithPasskey(challengeId, webauthnOptions)
+        : await authService.verifyMfa(mfaCode, challengeId, useRecoveryCode);
+
+      authService.saveTokens(response, formData.rememberMe);
+      window.location.href = returnPath;
     } catch (err) {
-      setError('Erro ao verificar o código. Tente novamente.');
+      setError(err.message || 'Erro ao verificar o código. Tente novamente.');
+
+      // Desafio expirado ou bloqueado: é preciso informar a senha de novo
+      if (err.code === 'MFA_CHALLENGE_EXPIRED') {
+        setShowMfa(false);
+        setMfaCode('');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setMfaCode('');
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
       <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
@@ -133,7 +265,26 @@ const LoginScreen = () => {
         {error && (
           <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
             <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
-            <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+            <div>
+              <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+              {needsVerification && (
+                <button
+                  type="button"
+                  onClick={handleResendVerification}
+                  disabled={loading}
+                  className="mt-1 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  Reenviar e-mail de verificação
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {info && (
+          <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+            <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-green-700 dark:text-green-400 text-sm">{info}</p>
           </div>
         )}
 
@@ -165,9 +316,9 @@ const LoginScreen = () => {
                 <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
                   Senha
                 </label>
-                <a href="#" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+                <Link to="/forgot-password" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
                   Esqueci minha senha
-                </a>
+                </Link>
               </div>
               <div className="relative">
                 <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -225,12 +376,35 @@ const LoginScreen = () => {
               Entrar
             </button>
 
+            <button
+              type="button"
+              onClick={handlePasskeyLogin}
+              disabled={loading}
+              className="w-full mt-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 font-medium py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 flex justify-center items-center"
+            >
+              <Fingerprint className="h-5 w-5 mr-2" />
+              Entrar com passkey
+            </button>
+
+            {ssoProviders.map((provider) => (
+              <button
+                key={provider.id}
+                type="button"
+                onClick={() => handleSsoLogin(provider.id)}
+                disabled={loading}
+                className="w-full mt-3 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 font-medium py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 flex justify-center items-center"
+              >
+                <Building2 className="h-5 w-5 mr-2" />
+                Entrar com {provider.name}
+              </button>
+            ))}
+
             <div className="mt-6 text-center">
               <p className="text-sm text-gray-600 dark:text-gray-400">
                 Não tem uma conta?{' '}
-                <a href="#" className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
+                <Link to="/signup" className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
                   Criar conta
-                </a>
+                </Link>
               </p>
             </div>
 
@@ -245,23 +419,36 @@ const LoginScreen = () => {
           <form onSubmit={handleMfaSubmit}>
             <div className="mb-6">
               <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-                Um código de verificação foi enviado para seu dispositivo. Digite o código abaixo para continuar.
-              </p>
-              <label htmlFor="mfaCode" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                Código de verificação
-              </label>
-              <input
-                type="text"
-                id="mfaCode"
-                value={mfaCode}
-                onChange={(e) => setMfaCode(e.target.value)}
-                placeholder="Digite o código de 6 dígitos"
-                className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
-                maxLength={6}
-              />
-              <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
-                Para testar, use o código: 123456
+                {useRecoveryCode
+                  ? 'Digite um dos códigos de recuperação que você guardou ao ativar a verificação em duas etapas. Cada código pode ser usado uma única vez.'
+                  : mfaMethod === 'webauthn'
+                    ? 'Confirme o acesso com a passkey cadastrada neste ou em outro dispositivo.'
+                    : mfaMethod === 'totp'
+                      ? 'Abra seu aplicativo autenticador e digite o código exibido para continuar.'
+                      : 'Um código de verificação foi enviado para seu dispositivo. Digite o código abaixo para continuar.'}
               </p>
+              {!usePasskey && (
+                <>
+                  <label htmlFor="mfaCode" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    {useRecoveryCode ? 'Código de recuperação' : 'Código de verificação'}
+                  </label>
+                  <input
+                    type="text"
+                    id="mfaCode"
+                    value={mfaCode}
+                    onChange={(e) => setMfaCode(e.target.value)}
+                    placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : 'Digite o código de 6 dígitos'}
+                    className="w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+                    maxLength={useRecoveryCode ? 11 : 6}
+                    autoComplete="one-time-code"
+                  />
+                </>
+              )}
+              {!useRecoveryCode && mfaMethod !== 'webauthn' && (
+                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                  Para testar, use o código: 123456
+                </p>
+              )}
             </div>
 
             <button
@@ -275,10 +462,20 @@ const LoginScreen = () => {
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
               ) : null}
-              Verificar
+              {usePasskey ? 'Usar passkey' : 'Verificar'}
             </button>
 
             <div className="mt-4 text-center">
+              <button
+                type="button"
+                onClick={toggleRecoveryCode}
+                className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                {useRecoveryCode ? 'Usar o código de verificação' : 'Usar um código de recuperação'}
+              </button>
+            </div>
+
+            <div className="mt-2 text-center">
               <button
                 type="button"
                 onClick={() => setShowMfa(false)}
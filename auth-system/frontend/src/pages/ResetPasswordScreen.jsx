@@ -0,0 +1,198 @@
+// auth-system/frontend/src/pages/ResetPasswordScreen.jsx
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Eye, EyeOff, Lock, AlertCircle, CheckCircle } from 'lucide-react';
+import authService from '../services/authService';
+import PasswordStrength from '../components/PasswordStrength';
+
+const ResetPasswordScreen = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const validateForm = () => {
+    if (!formData.password) {
+      setError('Por favor, digite a nova senha');
+      return false;
+    }
+    if (evaluation && !evaluation.valid) {
+      setError(evaluation.errors[0]);
+      return false;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('As senhas não conferem');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateForm()) return;
+
+    try {
+      setLoading(true);
+      await authService.resetPassword(token, formData.password);
+      setSuccess(true);
+    } catch (err) {
+      setError(err.message || 'Ocorreu um erro ao redefinir a senha. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (!token) {
+      return (
+        <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+          <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-red-700 dark:text-red-400 text-sm">
+            Link de redefinição inválido. Solicite um novo link.
+          </p>
+        </div>
+      );
+    }
+
+    if (success) {
+      return (
+        <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+          <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+          <p className="text-green-700 dark:text-green-400 text-sm">
+            Senha redefinida com sucesso. Entre novamente com a nova senha.
+          </p>
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit}>
+        <div className="mb-4">
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Nova senha
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type={showPassword ? "text" : "password"}
+              id="password"
+              name="password"
+              placeholder="Sua nova senha"
+              value={formData.password}
+              onChange={handleChange}
+              className="pl-10 w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+              autoComplete="new-password"
+            />
+            <button
+              type="button"
+              className="absolute inset-y-0 right-0 pr-3 flex items-center"
+              onClick={() => setShowPassword(!showPassword)}
+            >
+              {showPassword ? (
+                <EyeOff className="h-5 w-5 text-gray-400" />
+              ) : (
+                <Eye className="h-5 w-5 text-gray-400" />
+              )}
+            </button>
+          </div>
+          <PasswordStrength password={formData.password} onResult={setEvaluation} />
+        </div>
+
+        <div className="mb-6">
+          <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Confirmar nova senha
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <Lock className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type={showPassword ? "text" : "password"}
+              id="confirmPassword"
+              name="confirmPassword"
+              placeholder="Repita a nova senha"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className="pl-10 w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600"
+              autoComplete="new-password"
+            />
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 flex justify-center"
+        >
+          {loading ? (
+            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+          ) : null}
+          Redefinir senha
+        </button>
+      </form>
+    );
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          {/* Logo da empresa */}
+          <div className="w-32 h-12 bg-blue-600 rounded-md flex items-center justify-center text-white font-bold">
+            LOGO
+          </div>
+        </div>
+
+        <h1 className="text-2xl font-bold text-center mb-6 text-gray-800 dark:text-white">
+          Criar nova senha
+        </h1>
+
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+            <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {renderContent()}
+
+        <div className="mt-6 text-center">
+          {token ? (
+            <Link to="/login" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+              {success ? 'Ir para o login' : 'Voltar para o login'}
+            </Link>
+          ) : (
+            <Link to="/forgot-password" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+              Solicitar novo link
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordScreen;
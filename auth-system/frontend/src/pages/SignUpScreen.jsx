@@ -0,0 +1,230 @@
+// auth-system/frontend/src/pages/SignUpScreen.jsx
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Eye, EyeOff, Mail, Lock, User, AlertCircle, CheckCircle } from 'lucide-react';
+import authService from '../services/authService';
+import PasswordStrength from '../components/PasswordStrength';
+
+const SignUpScreen = () => {
+  const [formData, setFormData] = useState({
+    username: '',
+    email: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [evaluation, setEvaluation] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value,
+    });
+  };
+
+  const validateForm = () => {
+    if (!formData.username) {
+      setError('Por favor, escolha um nome de usuário');
+      return false;
+    }
+    if (!formData.email) {
+      setError('Por favor, digite seu e-mail');
+      return false;
+    }
+    if (!formData.password) {
+      setError('Por favor, digite uma senha');
+      return false;
+    }
+    if (evaluation && !evaluation.valid) {
+      setError(evaluation.errors[0]);
+      return false;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      setError('As senhas não conferem');
+      return false;
+    }
+    return true;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!validateForm()) return;
+
+    try {
+      setLoading(true);
+      const response = await authService.register(formData.username, formData.email, formData.password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Ocorreu um erro ao criar a conta. Tente novamente.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = "pl-10 w-full p-3 border border-gray-300 dark:border-gray-600 rounded-md text-gray-900 dark:text-white bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-600";
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          {/* Logo da empresa */}
+          <div className="w-32 h-12 bg-blue-600 rounded-md flex items-center justify-center text-white font-bold">
+            LOGO
+          </div>
+        </div>
+
+        <h1 className="text-2xl font-bold text-center mb-6 text-gray-800 dark:text-white">
+          Criar conta
+        </h1>
+
+        {error && (
+          <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+            <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-red-700 dark:text-red-400 text-sm">{error}</p>
+          </div>
+        )}
+
+        {message ? (
+          <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+            <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor="username" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Nome de usuário
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <User className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  id="username"
+                  name="username"
+                  placeholder="Escolha um nome de usuário"
+                  value={formData.username}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  autoComplete="username"
+                />
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                E-mail
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Mail className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  placeholder="Seu e-mail"
+                  value={formData.email}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  autoComplete="email"
+                />
+              </div>
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="password" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Senha
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type={showPassword ? "text" : "password"}
+                  id="password"
+                  name="password"
+                  placeholder="Crie uma senha"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  autoComplete="new-password"
+                />
+                <button
+                  type="button"
+                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? (
+                    <EyeOff className="h-5 w-5 text-gray-400" />
+                  ) : (
+                    <Eye className="h-5 w-5 text-gray-400" />
+                  )}
+                </button>
+              </div>
+              <PasswordStrength
+                password={formData.password}
+                username={formData.username}
+                email={formData.email}
+                onResult={setEvaluation}
+              />
+            </div>
+
+            <div className="mb-6">
+              <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Confirmar senha
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  type={showPassword ? "text" : "password"}
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  placeholder="Repita a senha"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  className={inputClassName}
+                  autoComplete="new-password"
+                />
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 flex justify-center"
+            >
+              {loading ? (
+                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                </svg>
+              ) : null}
+              Criar conta
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Já tem uma conta?{' '}
+            <Link to="/login" className="text-blue-600 dark:text-blue-400 hover:underline font-medium">
+              Entrar
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignUpScreen;
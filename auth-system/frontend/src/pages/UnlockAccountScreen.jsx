@@ -0,0 +1,75 @@
+// auth-system/frontend/src/pages/UnlockAccountScreen.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import authService from '../services/authService';
+
+const UnlockAccountScreen = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Link de desbloqueio inválido.');
+  // O token é de uso único: evita uma segunda chamada no modo estrito do React
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authService.unlockAccount(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+      })
+      .catch((err) => {
+        setStatus('error');
+        setMessage(err.message || 'Não foi possível desbloquear a conta.');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 dark:bg-gray-900">
+      <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-md w-full max-w-md">
+        <div className="flex justify-center mb-8">
+          {/* Logo da empresa */}
+          <div className="w-32 h-12 bg-blue-600 rounded-md flex items-center justify-center text-white font-bold">
+            LOGO
+          </div>
+        </div>
+
+        <h1 className="text-2xl font-bold text-center mb-6 text-gray-800 dark:text-white">
+          Desbloqueio de conta
+        </h1>
+
+        {status === 'loading' && (
+          <p className="text-sm text-center text-gray-600 dark:text-gray-400">
+            Desbloqueando sua conta...
+          </p>
+        )}
+
+        {status === 'success' && (
+          <div className="bg-green-100 dark:bg-green-900/30 border border-green-200 dark:border-green-900 rounded-md p-3 mb-4 flex items-start">
+            <CheckCircle className="text-green-500 dark:text-green-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-green-700 dark:text-green-400 text-sm">{message}</p>
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="bg-red-100 dark:bg-red-900/30 border border-red-200 dark:border-red-900 rounded-md p-3 mb-4 flex items-start">
+            <AlertCircle className="text-red-500 dark:text-red-400 mr-2 h-5 w-5 mt-0.5" />
+            <p className="text-red-700 dark:text-red-400 text-sm">{message}</p>
+          </div>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link to="/login" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+            Ir para o login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccountScreen;
@@ -1,19 +1,64 @@
 // auth-system/frontend/src/services/authService.js - Serviço para gerenciar a autenticação
 
+/**
+ * Converte texto base64url em ArrayBuffer
+ * @param {string} value - Texto em base64url
+ * @returns {ArrayBuffer} Bytes decodificados
+ */
+const base64UrlToBuffer = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Converte ArrayBuffer em texto base64url
+ * @param {ArrayBuffer} buffer - Bytes a converter
+ * @returns {string} Texto em base64url
+ */
+const bufferToBase64Url = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Converte a lista de credenciais do servidor para o formato da API WebAuthn
+ * @param {Array} credentials - Credenciais com id em base64url
+ * @returns {Array} Credenciais com id em ArrayBuffer
+ */
+const toCredentialDescriptors = (credentials = []) => credentials.map((credential) => ({
+  ...credential,
+  id: base64UrlToBuffer(credential.id),
+}));
+
 class AuthService {
   constructor() {
     this.apiUrl = process.env.REACT_APP_API_URL || 'https://api.example.com';
     this.tokenKey = 'token';
     this.refreshTokenKey = 'refresh_token';
+    // No modo cookie os tokens ficam em cookies HttpOnly; guardamos só o token CSRF e as claims
+    this.cookieMode = process.env.REACT_APP_AUTH_COOKIE_MODE === 'true';
+    this.csrfTokenKey = 'csrf_token';
+    this.claimsKey = 'session_claims';
   }
 
   /**
    * Realiza o login do usuário
    * @param {string} username - E-mail ou nome de usuário
    * @param {string} password - Senha do usuário
+   * @param {boolean} rememberMe - Se a sessão deve sobreviver ao fechamento do navegador
    * @returns {Promise} Promise com o resultado da autenticação
    */
-  async login(username, password) {
+  async login(username, password, rememberMe = false) {
     try {
       // Para a versão de demonstração, simulamos o comportamento da API
       if (process.env.NODE_ENV === 'development' && process.env.REACT_APP_MOCK_API === 'true') {
@@ -23,7 +68,7 @@ class AuthService {
             if (username === 'error@example.com') {
               reject(new Error('Usuário ou senha inválidos'));
             } else if (username === 'mfa@example.com') {
-              resolve({ requireMfa: true, message: 'Código de verificação enviado' });
+              resolve({ requireMfa: true, mfaMethod: 'email', challengeId: 'demo', message: 'Código de verificação enviado' });
             } else {
               resolve({
                 token: "eyJhbGciOiJIUzI1NiIsIn...",
@@ -40,14 +85,16 @@ class AuthService {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, rememberMe }),
         credentials: 'include', // Necessário para cookies
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Erro ao realizar login');
+        const error = new Error(data.error || 'Erro ao realizar login');
+        error.code = data.code; // Ex.: EMAIL_NOT_VERIFIED
+        throw error;
       }
 
       return data;
@@ -60,9 +107,11 @@ class AuthService {
   /**
    * Verifica o código MFA
    * @param {string} code - Código de verificação MFA
+   * @param {string} challengeId - Desafio de MFA retornado pelo login
+   * @param {boolean} useRecoveryCode - Se o código informado é um código de recuperação
    * @returns {Promise} Promise com o resultado da verificação MFA
    */
-  async verifyMfa(code) {
+  async verifyMfa(code, challengeId, useRecoveryCode = false) {
     try {
       // Para a versão de demonstração
       if (process.env.NODE_ENV === 'development' && process.env.REACT_APP_MOCK_API === 'true') {
@@ -86,14 +135,18 @@ class AuthService {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ code }),
+        body: JSON.stringify(useRecoveryCode
+          ? { recoveryCode: code, challengeId }
+          : { code, challengeId }),
         credentials: 'include',
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Código MFA inválido');
+        const error = new Error(data.error || 'Código MFA inválido');
+        error.code = data.code; // Ex.: MFA_CHALLENGE_EXPIRED
+        throw error;
       }
 
       return data;
@@ -104,137 +157,1115 @@ class AuthService {
   }
 
   /**
-   * Solicita redefinição de senha
-   * @param {string} email - E-mail do usuário
-   * @returns {Promise} Promise com o resultado da solicitação
+   * Inicia o cadastro de um aplicativo autenticador (TOTP)
+   * @returns {Promise} Promise com o segredo e a URI otpauth://
    */
-  async requestPasswordReset(email) {
+  async enrollTotp() {
     try {
-      const response = await fetch(`${this.apiUrl}/api/auth/password/reset-request`, {
+      const response = await fetch(`${this.apiUrl}/api/auth/mfa/totp/enroll`, {
+        method: 'POST',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao cadastrar autenticador');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no cadastro do autenticador:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma o cadastro do aplicativo autenticador
+   * @param {string} code - Primeiro código gerado pelo aplicativo
+   * @returns {Promise} Promise com o resultado da confirmação
+   */
+  async confirmTotp(code) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/mfa/totp/confirm`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
         },
-        body: JSON.stringify({ email }),
+        body: JSON.stringify({ code }),
+        credentials: 'include',
       });
 
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Erro ao solicitar redefinição de senha');
+        throw new Error(data.error || 'Código inválido');
       }
 
       return data;
     } catch (error) {
-      console.error('Erro na solicitação de redefinição de senha:', error);
+      console.error('Erro na confirmação do autenticador:', error);
       throw error;
     }
   }
 
   /**
-   * Realiza o logout do usuário
-   * @returns {Promise} Promise indicando sucesso do logout
+   * Gera um novo conjunto de códigos de recuperação de MFA
+   * @returns {Promise} Promise com os novos códigos
    */
-  async logout() {
+  async regenerateRecoveryCodes() {
     try {
-      // Chamar API para invalidar tokens no servidor
-      await fetch(`${this.apiUrl}/api/auth/logout`, {
+      const response = await fetch(`${this.apiUrl}/api/auth/mfa/recovery-codes`, {
         method: 'POST',
         headers: {
-          'Authorization': `Bearer ${this.getToken()}`,
+          ...this.getAuthHeaders(),
         },
         credentials: 'include',
       });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao gerar códigos de recuperação');
+      }
+
+      return data;
     } catch (error) {
-      console.error('Erro ao realizar logout no servidor:', error);
-    } finally {
-      // Remover tokens localmente independentemente da resposta do servidor
-      this.removeTokens();
+      console.error('Erro ao gerar códigos de recuperação:', error);
+      throw error;
     }
   }
 
   /**
-   * Armazena tokens de autenticação
-   * @param {Object} data - Objeto contendo token e refresh_token
-   * @param {boolean} remember - Se deve persistir os tokens
+   * Cadastra uma passkey para o usuário autenticado
+   * @param {string} name - Nome para identificar a passkey
+   * @param {boolean} useForMfa - Se a passkey substitui o código na etapa de MFA
+   * @returns {Promise} Promise com o resultado do cadastro
    */
-  saveTokens(data, remember = false) {
-    const storage = remember ? localStorage : sessionStorage;
+  async registerPasskey(name, useForMfa = false) {
+    try {
+      const optionsResponse = await fetch(`${this.apiUrl}/api/auth/webauthn/register/options`, {
+        method: 'POST',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
 
-    if (data.token) {
-      storage.setItem(this.tokenKey, data.token);
+      const options = await optionsResponse.json();
+
+      if (!optionsResponse.ok) {
+        throw new Error(options.error || 'Erro ao iniciar cadastro da passkey');
+      }
+
+      const credential = await navigator.credentials.create({
+        publicKey: {
+          ...options,
+          challenge: base64UrlToBuffer(options.challenge),
+          user: { ...options.user, id: base64UrlToBuffer(options.user.id) },
+          excludeCredentials: toCredentialDescriptors(options.excludeCredentials),
+        },
+      });
+
+      const response = await fetch(`${this.apiUrl}/api/auth/webauthn/register/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+        },
+        body: JSON.stringify({
+          name,
+          useForMfa,
+          credential: {
+            id: credential.id,
+            type: credential.type,
+            response: {
+              clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+              attestationObject: bufferToBase64Url(credential.response.attestationObject),
+              transports: credential.response.getTransports ? credential.response.getTransports() : [],
+            },
+          },
+        }),
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao cadastrar passkey');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no cadastro de passkey:', error);
+      throw error;
     }
+  }
 
-    if (data.refresh_token) {
-      storage.setItem(this.refreshTokenKey, data.refresh_token);
+  /**
+   * Solicita ao navegador uma asserção de passkey
+   * @param {Object} options - Opções de asserção geradas pelo servidor
+   * @returns {Promise} Promise com a credencial serializada para envio ao servidor
+   */
+  async getPasskeyAssertion(options) {
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64UrlToBuffer(options.challenge),
+        allowCredentials: toCredentialDescriptors(options.allowCredentials),
+      },
+    });
+
+    return {
+      id: credential.id,
+      type: credential.type,
+      response: {
+        clientDataJSON: bufferToBase64Url(credential.response.clientDataJSON),
+        authenticatorData: bufferToBase64Url(credential.response.authenticatorData),
+        signature: bufferToBase64Url(credential.response.signature),
+        userHandle: credential.response.userHandle
+          ? bufferToBase64Url(credential.response.userHandle)
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Realiza login sem senha com passkey
+   * @param {boolean} rememberMe - Se a sessão deve sobreviver ao fechamento do navegador
+   * @returns {Promise} Promise com os tokens de autenticação
+   */
+  async loginWithPasskey(rememberMe = false) {
+    try {
+      const optionsResponse = await fetch(`${this.apiUrl}/api/auth/webauthn/login/options`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+
+      const options = await optionsResponse.json();
+
+      if (!optionsResponse.ok) {
+        throw new Error(options.error || 'Erro ao iniciar login com passkey');
+      }
+
+      const credential = await this.getPasskeyAssertion(options);
+
+      const response = await fetch(`${this.apiUrl}/api/auth/webauthn/login/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ credential, rememberMe }),
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao entrar com passkey');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no login com passkey:', error);
+      throw error;
     }
   }
 
   /**
-   * Remove tokens de autenticação
+   * Conclui a etapa de MFA usando uma passkey
+   * @param {string} challengeId - Desafio de MFA retornado pelo login
+   * @param {Object} webauthnOptions - Opções de asserção retornadas pelo login
+   * @returns {Promise} Promise com os tokens de autenticação
    */
-  removeTokens() {
-    localStorage.removeItem(this.tokenKey);
-    localStorage.removeItem(this.refreshTokenKey);
-    sessionStorage.removeItem(this.tokenKey);
-    sessionStorage.removeItem(this.refreshTokenKey);
+  async verifyMfaWithPasskey(challengeId, webauthnOptions) {
+    try {
+      const credential = await this.getPasskeyAssertion(webauthnOptions);
+
+      const response = await fetch(`${this.apiUrl}/api/auth/mfa/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ credential, challengeId }),
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Passkey inválida');
+        error.code = data.code;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro na verificação MFA com passkey:', error);
+      throw error;
+    }
   }
 
   /**
-   * Obtém o token JWT atual
-   * @returns {string|null} Token JWT ou null
+   * Lista os provedores de login externo (SSO) configurados no servidor
+   * @returns {Promise} Promise com a lista de { id, name }
    */
-  getToken() {
-    return localStorage.getItem(this.tokenKey) ||
-           sessionStorage.getItem(this.tokenKey);
+  async getSsoProviders() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/sso/providers`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar provedores de login');
+      }
+
+      return data.providers;
+    } catch (error) {
+      console.error('Erro ao carregar provedores de login:', error);
+      throw error;
+    }
   }
 
   /**
-   * Obtém o token de atualização
-   * @returns {string|null} Refresh token ou null
+   * Endereço que inicia o login em um provedor externo; o navegador deve ser levado até ele
+   * @param {string} providerId - ID do provedor
+   * @param {boolean} rememberMe - Se a sessão deve sobreviver ao fechamento do navegador
+   * @param {string|null} returnTo - Caminho a abrir depois do login
+   * @returns {string} URL de início do login
    */
-  getRefreshToken() {
-    return localStorage.getItem(this.refreshTokenKey) ||
-           sessionStorage.getItem(this.refreshTokenKey);
+  getSsoLoginUrl(providerId, rememberMe = false, returnTo = null) {
+    const params = new URLSearchParams({ rememberMe: String(rememberMe) });
+    if (returnTo) {
+      params.set('returnTo', returnTo);
+    }
+    return `${this.apiUrl}/api/auth/sso/${encodeURIComponent(providerId)}/start?${params}`;
   }
 
   /**
-   * Verifica se o usuário está autenticado
-   * @returns {boolean} Verdadeiro se autenticado
+   * Conclui o login externo trocando o token de uso único recebido no retorno do provedor
+   * @param {string} token - Token de uso único (parâmetro ssoToken)
+   * @param {boolean} rememberMe - Se a sessão deve sobreviver ao fechamento do navegador
+   * @returns {Promise} Promise com os tokens ou com o desafio de MFA
    */
-  isAuthenticated() {
-    return !!this.getToken();
+  async completeSsoLogin(token, rememberMe = false) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/sso/complete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, rememberMe }),
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Erro ao concluir o login externo');
+        error.code = data.code;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no login externo:', error);
+      throw error;
+    }
   }
 
   /**
-   * Atualiza o token utilizando o refresh token
-   * @returns {Promise} Promise com o novo token
+   * Solicita redefinição de senha
+   * @param {string} email - E-mail do usuário
+   * @returns {Promise} Promise com o resultado da solicitação
    */
-  async refreshAccessToken() {
-    const refreshToken = this.getRefreshToken();
+  async requestPasswordReset(email) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/password/reset-request`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email }),
+      });
 
-    if (!refreshToken) {
-      throw new Error('Refresh token não disponível');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao solicitar redefinição de senha');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro na solicitação de redefinição de senha:', error);
+      throw error;
     }
+  }
 
+  /**
+   * Define uma nova senha a partir do token de redefinição
+   * @param {string} token - Token recebido no link de redefinição
+   * @param {string} password - Nova senha
+   * @returns {Promise} Promise com o resultado da redefinição
+   */
+  async resetPassword(token, password) {
     try {
-      const response = await fetch(`${this.apiUrl}/api/auth/refresh-token`, {
+      const response = await fetch(`${this.apiUrl}/api/auth/password/reset`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao redefinir senha');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao redefinir senha:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtém a política de senhas aplicada pelo servidor
+   * @returns {Promise} Promise com os limites e as regras
+   */
+  async getPasswordPolicy() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/password/policy`);
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar política de senhas');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao carregar política de senhas:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Avalia a força de uma senha com as regras do servidor
+   * @param {string} password - Senha a avaliar
+   * @param {Object} context - { username, email } do titular, quando conhecidos
+   * @returns {Promise} Promise com { valid, score, checks, errors }
+   */
+  async evaluatePassword(password, context = {}) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/password/evaluate`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ refresh_token: refreshToken }),
+        body: JSON.stringify({ password, ...context }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao avaliar senha');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao avaliar senha:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cadastra uma nova conta
+   * @param {string} username - Nome de usuário
+   * @param {string} email - E-mail do usuário
+   * @param {string} password - Senha do usuário
+   * @returns {Promise} Promise com o resultado do cadastro
+   */
+  async register(username, email, password) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, email, password }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao criar conta');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no cadastro:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirma o e-mail a partir do token enviado no cadastro
+   * @param {string} token - Token recebido no link de verificação
+   * @returns {Promise} Promise com o resultado da verificação
+   */
+  async verifyEmail(token) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/verify-email`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao verificar e-mail');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro na verificação de e-mail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Desbloqueia a conta a partir do token enviado por e-mail após tentativas falhas
+   * @param {string} token - Token recebido no link de desbloqueio
+   * @returns {Promise} Promise com o resultado do desbloqueio
+   */
+  async unlockAccount(token) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/account/unlock`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao desbloquear conta');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro no desbloqueio de conta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra todas as sessões a partir do link "não fui eu" de um aviso de segurança
+   * @param {string} token - Token recebido no link do aviso
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async secureAccount(token) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/account/secure`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao encerrar sessões');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao proteger conta:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Solicita o reenvio do e-mail de verificação
+   * @param {string} username - E-mail ou nome de usuário
+   * @returns {Promise} Promise com o resultado da solicitação
+   */
+  async resendVerification(username) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/verify-email/resend`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao reenviar e-mail de verificação');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao reenviar verificação de e-mail:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Carrega os dados do usuário autenticado
+   * @returns {Promise} Promise com os dados do usuário
+   */
+  async getCurrentUser() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/me`, {
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Erro ao carregar usuário');
+        error.code = data.code; // Ex.: TOKEN_EXPIRED
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao carregar usuário:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as sessões ativas do usuário
+   * @returns {Promise} Promise com a lista de sessões
+   */
+  async getSessions() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/sessions`, {
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar sessões');
+      }
+
+      return data.sessions;
+    } catch (error) {
+      console.error('Erro ao carregar sessões:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra uma sessão específica
+   * @param {string} sessionId - ID da sessão
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async revokeSession(sessionId) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/sessions/${encodeURIComponent(sessionId)}`, {
+        method: 'DELETE',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao encerrar sessão');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao encerrar sessão:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Encerra todas as sessões, exceto a atual
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async revokeOtherSessions() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/sessions`, {
+        method: 'DELETE',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao encerrar sessões');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao encerrar sessões:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Altera a senha da conta autenticada; as outras sessões são encerradas
+   * @param {string} currentPassword - Senha atual
+   * @param {string} newPassword - Nova senha
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async changePassword(currentPassword, newPassword) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/password/change`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao alterar senha');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao alterar senha:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Carrega os detalhes de um pedido de autorização OpenID Connect para a tela de consentimento
+   * @param {string} query - Query string recebida do aplicativo cliente (sem '?')
+   * @returns {Promise} Promise com o cliente, os escopos e se o consentimento é necessário
+   */
+  async getAuthorizationRequest(query) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/oauth/authorize/request?${query}`, {
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Pedido de autorização inválido');
+        error.code = data.code; // Ex.: invalid_scope
+        error.redirectTo = data.redirectTo; // Presente quando o erro deve voltar ao aplicativo
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao carregar pedido de autorização:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aprova ou recusa um pedido de autorização OpenID Connect
+   * @param {Object} params - Parâmetros do pedido recebidos do aplicativo cliente
+   * @param {boolean} approve - Se o usuário permitiu o acesso
+   * @returns {Promise} Promise com a URL de retorno ao aplicativo (redirectTo)
+   */
+  async decideAuthorization(params, approve) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/oauth/authorize`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+        body: JSON.stringify({ ...params, approve }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        const error = new Error(data.error || 'Erro ao autorizar aplicativo');
+        error.code = data.code;
+        error.redirectTo = data.redirectTo;
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao autorizar aplicativo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os aplicativos que o usuário autorizou a usar a conta
+   * @returns {Promise} Promise com a lista de autorizações
+   */
+  async getConnectedApps() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/oauth/consents`, {
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar aplicativos');
+      }
+
+      return data.consents;
+    } catch (error) {
+      console.error('Erro ao carregar aplicativos:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoga o acesso de um aplicativo autorizado
+   * @param {string} clientId - Identificador do aplicativo
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async revokeConnectedApp(clientId) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/oauth/consents/${encodeURIComponent(clientId)}`, {
+        method: 'DELETE',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao revogar aplicativo');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao revogar aplicativo:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os tokens de acesso pessoal e os escopos que o usuário pode conceder
+   * @returns {Promise} Promise com { tokens, availableScopes, maxLifetimeDays }
+   */
+  async getPersonalTokens() {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/personal-tokens`, {
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao carregar tokens');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao carregar tokens:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cria um token de acesso pessoal; o valor retornado não pode ser consultado depois
+   * @param {string} name - Nome para reconhecer o token
+   * @param {string[]} scopes - Escopos concedidos
+   * @param {number} expiresInDays - Validade em dias
+   * @returns {Promise} Promise com { token, personalToken }
+   */
+  async createPersonalToken(name, scopes, expiresInDays) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/personal-tokens`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+        body: JSON.stringify({ name, scopes, expiresInDays }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao criar token');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao criar token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoga um token de acesso pessoal
+   * @param {string} tokenId - Identificador do token
+   * @returns {Promise} Promise com o resultado da operação
+   */
+  async revokePersonalToken(tokenId) {
+    try {
+      const response = await fetch(`${this.apiUrl}/api/auth/personal-tokens/${encodeURIComponent(tokenId)}`, {
+        method: 'DELETE',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Erro ao revogar token');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Erro ao revogar token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Realiza o logout do usuário
+   * @returns {Promise} Promise indicando sucesso do logout
+   */
+  async logout() {
+    try {
+      // Chamar API para invalidar tokens no servidor
+      await fetch(`${this.apiUrl}/api/auth/logout`, {
+        method: 'POST',
+        headers: {
+          ...this.getAuthHeaders(),
+        },
+        credentials: 'include',
+      });
+    } catch (error) {
+      console.error('Erro ao realizar logout no servidor:', error);
+    } finally {
+      // Remover tokens localmente independentemente da resposta do servidor
+      this.removeTokens();
+    }
+  }
+
+  /**
+   * Armazena tokens de autenticação
+   * @param {Object} data - Objeto contendo token e refresh_token
+   * @param {boolean} remember - Se deve persistir os tokens
+   */
+  saveTokens(data, remember = false) {
+    const storage = remember ? localStorage : sessionStorage;
+
+    if (this.cookieMode) {
+      // Os tokens já foram definidos pelo servidor em cookies HttpOnly
+      if (data.csrfToken) {
+        storage.setItem(this.csrfTokenKey, data.csrfToken);
+      }
+      if (data.claims) {
+        storage.setItem(this.claimsKey, JSON.stringify(data.claims));
+      }
+      return;
+    }
+
+    if (data.token) {
+      storage.setItem(this.tokenKey, data.token);
+    }
+
+    if (data.refresh_token) {
+      storage.setItem(this.refreshTokenKey, data.refresh_token);
+    }
+  }
+
+  /**
+   * Remove tokens de autenticação
+   */
+  removeTokens() {
+    [localStorage, sessionStorage].forEach((storage) => {
+      storage.removeItem(this.tokenKey);
+      storage.removeItem(this.refreshTokenKey);
+      storage.removeItem(this.csrfTokenKey);
+      storage.removeItem(this.claimsKey);
+    });
+  }
+
+  /**
+   * Verifica se a sessão atual foi salva com "lembrar de mim"
+   * @returns {boolean} Verdadeiro se os dados estão no localStorage
+   */
+  isRemembered() {
+    return !!(localStorage.getItem(this.tokenKey) || localStorage.getItem(this.claimsKey));
+  }
+
+  /**
+   * Cabeçalhos de autenticação para rotas protegidas.
+   * No modo cookie o navegador envia o token; basta o token CSRF (double-submit).
+   * @returns {Object} Cabeçalhos da requisição
+   */
+  getAuthHeaders() {
+    if (this.cookieMode) {
+      const csrfToken = localStorage.getItem(this.csrfTokenKey) ||
+                        sessionStorage.getItem(this.csrfTokenKey);
+      return csrfToken ? { 'X-CSRF-Token': csrfToken } : {};
+    }
+
+    return { 'Authorization': `Bearer ${this.getToken()}` };
+  }
+
+  /**
+   * Obtém o token JWT atual
+   * @returns {string|null} Token JWT ou null
+   */
+  getToken() {
+    return localStorage.getItem(this.tokenKey) ||
+           sessionStorage.getItem(this.tokenKey);
+  }
+
+  /**
+   * Obtém o token de atualização
+   * @returns {string|null} Refresh token ou null
+   */
+  getRefreshToken() {
+    return localStorage.getItem(this.refreshTokenKey) ||
+           sessionStorage.getItem(this.refreshTokenKey);
+  }
+
+  /**
+   * Verifica se o usuário está autenticado
+   * @returns {boolean} Verdadeiro se autenticado
+   */
+  isAuthenticated() {
+    if (this.cookieMode) {
+      return !!(localStorage.getItem(this.claimsKey) || sessionStorage.getItem(this.claimsKey));
+    }
+
+    return !!this.getToken();
+  }
+
+  /**
+   * Lê as claims do token de acesso atual, sem validar a assinatura.
+   * Serve apenas para adaptar a interface; o backend continua validando cada requisição.
+   * @returns {Object} Claims do token ou objeto vazio
+   */
+  getTokenClaims() {
+    if (this.cookieMode) {
+      try {
+        return JSON.parse(localStorage.getItem(this.claimsKey) ||
+                          sessionStorage.getItem(this.claimsKey)) || {};
+      } catch (error) {
+        return {};
+      }
+    }
+
+    const token = this.getToken();
+    if (!token) return {};
+
+    try {
+      const payload = token.split('.')[1];
+      return JSON.parse(new TextDecoder().decode(base64UrlToBuffer(payload)));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Verifica se o usuário possui ao menos um dos papéis
+   * @param {string[]} roles - Papéis aceitos
+   * @returns {boolean} Verdadeiro se possuir algum dos papéis
+   */
+  hasRole(roles) {
+    const granted = this.getTokenClaims().roles || [];
+    return roles.some((role) => granted.includes(role));
+  }
+
+  /**
+   * Verifica se o usuário possui todas as permissões
+   * @param {string[]} permissions - Permissões exigidas
+   * @returns {boolean} Verdadeiro se possuir todas as permissões
+   */
+  hasPermissions(permissions) {
+    const granted = this.getTokenClaims().permissions || [];
+    return permissions.every((permission) => granted.includes(permission));
+  }
+
+  /**
+   * Atualiza o token utilizando o refresh token
+   * @returns {Promise} Promise com o novo token
+   */
+  async refreshAccessToken() {
+    const refreshToken = this.getRefreshToken();
+
+    if (!refreshToken && !this.cookieMode) {
+      throw new Error('Refresh token não disponível');
+    }
+
+    try {
+      // No modo cookie o refresh token segue no cookie restrito à rota de renovação
+      const response = await fetch(`${this.apiUrl}/api/auth/refresh-token`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.cookieMode ? this.getAuthHeaders() : {}),
+        },
+        body: JSON.stringify(this.cookieMode ? {} : { refresh_token: refreshToken }),
+        credentials: 'include',
       });
 
       const data = await response.json();
 
       if (!response.ok) {
         this.removeTokens(); // Limpar tokens inválidos
-        throw new Error(data.error || 'Falha ao atualizar token');
+        const error = new Error(data.error || 'Falha ao atualizar token');
+        error.code = data.code; // REFRESH_TOKEN_REUSED ou SESSION_EXPIRED
+        throw error;
       }
 
-      // Salvar novos tokens
-      this.saveTokens(data, true);
+      // Salvar novos tokens no mesmo armazenamento da sessão atual
+      this.saveTokens(data, this.isRemembered());
       return data.token;
     } catch (error) {
       console.error('Erro ao atualizar token:', error);